@@ -0,0 +1,234 @@
+import { woundHealsBy } from '../helpers/wounds.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * casualty-board.mjs
+ * ------------------
+ * The GM's Casualty Board (ApplicationV2): every character on the viewed scene
+ * (or in the active combat) with their medical state at a glance — bleeding,
+ * dying, critically injured, stabilized, unconscious — their wounds and
+ * severity, and damage/fatigue bars. The worst off sort to the top.
+ *
+ * Treatment goes through the character sheet's own dialogs: First Aid,
+ * Stabilize and Surgery open on the chosen medic's sheet with the row's
+ * character as the patient, so the checks, kit bonuses and chat cards are the
+ * same as from the sheet. The board re-renders as actors change.
+ */
+export class CasualtyBoard extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {string} 'scene' or 'combat' */
+  #source = 'scene';
+  /** @type {string|null} uuid of the actor giving treatment */
+  #medicUuid = null;
+
+  /** Actor types with wounds and a medical state. */
+  static PATIENT_TYPES = ['character', 'npc'];
+
+  /** Medical states shown on the board, worst first. */
+  static STATES = [
+    { key: 'dying', label: 'Dying', icon: 'fa-skull', cls: 'danger' },
+    { key: 'bleeding', label: 'Bleeding', icon: 'fa-droplet', cls: 'danger' },
+    { key: 'criticallyInjured', label: 'Critical', icon: 'fa-heart-crack', cls: 'warning' },
+    { key: 'unconscious', label: 'Unconscious', icon: 'fa-bed', cls: 'warning' },
+    { key: 'stabilized', label: 'Stabilized', icon: 'fa-hand-holding-medical', cls: 'success' }
+  ];
+
+  /** The open board, if any. */
+  static #instance = null;
+
+  constructor(options = {}) {
+    super(options);
+    CasualtyBoard.#instance = this;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'mf-casualty-board',
+    classes: ['mech-foundry', 'mech-foundry-casualty-board'],
+    position: { width: 820, height: 620 },
+    window: { title: 'Casualty Board', icon: 'fa-solid fa-kit-medical', resizable: true },
+    actions: {
+      setSource: CasualtyBoard.#onSetSource,
+      firstAid: CasualtyBoard.#onFirstAid,
+      stabilize: CasualtyBoard.#onStabilize,
+      surgery: CasualtyBoard.#onSurgery,
+      openSheet: CasualtyBoard.#onOpenSheet
+    }
+  };
+
+  static PARTS = {
+    body: {
+      template: 'systems/mech-foundry/templates/apps/casualty-board.hbs',
+      scrollable: ['.casualty-list']
+    }
+  };
+
+  /**
+   * Open the board (GM only), reusing the open one.
+   * @returns {CasualtyBoard|null}
+   */
+  static open() {
+    if (!game.user.isGM) {
+      ui.notifications.warn("Only the GM can open the Casualty Board.");
+      return null;
+    }
+    const board = CasualtyBoard.#instance ?? new CasualtyBoard();
+    board.render(true);
+    return board;
+  }
+
+  /** Re-render the open board. Called from the actor, item and combat hooks. */
+  static refresh() {
+    if (CasualtyBoard.#instance?.rendered) CasualtyBoard.#instance.render();
+  }
+
+  /** @override */
+  async close(options) {
+    if (CasualtyBoard.#instance === this) CasualtyBoard.#instance = null;
+    return super.close(options);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /*  Data                                                                   */
+  /* ---------------------------------------------------------------------- */
+
+  /**
+   * Characters on the board: the active combat's combatants, or the actors of
+   * the viewed scene's tokens.
+   * @returns {Actor[]}
+   */
+  #patients() {
+    const actors = this.#source === 'combat' && game.combat
+      ? game.combat.combatants.map(c => c.actor)
+      : (game.scenes.viewed?.tokens ?? []).map(t => t.actor);
+    return [...new Set(actors)].filter(a => a && CasualtyBoard.PATIENT_TYPES.includes(a.type));
+  }
+
+  /**
+   * Who can give treatment: the characters on the board and the world's
+   * player characters, those with MedTech or Surgery first.
+   * @param {Actor[]} patients
+   * @returns {Actor[]}
+   */
+  #medics(patients) {
+    const world = game.actors.filter(a => a.type === 'character');
+    const seen = new Set();
+    const medics = [...patients, ...world].filter(a => !seen.has(a.uuid) && seen.add(a.uuid));
+    const trained = a => a.items.some(i => i.type === 'skill' && /medtech|surgery/i.test(i.name));
+    return medics.sort((a, b) => trained(b) - trained(a));
+  }
+
+  /** The chosen medic. */
+  #medic() {
+    return (this.#medicUuid && fromUuidSync(this.#medicUuid)) || null;
+  }
+
+  /**
+   * How urgently a character needs care; lower is sooner.
+   * @param {Object} s An actor's `system`
+   * @returns {number}
+   */
+  static triagePriority(s) {
+    if (s.dead) return 6;
+    if (s.dying && !s.stabilized) return 0;
+    if (s.bleeding) return 1;
+    if (s.criticallyInjured && !s.stabilized) return 2;
+    if (s.unconscious) return 3;
+    if ((s.wounds?.length || 0) > 0 || (s.damage?.value || 0) > 0) return 4;
+    return 5;
+  }
+
+  async _prepareContext() {
+    const patients = this.#patients();
+    const medics = this.#medics(patients);
+    if (!medics.some(a => a.uuid === this.#medicUuid)) this.#medicUuid = medics[0]?.uuid ?? null;
+
+    const bar = (value, max) => ({
+      value: value || 0,
+      max: max || 0,
+      pct: max > 0 ? Math.min(100, Math.round(((value || 0) / max) * 100)) : 0
+    });
+    const rows = patients.map(actor => {
+      const s = actor.system;
+      return {
+        uuid: actor.uuid,
+        name: actor.name,
+        img: actor.img,
+        dead: !!s.dead,
+        priority: CasualtyBoard.triagePriority(s),
+        states: CasualtyBoard.STATES.filter(st => s[st.key]),
+        wounds: (s.wounds || []).map(w => ({
+          name: actor._getWoundName(w.type),
+          location: w.location || '',
+          severity: w.severity ?? 5
+        })),
+        damage: bar(s.damage?.value, s.damageCapacity),
+        fatigue: bar(s.fatigue?.value, s.fatigueCapacity),
+        canSurgery: (s.wounds || []).some(w => woundHealsBy(w.type, 'surgery')) ||
+          actor.items.some(i => i.type === 'prosthetics' && !i.system.installed),
+        isMedic: actor.uuid === this.#medicUuid
+      };
+    }).sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+
+    return {
+      rows,
+      source: this.#source,
+      hasCombat: !!game.combat,
+      sceneName: game.scenes.viewed?.name ?? '',
+      medics: medics.map(a => ({ uuid: a.uuid, name: a.name, selected: a.uuid === this.#medicUuid })),
+      needCare: rows.filter(r => r.priority < 4).length
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender?.(context, options);
+    this.element.querySelector('.casualty-medic')?.addEventListener('change', (ev) => {
+      this.#medicUuid = ev.target.value || null;
+      this.render();
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /*  Actions                                                                */
+  /* ---------------------------------------------------------------------- */
+
+  static #onSetSource(event, target) {
+    const source = target.dataset.source;
+    if (source && source !== this.#source) {
+      this.#source = source;
+      this.render();
+    }
+  }
+
+  /**
+   * Open one of the medic's sheet dialogs on a row's character.
+   * @param {Event} event
+   * @param {HTMLElement} target
+   * @param {string} handler The sheet method: _onFirstAid, _onStabilize or _onSurgery
+   */
+  #treat(event, target, handler) {
+    const patient = fromUuidSync(target.closest('[data-uuid]')?.dataset.uuid);
+    const medic = this.#medic();
+    if (!patient) return;
+    if (!medic?.sheet?.[handler]) {
+      ui.notifications.warn("Pick a medic to give treatment first.");
+      return;
+    }
+    return medic.sheet[handler](event, patient);
+  }
+
+  static #onFirstAid(event, target) {
+    return this.#treat(event, target, '_onFirstAid');
+  }
+
+  static #onStabilize(event, target) {
+    return this.#treat(event, target, '_onStabilize');
+  }
+
+  static #onSurgery(event, target) {
+    return this.#treat(event, target, '_onSurgery');
+  }
+
+  static #onOpenSheet(event, target) {
+    fromUuidSync(target.closest('[data-uuid]')?.dataset.uuid)?.sheet.render(true);
+  }
+}
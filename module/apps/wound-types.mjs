@@ -0,0 +1,112 @@
+import {
+  DEFAULT_WOUND_TYPES, WOUND_STACKING, HEAL_PROCEDURES,
+  normalizeWoundType, parsePenalties, formatPenalties, woundKey, woundSummary
+} from '../helpers/wounds.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * wound-types.mjs
+ * ---------------
+ * The Wound Types settings menu (ApplicationV2, GM only): the built-in wounds
+ * for reference, and a table of the group's homebrew wounds — locked boxes,
+ * attribute penalties, movement multiplier, bleeding, limb wounds, stacking
+ * and how each heals. Saved to the `customWoundTypes` world setting, from which the wound
+ * registry (helpers/wounds.mjs) is rebuilt on every client.
+ */
+export class WoundTypeConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** @type {Object[]} The homebrew types being edited, as form rows */
+  #rows = [];
+
+  constructor(options = {}) {
+    super(options);
+    const stored = game.settings.get('mech-foundry', 'customWoundTypes') || {};
+    this.#rows = Object.entries(stored).map(([key, raw]) => ({
+      ...normalizeWoundType(raw),
+      key,
+      saved: true,
+      penalties: formatPenalties(normalizeWoundType(raw)?.attributePenalties)
+    })).filter(row => row.label);
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'mf-wound-types',
+    classes: ['mech-foundry', 'mech-foundry-wound-types'],
+    tag: 'form',
+    position: { width: 860, height: 640 },
+    window: { title: 'Wound Types', icon: 'fa-solid fa-user-injured', resizable: true },
+    form: { handler: WoundTypeConfig.#onFormChange, submitOnChange: true, closeOnSubmit: false },
+    actions: {
+      addType: WoundTypeConfig.#onAddType,
+      removeType: WoundTypeConfig.#onRemoveType,
+      save: WoundTypeConfig.#onSave
+    }
+  };
+
+  static PARTS = {
+    body: {
+      template: 'systems/mech-foundry/templates/apps/wound-types.hbs',
+      scrollable: ['.wound-types-body']
+    }
+  };
+
+  async _prepareContext() {
+    return {
+      builtIns: Object.entries(DEFAULT_WOUND_TYPES).map(([key, type]) => ({
+        key,
+        icon: type.icon,
+        summary: woundSummary(key),
+        stacking: WOUND_STACKING[type.stacking || 'worsen']
+      })),
+      rows: this.#rows.map((row, index) => ({
+        ...row,
+        index,
+        stackingOptions: Object.entries(WOUND_STACKING).map(([value, label]) => ({ value, label, selected: value === row.stacking })),
+        healOptions: Object.entries(HEAL_PROCEDURES).map(([value, def]) => ({ value, label: def.label, selected: value === row.heal }))
+      }))
+    };
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /*  Actions                                                                */
+  /* ---------------------------------------------------------------------- */
+
+  /** Keep the rows in step with the form as it's edited. */
+  static async #onFormChange(event, form, formData) {
+    const rows = foundry.utils.expandObject(formData.object).rows || {};
+    for (const [index, values] of Object.entries(rows)) {
+      if (this.#rows[index]) Object.assign(this.#rows[index], values);
+    }
+  }
+
+  static #onAddType() {
+    this.#rows.push({
+      key: '', label: '', icon: 'fa-band-aid', capacityPenalty: 1, penalties: '', movementMultiplier: 1,
+      causesBleeding: false, limb: false, stacking: 'worsen', heal: 'any', description: '', saved: false
+    });
+    this.render();
+  }
+
+  static #onRemoveType(event, target) {
+    this.#rows.splice(Number(target.closest('[data-index]')?.dataset.index), 1);
+    this.render();
+  }
+
+  /** Check the rows and store them in the world setting. */
+  static async #onSave() {
+    const types = {};
+    for (const row of this.#rows) {
+      const key = row.saved ? row.key : woundKey(row.label);
+      if (!row.label?.trim()) continue;
+      if (!key || DEFAULT_WOUND_TYPES[key] || types[key]) {
+        ui.notifications.warn(`"${row.label}" clashes with another wound type; give it a different name.`);
+        return;
+      }
+      const { penalties, ...raw } = row;
+      types[key] = normalizeWoundType({ ...raw, attributePenalties: parsePenalties(penalties) });
+    }
+    await game.settings.set('mech-foundry', 'customWoundTypes', types);
+    ui.notifications.info(`Saved ${Object.keys(types).length} homebrew wound type(s).`);
+    return this.close();
+  }
+}
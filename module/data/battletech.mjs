@@ -0,0 +1,649 @@
+/**
+ * battletech.mjs
+ * --------------
+ * Classic BattleTech (Total Warfare) record-sheet reference tables used by the
+ * unit actor types (`mech` and friends). Pure data with NO Foundry dependency so
+ * the pure math in `helpers/unit-math.mjs` (and its tests) can share it.
+ */
+
+/**
+ * 'Mech body locations in record-sheet order. `rear` names the location's
+ * rear-armor key (torsos only); `slots` is its critical-slot count.
+ */
+export const MECH_LOCATIONS = [
+  { key: 'hd', label: 'Head', abbr: 'HD', slots: 6 },
+  { key: 'ct', label: 'Center Torso', abbr: 'CT', slots: 12, rear: 'ctr' },
+  { key: 'lt', label: 'Left Torso', abbr: 'LT', slots: 12, rear: 'ltr' },
+  { key: 'rt', label: 'Right Torso', abbr: 'RT', slots: 12, rear: 'rtr' },
+  { key: 'la', label: 'Left Arm', abbr: 'LA', slots: 12 },
+  { key: 'ra', label: 'Right Arm', abbr: 'RA', slots: 12 },
+  { key: 'll', label: 'Left Leg', abbr: 'LL', slots: 6 },
+  { key: 'rl', label: 'Right Leg', abbr: 'RL', slots: 6 }
+];
+
+/** Rear-armor keys → the front location they belong to. */
+export const MECH_REAR_LOCATIONS = {
+  ctr: 'ct',
+  ltr: 'lt',
+  rtr: 'rt'
+};
+
+/** Every armor key (front locations followed by the rear torsos). */
+export const MECH_ARMOR_KEYS = [...MECH_LOCATIONS.map(l => l.key), ...Object.keys(MECH_REAR_LOCATIONS)];
+
+/**
+ * Standard internal structure by tonnage (TW p.47):
+ * [head, center torso, side torso, arm, leg].
+ */
+export const MECH_INTERNAL_STRUCTURE = {
+  10: [3, 4, 3, 1, 2],
+  15: [3, 5, 4, 2, 3],
+  20: [3, 6, 5, 3, 4],
+  25: [3, 8, 6, 4, 6],
+  30: [3, 10, 7, 5, 7],
+  35: [3, 11, 8, 6, 8],
+  40: [3, 12, 10, 6, 10],
+  45: [3, 14, 11, 7, 11],
+  50: [3, 16, 12, 8, 12],
+  55: [3, 18, 13, 9, 13],
+  60: [3, 20, 14, 10, 14],
+  65: [3, 21, 15, 10, 15],
+  70: [3, 22, 15, 11, 15],
+  75: [3, 23, 16, 12, 16],
+  80: [3, 25, 17, 13, 17],
+  85: [3, 27, 18, 14, 18],
+  90: [3, 29, 19, 15, 19],
+  95: [3, 30, 20, 16, 20],
+  100: [3, 31, 21, 17, 21]
+};
+
+/** Maximum head armor regardless of tonnage; other locations cap at 2× structure. */
+export const MECH_MAX_HEAD_ARMOR = 9;
+
+/**
+ * Fixed components of a standard biped 'Mech's critical-slot table. Slots not
+ * listed here start empty ("Roll Again") and are filled in by the player.
+ */
+export const MECH_FIXED_CRITS = {
+  hd: ['Life Support', 'Sensors', 'Cockpit', '', 'Sensors', 'Life Support'],
+  ct: ['Fusion Engine', 'Fusion Engine', 'Fusion Engine', 'Gyro', 'Gyro', 'Gyro', 'Gyro',
+    'Fusion Engine', 'Fusion Engine', 'Fusion Engine'],
+  lt: [],
+  rt: [],
+  la: ['Shoulder', 'Upper Arm Actuator', 'Lower Arm Actuator', 'Hand Actuator'],
+  ra: ['Shoulder', 'Upper Arm Actuator', 'Lower Arm Actuator', 'Hand Actuator'],
+  ll: ['Hip', 'Upper Leg Actuator', 'Lower Leg Actuator', 'Foot Actuator'],
+  rl: ['Hip', 'Upper Leg Actuator', 'Lower Leg Actuator', 'Foot Actuator']
+};
+
+/** Heat sink types and the heat each one dissipates per turn. */
+export const HEAT_SINK_TYPES = {
+  single: { label: 'Single', dissipation: 1 },
+  double: { label: 'Double', dissipation: 2 }
+};
+
+/**
+ * The 'Mech heat scale (TW p.159). Each list is sorted by threshold; the highest
+ * threshold at or below the current heat applies. `avoid` is the 2d6 target to
+ * avoid the effect (`null` = automatic).
+ */
+export const HEAT_SCALE = {
+  movement: [
+    { heat: 5, mp: 1 },
+    { heat: 10, mp: 2 },
+    { heat: 15, mp: 3 },
+    { heat: 20, mp: 4 },
+    { heat: 25, mp: 5 }
+  ],
+  toHit: [
+    { heat: 8, mod: 1 },
+    { heat: 13, mod: 2 },
+    { heat: 17, mod: 3 },
+    { heat: 24, mod: 4 }
+  ],
+  shutdown: [
+    { heat: 14, avoid: 4 },
+    { heat: 18, avoid: 6 },
+    { heat: 22, avoid: 8 },
+    { heat: 26, avoid: 10 },
+    { heat: 30, avoid: null }
+  ],
+  ammo: [
+    { heat: 19, avoid: 4 },
+    { heat: 23, avoid: 6 },
+    { heat: 28, avoid: 8 }
+  ]
+};
+
+/** Top of the printed heat scale. */
+export const HEAT_SCALE_MAX = 30;
+
+/**
+ * Movement modes for the turn, the heat each generates and the attacker
+ * movement modifier it imposes on the unit's own attacks. Jumping builds
+ * 1 heat per Jump MP used, minimum 3.
+ */
+export const MECH_MOVEMENT_MODES = {
+  stand: { label: 'Stationary', heat: 0, toHit: 0 },
+  walk: { label: 'Walked', heat: 1, toHit: 1 },
+  run: { label: 'Ran', heat: 2, toHit: 2 },
+  jump: { label: 'Jumped', heat: 3, toHit: 3 }
+};
+
+export const TECH_BASES = {
+  IS: 'Inner Sphere',
+  Clan: 'Clan',
+  Mixed: 'Mixed'
+};
+
+/**
+ * Common Inner Sphere / Clan unit-scale weapons (TW Weapons and Equipment
+ * tables). `damage` is per hit; missile launchers carry a `rack` size and deal
+ * `damage` per missile. Ranges are in hexes; `ammoPerTon` is 0 for energy
+ * weapons. Used to pre-fill a weapon row on the unit sheets.
+ */
+export const UNIT_WEAPONS = [
+  { name: 'Small Laser', type: 'energy', heat: 1, damage: 3, min: 0, short: 1, medium: 2, long: 3, ammoPerTon: 0, tons: 0.5, crits: 1 },
+  { name: 'Medium Laser', type: 'energy', heat: 3, damage: 5, min: 0, short: 3, medium: 6, long: 9, ammoPerTon: 0, tons: 1, crits: 1 },
+  { name: 'Large Laser', type: 'energy', heat: 8, damage: 8, min: 0, short: 5, medium: 10, long: 15, ammoPerTon: 0, tons: 5, crits: 2 },
+  { name: 'ER Small Laser', type: 'energy', heat: 2, damage: 3, min: 0, short: 2, medium: 4, long: 5, ammoPerTon: 0, tons: 0.5, crits: 1 },
+  { name: 'ER Medium Laser', type: 'energy', heat: 5, damage: 5, min: 0, short: 4, medium: 8, long: 12, ammoPerTon: 0, tons: 1, crits: 1 },
+  { name: 'ER Large Laser', type: 'energy', heat: 12, damage: 8, min: 0, short: 7, medium: 14, long: 19, ammoPerTon: 0, tons: 5, crits: 2 },
+  { name: 'Small Pulse Laser', type: 'energy', heat: 2, damage: 3, min: 0, short: 1, medium: 2, long: 3, ammoPerTon: 0, tons: 1, crits: 1, toHit: -2 },
+  { name: 'Medium Pulse Laser', type: 'energy', heat: 4, damage: 6, min: 0, short: 2, medium: 4, long: 6, ammoPerTon: 0, tons: 2, crits: 1, toHit: -2 },
+  { name: 'Large Pulse Laser', type: 'energy', heat: 10, damage: 9, min: 0, short: 3, medium: 7, long: 10, ammoPerTon: 0, tons: 7, crits: 2, toHit: -2 },
+  { name: 'PPC', type: 'energy', heat: 10, damage: 10, min: 3, short: 6, medium: 12, long: 18, ammoPerTon: 0, tons: 7, crits: 3 },
+  { name: 'ER PPC', type: 'energy', heat: 15, damage: 10, min: 0, short: 7, medium: 14, long: 23, ammoPerTon: 0, tons: 7, crits: 3 },
+  { name: 'Flamer', type: 'energy', heat: 3, damage: 2, min: 0, short: 1, medium: 2, long: 3, ammoPerTon: 0, tons: 1, crits: 1 },
+  { name: 'Machine Gun', type: 'ballistic', heat: 0, damage: 2, min: 0, short: 1, medium: 2, long: 3, ammoPerTon: 200, tons: 0.5, crits: 1 },
+  { name: 'AC/2', type: 'ballistic', heat: 1, damage: 2, min: 4, short: 8, medium: 16, long: 24, ammoPerTon: 45, tons: 6, crits: 1 },
+  { name: 'AC/5', type: 'ballistic', heat: 1, damage: 5, min: 3, short: 6, medium: 12, long: 18, ammoPerTon: 20, tons: 8, crits: 4 },
+  { name: 'AC/10', type: 'ballistic', heat: 3, damage: 10, min: 0, short: 5, medium: 10, long: 15, ammoPerTon: 10, tons: 12, crits: 7 },
+  { name: 'AC/20', type: 'ballistic', heat: 7, damage: 20, min: 0, short: 3, medium: 6, long: 9, ammoPerTon: 5, tons: 14, crits: 10 },
+  { name: 'Gauss Rifle', type: 'ballistic', heat: 1, damage: 15, min: 2, short: 7, medium: 15, long: 22, ammoPerTon: 8, tons: 15, crits: 7 },
+  { name: 'LRM 5', type: 'missile', heat: 2, damage: 1, rack: 5, min: 6, short: 7, medium: 14, long: 21, ammoPerTon: 24, tons: 2, crits: 1 },
+  { name: 'LRM 10', type: 'missile', heat: 4, damage: 1, rack: 10, min: 6, short: 7, medium: 14, long: 21, ammoPerTon: 12, tons: 5, crits: 2 },
+  { name: 'LRM 15', type: 'missile', heat: 5, damage: 1, rack: 15, min: 6, short: 7, medium: 14, long: 21, ammoPerTon: 8, tons: 7, crits: 3 },
+  { name: 'LRM 20', type: 'missile', heat: 6, damage: 1, rack: 20, min: 6, short: 7, medium: 14, long: 21, ammoPerTon: 6, tons: 10, crits: 5 },
+  { name: 'SRM 2', type: 'missile', heat: 2, damage: 2, rack: 2, min: 0, short: 3, medium: 6, long: 9, ammoPerTon: 50, tons: 1, crits: 1 },
+  { name: 'SRM 4', type: 'missile', heat: 3, damage: 2, rack: 4, min: 0, short: 3, medium: 6, long: 9, ammoPerTon: 25, tons: 2, crits: 1 },
+  { name: 'SRM 6', type: 'missile', heat: 4, damage: 2, rack: 6, min: 0, short: 3, medium: 6, long: 9, ammoPerTon: 15, tons: 3, crits: 2 }
+];
+
+/** Look up a catalog weapon by (case-insensitive) name. */
+export function unitWeaponDef(name) {
+  const n = String(name || '').trim().toLowerCase();
+  return UNIT_WEAPONS.find(w => w.name.toLowerCase() === n) || null;
+}
+
+/**
+ * Columns of the weapon table on the unit record sheets (after name and
+ * location), in printed order.
+ */
+export const UNIT_WEAPON_COLUMNS = [
+  { key: 'heat', label: 'Heat', type: 'number' },
+  { key: 'damage', label: 'Dmg', type: 'number' },
+  { key: 'rack', label: 'Rack', type: 'number' },
+  { key: 'min', label: 'Min', type: 'number' },
+  { key: 'short', label: 'Short', type: 'number' },
+  { key: 'medium', label: 'Med', type: 'number' },
+  { key: 'long', label: 'Long', type: 'number' }
+];
+
+/* -------------------------------------------------------------------------- */
+/*  Unit-scale combat                                                          */
+/* -------------------------------------------------------------------------- */
+
+/** Meters per map hex at BattleTech scale. */
+export const HEX_METERS = 30;
+
+/** Attack directions, named from the target's point of view. */
+export const ATTACK_DIRECTIONS = {
+  front: 'Front',
+  left: 'Left Side',
+  right: 'Right Side',
+  rear: 'Rear'
+};
+
+/** Range bracket modifiers (TW p.115). */
+export const UNIT_RANGE_MODIFIERS = {
+  short: 0,
+  medium: 2,
+  long: 4
+};
+
+/**
+ * Hit location tables by unit type and attack direction, indexed by the 2d6
+ * roll − 2. A trailing `*` marks a possible critical (a 'Mech's through-armor
+ * critical, a vehicle's or fighter's critical chance); a trailing `!` marks a
+ * vehicle motive-system hit. Vehicle `turret` results fall to the rotor, then
+ * to the side struck, when the vehicle has no turret.
+ */
+export const UNIT_HIT_TABLES = {
+  mech: {
+    front: ['ct*', 'ra', 'ra', 'rl', 'rt', 'ct', 'lt', 'll', 'la', 'la', 'hd'],
+    left: ['lt*', 'll', 'la', 'la', 'll', 'lt', 'ct', 'rt', 'ra', 'rl', 'hd'],
+    right: ['rt*', 'rl', 'ra', 'ra', 'rl', 'rt', 'ct', 'lt', 'la', 'll', 'hd'],
+    rear: ['ct*', 'ra', 'ra', 'rl', 'rt', 'ct', 'lt', 'll', 'la', 'la', 'hd']
+  },
+  ground_vehicle: {
+    front: ['front*', 'front!', 'front!', 'right!', 'front', 'front', 'front', 'left!', 'turret', 'turret', 'turret*'],
+    left: ['left*', 'left!', 'left!', 'front!', 'left', 'left', 'left', 'back!', 'turret', 'turret', 'turret*'],
+    right: ['right*', 'right!', 'right!', 'back!', 'right', 'right', 'right', 'front!', 'turret', 'turret', 'turret*'],
+    rear: ['back*', 'back!', 'back!', 'left!', 'back', 'back', 'back', 'right!', 'turret', 'turret', 'turret*']
+  },
+  aerospace_fighter: {
+    front: ['nose*', 'right', 'nose', 'right', 'nose', 'nose', 'nose', 'left', 'left', 'aft', 'nose*'],
+    left: ['left*', 'nose', 'left', 'left', 'aft', 'left', 'left', 'nose', 'aft', 'aft', 'left*'],
+    right: ['right*', 'nose', 'right', 'right', 'aft', 'right', 'right', 'nose', 'aft', 'aft', 'right*'],
+    rear: ['aft*', 'right', 'aft', 'right', 'aft', 'aft', 'aft', 'left', 'left', 'aft', 'aft*']
+  }
+};
+
+/**
+ * How damage moves through each unit type once a location's armor is gone.
+ * `rear` maps a location to its rear-armor key, `transfer` to the location
+ * excess damage moves on to (none = the excess is lost), `dependents` lists
+ * locations destroyed along with it, and `fatal` the locations whose loss
+ * destroys the unit. `structure` names a single shared structure track
+ * (a fighter's SI) in place of per-location internal structure. `troopers`
+ * marks a battle armor squad, whose "locations" are its troopers' suits;
+ * `buildings` an installation, whose locations are its buildings.
+ */
+export const UNIT_DAMAGE_PROFILES = {
+  mech: {
+    rear: { ct: 'ctr', lt: 'ltr', rt: 'rtr' },
+    transfer: { la: 'lt', ra: 'rt', ll: 'lt', rl: 'rt', lt: 'ct', rt: 'ct' },
+    dependents: { lt: ['la'], rt: ['ra'] },
+    fatal: ['hd', 'ct']
+  },
+  ground_vehicle: {
+    rear: {},
+    transfer: {},
+    dependents: {},
+    fatal: ['front', 'left', 'right', 'back']
+  },
+  aerospace_fighter: {
+    rear: {},
+    transfer: {},
+    dependents: {},
+    structure: 'si',
+    fatal: ['si']
+  },
+  battle_armor: {
+    rear: {},
+    transfer: {},
+    dependents: {},
+    troopers: true,
+    fatal: []
+  },
+  installation: {
+    rear: {},
+    transfer: {},
+    dependents: {},
+    buildings: true,
+    fatal: []
+  }
+};
+
+/**
+ * Cluster Hits Table (TW p.114): missiles that hit, by launcher size (columns)
+ * and 2d6 roll (rows, index = roll − 2). Racks between columns use the next
+ * column down.
+ */
+export const CLUSTER_SIZES = [2, 3, 4, 5, 6, 10, 15, 20];
+export const CLUSTER_HITS = [
+  [1, 1, 1, 1, 2, 3, 5, 6],
+  [1, 1, 2, 2, 2, 3, 5, 6],
+  [1, 1, 2, 2, 3, 4, 6, 9],
+  [1, 2, 2, 3, 3, 6, 9, 12],
+  [1, 2, 2, 3, 4, 6, 9, 12],
+  [1, 2, 3, 3, 4, 6, 9, 12],
+  [2, 2, 3, 3, 4, 6, 9, 12],
+  [2, 2, 3, 4, 5, 8, 12, 16],
+  [2, 3, 3, 4, 5, 8, 12, 16],
+  [2, 3, 4, 5, 6, 10, 15, 20],
+  [2, 3, 4, 5, 6, 10, 15, 20]
+];
+
+/** LRM hits are grouped into 5-point clusters; SRMs strike one missile at a time. */
+export const LRM_CLUSTER_SIZE = 5;
+
+/**
+ * Determining Critical Hits (TW p.124): critical hits scored by the 2d6 roll
+ * when internal structure is damaged (index = roll − 2).
+ */
+export const CRIT_CHANCE = [0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3];
+
+/**
+ * Skills a unit's crew roll, by unit type. Falls back to the bare skill name
+ * when the character has no matching specialty.
+ */
+export const UNIT_CREW_SKILLS = {
+  mech: { gunnery: "Gunnery/'Mech", piloting: "Piloting/'Mech" },
+  ground_vehicle: { gunnery: 'Gunnery/Ground Vehicle', piloting: 'Driving/Ground Vehicles' },
+  aerospace_fighter: { gunnery: 'Gunnery/Aerospace', piloting: 'Piloting/Aerospace' },
+  battle_armor: { gunnery: 'Gunnery/Battlesuit', piloting: 'Piloting/Battlesuit' },
+  installation: { gunnery: 'Gunnery/Conventional' }
+};
+
+/** Crew positions a character (or NPC) can be assigned to on a unit. */
+export const UNIT_CREW_ROLES = {
+  pilot: 'Pilot',
+  gunner: 'Gunner',
+  commander: 'Commander'
+};
+
+/**
+ * A Total Warfare pilot hit lands on the character as 1D6 standard damage
+ * (AP 0, so cockpit-worn armor still counts). Ammunition explosions inflict
+ * two pilot hits; head hits and failed falls one each.
+ */
+export const PILOT_HIT_DAMAGE = '1d6';
+export const AMMO_EXPLOSION_PILOT_HITS = 2;
+
+/** Total Warfare skill ratings for an unnamed Regular crew. */
+export const DEFAULT_GUNNERY = 4;
+export const DEFAULT_PILOTING = 5;
+
+/* -------------------------------------------------------------------------- */
+/*  Combat vehicles                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Ground vehicle motive types. `motiveMod` is added to motive-system damage
+ * rolls (TW p.193); VTOLs take rotor hits instead (`null`). `itemTypes` are
+ * the personal `vehicle` item's vehicleType keywords that map onto it.
+ */
+export const VEHICLE_MOTIVE_TYPES = {
+  tracked: { label: 'Tracked', motiveMod: 0, itemTypes: ['tracked'] },
+  wheeled: { label: 'Wheeled', motiveMod: 2, itemTypes: ['wheeled'] },
+  hover: { label: 'Hover', motiveMod: 3, itemTypes: ['hover'] },
+  vtol: { label: 'VTOL', motiveMod: null, itemTypes: ['vtol'] },
+  naval: { label: 'Naval', motiveMod: 0, itemTypes: ['naval', 'water'] }
+};
+
+/**
+ * Ground vehicle locations in record-sheet order. Keys match the hit tables
+ * and the personal `vehicle` item's armor (`front`, `back`, `rotor`; its
+ * `side` armor covers both `left` and `right`). `turret` and `rotor` only
+ * exist on vehicles that mount them.
+ */
+export const VEHICLE_LOCATIONS = [
+  { key: 'front', label: 'Front', abbr: 'FR', itemArmor: 'front' },
+  { key: 'left', label: 'Left Side', abbr: 'LS', itemArmor: 'side' },
+  { key: 'right', label: 'Right Side', abbr: 'RS', itemArmor: 'side' },
+  { key: 'back', label: 'Rear', abbr: 'RR', itemArmor: 'back' },
+  { key: 'turret', label: 'Turret', abbr: 'TU', turret: true },
+  { key: 'rotor', label: 'Rotor', abbr: 'RO', itemArmor: 'rotor', rotor: true }
+];
+
+/** Movement modes for the turn and the attacker movement modifier each imposes. */
+export const VEHICLE_MOVEMENT_MODES = {
+  stand: { label: 'Stationary', toHit: 0 },
+  cruise: { label: 'Cruised', toHit: 1 },
+  flank: { label: 'Flanked', toHit: 2 }
+};
+
+/** Motive-system damage roll modifier by the side struck (TW p.193). */
+export const MOTIVE_DIRECTION_MODS = {
+  front: 0,
+  left: 2,
+  right: 2,
+  back: 1
+};
+
+/**
+ * Motive System Damage Table (TW p.193), highest threshold first. Effects
+ * are cumulative: `mp` Cruise MP lost, `halve` halves what remains, `driving`
+ * adds to every Driving Skill Roll, `immobilized` ends all movement.
+ */
+export const VEHICLE_MOTIVE_DAMAGE = [
+  { min: 12, key: 'major', label: 'Major damage — immobilized', immobilized: true },
+  { min: 10, key: 'heavy', label: 'Heavy damage — half Cruise MP', halve: true, driving: 3 },
+  { min: 8, key: 'moderate', label: 'Moderate damage — −1 Cruise MP', mp: 1, driving: 2 },
+  { min: 6, key: 'minor', label: 'Minor damage', driving: 1 },
+  { min: 0, key: 'none', label: 'No effect' }
+];
+
+/**
+ * Vehicle critical hit effects. `status` flags are set on the vehicle,
+ * `counter` status values increase by one, and `weapon` marks a random
+ * weapon at the location jammed or destroyed. `immobilized`, `mp` and
+ * `driving` feed the motive state like a motive damage result.
+ */
+export const VEHICLE_CRITS = {
+  none: { label: 'No critical hit' },
+  driverHit: { label: 'Driver hit (+2 Driving)', status: 'driverHit' },
+  commanderHit: { label: 'Commander hit (+1 Driving and Gunnery)', status: 'commanderHit' },
+  crewStunned: { label: 'Crew stunned — no movement or attacks next turn', status: 'crewStunned' },
+  crewKilled: { label: 'Crew killed — vehicle out of action', status: 'crewKilled', destroys: true },
+  stabilizer: { label: 'Stabilizer (+1 to-hit for weapons here)', stabilizer: true },
+  sensors: { label: 'Sensor hit (+1 to-hit)', counter: 'sensorHits' },
+  weaponMalfunction: { label: 'Weapon malfunction', weapon: 'jammed' },
+  weaponDestroyed: { label: 'Weapon destroyed', weapon: 'destroyed' },
+  cargoHit: { label: 'Cargo / infantry hit' },
+  engineHit: { label: 'Engine hit — immobilized', status: 'engineHit', immobilized: true },
+  ammunition: { label: 'Ammunition explosion', ammo: true },
+  fuelTank: { label: 'Fuel tank — vehicle destroyed', destroys: true },
+  turretJam: { label: 'Turret jammed — cannot turn next turn', status: 'turretJammed' },
+  turretLocked: { label: 'Turret locked', status: 'turretLocked' },
+  turretBlownOff: { label: 'Turret blown off', turretDestroyed: true },
+  rotorDamage: { label: 'Rotor damage — −1 Cruise MP', mp: 1 },
+  flightStabilizer: { label: 'Flight stabilizer (+3 Driving)', driving: 3 },
+  rotorDestroyed: { label: 'Rotor destroyed — VTOL crashes', immobilized: true, destroys: true }
+};
+
+/**
+ * Ground Combat Vehicle Critical Hits Table (TW p.194) by location struck,
+ * indexed by the 2d6 roll − 2. Left and right hits read the side column.
+ */
+export const VEHICLE_CRIT_TABLE = {
+  front: ['none', 'none', 'none', 'none', 'driverHit', 'weaponMalfunction', 'stabilizer', 'sensors', 'commanderHit', 'weaponDestroyed', 'crewKilled'],
+  side: ['none', 'none', 'none', 'none', 'cargoHit', 'weaponMalfunction', 'crewStunned', 'stabilizer', 'weaponDestroyed', 'engineHit', 'fuelTank'],
+  back: ['none', 'none', 'none', 'none', 'weaponMalfunction', 'cargoHit', 'stabilizer', 'weaponDestroyed', 'engineHit', 'ammunition', 'fuelTank'],
+  turret: ['none', 'none', 'none', 'none', 'stabilizer', 'turretJam', 'weaponMalfunction', 'turretLocked', 'weaponDestroyed', 'ammunition', 'turretBlownOff'],
+  rotor: ['none', 'none', 'none', 'none', 'rotorDamage', 'rotorDamage', 'rotorDamage', 'flightStabilizer', 'flightStabilizer', 'rotorDamage', 'rotorDestroyed']
+};
+
+/* -------------------------------------------------------------------------- */
+/*  Aerospace fighters                                                         */
+/* -------------------------------------------------------------------------- */
+
+/** Fighter armor arcs in record-sheet order; keys match the fighter hit tables. */
+export const FIGHTER_ARCS = [
+  { key: 'nose', label: 'Nose' },
+  { key: 'left', label: 'Left Wing' },
+  { key: 'right', label: 'Right Wing' },
+  { key: 'aft', label: 'Aft' }
+];
+
+/**
+ * Operating environments. In atmosphere the fighter flies at an altitude and
+ * stalls below velocity 1, and can release bombs; in space it has neither.
+ */
+export const FIGHTER_MODES = {
+  space: { label: 'Space', altitude: false, minVelocity: 0, bombs: false },
+  atmospheric: { label: 'Atmospheric', altitude: true, minVelocity: 1, bombs: true }
+};
+
+/** External ordnance; each bomb takes one bomb slot. */
+export const FIGHTER_BOMB_TYPES = {
+  he: { label: 'High-Explosive', damage: 10 },
+  cluster: { label: 'Cluster', damage: 5 },
+  laserGuided: { label: 'Laser-Guided', damage: 10 },
+  inferno: { label: 'Inferno', damage: 0 },
+  rocket: { label: 'Rocket Launcher (10)', damage: 0 }
+};
+
+/** Every this-many bombs carried costs a point of safe thrust. */
+export const BOMBS_PER_THRUST = 5;
+
+/** Fuel below this fraction of capacity counts as low for readiness. */
+export const FIGHTER_LOW_FUEL = 0.25;
+
+/** Readiness states shown for a fighter (and on the bays that carry it). */
+export const FIGHTER_READINESS = {
+  ready: 'Ready',
+  damaged: 'Damaged',
+  lowFuel: 'Low Fuel',
+  noPilot: 'No Pilot',
+  destroyed: 'Destroyed'
+};
+
+/* -------------------------------------------------------------------------- */
+/*  Battle armor                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** Troopers in a battle armor squad (an Inner Sphere squad is 4, a Clan Point 5). */
+export const BA_SQUAD_SIZE = { min: 4, max: 6 };
+
+/**
+ * Suit weight classes with their maximum armor per trooper. Heavy and assault
+ * suits are too bulky for leg and swarm attacks.
+ */
+export const BA_WEIGHT_CLASSES = {
+  pal: { label: 'PA(L)', maxArmor: 2, antiMech: true },
+  light: { label: 'Light', maxArmor: 6, antiMech: true },
+  medium: { label: 'Medium', maxArmor: 10, antiMech: true },
+  heavy: { label: 'Heavy', maxArmor: 14, antiMech: false },
+  assault: { label: 'Assault', maxArmor: 18, antiMech: false }
+};
+
+/**
+ * Arm manipulators. Anti-'Mech attacks need something to hold on with;
+ * vibro-claws add a point of leg-attack damage each.
+ */
+export const BA_MANIPULATORS = {
+  none: { label: 'None', antiMech: false },
+  armoredGlove: { label: 'Armored Glove', antiMech: true },
+  basic: { label: 'Basic Manipulator', antiMech: true },
+  battleClaw: { label: 'Battle Claw', antiMech: true },
+  heavyBattleClaw: { label: 'Heavy Battle Claw', antiMech: true },
+  vibroClaw: { label: 'Vibro-Claw', antiMech: true, legDamage: 1 },
+  magnetic: { label: 'Magnetic Clamp', antiMech: true }
+};
+
+/** Secondary movement systems; every suit also has Ground MP. */
+export const BA_MOVEMENT_TYPES = {
+  none: { label: 'Ground Only' },
+  jump: { label: 'Jump' },
+  vtol: { label: 'VTOL' },
+  umu: { label: 'UMU' }
+};
+
+/** How the squad moved this turn, with the attacker to-hit modifier. */
+export const BA_MOVEMENT_MODES = {
+  stand: { label: 'Stationary', toHit: 0 },
+  ground: { label: 'Ground', toHit: 1 },
+  jump: { label: 'Jumped', toHit: 3 },
+  vtol: { label: 'VTOL', toHit: 1 },
+  umu: { label: 'UMU', toHit: 1 }
+};
+
+/** Where a squad weapon is mounted on each suit. */
+export const BA_MOUNTS = [
+  { key: 'body', label: 'Body' },
+  { key: 'la', label: 'Left Arm' },
+  { key: 'ra', label: 'Right Arm' }
+];
+
+/**
+ * Leg and swarm attack to-hit modifier by troopers still active (index =
+ * troopers, 0 unused): a full squad has no penalty.
+ */
+export const BA_ANTIMECH_TROOPER_MODS = [0, 7, 5, 2, 0, 0, 0];
+
+/** Base damage of a successful leg attack, before vibro-claws. */
+export const BA_LEG_ATTACK_DAMAGE = 4;
+
+/**
+ * Swarm attack hit locations on a 'Mech (index = 2d6 roll − 2); the
+ * attached troopers strike the torso from behind as often as the front.
+ */
+export const BA_SWARM_LOCATIONS = [
+  { location: 'hd', rear: false },
+  { location: 'ct', rear: true },
+  { location: 'rt', rear: true },
+  { location: 'rt', rear: false },
+  { location: 'ra', rear: false },
+  { location: 'ct', rear: false },
+  { location: 'la', rear: false },
+  { location: 'lt', rear: false },
+  { location: 'lt', rear: true },
+  { location: 'ct', rear: true },
+  { location: 'hd', rear: false }
+];
+
+/**
+ * Personal-scale damage a pilot takes per point of BattleTech-scale damage
+ * that gets past their suit's armor.
+ */
+export const BA_OVERFLOW_SCALE = 10;
+
+/* -------------------------------------------------------------------------- */
+/*  Installations                                                              */
+/* -------------------------------------------------------------------------- */
+
+/** Building classes with the construction factor (CF) range each covers. */
+export const BUILDING_TYPES = {
+  light: { label: 'Light', cf: [1, 15] },
+  medium: { label: 'Medium', cf: [16, 40] },
+  heavy: { label: 'Heavy', cf: [41, 90] },
+  hardened: { label: 'Hardened', cf: [91, 150] }
+};
+
+/** Repair states shown for a building. */
+export const BUILDING_STATES = {
+  intact: 'Intact',
+  damaged: 'Damaged',
+  repairing: 'Under Repair',
+  destroyed: 'Destroyed'
+};
+
+/** Attacks on a building (it never moves) are easier to land. */
+export const IMMOBILE_TARGET_MOD = -4;
+
+/* -------------------------------------------------------------------------- */
+/*  Naval ships                                                                */
+/* -------------------------------------------------------------------------- */
+
+/** Dropship armor arcs in record-sheet order. */
+export const NAVAL_ARCS = [
+  { key: 'nose', label: 'Nose' },
+  { key: 'aft', label: 'Aft' },
+  { key: 'left', label: 'Left' },
+  { key: 'right', label: 'Right' }
+];
+
+/** Movement & Vitals arranged as columns of stacked pairs. */
+export const NAVAL_MOVEMENT_COLUMNS = [
+  [{ key: 'safeThrust', label: 'Safe Thrust' }, { key: 'maxThrust', label: 'Max Thrust' }],
+  [{ key: 'currentFuel', label: 'Current Fuel' }, { key: 'initialFuel', label: 'Initial Fuel' }],
+  [{ key: 'marinePoints', label: 'Marine Points' }, { key: 'fighters', label: 'Fighters' }],
+  [{ key: 'tonsBurnDay', label: 'Tons / Burn Day' }, { key: 'heatSinks', label: 'Heat Sinks' }]
+];
+
+/** Columns of the weapons bay table (after the name), in printed order. */
+export const NAVAL_WEAPON_COLUMNS = [
+  { key: 'heat', label: 'Heat' },
+  { key: 'arc', label: 'Arc' },
+  { key: 'short', label: 'Short' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'long', label: 'Long' },
+  { key: 'ext', label: 'Ext.' }
+];
+
+/** Turn-record columns; the aerospace fighter sheet shares the same track. */
+export const TRACK_TURNS = ['t1', 't2', 't3', 't4', 't5', 't6', 't7', 't8', 't9', 't10'];
+
+/**
+ * Critical-hit reference (BattleSpace Dropship Record Sheet). Static game aid.
+ */
+export const NAVAL_CRIT_TABLE = [
+  ['Transfer', 'KF Boom', 'Dock. Coll.', 'Radar', 'Lndg. Gear', 'Nav. Sys.'],
+  ['FL WP', 'Nose WP', 'FR WP', 'AL WP', 'Aft WP', 'AR WP'],
+  ['Computer', 'Computer', 'Bridge', 'Bridge', 'Left Thruster', 'Right Thruster'],
+  ['Bay Door', 'Bay Door', 'Bay Door', 'Bay Door', 'Bay Door', 'Life Support'],
+  ['Bay 1', 'Bay 1', 'Bay 2', 'Bay 2', 'Bay 3', 'CIC']
+];
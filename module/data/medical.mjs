@@ -122,14 +122,35 @@ export const DRUGS = [
 /*  Cybernetics / Prosthetics (prosthetics)                                   */
 /* -------------------------------------------------------------------------- */
 
+/**
+ * Attribute effects written into a cybernetic's notes ("STR +2, RFL +1"),
+ * applied while it is installed. Situational ones ("STR +1 for movement
+ * purposes") are left to the notes.
+ */
+function cyberEffects(notes) {
+  if (/\bfor\b/i.test(notes || '')) return [];
+  return [...(notes || '').matchAll(/\b(STR|BOD|RFL|DEX|INT|WIL|CHA|EDG)\s*([+-]\d+)/g)].map(([text, attr, value]) => ({
+    name: text, effectType: 'attribute_bonus', value: Number(value), target: attr.toLowerCase(),
+    attachedItemOnly: false, description: '', toggleable: false, active: true,
+    brightRadius: 0, dimRadius: 0, lightColor: '#ffffff'
+  }));
+}
+
 export function toCyberSeed(r) {
+  // Bionics and myomer carry electronics: an EMP knocks them out, and they
+  // want servicing every month
+  const electronic = /bionic|myomer|neural/i.test(r.name) && !/cosmetic/i.test(r.name);
   return {
     folder: 'Cybernetics', subfolder: r.sub || '',
     item: {
       name: r.name, img: r.img || CYBER_IMG, type: 'prosthetics',
       system: {
         description: '', equipmentRating: r.ar || '', cost: r.cost ?? 0, affiliation: r.aff || '',
-        carryStatus: 'carried', notes: r.notes || '', itemEffects: []
+        carryStatus: 'carried', notes: r.notes || '', itemEffects: cyberEffects(r.notes),
+        bodyLocation: '', installed: false, damaged: false,
+        powerUse: 0, power: { value: 0, max: 0 },
+        maintenanceInterval: electronic ? 30 : 0, lastServiced: 0,
+        empVulnerable: electronic, empRounds: 0
       },
       flags: { 'mech-foundry': { folder: 'Cybernetics', subfolder: r.sub || '' } }
     }
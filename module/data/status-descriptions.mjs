@@ -1,39 +1,12 @@
 /**
  * status-descriptions.mjs
  * -----------------------
- * Plain-language, hover-tooltip descriptions for the combat tab's wounds and
- * medical conditions. Kept in one place so the sheet (and any future chat card)
- * can share a single source of truth. Wording matches the homebrew wound system
- * implemented in `documents/actor.mjs` (see the "Intentional rules divergences"
- * note in CLAUDE.md) — do NOT re-align these to the rulebook's Specific Wound
- * Effects table without explicit direction.
+ * Plain-language, hover-tooltip descriptions for the combat tab's medical
+ * conditions. Kept in one place so the sheet (and any future chat card) can
+ * share a single source of truth. Wound descriptions live with the wound types
+ * in `helpers/wounds.mjs`.
  */
 
-/** Wound type key → what the wound does and how it is healed. */
-export const WOUND_DESCRIPTIONS = {
-  dazed:
-    'Dazed — locks 1 standard-damage box (−1 damage capacity) while it lasts. '
-    + 'Heal: reduce its severity to 0 with Surgery.',
-  concussion:
-    'Concussion — locks 1 standard-damage box and imposes −2 INT and −2 WIL. '
-    + 'Heal: reduce its severity to 0 with Surgery.',
-  hemorrhage:
-    'Hemorrhage — locks 1 standard-damage box and causes ongoing Bleeding. '
-    + 'Heal: remove it with Surgery, which also stops the bleeding if no other hemorrhage remains.',
-  traumaticImpact:
-    'Traumatic Impact — locks 1 standard-damage box (−1 damage capacity). '
-    + 'Heal: reduce its severity to 0 with Surgery.',
-  nerveDamage:
-    'Nerve Damage — locks 1 standard-damage box and imposes −2 DEX and −2 RFL. '
-    + 'Heal: reduce its severity to 0 with Surgery.',
-  severeStrain:
-    'Severe Strain — locks 1 standard-damage box and halves the character’s movement. '
-    + 'Heal: reduce its severity to 0 with Surgery.',
-  severelyWounded:
-    'Severely Wounded — locks 3 standard-damage boxes and can stack with further instances. '
-    + 'Heal: reduce its severity to 0 with Surgery.'
-};
-
 /** Condition/status key → what the condition does and how it is cleared. */
 export const CONDITION_DESCRIPTIONS = {
   bleeding:
@@ -61,11 +34,6 @@ export const CONDITION_DESCRIPTIONS = {
     + 'First Aid/Surgery.'
 };
 
-/** Look up a wound description by type (empty string when unknown). */
-export function woundDescription(type) {
-  return WOUND_DESCRIPTIONS[type] || '';
-}
-
 /** Look up a condition description by key (empty string when unknown). */
 export function conditionDescription(key) {
   return CONDITION_DESCRIPTIONS[key] || '';
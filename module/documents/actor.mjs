@@ -4,7 +4,37 @@ import { DiceMechanics } from '../helpers/dice-mechanics.mjs';
 import { ItemEffectsHelper } from '../helpers/effects-helper.mjs';
 import { AOEHelper } from '../helpers/aoe-helper.mjs';
 import { AnimationHelper } from '../helpers/animation-helper.mjs';
+import { CoverHelper, COVER_LEVELS } from '../helpers/cover-helper.mjs';
+import { ACTION_COSTS, MOVEMENT_MODES, AIM_MAX_BONUS, blankAim, takeAim, aimBonus, recoilPerShot } from '../helpers/action-economy.mjs';
+import {
+  MELEE_MANEUVERS, GRAPPLE_STATES, blankGrapple, maneuverAvailable, maneuverChanges, resolveManeuver,
+  grappleAttackMod, grappleDefenseMod
+} from '../helpers/melee-maneuvers.mjs';
+import { planSplitFire } from '../helpers/split-fire.mjs';
+import { ThrownHelper, isThrownWeapon } from '../helpers/thrown-helper.mjs';
+import { PROSTHETIC_SLOTS, slotFree, replacedWounds } from '../helpers/prosthetics.mjs';
+import { DRUG_VECTORS, RESIST_TN, ROUNDS_PER_UNIT, drugVectors, sealedBAR, armorStopsDose, resistanceMod, durationFormula, drugModifiers, drugDamage } from '../helpers/drugs.mjs';
+import { DEFAULT_SEVERITY, woundType, woundLabel, woundToRecord, woundHealsBy, woundsCauseBleeding, totalWoundEffects } from '../helpers/wounds.mjs';
+import { CARE_LEVELS, HOURS_PER_DAY, RECOVERY_TN, fatigueRecovered, recoveryCheckMod, dailyDamageHealed, woundChecks } from '../helpers/recovery.mjs';
 import * as XP from '../helpers/xp-math.mjs';
+import {
+  mechStructureFor, restructure, mechMaxArmor, runMP, heatDissipation, blankMechCrits,
+  heatEffects, movementHeat, resolveHeat, totalWarfareSkill, metersToHexes, attackDirection,
+  unitRangeBracket, hitLocation, clusterHits, damageGroups, critCount, allocateUnitDamage, fallDamage,
+  vehicleStructureFor, motiveDamage, applyMotiveDamage, vehicleCruiseMP, vehicleCrit, applyVehicleCrit,
+  fighterStructuralIntegrity, fighterBombSlots, fighterThrust, fighterReadiness, releaseBomb,
+  baActiveTroopers, baTrooperHit, allocateTrooperDamage, baAntiMechCapable, baAntiMechModifier,
+  baLegAttackDamage, baSquadWeapon, baSwarmDamage, swarmHitLocation,
+  buildingState, damageBuilding, installationPower
+} from '../helpers/unit-math.mjs';
+import { buildingDepartments, cargoCapacity, cargoUsed, garrisonCapacity } from '../helpers/cargo.mjs';
+import {
+  MECH_LOCATIONS, MECH_ARMOR_KEYS, MECH_MOVEMENT_MODES, HEAT_SCALE_MAX, ATTACK_DIRECTIONS,
+  UNIT_DAMAGE_PROFILES, UNIT_CREW_SKILLS, DEFAULT_GUNNERY, DEFAULT_PILOTING,
+  PILOT_HIT_DAMAGE, AMMO_EXPLOSION_PILOT_HITS, unitWeaponDef,
+  VEHICLE_LOCATIONS, VEHICLE_MOVEMENT_MODES, FIGHTER_ARCS, FIGHTER_MODES,
+  BA_SQUAD_SIZE, BA_WEIGHT_CLASSES, BA_MOVEMENT_MODES, BA_OVERFLOW_SCALE, IMMOBILE_TARGET_MOD
+} from '../data/battletech.mjs';
 
 /**
  * Extend the base Actor document for Mech Foundry system
@@ -23,11 +53,114 @@ export class MechFoundryActor extends Actor {
     // Data modifications in this step occur before processing embedded documents or derived data
   }
 
+  /** @override */
+  async _preCreate(data, options, user) {
+    const allowed = await super._preCreate(data, options, user);
+    if (allowed === false) return false;
+
+    // A new 'Mech starts with the standard fixed critical slots and its internal
+    // structure at full for its tonnage.
+    if (this.type === 'mech') {
+      const updates = {};
+      if (!Object.keys(this.system.crits || {}).length) updates['system.crits'] = blankMechCrits();
+      const is = mechStructureFor(this.system.tonnage);
+      for (const loc of MECH_LOCATIONS) {
+        if (!this.system.structure?.[loc.key]?.value) updates[`system.structure.${loc.key}.value`] = is[loc.key];
+      }
+      this.updateSource(updates);
+    }
+
+    // A new ground vehicle starts with full internal structure for its tonnage.
+    if (this.type === 'ground_vehicle') {
+      const updates = {};
+      const is = vehicleStructureFor(this.system.tonnage, this._vehicleLayout(this.system));
+      for (const loc of VEHICLE_LOCATIONS) {
+        if (!this.system.structure?.[loc.key]?.value) updates[`system.structure.${loc.key}.value`] = is[loc.key];
+      }
+      this.updateSource(updates);
+    }
+
+    // A new fighter starts with its structural integrity intact.
+    if (this.type === 'aerospace_fighter' && !this.system.structure?.si?.value) {
+      this.updateSource({ 'system.structure.si.value': fighterStructuralIntegrity(this.system.tonnage, this.system.movement?.safeThrust) });
+    }
+
+    // A new battle armor squad starts with a full roster (a Clan Point is 5)
+    // in suits armored to their weight class's maximum.
+    if (this.type === 'battle_armor' && !(this.system.troopers || []).length) {
+      const armor = BA_WEIGHT_CLASSES[this.system.weightClass]?.maxArmor ?? 0;
+      const size = this.system.techBase === 'Clan' ? 5 : BA_SQUAD_SIZE.min;
+      const troopers = Array.from({ length: size }, (_, i) => ({
+        id: foundry.utils.randomID(), name: `Trooper ${i + 1}`, pilot: '', armor: { value: armor, max: armor }, killed: false
+      }));
+      this.updateSource({ 'system.troopers': troopers });
+    }
+  }
+
+  /** @override */
+  async _preUpdate(changed, options, user) {
+    const allowed = await super._preUpdate(changed, options, user);
+    if (allowed === false) return false;
+
+    // Changing a 'Mech's tonnage changes its structure table: undamaged
+    // locations fill to the new maximum, damaged ones keep their damage.
+    const tonnage = changed.system?.tonnage;
+    if (this.type === 'mech' && tonnage !== undefined && Number(tonnage) !== Number(this.system.tonnage)) {
+      const is = mechStructureFor(tonnage);
+      for (const loc of MECH_LOCATIONS) this._restructure(changed, loc.key, is[loc.key]);
+    }
+
+    // A vehicle's structure follows its tonnage, turret and motive type (rotor).
+    if (this.type === 'ground_vehicle') {
+      const next = {
+        tonnage: changed.system?.tonnage ?? this.system.tonnage,
+        motiveType: changed.system?.motiveType ?? this.system.motiveType,
+        turret: { mounted: changed.system?.turret?.mounted ?? this.system.turret?.mounted }
+      };
+      const reshaped = Number(next.tonnage) !== Number(this.system.tonnage)
+        || next.motiveType !== this.system.motiveType
+        || !!next.turret.mounted !== !!this.system.turret?.mounted;
+      if (reshaped) {
+        const is = vehicleStructureFor(next.tonnage, this._vehicleLayout(next));
+        for (const loc of VEHICLE_LOCATIONS) this._restructure(changed, loc.key, is[loc.key]);
+      }
+    }
+
+    // A fighter's SI follows its tonnage and safe thrust.
+    if (this.type === 'aerospace_fighter') {
+      const tonnage = changed.system?.tonnage ?? this.system.tonnage;
+      const safeThrust = changed.system?.movement?.safeThrust ?? this.system.movement?.safeThrust;
+      if (Number(tonnage) !== Number(this.system.tonnage) || Number(safeThrust) !== Number(this.system.movement?.safeThrust)) {
+        this._restructure(changed, 'si', fighterStructuralIntegrity(tonnage, safeThrust));
+      }
+    }
+  }
+
+  /**
+   * Fit one structure location to a new maximum within an update (see
+   * `restructure`), starting from any value the update itself sets.
+   * @param {Object} changed The pending update
+   * @param {string} key Structure location key
+   * @param {number} max The location's new maximum
+   * @private
+   */
+  _restructure(changed, key, max) {
+    const path = `system.structure.${key}.value`;
+    const current = foundry.utils.getProperty(changed, path) ?? this.system.structure?.[key]?.value;
+    foundry.utils.setProperty(changed, path, restructure(current, this.system.structure?.[key]?.max, max));
+  }
+
   /** @override */
   prepareDerivedData() {
     const actorData = this;
     const systemData = actorData.system;
 
+    if (this.type === 'mech') return this._prepareMechData(systemData);
+    if (this.type === 'ground_vehicle') return this._prepareGroundVehicleData(systemData);
+    if (this.type === 'aerospace_fighter') return this._prepareFighterData(systemData);
+    if (this.type === 'battle_armor') return this._prepareBattleArmorData(systemData);
+    if (this.type === 'installation') return this._prepareInstallationData(systemData);
+
     // Skip character-specific calculations for non-character actor types
     if (!["character", "npc"].includes(this.type)) return;
 
@@ -64,6 +197,196 @@ export class MechFoundryActor extends Actor {
     systemData.visionEffects = ItemEffectsHelper.getVisionEffects(this);
   }
 
+  /**
+   * Derive a 'Mech's record-sheet values: internal structure and armor caps from
+   * tonnage, running MP, heat dissipation, and armor/structure totals.
+   * @param {Object} systemData
+   */
+  _prepareMechData(systemData) {
+    const is = mechStructureFor(systemData.tonnage);
+    systemData.maxArmor = mechMaxArmor(systemData.tonnage);
+
+    systemData.structure = systemData.structure || {};
+    let structureTotal = 0, structureMax = 0;
+    for (const loc of MECH_LOCATIONS) {
+      const s = systemData.structure[loc.key] = systemData.structure[loc.key] || { value: 0 };
+      s.max = is[loc.key];
+      s.value = Math.min(Math.max(0, Number(s.value) || 0), s.max);
+      structureTotal += s.value;
+      structureMax += s.max;
+    }
+
+    let armorTotal = 0, armorMax = 0;
+    for (const key of MECH_ARMOR_KEYS) {
+      const a = systemData.armor?.[key];
+      if (!a) continue;
+      armorTotal += Number(a.value) || 0;
+      armorMax += Number(a.max) || 0;
+    }
+
+    systemData.movement = systemData.movement || {};
+    systemData.movement.run = runMP(systemData.movement.walk);
+    systemData.heatDissipation = heatDissipation(systemData.heatSinks?.count, systemData.heatSinks?.type);
+    systemData.totals = { armor: armorTotal, armorMax, structure: structureTotal, structureMax };
+
+    // Heat: current effects, the MP left after heat, and where the heat phase will land
+    const heat = systemData.heat = systemData.heat || { value: 0, movementMode: 'stand', shutdown: false };
+    heat.value = Math.max(0, Number(heat.value) || 0);
+    heat.effects = heatEffects(heat.value);
+    heat.weaponHeat = (systemData.weapons || [])
+      .filter(w => w.fired)
+      .reduce((sum, w) => sum + (Number(w.heat) || 0), 0);
+    heat.moveHeat = movementHeat(heat.movementMode, systemData.movement.jump);
+    heat.projected = resolveHeat({
+      current: heat.value,
+      weaponHeat: heat.weaponHeat,
+      moveHeat: heat.moveHeat,
+      dissipation: systemData.heatDissipation
+    }).heat;
+    systemData.movement.walkCurrent = heat.shutdown ? 0 : Math.max(0, (Number(systemData.movement.walk) || 0) - heat.effects.movePenalty);
+    systemData.movement.runCurrent = runMP(systemData.movement.walkCurrent);
+  }
+
+  /** Which optional locations a vehicle has: a turret, and a rotor if it is a VTOL. */
+  _vehicleLayout(systemData) {
+    return {
+      turret: !!systemData.turret?.mounted && !systemData.status?.turretDestroyed,
+      rotor: systemData.motiveType === 'vtol'
+    };
+  }
+
+  /**
+   * Derive a ground vehicle's record-sheet values: internal structure from
+   * tonnage, flank MP, the MP left after motive damage, armor/structure
+   * totals, and the Driving and to-hit modifiers its critical hits impose.
+   * @param {Object} systemData
+   */
+  _prepareGroundVehicleData(systemData) {
+    const layout = this._vehicleLayout(systemData);
+    const is = vehicleStructureFor(systemData.tonnage, { turret: !!systemData.turret?.mounted, rotor: layout.rotor });
+    systemData.layout = layout;
+
+    systemData.structure = systemData.structure || {};
+    systemData.armor = systemData.armor || {};
+    let armorTotal = 0, armorMax = 0, structureTotal = 0, structureMax = 0;
+    for (const loc of VEHICLE_LOCATIONS) {
+      const s = systemData.structure[loc.key] = systemData.structure[loc.key] || { value: 0 };
+      s.max = is[loc.key];
+      s.value = Math.min(Math.max(0, Number(s.value) || 0), s.max);
+      structureTotal += s.value;
+      structureMax += s.max;
+      const a = systemData.armor[loc.key];
+      if (!a || !s.max) continue;
+      armorTotal += Number(a.value) || 0;
+      armorMax += Number(a.max) || 0;
+    }
+    systemData.totals = { armor: armorTotal, armorMax, structure: structureTotal, structureMax };
+
+    const motive = systemData.motive = systemData.motive || {};
+    const status = systemData.status = systemData.status || {};
+    systemData.movement = systemData.movement || {};
+    systemData.movement.flank = runMP(systemData.movement.cruise);
+    const stopped = status.crewStunned > 0 || status.crewKilled || status.destroyed;
+    systemData.movement.cruiseCurrent = stopped ? 0 : vehicleCruiseMP(systemData.movement.cruise, motive);
+    systemData.movement.flankCurrent = runMP(systemData.movement.cruiseCurrent);
+    systemData.movement.penalized = systemData.movement.cruiseCurrent !== (Number(systemData.movement.cruise) || 0);
+
+    systemData.drivingMod = (Number(motive.drivingMod) || 0) + (status.driverHit ? 2 : 0) + (status.commanderHit ? 1 : 0);
+    systemData.gunneryMod = (Number(status.sensorHits) || 0) + (status.commanderHit ? 1 : 0);
+  }
+
+  /**
+   * Derive an aerospace fighter's record-sheet values: SI from tonnage and
+   * thrust, bomb slots and the thrust they cost, heat dissipation, armor
+   * totals, the operating mode's rules and the fighter's readiness.
+   * @param {Object} systemData
+   */
+  _prepareFighterData(systemData) {
+    systemData.structure = systemData.structure || {};
+    const si = systemData.structure.si = systemData.structure.si || { value: 0 };
+    si.max = fighterStructuralIntegrity(systemData.tonnage, systemData.movement?.safeThrust);
+    si.value = Math.min(Math.max(0, Number(si.value) || 0), si.max);
+
+    let armorTotal = 0, armorMax = 0;
+    for (const arc of FIGHTER_ARCS) {
+      const a = systemData.armor?.[arc.key];
+      if (!a) continue;
+      armorTotal += Number(a.value) || 0;
+      armorMax += Number(a.max) || 0;
+    }
+    systemData.totals = { armor: armorTotal, armorMax, structure: si.value, structureMax: si.max };
+
+    const bombs = (systemData.bombs || []).reduce((sum, b) => sum + (Number(b.count) || 0), 0);
+    systemData.bombSlots = { used: bombs, max: fighterBombSlots(systemData.tonnage) };
+    systemData.movement = systemData.movement || {};
+    const thrust = fighterThrust(systemData.movement.safeThrust, bombs);
+    systemData.movement.safeCurrent = thrust.safe;
+    systemData.movement.maxThrust = thrust.max;
+    systemData.movement.bombPenalty = thrust.penalty;
+
+    systemData.heatDissipation = heatDissipation(systemData.heatSinks?.count, systemData.heatSinks?.type);
+    const heat = systemData.heat = systemData.heat || { value: 0 };
+    heat.value = Math.max(0, Number(heat.value) || 0);
+    heat.weaponHeat = (systemData.weapons || [])
+      .filter(w => w.fired)
+      .reduce((sum, w) => sum + (Number(w.heat) || 0), 0);
+    heat.projected = Math.max(0, heat.value + heat.weaponHeat - systemData.heatDissipation);
+
+    systemData.modeRules = FIGHTER_MODES[systemData.mode] || FIGHTER_MODES.space;
+    systemData.readiness = fighterReadiness(systemData);
+  }
+
+  /**
+   * Derive a battle armor squad's values: troopers still active, armor
+   * totals, whether it can make anti-'Mech attacks and at what modifier, and
+   * its movement modifier this turn.
+   * @param {Object} systemData
+   */
+  _prepareBattleArmorData(systemData) {
+    const troopers = systemData.troopers || [];
+    const active = baActiveTroopers(troopers);
+    let armorTotal = 0, armorMax = 0;
+    for (const t of troopers) {
+      if (t.killed) continue;
+      armorTotal += Number(t.armor?.value) || 0;
+      armorMax += Number(t.armor?.max) || 0;
+    }
+    systemData.squad = {
+      size: troopers.length,
+      active,
+      destroyed: troopers.length > 0 && active === 0,
+      maxArmor: BA_WEIGHT_CLASSES[systemData.weightClass]?.maxArmor ?? 0
+    };
+    systemData.totals = { armor: armorTotal, armorMax };
+    systemData.antiMech = {
+      capable: baAntiMechCapable(systemData.weightClass, systemData.manipulators),
+      modifier: baAntiMechModifier(active),
+      legDamage: baLegAttackDamage(systemData.manipulators)
+    };
+    systemData.movement = systemData.movement || {};
+    systemData.movement.toHit = BA_MOVEMENT_MODES[systemData.movement.mode]?.toHit ?? 0;
+  }
+
+  /**
+   * Derive an installation's values from its buildings: CF totals, the power budget, garrison room, cargo space
+   * (standing warehouses, like a ship's Cargo bays) and the departments its
+   * buildings staff, read by the company sheet like a ship's.
+   * @param {Object} systemData
+   */
+  _prepareInstallationData(systemData) {
+    const buildings = systemData.buildings || [];
+    let cf = 0, cfMax = 0;
+    for (const b of buildings) {
+      cf += Math.max(0, Number(b.cf?.value) || 0);
+      cfMax += Number(b.cf?.max) || 0;
+    }
+    systemData.totals = { cf, cfMax };
+    systemData.power = installationPower(buildings);
+    systemData.departments = buildingDepartments(this);
+    systemData.garrison = { capacity: garrisonCapacity(this) };
+    systemData.cargo = { capacity: cargoCapacity(this), used: cargoUsed(this) };
+  }
+
   /**
    * Calculate total attribute scores (base value + modifier, capped at 9)
    * @param {Object} systemData
@@ -274,55 +597,12 @@ export class MechFoundryActor extends Actor {
   }
 
   /**
-   * Calculate wound effects from all active wounds
+   * Calculate wound effects from all active wounds (see helpers/wounds.mjs)
    * @param {Object} systemData
    * @returns {Object} Wound effects summary
    */
   _calculateWoundEffects(systemData) {
-    const wounds = systemData.wounds || [];
-    const effects = {
-      lockedDamage: 0,
-      lockedFatigue: 0,
-      attributeModifiers: {},
-      movementMultiplier: 1,
-      woundCount: wounds.length
-    };
-
-    // Wound type definitions
-    const woundTypes = {
-      dazed: { capacityPenalty: 1 },
-      concussion: { capacityPenalty: 1, attributePenalties: { int: -2, wil: -2 } },
-      hemorrhage: { capacityPenalty: 1 },
-      traumaticImpact: { capacityPenalty: 1 },
-      nerveDamage: { capacityPenalty: 1, attributePenalties: { dex: -2, rfl: -2 } },
-      severeStrain: { capacityPenalty: 1, movementPenalty: 0.5 },
-      severelyWounded: { capacityPenalty: 3 }
-    };
-
-    for (const wound of wounds) {
-      const woundDef = woundTypes[wound.type];
-      if (!woundDef) continue;
-
-      // Apply capacity penalties
-      effects.lockedDamage += woundDef.capacityPenalty || 0;
-      effects.lockedFatigue += woundDef.capacityPenalty || 0;
-
-      // Apply attribute penalties (don't stack - just use highest penalty per attribute)
-      if (woundDef.attributePenalties) {
-        for (const [attr, penalty] of Object.entries(woundDef.attributePenalties)) {
-          if (!effects.attributeModifiers[attr] || penalty < effects.attributeModifiers[attr]) {
-            effects.attributeModifiers[attr] = penalty;
-          }
-        }
-      }
-
-      // Apply movement penalty (multiplicative)
-      if (woundDef.movementPenalty) {
-        effects.movementMultiplier *= woundDef.movementPenalty;
-      }
-    }
-
-    return effects;
+    return totalWoundEffects(systemData.wounds);
   }
 
   /**
@@ -768,12 +1048,20 @@ export class MechFoundryActor extends Actor {
       return AOEHelper.initiateSuppressionFire(this, weapon, options);
     }
 
+    // Several targets: split the fire between them, one target at a time
+    if (options.targets?.length > 1 && !options.splitFire && firingModeCheck !== 'suppression'
+        && weaponData.weaponType !== 'melee' && !isThrownWeapon(weaponData)) {
+      return this._rollSplitFire(weaponId, options);
+    }
+
     const hasBurstFire = hasFactor(weaponData.bdFactor, 'B');
     const recoil = weaponData.recoil || 0;
     const burstRating = weaponData.burstRating || 0;
     const currentAmmo = weaponData.ammo?.value || 0;
     const firingMode = options.firingMode || 'single';
-    const weaponType = weaponData.weaponType || 'smallarms';
+    // A thrown weapon (or a melee weapon thrown instead of swung) is a ranged attack
+    const isThrown = isThrownWeapon(weaponData) || (!!options.thrown && weaponData.weaponType === 'melee');
+    const weaponType = isThrown ? 'thrown' : (weaponData.weaponType || 'smallarms');
 
     // Track modifiers separately for display
     let recoilMod = 0;
@@ -788,6 +1076,7 @@ export class MechFoundryActor extends Actor {
     let rangeCategory = null;
     let measuredDistance = null;
     const inputMod = options.modifier || 0;
+    const secondaryMod = options.splitFire?.mod || 0;
     const injuryMod = this.system.injuryModifier || 0;
     const fatigueMod = this.system.fatigueModifier || 0;
 
@@ -797,6 +1086,28 @@ export class MechFoundryActor extends Actor {
     const ignoreCover = options.ignoreCover || false;
     const friendlyInLoF = options.friendlyInLoF || false;
 
+    // Movement this turn: the attacker's own, and the target's defense
+    const attackerMove = game.combat?.movementMode?.(this) || 'stationary';
+    const targetMove = (options.target?.actor && game.combat?.movementMode?.(options.target.actor)) || 'stationary';
+    if (MOVEMENT_MODES[attackerMove].attack === null) {
+      ui.notifications.warn(`${this.name} can't attack in a turn they ${MOVEMENT_MODES[attackerMove].label.toLowerCase()}.`);
+      return;
+    }
+    const movementMod = MOVEMENT_MODES[attackerMove].attack;
+    const targetMovementMod = MOVEMENT_MODES[targetMove].defense;
+
+    // Holds: the attacker's own grapple, and a pinned target
+    const holdMod = grappleAttackMod(this.system.grapple, options.target?.actor?.uuid);
+    if (holdMod === null) {
+      ui.notifications.warn(`${this.name} is pinned and can only try to break free.`);
+      return;
+    }
+    const grappleMod = holdMod + grappleDefenseMod(options.target?.actor?.system?.grapple);
+
+    // Aim built up on this target over earlier actions (ranged attacks)
+    const targetUuid = options.target?.document?.uuid || null;
+    const aimMod = (weaponType !== 'melee' && targetUuid) ? aimBonus(this.system.aim, targetUuid) : 0;
+
     // Determine attack type
     let attackType = 'Standard Ranged';
     const isMelee = weaponType === 'melee';
@@ -827,13 +1138,21 @@ export class MechFoundryActor extends Actor {
       attackType = options.attackType;
     }
 
+    // Recoil: the kick of an attack with this weapon once STR and any bipod
+    // or mount are counted, on top of what earlier attacks built up this turn
+    const recoilReduction = ItemEffectsHelper.getRecoilReduction(this, weaponId);
+    const strLinkMod = this.system.attributes.str?.linkMod || 0;
+    const recoilKick = recoilPerShot(recoil, strLinkMod, recoilReduction.totalBonus);
+    const recoilBuilt = game.combat?.weaponRecoil?.(this, weaponId) || 0;
+    recoilMod = recoilBuilt;
+
     // Calculate ammo consumption
     let ammoUsed = 1;
     let numAttacks = 1;
 
     if (firingMode === 'burst' && hasBurstFire) {
       ammoUsed = options.burstShots || 1;
-      recoilMod = recoil;  // Track recoil separately
+      recoilMod += recoilKick;  // A burst feels its own kick as well
     } else if (firingMode === 'controlled' && hasBurstFire) {
       ammoUsed = options.controlledShots || 2;
       firingModeMod = 1;  // Fixed -1 modifier (stored positive, applied negative)
@@ -844,7 +1163,7 @@ export class MechFoundryActor extends Actor {
       numAttacks = suppressionTargets.length > 0 ? suppressionTargets.length : (options.numTargets || 1);
       const area = options.suppressionArea || 1;
       const roundsPerSqm = options.roundsPerSqm || 1;
-      recoilMod = recoil;
+      recoilMod += recoilKick;
       firingModeMod = area - roundsPerSqm;  // Area penalty minus rounds benefit
     }
 
@@ -901,11 +1220,12 @@ export class MechFoundryActor extends Actor {
     const itemCombatMod = ItemEffectsHelper.getCombatModifier(this, combatType, weaponId);
     const itemEffectMod = itemCombatMod.totalBonus;
 
-    // Apply cover modifier for ranged attacks against a target
-    if (!isMelee && options.target?.actor && !ignoreCover) {
-      const targetCover = options.target.actor.system?.cover || 'none';
-      const coverModifiers = { none: 0, light: -1, moderate: -2, heavy: -3, full: -4 };
-      coverMod = coverModifiers[targetCover] || 0;
+    // Apply cover modifier for ranged attacks against a target: traced on the
+    // canvas unless the attack dialog overrode it
+    let targetCover = null;
+    if (!isMelee && options.target?.actor) {
+      targetCover = this._resolveTargetCover(options.target, options.cover);
+      if (!ignoreCover) coverMod = COVER_LEVELS[targetCover.level].mod;
     }
 
     // Apply prone target modifier
@@ -937,9 +1257,14 @@ export class MechFoundryActor extends Actor {
       sizeMod = sizeModifiers[targetSize] ?? 0;
     }
 
-    // Apply range modifier for ranged attacks
+    // Apply range modifier for ranged attacks (thrown: bands from STR and mass)
+    const thrownRange = isThrown ? ThrownHelper.rangesFor(this, weapon) : null;
     if (!isMelee && options.target) {
-      const rangeResult = this._calculateRangeModifier(weaponData, options.target);
+      const rangeResult = this._calculateRangeModifier(isThrown ? { range: thrownRange } : weaponData, options.target);
+      if (isThrown && rangeResult?.category === 'Out of Range') {
+        ui.notifications.warn(`${this.name} can't throw ${weapon.name} that far (${rangeResult.distance}m; ${thrownRange.extreme}m at most).`);
+        return;
+      }
       if (rangeResult) {
         rangeMod = rangeResult.modifier;
         rangeCategory = rangeResult.category;
@@ -948,7 +1273,7 @@ export class MechFoundryActor extends Actor {
     }
 
     // Calculate total modifier
-    const totalMod = skillMod + inputMod + injuryMod + fatigueMod + itemEffectMod + splashMod + coverMod + proneMod + friendlyInLoFMod + aimedShotMod + sizeMod + rangeMod - recoilMod - firingModeMod;
+    const totalMod = skillMod + inputMod + secondaryMod + injuryMod + fatigueMod + itemEffectMod + splashMod + coverMod + proneMod + friendlyInLoFMod + aimedShotMod + aimMod + movementMod + targetMovementMod + grappleMod + sizeMod + rangeMod - recoilMod - firingModeMod;
     const targetNumber = skill?.system.targetNumber || 7;
 
     // Get weapon damage values (use effective stats if ammo modifies them)
@@ -1131,6 +1456,10 @@ export class MechFoundryActor extends Actor {
       });
     }
 
+    // This attack's kick carries over to the weapon's next attack this turn
+    // (a split burst is a single attack, recorded once by _rollSplitFire)
+    if (options.splitFire?.shots == null) await game.combat?.addWeaponRecoil?.(this, weaponId, recoilKick);
+
     // Reduce ammo
     if (isEnergyWeapon && loadedAmmo) {
       // Energy weapons: decrement power pack PP
@@ -1203,6 +1532,15 @@ export class MechFoundryActor extends Actor {
       }
     }
 
+    // A thrown weapon comes down on the target, or scatters off it on a miss,
+    // then leaves the thrower's hands (thrown ordnance is spent as ammo instead)
+    let thrownLanding = null;
+    let thrownDisposal = null;
+    if (isThrown && !(weaponData.ammo?.max > 0 || weaponData.pps > 0)) {
+      thrownLanding = await ThrownHelper.landing(AnimationHelper.getActorToken(this), options.target, results[0]);
+      thrownDisposal = await ThrownHelper.dispose(this, weapon, thrownLanding?.point ?? null, options.afterThrow);
+    }
+
     // Create chat message
     const targetActor = options.target?.actor || null;
 
@@ -1212,9 +1550,6 @@ export class MechFoundryActor extends Actor {
       head: 'Head', hand: 'Hand', foot: 'Foot'
     };
 
-    // Prepare cover display info
-    const coverLabels = { none: 'None', light: 'Light', moderate: 'Moderate', heavy: 'Heavy', full: 'Full' };
-    const targetCoverStatus = (!isMelee && targetActor && !ignoreCover) ? (targetActor.system?.cover || 'none') : 'none';
 
     // Prepare size display info (only show if not medium)
     const sizeLabels = {
@@ -1224,48 +1559,75 @@ export class MechFoundryActor extends Actor {
     const targetSizeKey = targetActor?.system?.personalData?.size || 'medium';
     const targetSizeLabel = sizeMod !== 0 ? sizeLabels[targetSizeKey] : null;
 
+    const chatData = {
+      weaponName: weapon.name,
+      attackType: attackType,
+      firingMode: firingMode,
+      ammoUsed: ammoUsed,
+      targetNumber: targetNumber,
+      results: results,
+      targetName: targetActor?.name || null,
+      // Loaded ammo info
+      loadedAmmoName: loadedAmmo?.name || null,
+      ammoSpecialEffects: ammoSpecialEffects,
+      // Broken down modifiers for display
+      skillMod: skillMod,
+      inputMod: inputMod,
+      recoilMod: recoilMod,
+      recoilRating: recoil,
+      recoilKick: recoilKick,
+      recoilBuilt: recoilBuilt,
+      recoilStrMod: (recoil > recoilReduction.totalBonus) ? strLinkMod : 0,
+      recoilReductionBreakdown: recoilReduction.breakdown,
+      firingModeMod: firingModeMod,
+      injuryMod: injuryMod,
+      fatigueMod: fatigueMod,
+      itemEffectMod: itemEffectMod,
+      itemCombatModBreakdown: itemCombatMod.breakdown,
+      splashMod: splashMod,
+      // New combat option modifiers
+      coverMod: coverMod,
+      coverLabel: coverMod !== 0 ? COVER_LEVELS[targetCover.level].label : null,
+      coverSource: coverMod !== 0 ? targetCover.source : null,
+      ignoreCover: ignoreCover && !!targetCover && targetCover.level !== 'none',
+      friendlyInLoF: friendlyInLoF,
+      friendlyInLoFMod: friendlyInLoFMod,
+      aimedShot: aimedShot,
+      aimedShotMod: aimedShotMod,
+      aimedLocationLabel: aimedShot ? aimedLocationLabels[aimedLocation] : null,
+      aimMod: aimMod,
+      aimActions: aimMod ? this.system.aim.actions : 0,
+      movementMod: movementMod,
+      movementLabel: movementMod ? MOVEMENT_MODES[attackerMove].label : null,
+      targetMovementMod: targetMovementMod,
+      targetMovementLabel: targetMovementMod ? MOVEMENT_MODES[targetMove].label : null,
+      grappleMod: grappleMod,
+      proneMod: proneMod,
+      targetProne: options.target?.actor?.system?.prone || false,
+      // Size modifier
+      sizeMod: sizeMod,
+      targetSizeLabel: targetSizeLabel,
+      // Range modifier
+      rangeMod: rangeMod,
+      rangeCategory: rangeCategory,
+      measuredDistance: measuredDistance,
+      // Thrown weapon: its range bands, where it came down and what became of it
+      isThrown: isThrown,
+      thrownRange: thrownRange,
+      thrownScatter: thrownLanding?.scatterInfo ?? null,
+      thrownDisposal: thrownDisposal,
+      sceneId: canvas.scene?.id || null,
+      // Split fire: this target's place in the volley
+      splitTarget: !!options.splitFire,
+      secondaryMod: secondaryMod,
+      splitShots: options.splitFire?.shots ?? null
+    };
+
+    // Part of a split-fire volley: the caller writes the combined card
+    if (options.splitFire) return { results, chatData };
+
     const messageContent = await foundry.applications.handlebars.renderTemplate(
-      "systems/mech-foundry/templates/chat/weapon-attack.hbs",
-      {
-        weaponName: weapon.name,
-        attackType: attackType,
-        firingMode: firingMode,
-        ammoUsed: ammoUsed,
-        targetNumber: targetNumber,
-        results: results,
-        targetName: targetActor?.name || null,
-        // Loaded ammo info
-        loadedAmmoName: loadedAmmo?.name || null,
-        ammoSpecialEffects: ammoSpecialEffects,
-        // Broken down modifiers for display
-        skillMod: skillMod,
-        inputMod: inputMod,
-        recoilMod: recoilMod,
-        firingModeMod: firingModeMod,
-        injuryMod: injuryMod,
-        fatigueMod: fatigueMod,
-        itemEffectMod: itemEffectMod,
-        itemCombatModBreakdown: itemCombatMod.breakdown,
-        splashMod: splashMod,
-        // New combat option modifiers
-        coverMod: coverMod,
-        coverLabel: coverMod !== 0 ? coverLabels[targetCoverStatus] : null,
-        ignoreCover: ignoreCover && targetActor?.system?.cover && targetActor.system.cover !== 'none',
-        friendlyInLoF: friendlyInLoF,
-        friendlyInLoFMod: friendlyInLoFMod,
-        aimedShot: aimedShot,
-        aimedShotMod: aimedShotMod,
-        aimedLocationLabel: aimedShot ? aimedLocationLabels[aimedLocation] : null,
-        proneMod: proneMod,
-        targetProne: options.target?.actor?.system?.prone || false,
-        // Size modifier
-        sizeMod: sizeMod,
-        targetSizeLabel: targetSizeLabel,
-        // Range modifier
-        rangeMod: rangeMod,
-        rangeCategory: rangeCategory,
-        measuredDistance: measuredDistance
-      }
+      "systems/mech-foundry/templates/chat/weapon-attack.hbs", chatData
     );
 
     ChatMessage.create({
@@ -1274,10 +1636,101 @@ export class MechFoundryActor extends Actor {
       content: messageContent,
       rolls: results.map(r => r.roll)
     });
+    // A reaction shot is the action held on overwatch, already paid for
+    if (!options.reaction) await this.spendCombatAction('attack', `Attack (${weapon.name})`);
+    await this._resolveAimAfterAttack(targetUuid, aimMod);
 
     return results;
   }
 
+  /**
+   * Fire one weapon at several targets: a burst's rounds shared out between
+   * them, or a separate attack at each (each its own action). Every target
+   * after the primary takes the secondary-target penalty on top of its own
+   * range, cover and size modifiers; the volley is written up as one card.
+   * @param {string} weaponId The weapon item ID
+   * @param {Object} options rollWeaponAttack options, with `targets` (Tokens,
+   *   the primary first) and for a burst `allocation` (rounds per target)
+   * @returns {Promise<Array[]|undefined>} Each target's results, in order
+   * @private
+   */
+  async _rollSplitFire(weaponId, options) {
+    const weapon = this.items.get(weaponId);
+    const targets = options.targets;
+    const firingMode = options.firingMode || 'single';
+    const isBurst = firingMode === 'burst';
+
+    const plan = planSplitFire(targets.length, isBurst ? (options.burstShots || 1) : null, options.allocation);
+    if (!plan) {
+      ui.notifications.warn(`A burst split across ${targets.length} targets needs at least ${targets.length} rounds.`);
+      return;
+    }
+
+    // The whole volley has to be loaded before any of it is fired
+    const perAttack = firingMode === 'controlled' ? (options.controlledShots || 2) : 1;
+    const rounds = isBurst ? options.burstShots : perAttack * targets.length;
+    const loadedAmmo = weapon.system.loadedAmmo ? this.items.get(weapon.system.loadedAmmo) : null;
+    if (loadedAmmo?.system?.ammoCategory === 'energy') {
+      const needed = (weapon.system.pps || 1) * rounds;
+      if (loadedAmmo.system.quantity.value < needed) {
+        ui.notifications.error(`Not enough power! Need ${needed} PP, have ${loadedAmmo.system.quantity.value} PP.`);
+        return;
+      }
+    } else if (weapon.system.ammo?.max > 0 && (weapon.system.ammo.value || 0) < rounds) {
+      ui.notifications.error(`Not enough ammunition! Need ${rounds}, have ${weapon.system.ammo.value || 0}.`);
+      return;
+    }
+
+    const volleys = [];
+    for (const part of plan) {
+      const volley = await this.rollWeaponAttack(weaponId, {
+        ...options,
+        target: targets[part.index],
+        targets: null,
+        // The cover chosen in the dialog is the primary's; the rest are detected
+        cover: part.index === 0 ? options.cover : null,
+        burstShots: part.shots ?? options.burstShots,
+        splitFire: part
+      });
+      if (!volley) break;
+      volleys.push(volley);
+    }
+    if (!volleys.length) return;
+
+    const sections = [];
+    for (const { chatData } of volleys) {
+      sections.push(await foundry.applications.handlebars.renderTemplate(
+        "systems/mech-foundry/templates/chat/weapon-attack.hbs", chatData
+      ));
+    }
+    const first = volleys[0].chatData;
+    const messageContent = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/split-fire.hbs",
+      {
+        weaponName: weapon.name,
+        attackType: first.attackType,
+        loadedAmmoName: first.loadedAmmoName,
+        targetCount: volleys.length,
+        ammoUsed: volleys.reduce((sum, v) => sum + v.chatData.ammoUsed, 0),
+        sections
+      }
+    );
+
+    ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: `${weapon.name} Split Fire`,
+      content: messageContent,
+      rolls: volleys.flatMap(v => v.results.map(r => r.roll))
+    });
+    // A burst is one attack however it's shared out; separate shots are one each
+    const attacks = isBurst ? 1 : volleys.length;
+    for (let i = 0; i < attacks; i++) await this.spendCombatAction('attack', `Attack (${weapon.name})`);
+    if (isBurst) await game.combat?.addWeaponRecoil?.(this, weaponId, first.recoilKick);
+    await this._resolveAimAfterAttack(targets[0].document?.uuid || null, first.aimMod);
+
+    return volleys.map(v => v.results);
+  }
+
   /**
    * Handle an opposed melee attack with a target
    * @param {string} weaponId The weapon item ID
@@ -1294,9 +1747,21 @@ export class MechFoundryActor extends Actor {
     const weaponData = weapon.system;
     const rollId = OpposedRollHelper.generateRollId();
 
+    // Maneuver, and the holds either side is in
+    const maneuver = options.maneuver in MELEE_MANEUVERS ? options.maneuver : 'strike';
+    if (!maneuverAvailable(maneuver, this.system.grapple, targetActor.uuid)) {
+      ui.notifications.warn(`${this.name} can't ${MELEE_MANEUVERS[maneuver].label.toLowerCase()} ${targetActor.name} right now.`);
+      return;
+    }
+    const holdMod = MELEE_MANEUVERS[maneuver].mod
+      + (grappleAttackMod(this.system.grapple, targetActor.uuid) ?? 0)
+      + grappleDefenseMod(targetActor.system.grapple);
+
     // Make attacker's roll
-    const attackerResult = await this._makeAttackRoll(weapon, options);
+    const attackerResult = await this._makeAttackRoll(weapon, { ...options, modifier: (options.modifier || 0) + holdMod });
     if (!attackerResult) return;
+    await this.spendCombatAction('attack', `Attack (${weapon.name})`);
+    await this._resolveAimAfterAttack(target.document?.uuid, 0);
 
     // Determine if defender is owned by a different player
     const defenderOwner = game.users.find(u =>
@@ -1316,7 +1781,9 @@ export class MechFoundryActor extends Actor {
         targetTokenId: target.id,
         sceneId: canvas.scene?.id || null,
         weaponName: weapon.name,
-        attackType: 'melee'
+        attackType: 'melee',
+        attackerUuid: this.uuid,
+        maneuver
       });
 
       // Wait for response
@@ -1325,6 +1792,8 @@ export class MechFoundryActor extends Actor {
       // Local player/GM handles defense
       defenderResult = await OpposedRollHelper.showDefenderDialog({
         attackerName: this.name,
+        attackerUuid: this.uuid,
+        maneuver,
         weaponName: weapon.name,
         targetActorId: targetActor.id,
         targetTokenId: target.id,
@@ -1333,7 +1802,7 @@ export class MechFoundryActor extends Actor {
     }
 
     // Resolve the opposed roll
-    await this._resolveOpposedMelee(attackerResult, defenderResult, weapon, target, targetActor, rollId);
+    await this._resolveOpposedMelee(attackerResult, defenderResult, weapon, target, targetActor, rollId, maneuver);
   }
 
   /**
@@ -1417,10 +1886,19 @@ export class MechFoundryActor extends Actor {
    * @param {Token} target Target token
    * @param {Actor} targetActor Target actor
    * @param {string} rollId Unique roll ID
+   * @param {string} [maneuver] The attacker's MELEE_MANEUVERS key
    */
-  async _resolveOpposedMelee(attackerResult, defenderResult, weapon, target, targetActor, rollId) {
-    // Resolve the opposed roll
-    const resolution = OpposedRollHelper.resolveMeleeOpposed(attackerResult, defenderResult);
+  async _resolveOpposedMelee(attackerResult, defenderResult, weapon, target, targetActor, rollId, maneuver = 'strike') {
+    // Resolve the opposed roll, then what it means for the maneuvers on each side
+    const opposed = OpposedRollHelper.resolveMeleeOpposed(attackerResult, defenderResult);
+    const outcome = resolveManeuver(maneuver, defenderResult.counter, opposed);
+    const resolution = {
+      ...opposed,
+      description: outcome.description,
+      defenderChoice: outcome.defenderChoice,
+      attackerDealsDefenderDamage: outcome.winner === 'attacker' && outcome.damage,
+      defenderDealsAttackerDamage: outcome.winner === 'defender' && outcome.damage
+    };
 
     // Get token IDs for unlinked token support
     const defenderTokenId = target?.document?.id || target?.id || null;
@@ -1441,12 +1919,32 @@ export class MechFoundryActor extends Actor {
       defenderTokenId,
       sceneId,
       defenderResult,
-      resolution
+      resolution,
+      maneuverLabel: maneuver !== 'strike' ? MELEE_MANEUVERS[maneuver].label : null
     };
 
+    // A maneuver that won (other than a plain blow) leaves a lasting effect to apply
+    if (outcome.winner && outcome.maneuver !== 'strike') {
+      const byAttacker = outcome.winner === 'attacker';
+      const victim = byAttacker ? targetActor : this;
+      templateData.maneuverEffect = {
+        maneuver: outcome.maneuver,
+        label: MELEE_MANEUVERS[outcome.maneuver].label,
+        hint: MELEE_MANEUVERS[outcome.maneuver].hint,
+        byName: byAttacker ? this.name : targetActor.name,
+        onName: victim.name,
+        byActorId: byAttacker ? this.id : targetActor.id,
+        byTokenId: byAttacker ? attackerTokenId : defenderTokenId,
+        onActorId: victim.id,
+        onTokenId: byAttacker ? defenderTokenId : attackerTokenId,
+        canApply: victim.isOwner || game.user.isGM
+      };
+    }
+
     // Calculate attacker damage to defender if applicable
     if (resolution.attackerDealsDefenderDamage) {
-      const attackerDamage = OpposedRollHelper.calculateMeleeDamage(this, weapon, attackerResult.mos);
+      // A throw is done bare-handed
+      const attackerDamage = OpposedRollHelper.calculateMeleeDamage(this, outcome.maneuver === 'throw' ? null : weapon, attackerResult.mos);
       const attackerHitLocation = await OpposedRollHelper.rollHitLocation();
 
       // Calculate armor reduction with location damage modifier
@@ -1737,6 +2235,9 @@ export class MechFoundryActor extends Actor {
     // Otherwise assume damage is raw and needs armor reduction
     const knockdownDamage = rawDamageForKnockdown ?? damage;
 
+    // Taking a hit spoils any aim
+    await this.loseAim('hit');
+
     let finalDamage = damage;
 
     // Only apply armor reduction if rawDamageForKnockdown wasn't provided
@@ -1816,6 +2317,36 @@ export class MechFoundryActor extends Actor {
     await this._checkCondition();
   }
 
+  /**
+   * Apply standard damage straight to the damage track: no armor, no armor
+   * damage, no knockdown and no lost aim. For harm that reaches the character
+   * through a unit rather than as an attack (pilot hits, battle armor breaches).
+   * @param {number} damage Standard damage
+   */
+  async applyDirectDamage(damage) {
+    if (!(damage > 0)) return;
+    const newDamage = (this.system.damage.value || 0) + damage;
+    const wasCriticallyInjured = this.system.criticallyInjured || false;
+    const isCriticallyInjured = newDamage >= Math.ceil(this.system.damageCapacity * 0.75);
+    const isDying = newDamage > this.system.damageCapacity;
+
+    await this.update({
+      "system.damage.value": newDamage,
+      "system.criticallyInjured": isCriticallyInjured,
+      "system.dying": isDying
+    });
+
+    if (isCriticallyInjured && !wasCriticallyInjured) {
+      ui.notifications.warn(`${this.name} is critically injured! Consciousness check required.`);
+    }
+    if (isDying) {
+      ui.notifications.error(`${this.name} is dying! Stabilization required immediately.`);
+    }
+
+    // Check for unconsciousness or death
+    await this._checkCondition();
+  }
+
   /**
    * Check if heavy standard damage should trigger a BOD check for bleeding
    * If damage >= ceil(BOD/2) and not already bleeding, roll BOD check
@@ -1870,6 +2401,22 @@ export class MechFoundryActor extends Actor {
     }
   }
 
+  /**
+   * The cover a target has against this actor's ranged attack: the dialog's
+   * override when one was chosen, else traced on the canvas from this actor's
+   * token, else the target's own Cover setting.
+   * @param {Token} targetToken
+   * @param {string} [override] A COVER_LEVELS key; anything else means detect
+   * @returns {{level: string, source: 'override'|'detected'|'sheet'}}
+   */
+  _resolveTargetCover(targetToken, override = null) {
+    if (override in COVER_LEVELS) return { level: override, source: 'override' };
+    const detected = CoverHelper.detectCover(this.getActiveTokens(true)[0], targetToken);
+    if (detected) return { level: detected.level, source: 'detected' };
+    const level = targetToken?.actor?.system?.cover;
+    return { level: level in COVER_LEVELS ? level : 'none', source: 'sheet' };
+  }
+
   /**
    * Calculate range modifier for a ranged attack
    * Measures distance between attacker and target tokens, compares to weapon range brackets
@@ -2036,6 +2583,135 @@ export class MechFoundryActor extends Actor {
       speaker: ChatMessage.getSpeaker({ actor: this }),
       content: `${this.name} recovers ${Math.min(bod, currentFatigue)} Fatigue points.`
     });
+    await this.spendCombatAction('recoverFatigue');
+  }
+
+  /**
+   * Count something this character did against their actions for the turn in
+   * the running combat (see MechFoundryCombat#spendAction).
+   * @param {string} action An ACTION_COSTS key
+   * @param {string} [label] Overrides the action's name in the log
+   * @returns {Promise<Object|null>} The turn's record, or null outside combat
+   */
+  async spendCombatAction(action, label = '') {
+    const cost = ACTION_COSTS[action];
+    const combat = game.combat;
+    if (!cost || !combat?.started || typeof combat.spendAction !== 'function') return null;
+    return combat.spendAction(this, cost.type, label || cost.label);
+  }
+
+  /**
+   * Suffer a melee maneuver someone won against this character: take or
+   * lose a hold, go prone, or drop a weapon.
+   * @param {string} maneuver A MELEE_MANEUVERS key
+   * @param {Actor} by Who pulled it off
+   */
+  async applyManeuver(maneuver, by) {
+    const changes = maneuverChanges(maneuver, { uuid: by.uuid, name: by.name }, { uuid: this.uuid, name: this.name });
+    const notes = [];
+
+    const updates = {};
+    if (changes.on) updates["system.grapple"] = changes.on;
+    if (changes.prone) {
+      updates["system.prone"] = true;
+      notes.push(`${this.name} is knocked prone`);
+    }
+    if (Object.keys(updates).length) await this.update(updates);
+    if (changes.on && changes.on.state !== 'none') notes.push(`${this.name} is ${GRAPPLE_STATES[changes.on.state].label.toLowerCase()} by ${by.name}`);
+    if (changes.on?.state === 'none') notes.push(`${this.name} and ${by.name} break apart`);
+
+    if (changes.by) {
+      if (by.isOwner) await by.update({ "system.grapple": changes.by });
+      else ui.notifications.warn(`Update ${by.name}'s grapple state from their sheet.`);
+    }
+
+    if (changes.disarm) {
+      const held = OpposedRollHelper.getDefenderWeapon(this)
+        ?? this.items.find(i => i.type === 'weapon' && i.isEquipped);
+      if (held) {
+        await held.update({ "system.carryStatus": 'carried' });
+        notes.push(`${this.name} loses their grip on ${held.name}`);
+      } else {
+        notes.push(`${this.name} had nothing in hand to lose`);
+      }
+    }
+
+    if (notes.length) {
+      ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ actor: by }),
+        content: `${MELEE_MANEUVERS[maneuver].label}: ${notes.join('; ')}.`
+      });
+    }
+  }
+
+  /**
+   * End this character's hold, freeing their partner too. The sheet offers
+   * it to players only for a hold they have on someone (being held takes a
+   * Break Free maneuver); GMs can clear any hold.
+   */
+  async releaseGrapple() {
+    const grapple = this.system.grapple;
+    if (!grapple || grapple.state === 'none') return;
+    const partner = grapple.partner ? fromUuidSync(grapple.partner) : null;
+    await this.update({ "system.grapple": blankGrapple() });
+    if (partner?.system?.grapple?.partner === this.uuid) {
+      if (partner.isOwner) await partner.update({ "system.grapple": blankGrapple() });
+      else ui.notifications.warn(`Clear ${partner.name}'s grapple state from their sheet.`);
+    }
+  }
+
+  /**
+   * Aim at a target (Simple Action). Each Aim at the same target adds +1 to
+   * the next ranged attack against it, up to +3; aiming at someone else
+   * starts over.
+   * @param {Token} [target] Defaults to the user's current target
+   * @returns {Promise<Object|null>} The new `system.aim`, or null without a target
+   */
+  async takeAim(target = OpposedRollHelper.getTarget()) {
+    if (!target?.document) {
+      ui.notifications.warn("Target a token to aim at.");
+      return null;
+    }
+
+    const { aim, switched } = takeAim(this.system.aim, target.document.uuid, target.name);
+    await this.update({ "system.aim": aim });
+
+    const bonus = aimBonus(aim);
+    ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `${this.name} ${switched ? 'switches aim to' : 'takes aim at'} ${target.name} (+${bonus}${bonus >= AIM_MAX_BONUS ? ', maximum' : ''}).`
+    });
+    await this.spendCombatAction('aim', `Aim at ${target.name}`);
+    return aim;
+  }
+
+  /**
+   * Drop any aim this character has built up.
+   * @param {string} [reason] Why ("moved", "hit"), for the chat; omitted, no message
+   */
+  async loseAim(reason = '') {
+    const aim = this.system.aim;
+    if (!Number(aim?.actions)) return;
+
+    await this.update({ "system.aim": blankAim() });
+    if (reason) {
+      ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `${this.name} loses their aim at ${aim.targetName || 'the target'} (${reason}).`
+      });
+    }
+  }
+
+  /**
+   * An attack uses up the aim behind it; one at anyone else throws it off.
+   * @param {string|null} targetUuid The attacked token's UUID
+   * @param {number} aimMod The aim bonus the attack got
+   * @private
+   */
+  async _resolveAimAfterAttack(targetUuid, aimMod) {
+    const aim = this.system.aim;
+    if (!Number(aim?.actions)) return;
+    await this.loseAim(aimMod || aim.target === targetUuid ? '' : 'switched target');
   }
 
   /**
@@ -2055,6 +2731,7 @@ export class MechFoundryActor extends Actor {
       speaker: ChatMessage.getSpeaker({ actor: this }),
       content: `${this.name} shakes off the stun effect.`
     });
+    await this.spendCombatAction('clearStun');
   }
 
   /**
@@ -2458,6 +3135,7 @@ export class MechFoundryActor extends Actor {
     }
 
     ui.notifications.info(`Reloaded ${toLoad} rounds into ${weapon.name}.`);
+    await this.spendCombatAction('reload', `Reload ${weapon.name}`);
   }
 
   /**
@@ -2538,29 +3216,40 @@ export class MechFoundryActor extends Actor {
 
   /**
    * Inflict a wound (critical hit effect) on this actor
-   * Wound types: dazed, deafened, blinded, internalDamage, shatteredLimb
-   * @param {string} woundType The type of wound
+   * Wound types come from the wound registry (helpers/wounds.mjs): the built-in
+   * seven plus any the GM has added in the Wound Types settings
+   * @param {string} type The type of wound
    * @param {string} location The hit location (head, torso, arm, leg)
    * @param {string} source Description of what caused the wound
    */
-  async inflictWound(woundType, location = null, source = 'Critical Hit') {
-    const validTypes = ['dazed', 'concussion', 'hemorrhage', 'traumaticImpact', 'nerveDamage', 'severeStrain', 'severelyWounded'];
-    if (!validTypes.includes(woundType)) {
-      console.warn(`Invalid wound type: ${woundType}`);
+  async inflictWound(type, location = null, source = 'Critical Hit') {
+    if (!woundType(type)) {
+      console.warn(`Invalid wound type: ${type}`);
       return;
     }
 
-    const wounds = [...(this.system.wounds || [])];
+    // A limb wound on a prosthetic limb damages the prosthetic instead
+    if (woundType(type).limb && location) {
+      const prosthetic = this.items.find(i => i.type === 'prosthetics' && i.system.installed &&
+        PROSTHETIC_SLOTS[i.system.bodyLocation]?.limb && PROSTHETIC_SLOTS[i.system.bodyLocation].location === location);
+      if (prosthetic) {
+        await prosthetic.update({ 'system.damaged': true });
+        ui.notifications.warn(`${this.name}'s ${prosthetic.name} is damaged and stops working until repaired.`);
+        return null;
+      }
+    }
 
-    // Check if character already has this wound type (except severelyWounded which can stack)
-    const hasDuplicate = woundType !== 'severelyWounded' &&
-      wounds.some(w => w.type === woundType);
+    const wounds = [...(this.system.wounds || [])];
 
-    let actualWoundType = woundType;
-    if (hasDuplicate) {
-      // Convert to Severely Wounded instead of duplicating
-      actualWoundType = 'severelyWounded';
-      ui.notifications.warn(`${this.name} already has ${this._getWoundName(woundType)}! Inflicting Severely Wounded instead.`);
+    // A repeated wound may worsen to Severely Wounded or have no further effect,
+    // depending on its type's stacking
+    const actualWoundType = woundToRecord(type, wounds);
+    if (!actualWoundType) {
+      ui.notifications.info(`${this.name} already has ${this._getWoundName(type)}; a second has no further effect.`);
+      return null;
+    }
+    if (actualWoundType !== type) {
+      ui.notifications.warn(`${this.name} already has ${this._getWoundName(type)}! Inflicting ${this._getWoundName(actualWoundType)} instead.`);
     }
 
     wounds.push({
@@ -2568,14 +3257,14 @@ export class MechFoundryActor extends Actor {
       location: location,
       source: source,
       timestamp: Date.now(),
-      severity: 5 // Default severity rating - requires surgery to reduce to 0 to heal
+      severity: DEFAULT_SEVERITY // Reduced to 0 by surgery or rest to heal
     });
 
     // Apply immediate effects based on wound type
     const updates = { "system.wounds": wounds };
 
-    // Hemorrhage causes automatic bleeding
-    if (actualWoundType === 'hemorrhage') {
+    // Some wounds (Hemorrhage) cause automatic bleeding
+    if (woundType(actualWoundType).causesBleeding) {
       updates["system.bleeding"] = true;
     }
 
@@ -2599,20 +3288,11 @@ export class MechFoundryActor extends Actor {
 
   /**
    * Get display name for wound type
-   * @param {string} woundType
+   * @param {string} type
    * @returns {string}
    */
-  _getWoundName(woundType) {
-    const woundNames = {
-      dazed: 'Dazed',
-      concussion: 'Concussion',
-      hemorrhage: 'Hemorrhage',
-      traumaticImpact: 'Traumatic Impact',
-      nerveDamage: 'Nerve Damage',
-      severeStrain: 'Severe Strain',
-      severelyWounded: 'Severely Wounded'
-    };
-    return woundNames[woundType] || woundType;
+  _getWoundName(type) {
+    return woundLabel(type);
   }
 
   /**
@@ -2632,7 +3312,7 @@ export class MechFoundryActor extends Actor {
     }
 
     const wound = wounds[woundIndex];
-    const currentSeverity = wound.severity ?? 5;
+    const currentSeverity = wound.severity ?? DEFAULT_SEVERITY;
     wound.severity = Math.max(0, currentSeverity - amount);
 
     await this.update({ "system.wounds": wounds });
@@ -2648,12 +3328,11 @@ export class MechFoundryActor extends Actor {
 
     const removedWound = wounds.splice(woundIndex, 1)[0];
 
-    // If hemorrhage is removed, check if bleeding should stop
+    // If a bleeding wound (Hemorrhage) is removed, check if bleeding should stop
     const updates = { "system.wounds": wounds };
-    if (removedWound.type === 'hemorrhage') {
-      // Only stop bleeding if no other hemorrhage wounds exist
-      const hasOtherHemorrhage = wounds.some(w => w.type === 'hemorrhage');
-      if (!hasOtherHemorrhage) {
+    if (woundType(removedWound.type)?.causesBleeding) {
+      // Only stop bleeding if no other bleeding wound remains
+      if (!woundsCauseBleeding(wounds)) {
         updates["system.bleeding"] = false;
       }
     }
@@ -2663,4 +3342,1405 @@ export class MechFoundryActor extends Actor {
     ui.notifications.info(`${this.name}'s ${this._getWoundName(removedWound.type)} wound has been healed.`);
     return removedWound;
   }
+
+  /**
+   * Rest for a stretch of downtime and recover (see helpers/recovery.mjs):
+   * fatigue by the hour, standard damage by the day with a daily BOD check,
+   * and wound severity with a BOD check every few days of rest. Posts a
+   * recovery summary to chat; the GM can also advance world time.
+   * @param {Object} options
+   * @param {number} [options.days] Days of rest
+   * @param {number} [options.hours] Further hours of rest
+   * @param {string} [options.care] A CARE_LEVELS key
+   * @param {string} [options.healthcareItemId] A healthcare item used for care
+   * @param {number} [options.modifier] Added to every recovery check
+   * @param {boolean} [options.advanceTime] Advance world time by the rest (GM only)
+   * @returns {Promise<Object|null>} The recovery summary, or null if the rest couldn't start
+   */
+  async restAndRecover({ days = 0, hours = 0, care = 'none', healthcareItemId = null, modifier = 0, advanceTime = false } = {}) {
+    const system = this.system;
+    if (system.bleeding || (system.dying && !system.stabilized)) {
+      ui.notifications.warn(`${this.name} must be stabilized before resting can do any good.`);
+      return null;
+    }
+    const totalHours = Math.max(0, Math.floor(Number(days) || 0)) * HOURS_PER_DAY + Math.max(0, Math.floor(Number(hours) || 0));
+    if (!totalHours) return null;
+    const restDays = Math.floor(totalHours / HOURS_PER_DAY);
+    if (!CARE_LEVELS[care]) care = 'none';
+
+    // Care kit: MedTech bonus for damage checks, Surgery bonus for wound checks
+    const item = care !== 'none' && healthcareItemId ? this.items.get(healthcareItemId) : null;
+    const bod = system.attributes?.bod?.total || 0;
+    const damageMod = recoveryCheckMod(bod, care, item?.system.medTechBonus) + modifier;
+    const woundMod = recoveryCheckMod(bod, care, item?.system.surgeryBonus) + modifier;
+    const check = async mod => (await new Roll(`2d6 + ${mod}`).evaluate()).total >= RECOVERY_TN;
+
+    // Fatigue
+    const fatigueBefore = system.fatigue?.value || 0;
+    const fatigueAfter = fatigueBefore - fatigueRecovered(bod, totalHours, fatigueBefore);
+
+    // Standard damage, a day at a time
+    const damageBefore = system.damage?.value || 0;
+    let damageAfter = damageBefore;
+    let damageChecks = 0;
+    let damagePassed = 0;
+    for (let day = 0; day < restDays && damageAfter > 0; day++) {
+      const passed = await check(damageMod);
+      damageChecks++;
+      if (passed) damagePassed++;
+      damageAfter = Math.max(0, damageAfter - dailyDamageHealed(care, passed));
+    }
+
+    // Wounds: severity drops on each check the rest earns, except for wounds
+    // only Surgery heals
+    const wounds = [];
+    const woundResults = [];
+    for (const wound of system.wounds || []) {
+      if (!woundHealsBy(wound.type, 'rest')) {
+        wounds.push(wound);
+        if (restDays) {
+          const severity = wound.severity ?? DEFAULT_SEVERITY;
+          woundResults.push({ name: this._getWoundName(wound.type), location: wound.location, before: severity, after: severity, checks: 0, passed: 0, healed: false, needsSurgery: true });
+        }
+        continue;
+      }
+      const { checks, carried } = woundChecks((wound.restDays || 0) + restDays, care);
+      const before = wound.severity ?? DEFAULT_SEVERITY;
+      let severity = before;
+      let passed = 0;
+      for (let i = 0; i < checks && severity > 0; i++) {
+        if (await check(woundMod)) {
+          passed++;
+          severity--;
+        }
+      }
+      const healed = severity <= 0;
+      if (!healed) wounds.push({ ...wound, severity, restDays: carried });
+      if (restDays) {
+        woundResults.push({ name: this._getWoundName(wound.type), location: wound.location, before, after: Math.max(0, severity), checks, passed, healed });
+      }
+    }
+
+    const updates = {
+      'system.fatigue.value': fatigueAfter,
+      'system.damage.value': damageAfter,
+      'system.wounds': wounds
+    };
+    await this.update(updates);
+
+    if (item && item.system.charges?.max > 0) {
+      await item.update({ 'system.charges.value': Math.max(0, (item.system.charges.value || 0) - 1) });
+    }
+    await this.tickTimedEffects(totalHours * ROUNDS_PER_UNIT.hr);
+    if (advanceTime && game.user.isGM) await game.time.advance(totalHours * 3600);
+
+    const result = {
+      name: this.name,
+      days: restDays,
+      hours: totalHours % HOURS_PER_DAY,
+      careLabel: CARE_LEVELS[care].label,
+      itemName: item?.name || null,
+      targetNumber: RECOVERY_TN,
+      damageMod,
+      woundMod,
+      fatigue: { before: fatigueBefore, after: fatigueAfter },
+      damage: { before: damageBefore, after: damageAfter, checks: damageChecks, passed: damagePassed },
+      wounds: woundResults,
+      timeAdvanced: advanceTime && game.user.isGM
+    };
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/recovery.hbs", result
+    );
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: 'Rest / Downtime',
+      content
+    });
+    return result;
+  }
+
+  /**
+   * Use a drug or poison on this character or another (see helpers/drugs.mjs):
+   * a sealed suit may stop an injected or contact dose, otherwise the target
+   * resists with BOD or WIL against the Drug Strength, and on a failure the
+   * drug takes hold as timed active effects. The effects are applied at once
+   * when this user can edit the target, otherwise from the chat card.
+   * @param {string} itemId The drugpoison item
+   * @param {Object} [options]
+   * @param {Actor} [options.target] Who gets the dose (default this actor)
+   * @param {string} [options.vector] A DRUG_VECTORS key
+   * @param {string} [options.attribute] 'bod' or 'wil' to resist with
+   * @param {boolean} [options.willing] Taken willingly: no resistance check
+   * @param {number} [options.modifier] Added to the resistance check
+   * @param {boolean} [options.consume] Use up the dose (delete the item)
+   * @returns {Promise<Object|null>} The outcome, or null if the dose couldn't be given
+   */
+  async administerDrug(itemId, { target = null, vector = null, attribute = 'bod', willing = false, modifier = 0, consume = true } = {}) {
+    const item = this.items.get(itemId);
+    if (item?.type !== 'drugpoison') return null;
+    target = target || this;
+    const drug = item.system;
+    const vectors = drugVectors(drug.primaryVector);
+    if (!vectors.includes(vector)) vector = vectors[0];
+    const isSelf = target === this;
+
+    // A sealed suit may keep the dose out
+    const sealed = sealedBAR(target.items.filter(i => i.type === 'armor' && i.isEquipped).map(i => i.system));
+    const blocked = armorStopsDose(vector, drug.poisonAP, sealed);
+
+    // Resistance check
+    let resist = null;
+    const rolls = [];
+    if (!blocked && !willing) {
+      const score = target.system.attributes?.[attribute]?.total || 0;
+      const mod = resistanceMod(score, drug.drugStrength) + (modifier || 0);
+      const roll = await new Roll(`2d6 + ${mod}`).evaluate();
+      rolls.push(roll);
+      const diceResults = roll.dice[0].results.map(r => r.result);
+      const specialRoll = await DiceMechanics.evaluateSpecialRoll(diceResults);
+      const successInfo = DiceMechanics.determineSuccess(roll.total, RESIST_TN, specialRoll);
+      resist = {
+        attribute: attribute.toUpperCase(),
+        mod,
+        total: successInfo.finalTotal,
+        targetNumber: RESIST_TN,
+        success: successInfo.success,
+        marginOfSuccess: successInfo.mos,
+        specialRoll
+      };
+    }
+    const takesHold = !blocked && !resist?.success;
+
+    // What it does, and for how long
+    let effects = [];
+    let rounds = 0;
+    if (takesHold) {
+      const formula = durationFormula(drug.duration);
+      if (formula) {
+        const durationRoll = await new Roll(formula).evaluate();
+        rounds = Math.max(1, Math.ceil(durationRoll.total));
+      }
+      effects = this.constructor.drugEffectData(item, rounds);
+    }
+
+    if (consume) await item.delete();
+
+    const canApply = target.isOwner && effects.length > 0;
+    if (canApply) await target.applyDrugEffects(effects);
+
+    const result = {
+      drugName: item.name,
+      userName: this.name,
+      targetName: target.name,
+      isSelf,
+      vectorLabel: DRUG_VECTORS[vector].label,
+      drugStrength: drug.drugStrength,
+      poisonAP: drug.poisonAP,
+      sealed,
+      blocked,
+      willing,
+      resist,
+      takesHold,
+      rounds,
+      effects: effects.map(e => ({
+        name: e.name,
+        damage: e.system.effectType === 'continuous_damage'
+          ? [e.system.continuousDamage.standardDamage && `${e.system.continuousDamage.standardDamage} standard`,
+            e.system.continuousDamage.fatigueDamage && `${e.system.continuousDamage.fatigueDamage} fatigue`].filter(Boolean).join(', ')
+          : null,
+        modifiers: (e.system.persistentModifiers || []).map(m => `${String(m.target).toUpperCase()} ${m.operation === 'multiply' ? '×' : (m.value >= 0 ? '+' : '')}${m.value}`).join(', ')
+      })),
+      applied: canApply,
+      targetId: target.id,
+      tokenId: target.token?.id || null,
+      sceneId: target.token?.parent?.id || null
+    };
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/drug-use.hbs", result
+    );
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: isSelf ? `Uses ${item.name}` : `Administers ${item.name}`,
+      content,
+      rolls,
+      flags: { "mech-foundry": { drugEffects: canApply ? null : effects } }
+    });
+    return result;
+  }
+
+  /**
+   * Active effect items for a drug that has taken hold: one for its
+   * modifiers, one for any damage it deals each round.
+   * @param {Item} item The drugpoison item
+   * @param {number} rounds Duration in combat rounds (0 until removed)
+   * @returns {Object[]} Item data
+   */
+  static drugEffectData(item, rounds) {
+    const base = {
+      type: 'activeEffect',
+      img: item.img,
+      flags: { 'mech-foundry': { drug: item.name } }
+    };
+    const effects = [];
+    const modifiers = drugModifiers(item.system);
+    if (modifiers.length) {
+      effects.push({ ...base, name: item.name, system: {
+        effectType: 'persistent', active: true, remainingRounds: rounds, persistentModifiers: modifiers
+      } });
+    }
+    const damage = drugDamage(item.system);
+    if (damage) {
+      effects.push({ ...base, name: `${item.name} (Toxic)`, system: {
+        effectType: 'continuous_damage', active: true, remainingRounds: rounds, continuousDamage: damage
+      } });
+    }
+    return effects;
+  }
+
+  /**
+   * Give this actor a drug's active effects.
+   * @param {Object[]} effects Item data from `drugEffectData`
+   * @returns {Promise<Item[]>}
+   */
+  async applyDrugEffects(effects) {
+    if (!effects?.length) return [];
+    const created = await this.createEmbeddedDocuments('Item', effects);
+    ui.notifications.info(`${this.name} is under the effect of ${[...new Set(created.map(e => e.getFlag('mech-foundry', 'drug') || e.name))].join(', ')}.`);
+    return created;
+  }
+
+  /**
+   * Count down timed active effects, removing any that run out, and any
+   * prosthetics knocked out by an EMP.
+   * @param {number} [rounds] Combat rounds passed
+   * @returns {Promise<Item[]>} The effects that wore off
+   */
+  async tickTimedEffects(rounds = 1) {
+    if (rounds <= 0) return [];
+    const shutdown = this.items.filter(i => i.type === 'prosthetics' && (Number(i.system.empRounds) || 0) > 0);
+    if (shutdown.length) {
+      await this.updateEmbeddedDocuments('Item', shutdown.map(i => ({
+        _id: i.id, 'system.empRounds': Math.max(0, i.system.empRounds - rounds)
+      })));
+    }
+
+    const timed = this.items.filter(i => i.type === 'activeEffect' && (Number(i.system.remainingRounds) || 0) > 0);
+    if (!timed.length) return [];
+    const expired = timed.filter(i => i.system.remainingRounds <= rounds);
+    const updates = timed
+      .filter(i => !expired.includes(i))
+      .map(i => ({ _id: i.id, 'system.remainingRounds': i.system.remainingRounds - rounds }));
+    if (updates.length) await this.updateEmbeddedDocuments('Item', updates);
+    if (expired.length) {
+      await this.deleteEmbeddedDocuments('Item', expired.map(i => i.id));
+      await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `<div class="mech-foundry effect-expired"><i class="fas fa-hourglass-end"></i> ${this.name}'s ${expired.map(i => i.name).join(', ')} ${expired.length > 1 ? 'wear' : 'wears'} off.</div>`
+      });
+    }
+    return expired;
+  }
+
+  /**
+   * Fit a prosthetic into a body slot once the Surgery check is made (see
+   * helpers/prosthetics.mjs). Limb wounds there go with the natural limb.
+   * @param {string} itemId A prosthetics item this actor has
+   * @param {string} slot A PROSTHETIC_SLOTS key
+   * @returns {Promise<{slot: string, replaced: string[]}|null>} The wounds replaced, or null if it can't be fitted
+   */
+  async installProsthetic(itemId, slot) {
+    const item = this.items.get(itemId);
+    if (item?.type !== 'prosthetics' || item.system.installed) return null;
+    const installed = this.items.filter(i => i.type === 'prosthetics' && i.system.installed).map(i => i.system);
+    if (!slotFree(installed, slot)) {
+      ui.notifications.warn(`${this.name} has no free ${PROSTHETIC_SLOTS[slot]?.label ?? slot} slot.`);
+      return null;
+    }
+
+    const wounds = this.system.wounds || [];
+    const gone = replacedWounds(wounds, slot);
+    if (gone.length) {
+      await this.update({ 'system.wounds': wounds.filter((w, i) => !gone.includes(i)) });
+    }
+    await item.update({
+      'system.installed': true,
+      'system.bodyLocation': slot,
+      'system.damaged': false,
+      'system.empRounds': 0,
+      'system.lastServiced': game.time.worldTime,
+      'system.power.value': item.system.power?.max || 0
+    });
+    return { slot, replaced: gone.map(i => this._getWoundName(wounds[i].type)) };
+  }
+
+  /**
+   * Take out an installed prosthetic. It stays in the inventory.
+   * @param {string} itemId
+   * @returns {Promise<Item|null>}
+   */
+  async removeProsthetic(itemId) {
+    const item = this.items.get(itemId);
+    if (item?.type !== 'prosthetics' || !item.system.installed) return null;
+    await item.update({ 'system.installed': false, 'system.empRounds': 0 });
+    ui.notifications.info(`${item.name} removed from ${this.name}.`);
+    return item;
+  }
+
+  /**
+   * Service an installed prosthetic: repair any damage, recharge its power
+   * and restart the maintenance clock.
+   * @param {string} itemId
+   * @returns {Promise<Item|null>}
+   */
+  async serviceProsthetic(itemId) {
+    const item = this.items.get(itemId);
+    if (item?.type !== 'prosthetics' || !item.system.installed) return null;
+    const work = [
+      item.system.damaged && 'repaired',
+      item.system.powerUse > 0 && 'recharged',
+      'serviced'
+    ].filter(Boolean);
+    await item.update({
+      'system.damaged': false,
+      'system.lastServiced': game.time.worldTime,
+      'system.power.value': item.system.power?.max || 0
+    });
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry prosthetic-note"><i class="fas fa-wrench"></i> ${this.name}'s ${item.name} is ${work.join(', ')}.</div>`
+    });
+    return item;
+  }
+
+  /**
+   * An EMP knocks out this actor's vulnerable prosthetics for a few rounds.
+   * @param {string} [formula] Rounds they stay down
+   * @returns {Promise<Item[]>} The prosthetics knocked out
+   */
+  async empStrike(formula = '1d6') {
+    const hit = this.items.filter(i => i.type === 'prosthetics' && i.system.installed && i.system.empVulnerable);
+    if (!hit.length) {
+      ui.notifications.info(`${this.name} has no prosthetics an EMP can affect.`);
+      return [];
+    }
+    const roll = await new Roll(formula).evaluate();
+    const rounds = Math.max(1, roll.total);
+    await this.updateEmbeddedDocuments('Item', hit.map(i => ({ _id: i.id, 'system.empRounds': rounds })));
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry prosthetic-note emp"><i class="fas fa-bolt"></i> EMP! ${this.name}'s ${hit.map(i => i.name).join(', ')} ${hit.length > 1 ? 'shut' : 'shuts'} down for ${rounds} round${rounds === 1 ? '' : 's'}.</div>`,
+      rolls: [roll]
+    });
+    return hit;
+  }
+
+  /* -------------------------------------------- */
+  /*  BattleTech Unit Combat                      */
+  /* -------------------------------------------- */
+
+  /**
+   * Run a 'Mech's end-of-turn heat phase (TW p.159): add the heat from weapons
+   * fired and the turn's movement, dissipate through the heat sinks, then make
+   * any shutdown / restart and ammo-explosion avoidance rolls the new heat level
+   * calls for and post the result to chat. Resets the per-turn fired flags and
+   * movement mode. Called from the `combatRound` hook.
+   * @returns {Promise<Object|null>} The heat phase result, or null for non-'Mechs
+   */
+  async resolveHeatPhase() {
+    if (this.type !== 'mech') return null;
+    const system = this.system;
+    const before = system.heat?.value || 0;
+    const mode = system.heat?.movementMode || 'stand';
+    const { generated, heat } = resolveHeat({
+      current: before,
+      weaponHeat: system.heat?.weaponHeat,
+      moveHeat: system.heat?.moveHeat,
+      dissipation: system.heatDissipation
+    });
+    const effects = heatEffects(heat);
+    const rolls = [];
+    const checks = [];
+
+    // Shutdown: a running 'Mech rolls to stay up, a shut-down one rolls the same
+    // number to restart (automatic below the first shutdown threshold).
+    let shutdown = !!system.heat?.shutdown;
+    if (!effects.shutdown) {
+      if (shutdown) checks.push({ label: 'Restart', text: 'Heat below the shutdown threshold — restarts automatically', success: true });
+      shutdown = false;
+    } else if (effects.shutdown.avoid === null) {
+      shutdown = true;
+      checks.push({ label: 'Shutdown', text: `Heat ${HEAT_SCALE_MAX}+ — automatic shutdown`, success: false });
+    } else {
+      const roll = await new Roll('2d6').evaluate();
+      rolls.push(roll);
+      const passed = roll.total >= effects.shutdown.avoid;
+      if (shutdown) {
+        shutdown = !passed;
+        checks.push({ label: 'Restart', roll: roll.total, target: effects.shutdown.avoid, success: passed,
+          text: passed ? 'Restarts' : 'Remains shut down' });
+      } else {
+        shutdown = !passed;
+        checks.push({ label: 'Avoid Shutdown', roll: roll.total, target: effects.shutdown.avoid, success: passed,
+          text: passed ? 'Stays operational' : 'Shuts down' });
+      }
+    }
+
+    // Ammo explosion: the bin holding the most damage cooks off.
+    const ammo = foundry.utils.deepClone(system.ammo || []);
+    let explosion = null;
+    const loaded = ammo.filter(a => (Number(a.shots) || 0) > 0);
+    if (effects.ammo && loaded.length) {
+      const roll = await new Roll('2d6').evaluate();
+      rolls.push(roll);
+      const passed = roll.total >= effects.ammo.avoid;
+      if (!passed) {
+        const bin = loaded.reduce((worst, a) =>
+          (a.shots * (Number(a.damage) || 0)) > (worst.shots * (Number(worst.damage) || 0)) ? a : worst);
+        explosion = {
+          name: bin.name || 'Ammo',
+          location: bin.location,
+          locationLabel: MECH_LOCATIONS.find(l => l.key === bin.location)?.label || bin.location,
+          damage: bin.shots * (Number(bin.damage) || 0)
+        };
+        bin.shots = 0;
+      }
+      checks.push({ label: 'Avoid Ammo Explosion', roll: roll.total, target: effects.ammo.avoid, success: passed,
+        text: passed ? 'Ammo holds' : `${explosion.name} explodes in the ${explosion.locationLabel} for ${explosion.damage} damage` });
+    }
+
+    const weapons = (system.weapons || []).map(w => ({ ...w, fired: false }));
+    await this.update({
+      'system.heat.value': heat,
+      'system.heat.movementMode': 'stand',
+      'system.heat.shutdown': shutdown,
+      'system.weapons': weapons,
+      'system.ammo': ammo
+    });
+
+    const result = {
+      before,
+      heat,
+      generated,
+      weaponHeat: system.heat?.weaponHeat || 0,
+      moveHeat: system.heat?.moveHeat || 0,
+      moveLabel: MECH_MOVEMENT_MODES[mode]?.label || mode,
+      dissipation: system.heatDissipation || 0,
+      effects,
+      checks,
+      shutdown,
+      explosion
+    };
+
+    // Nothing happened and nothing to report: stay quiet.
+    if (!generated && !before && !checks.length) return result;
+
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/heat-phase.hbs", result
+    );
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: 'Heat Phase',
+      content,
+      rolls
+    });
+
+    // The cooked-off bin's damage goes straight to internal structure, and
+    // the pilot takes the feedback.
+    if (explosion) {
+      await this.applyUnitDamage(explosion.damage, explosion.location, { internal: true });
+      await this.applyPilotHits(AMMO_EXPLOSION_PILOT_HITS, 'Ammo explosion');
+    }
+    return result;
+  }
+
+  /**
+   * The character (or NPC) assigned to one of this unit's crew roles.
+   * @param {string} role pilot | gunner | commander
+   * @returns {Actor|null}
+   */
+  getCrewMember(role) {
+    // A battle armor squad is led by its first trooper still standing.
+    if (this.type === 'battle_armor') {
+      if (role !== 'pilot') return null;
+      const leader = (this.system.troopers || []).find(t => t.pilot && !t.killed);
+      return leader ? (game.actors?.get(leader.pilot) || null) : null;
+    }
+    const id = this.system.crew?.[role];
+    return id ? (game.actors?.get(id) || null) : null;
+  }
+
+  /**
+   * A unit's crew skill rating on the Total Warfare scale (lower is better).
+   * Gunnery comes from the gunner (or the pilot when there is none), Piloting
+   * from the pilot; each uses the character's skill level, and falls back to
+   * the sheet's rating when the role is empty.
+   * @param {'gunnery'|'piloting'} skill
+   * @returns {{rating: number, crewName: string|null, skillName: string|null}}
+   */
+  getCrewSkill(skill) {
+    const crew = this.system.crew || {};
+    const fallback = skill === 'gunnery' ? (crew.gunnery ?? DEFAULT_GUNNERY) : (crew.piloting ?? DEFAULT_PILOTING);
+    const member = skill === 'gunnery'
+      ? (this.getCrewMember('gunner') || this.getCrewMember('pilot'))
+      : this.getCrewMember('pilot');
+    if (!member) return { rating: Number(fallback) || 0, crewName: null, skillName: null };
+
+    const skillName = UNIT_CREW_SKILLS[this.type]?.[skill] || (skill === 'gunnery' ? 'Gunnery' : 'Piloting');
+    const level = member._getSkillLevel(skillName) ?? member._getSkillLevel(skillName.split('/')[0]);
+    // No matching skill at all: one step worse than a level-0 character.
+    return { rating: totalWarfareSkill(level ?? -1), crewName: member.name, skillName };
+  }
+
+  /**
+   * Distance to a target token in hexes, or null when it cannot be measured.
+   * @param {Token} targetToken
+   * @returns {number|null}
+   */
+  _measureHexes(targetToken) {
+    if (!canvas?.ready || !targetToken) return null;
+    const attackerToken = this.getActiveTokens(true)[0];
+    if (!attackerToken) return null;
+    try {
+      const distance = canvas.grid.measurePath([attackerToken.center, targetToken.center]).distance;
+      if (distance == null || isNaN(distance)) return null;
+      // Scenes gridded in hexes measure directly; everything else is meters.
+      const units = String(canvas.scene.grid.units || '').toLowerCase();
+      return units.startsWith('hex') ? Math.ceil(distance) : metersToHexes(distance);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * The side of the target this unit is attacking from, from token positions
+   * and the target's rotation (Foundry rotation 0 faces down the canvas).
+   * @param {Token} targetToken
+   * @returns {string} front | left | right | rear
+   */
+  _unitAttackDirection(targetToken) {
+    const attackerToken = this.getActiveTokens(true)[0];
+    if (!attackerToken || !targetToken) return 'front';
+    const bearing = Math.toDegrees(Math.atan2(
+      attackerToken.center.y - targetToken.center.y,
+      attackerToken.center.x - targetToken.center.x
+    ));
+    const facing = (targetToken.document?.rotation ?? 0) + 90;
+    return attackDirection(bearing - facing);
+  }
+
+  /**
+   * Which of this unit's own arcs a target token sits in, from its facing.
+   * @param {Token} targetToken
+   * @returns {string} front | left | right | rear
+   */
+  _unitFiringArc(targetToken) {
+    const attackerToken = this.getActiveTokens(true)[0];
+    if (!attackerToken || !targetToken) return 'front';
+    const bearing = Math.toDegrees(Math.atan2(
+      targetToken.center.y - attackerToken.center.y,
+      targetToken.center.x - attackerToken.center.x
+    ));
+    const facing = (attackerToken.document?.rotation ?? 0) + 90;
+    return attackDirection(bearing - facing);
+  }
+
+  /**
+   * Fire one of a unit's weapons (a row of `system.weapons`) at BattleTech
+   * scale: to-hit against the crew's Gunnery, range bracket, movement and heat,
+   * then cluster hits and a hit-location roll for each damage group against the
+   * target unit's location table. Posts the attack card; damage is applied
+   * from its buttons via `applyUnitDamage`.
+   * @param {string} weaponId Weapon row id
+   * @param {Object} options
+   * @param {Token} [options.target] Target token
+   * @param {string} [options.direction] Attack direction (default: from token positions)
+   * @param {number} [options.range] Range in hexes (default: measured)
+   * @param {number} [options.targetMovementMod] Target movement modifier
+   * @param {number} [options.modifier] Other to-hit modifiers
+   * @param {string} [options.building] Building aimed at on an installation (default: random)
+   * @returns {Promise<Object|null>}
+   */
+  async rollUnitWeaponAttack(weaponId, options = {}) {
+    const weapon = (this.system.weapons || []).find(w => w.id === weaponId);
+    if (!weapon) return null;
+    if (this.system.heat?.shutdown) {
+      ui.notifications.warn(`${this.name} is shut down and cannot fire.`);
+      return null;
+    }
+    if (weapon.out) {
+      ui.notifications.warn(`${weapon.name} is ${weapon.out} and cannot fire.`);
+      return null;
+    }
+    const status = this.system.status || {};
+    if (this.type === 'ground_vehicle' && (status.destroyed || status.crewKilled || status.crewStunned > 0)) {
+      ui.notifications.warn(`${this.name}'s crew ${status.crewStunned > 0 && !status.destroyed && !status.crewKilled ? 'is stunned' : 'is out of action'} and cannot fire.`);
+      return null;
+    }
+    if (this.type === 'battle_armor' && this.system.squad?.destroyed) {
+      ui.notifications.warn(`${this.name} has no troopers left to fire.`);
+      return null;
+    }
+    if (this.type === 'installation') {
+      const building = (this.system.buildings || []).find(b => b.id === weapon.location);
+      if (building && buildingState(building) === 'destroyed') {
+        ui.notifications.warn(`${building.name || 'That building'} has collapsed; ${weapon.name} cannot fire.`);
+        return null;
+      }
+    }
+
+    // Ammunition: bins named after the weapon feed it; no bins = untracked.
+    const ammo = foundry.utils.deepClone(this.system.ammo || []);
+    const weaponKey = (weapon.name || '').toLowerCase();
+    const bins = weaponKey ? ammo.filter(a => (a.name || '').toLowerCase().startsWith(weaponKey)) : [];
+    const bin = bins.find(a => (Number(a.shots) || 0) > 0) || null;
+    if (bins.length && !bin) {
+      ui.notifications.warn(`${weapon.name} is out of ammunition!`);
+      return null;
+    }
+
+    const targetToken = options.target || null;
+    const targetActor = targetToken?.actor || null;
+    const targetIsUnit = !!(targetActor && UNIT_DAMAGE_PROFILES[targetActor.type]);
+    const direction = options.direction || (targetToken ? this._unitAttackDirection(targetToken) : 'front');
+
+    // A locked (or jammed) turret only fires into the vehicle's front arc.
+    if (this.type === 'ground_vehicle' && weapon.location === 'turret' && targetToken
+      && (status.turretLocked || status.turretJammed > 0) && this._unitFiringArc(targetToken) !== 'front') {
+      ui.notifications.warn(`${this.name}'s turret is ${status.turretLocked ? 'locked' : 'jammed'}; ${weapon.name} can only fire forward.`);
+      return null;
+    }
+    const hexes = options.range ?? (targetToken ? this._measureHexes(targetToken) : null);
+    const range = hexes != null ? unitRangeBracket(weapon, hexes) : null;
+    if (range?.outOfRange) {
+      ui.notifications.warn(`${targetActor?.name || 'Target'} is out of range for ${weapon.name} (${hexes} hexes).`);
+      return null;
+    }
+
+    // To-hit number
+    const gunnery = this.getCrewSkill('gunnery');
+    const modifiers = [{ label: gunnery.crewName ? `Gunnery (${gunnery.crewName})` : 'Gunnery', value: gunnery.rating }];
+    const addMod = (label, value) => { if (value) modifiers.push({ label, value }); };
+    if (this.type === 'mech') {
+      const mode = this.system.heat?.movementMode || 'stand';
+      addMod(`Attacker ${MECH_MOVEMENT_MODES[mode]?.label || mode}`, MECH_MOVEMENT_MODES[mode]?.toHit || 0);
+      addMod('Heat', this.system.heat?.effects?.toHitPenalty || 0);
+    }
+    if (this.type === 'ground_vehicle') {
+      const mode = this.system.movement?.mode || 'stand';
+      addMod(`Attacker ${VEHICLE_MOVEMENT_MODES[mode]?.label || mode}`, VEHICLE_MOVEMENT_MODES[mode]?.toHit || 0);
+      addMod('Sensor Hits', Number(status.sensorHits) || 0);
+      addMod('Commander Hit', status.commanderHit ? 1 : 0);
+      addMod('Stabilizer', (status.stabilizers || []).includes(weapon.location) ? 1 : 0);
+    }
+    if (this.type === 'battle_armor') {
+      const mode = this.system.movement?.mode || 'stand';
+      addMod(`Attacker ${BA_MOVEMENT_MODES[mode]?.label || mode}`, BA_MOVEMENT_MODES[mode]?.toHit || 0);
+    }
+    if (range) {
+      addMod(`${range.bracket.charAt(0).toUpperCase()}${range.bracket.slice(1)} Range (${hexes} hex)`, range.modifier);
+      addMod('Minimum Range', range.minimumMod);
+    }
+    addMod('Weapon', Number(weapon.toHit ?? unitWeaponDef(weapon.name)?.toHit) || 0);
+    addMod('Immobile Target', targetIsUnit && UNIT_DAMAGE_PROFILES[targetActor.type].buildings ? IMMOBILE_TARGET_MOD : 0);
+    addMod('Target Movement', Number(options.targetMovementMod) || 0);
+    addMod('Other', Number(options.modifier) || 0);
+    const targetNumber = modifiers.reduce((sum, m) => sum + m.value, 0);
+
+    const roll = await new Roll('2d6').evaluate();
+    const rolls = [roll];
+    const hit = targetNumber <= 12 && roll.total >= targetNumber;
+
+    // Cluster weapons roll how many missiles connect; each damage group then
+    // rolls its own location. A battle armor squad fires the weapon from every
+    // active suit, so it clusters too.
+    const fired = this.type === 'battle_armor' ? baSquadWeapon(weapon, this.system.squad?.active) : weapon;
+    let missiles = null;
+    let clusterRoll = null;
+    const hits = [];
+    if (hit) {
+      if (Number(fired.rack) > 0) {
+        const cr = await new Roll('2d6').evaluate();
+        rolls.push(cr);
+        clusterRoll = cr.total;
+        missiles = clusterHits(fired.rack, cr.total);
+      }
+      const layout = {
+        hasTurret: !!targetActor?.system?.layout?.turret,
+        hasRotor: !!targetActor?.system?.layout?.rotor
+      };
+      for (const damage of damageGroups(fired, missiles)) {
+        if (!targetIsUnit) { hits.push({ damage }); continue; }
+        // Against battle armor each group strikes one trooper (1d6).
+        if (UNIT_DAMAGE_PROFILES[targetActor.type].troopers) {
+          const tr = await new Roll('1d6').evaluate();
+          rolls.push(tr);
+          const idx = baTrooperHit(targetActor.system.troopers, tr.total);
+          if (idx < 0) { hits.push({ damage }); continue; }
+          const location = targetActor.system.troopers[idx].id;
+          hits.push({ damage, locationRoll: tr.total, location, rear: false, critical: false, motive: false, locationLabel: this._unitLocationLabel(targetActor, location) });
+          continue;
+        }
+        // Against an installation each group strikes the building aimed at,
+        // or one of those still standing at random.
+        if (UNIT_DAMAGE_PROFILES[targetActor.type].buildings) {
+          const standing = (targetActor.system.buildings || []).filter(b => buildingState(b) !== 'destroyed');
+          let location = standing.find(b => b.id === options.building)?.id || null;
+          let locationRoll = null;
+          if (!location && standing.length) {
+            const br = await new Roll(`1d${standing.length}`).evaluate();
+            rolls.push(br);
+            locationRoll = br.total;
+            location = standing[br.total - 1].id;
+          }
+          if (!location) { hits.push({ damage }); continue; }
+          hits.push({ damage, locationRoll, location, rear: false, critical: false, motive: false, locationLabel: this._unitLocationLabel(targetActor, location) });
+          continue;
+        }
+        const lr = await new Roll('2d6').evaluate();
+        rolls.push(lr);
+        const loc = hitLocation(targetActor.type, direction, lr.total, layout);
+        hits.push({ damage, locationRoll: lr.total, ...loc, locationLabel: this._unitLocationLabel(targetActor, loc.location, loc.rear) });
+      }
+    }
+
+    // Bookkeeping: the weapon counts toward this turn's heat, the bin loses a shot.
+    const weapons = foundry.utils.deepClone(this.system.weapons || []);
+    const row = weapons.find(w => w.id === weaponId);
+    if (row) row.fired = true;
+    const update = { 'system.weapons': weapons };
+    if (bin) {
+      bin.shots = Math.max(0, (Number(bin.shots) || 0) - 1);
+      update['system.ammo'] = ammo;
+    }
+    await this.update(update);
+
+    const result = {
+      weaponName: weapon.name || 'Weapon',
+      rear: !!weapon.rear,
+      targetName: targetActor?.name || null,
+      targetActorId: targetActor?.id || null,
+      targetTokenId: targetToken?.document?.id || targetToken?.id || null,
+      targetSceneId: canvas.scene?.id || null,
+      canApplyDamage: targetIsUnit && (targetActor.isOwner || game.user.isGM),
+      directionLabel: ATTACK_DIRECTIONS[direction] || direction,
+      modifiers,
+      targetNumber,
+      impossible: targetNumber > 12,
+      roll: roll.total,
+      hit,
+      missiles,
+      rack: Number(fired.rack) || 0,
+      clusterRoll,
+      hits,
+      totalDamage: hits.reduce((sum, h) => sum + h.damage, 0),
+      ammoName: bin?.name || null,
+      ammoLeft: bin ? bin.shots : null
+    };
+
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/unit-weapon-attack.hbs", result
+    );
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: `${result.weaponName} Attack`,
+      content,
+      rolls
+    });
+    return result;
+  }
+
+  /** Display label for a unit location key (rear torso armor noted). */
+  _unitLocationLabel(actor, location, rear = false) {
+    if (actor.type === 'mech') {
+      const label = MECH_LOCATIONS.find(l => l.key === location)?.label || location;
+      return rear ? `${label} (Rear)` : label;
+    }
+    if (actor.type === 'ground_vehicle') return VEHICLE_LOCATIONS.find(l => l.key === location)?.label || location;
+    if (actor.type === 'battle_armor') {
+      const troopers = actor.system.troopers || [];
+      const i = troopers.findIndex(t => t.id === location);
+      return i < 0 ? 'Trooper' : (troopers[i].name || `Trooper ${i + 1}`);
+    }
+    if (actor.type === 'installation') {
+      const buildings = actor.system.buildings || [];
+      const i = buildings.findIndex(b => b.id === location);
+      return i < 0 ? 'Building' : (buildings[i].name || `Building ${i + 1}`);
+    }
+    if (location === 'si') return 'Structural Integrity';
+    return location.charAt(0).toUpperCase() + location.slice(1);
+  }
+
+  /**
+   * Apply BattleTech-scale damage to this unit at a location: armor first,
+   * then internal structure, transferring inward per the unit's damage
+   * profile. Internal structure damage (or a through-armor critical roll)
+   * triggers a critical check: determining critical hits on a 'Mech, the
+   * location's critical hits table on a vehicle. A vehicle motive hit rolls
+   * on the motive system damage table. A battle armor squad's location is a
+   * trooper (see `_applyTrooperDamage`), an installation's a building (see
+   * `_applyBuildingDamage`). Posts a summary to chat.
+   * @param {number} damage
+   * @param {string} location Location key struck (a trooper or building id)
+   * @param {Object} [options]
+   * @param {boolean} [options.rear] Rear-arc hit (uses rear torso armor)
+   * @param {boolean} [options.critical] The hit-location roll was a possible critical
+   * @param {boolean} [options.motive] The hit-location roll was a vehicle motive hit
+   * @param {boolean} [options.internal] Bypass armor (ammunition explosions)
+   * @returns {Promise<Object|null>} The allocation result
+   */
+  async applyUnitDamage(damage, location, { rear = false, critical = false, motive = false, internal = false } = {}) {
+    if (!UNIT_DAMAGE_PROFILES[this.type]) return null;
+    if (UNIT_DAMAGE_PROFILES[this.type].troopers) return this._applyTrooperDamage(damage, location);
+    if (UNIT_DAMAGE_PROFILES[this.type].buildings) return this._applyBuildingDamage(damage, location);
+    const result = allocateUnitDamage(this.type, {
+      armor: this.system.armor,
+      structure: this.system.structure
+    }, location, damage, { rear, internal });
+
+    await this.update({ 'system.armor': result.armor, 'system.structure': result.structure });
+
+    // Critical chances: every 'Mech location whose structure was struck (and
+    // survived), plus a through-armor critical on the location struck.
+    const rolls = [];
+    const crits = [];
+    const critLocations = new Set(result.structureHit.filter(l => !result.destroyed.includes(l)));
+    if (critical && !result.destroyed.includes(location)) critLocations.add(location);
+    for (const loc of critLocations) {
+      const cr = await new Roll('2d6').evaluate();
+      rolls.push(cr);
+      const label = this._unitLocationLabel(this, loc);
+      if (this.type === 'ground_vehicle') {
+        const text = await this._applyVehicleCrit(loc, vehicleCrit(loc, cr.total), rolls);
+        crits.push({ location: loc, label, roll: cr.total, count: text ? 1 : 0, text: text || 'none' });
+        continue;
+      }
+      const count = critCount(cr.total);
+      crits.push({ location: loc, label, roll: cr.total, count, text: count ? `${count} critical hit${count > 1 ? 's' : ''}` : 'none' });
+    }
+
+    // Motive system damage (not on a VTOL, nor once the vehicle is wrecked).
+    let motiveResult = null;
+    if (motive && this.type === 'ground_vehicle' && !result.unitDestroyed) {
+      const mr = await new Roll('2d6').evaluate();
+      motiveResult = motiveDamage(mr.total, this.system.motiveType, location);
+      if (motiveResult) {
+        rolls.push(mr);
+        await this.update({ 'system.motive': applyMotiveDamage(this.system.motive, motiveResult.result) });
+      }
+    }
+    const unitDestroyed = result.unitDestroyed || (this.type === 'ground_vehicle' && !!this.system.status?.destroyed);
+    if (this.type === 'ground_vehicle' && unitDestroyed && !this.system.status?.destroyed) {
+      await this.update({ 'system.status.destroyed': true });
+    }
+
+    const lines = result.steps.map(st => {
+      const parts = [];
+      if (st.armor) parts.push(`${st.armor} armor`);
+      if (st.structure) parts.push(`${st.structure} structure`);
+      return `${this._unitLocationLabel(this, st.location, st.armorKey !== st.location)}: ${parts.join(', ')}`;
+    });
+    const destroyedLabels = result.destroyed.map(l => this._unitLocationLabel(this, l));
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry unit-damage">
+        <strong>${this.name}</strong> takes ${damage} damage
+        <ul>${lines.map(l => `<li>${l}</li>`).join('')}</ul>
+        ${crits.map(c => `<div class="unit-crit ${c.count ? 'failure' : ''}">Critical check (${c.label}): ${c.roll} — ${c.text}</div>`).join('')}
+        ${motiveResult ? `<div class="unit-motive ${motiveResult.result.key !== 'none' ? 'failure' : ''}">Motive system: ${motiveResult.total} — ${motiveResult.result.label}</div>` : ''}
+        ${destroyedLabels.length ? `<div class="unit-destroyed-loc">Destroyed: ${destroyedLabels.join(', ')}</div>` : ''}
+        ${unitDestroyed ? `<div class="unit-destroyed"><i class="fas fa-skull"></i> ${this.name} is destroyed!</div>` : ''}
+        ${result.lost ? `<div class="unit-damage-lost">${result.lost} excess damage lost</div>` : ''}
+      </div>`,
+      rolls
+    });
+
+    if (unitDestroyed) ui.notifications.error(`${this.name} has been destroyed!`);
+
+    // Any damage to a 'Mech's head rattles the MechWarrior.
+    if (this.type === 'mech' && result.steps.some(st => st.location === 'hd')) {
+      await this.applyPilotHits(1, 'Head hit');
+    }
+    return { ...result, unitDestroyed, crits, motive: motiveResult };
+  }
+
+  /**
+   * Apply a vehicle critical hit: status and motive effects, plus the weapon,
+   * ammunition and turret effects that need the vehicle's rows.
+   * @param {string} location Location struck
+   * @param {Object} crit A `vehicleCrit` result
+   * @param {Roll[]} rolls Any extra rolls are appended for the chat card
+   * @returns {Promise<string|null>} What happened, or null for no critical
+   */
+  async _applyVehicleCrit(location, crit, rolls) {
+    if (crit.key === 'none') return null;
+    const system = this.system;
+    const { status, motive } = applyVehicleCrit(system.status, system.motive, crit, location);
+    const update = { 'system.status': status, 'system.motive': motive };
+    let text = crit.label;
+
+    if (crit.weapon) {
+      const weapons = foundry.utils.deepClone(system.weapons || []);
+      const candidates = weapons.filter(w => w.location === location && w.out !== 'destroyed');
+      if (candidates.length) {
+        const pick = await new Roll(`1d${candidates.length}`).evaluate();
+        rolls.push(pick);
+        const w = candidates[pick.total - 1];
+        w.out = crit.weapon;
+        update['system.weapons'] = weapons;
+        text += `: ${w.name || 'weapon'}`;
+      } else {
+        text += ' (no weapon here)';
+      }
+    }
+    if (crit.ammo) {
+      if ((system.ammo || []).some(a => (Number(a.shots) || 0) > 0)) {
+        status.destroyed = true;
+        text += ' — vehicle destroyed';
+      } else {
+        text += ' (no ammunition aboard)';
+      }
+    }
+    if (crit.turretDestroyed) {
+      update['system.armor.turret.value'] = 0;
+      update['system.structure.turret.value'] = 0;
+      const weapons = update['system.weapons'] || foundry.utils.deepClone(system.weapons || []);
+      for (const w of weapons) if (w.location === 'turret') w.out = 'destroyed';
+      update['system.weapons'] = weapons;
+    }
+    await this.update(update);
+    return text;
+  }
+
+  /**
+   * End-of-turn upkeep for an aerospace fighter, run at each new combat
+   * round: the thrust spent this turn burns that many fuel points, weapon
+   * heat is added and dissipated, and fired weapons reset. Posts a summary.
+   */
+  async resolveFighterEndPhase() {
+    const system = this.system;
+    const thrustUsed = Math.max(0, Number(system.movement?.thrustUsed) || 0);
+    const fuelBefore = Number(system.fuel?.value) || 0;
+    const fuel = Math.max(0, fuelBefore - thrustUsed);
+    const heat = system.heat?.projected ?? 0;
+    const weapons = foundry.utils.deepClone(system.weapons || []);
+    for (const w of weapons) w.fired = false;
+    await this.update({
+      'system.fuel.value': fuel,
+      'system.heat.value': heat,
+      'system.movement.thrustUsed': 0,
+      'system.weapons': weapons
+    });
+    if (!thrustUsed && !system.heat?.weaponHeat && heat === (system.heat?.value ?? 0)) return;
+
+    const stalled = system.modeRules?.minVelocity > 0 && this._fighterVelocity() < system.modeRules.minVelocity;
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry fighter-phase">
+        <strong>${this.name}</strong> end phase:
+        ${thrustUsed ? `burned ${thrustUsed} fuel (${fuelBefore} → ${fuel})` : 'no thrust'},
+        heat ${system.heat?.value ?? 0} → ${heat}
+        ${fuel <= 0 ? '<div class="unit-destroyed">Out of fuel!</div>' : ''}
+        ${stalled ? '<div class="unit-destroyed">Velocity below 1 in atmosphere — the fighter stalls!</div>' : ''}
+      </div>`
+    });
+  }
+
+  /**
+   * Release one bomb from a fighter's bomb bay row (atmospheric mode only) and
+   * announce it; the GM resolves the bombing attack against the target hex.
+   * @param {string} rowId Bomb row id
+   * @returns {Promise<boolean>} Whether a bomb was dropped
+   */
+  async dropBomb(rowId) {
+    if (!this.system.modeRules?.bombs) {
+      ui.notifications.warn(`${this.name} can only drop bombs in atmospheric flight.`);
+      return false;
+    }
+    const drop = releaseBomb(this.system.bombs, rowId);
+    if (!drop) {
+      ui.notifications.warn(`${this.name} has no bombs of that type left.`);
+      return false;
+    }
+    await this.update({ 'system.bombs': drop.bombs });
+    const def = drop.bomb;
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry fighter-phase">
+        <i class="fas fa-bomb"></i> <strong>${this.name}</strong> releases a ${def.label} bomb${def.damage ? ` (${def.damage} damage)` : ''}.
+        ${drop.left} left.
+      </div>`
+    });
+    return true;
+  }
+
+  /** A fighter's latest recorded velocity on its turn track. */
+  _fighterVelocity() {
+    const track = this.system.track || {};
+    let velocity = 0;
+    for (let i = 1; i <= 10; i++) {
+      const turn = track[`t${i}`];
+      if (turn && (Number(turn.velocity) || Number(turn.thrust))) velocity = Number(turn.velocity) || 0;
+    }
+    return velocity;
+  }
+
+  /**
+   * Damage one trooper of a battle armor squad. Armor soaks what it can; past
+   * that the suit is breached and the trooper is out of the fight. When the
+   * squad carries overflow through, the excess (× BA_OVERFLOW_SCALE) lands on
+   * the trooper's pilot as personal-scale standard damage, straight to their
+   * damage track (see `applyDirectDamage`).
+   * @param {number} damage
+   * @param {string} trooperId Trooper struck; a trooper already out passes
+   *   the hit on to the next one standing
+   * @returns {Promise<Object|null>}
+   */
+  async _applyTrooperDamage(damage, trooperId) {
+    const troopers = foundry.utils.deepClone(this.system.troopers || []);
+    let idx = troopers.findIndex(t => t.id === trooperId);
+    if (idx < 0 || troopers[idx].killed) idx = baTrooperHit(troopers, idx + 2);
+    if (idx < 0) {
+      ui.notifications.warn(`${this.name} has no troopers left.`);
+      return null;
+    }
+    const trooper = troopers[idx];
+    const label = trooper.name || `Trooper ${idx + 1}`;
+    const result = allocateTrooperDamage(trooper, damage);
+    trooper.armor = { ...trooper.armor, value: result.armor };
+    trooper.killed = result.killed;
+    const unitDestroyed = baActiveTroopers(troopers) === 0;
+    const update = { 'system.troopers': troopers };
+    if (unitDestroyed) update['system.swarm'] = { actorId: '', tokenId: '', sceneId: '', name: '' };
+    await this.update(update);
+
+    const pilot = trooper.pilot ? game.actors.get(trooper.pilot) : null;
+    const personal = result.overflow * BA_OVERFLOW_SCALE;
+    const carry = result.overflow > 0 && !!pilot && this.system.overflowToPilot !== false;
+    const canApply = carry && (pilot.isOwner || game.user.isGM);
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry unit-damage">
+        <strong>${this.name}</strong> takes ${damage} damage
+        <ul><li>${label}: ${result.absorbed} armor${result.overflow ? `, ${result.overflow} past the armor` : ''}</li></ul>
+        ${result.killed ? `<div class="unit-destroyed-loc">${label}'s suit is breached — out of the fight</div>` : ''}
+        ${carry ? `<div class="pilot-damage"><i class="fas fa-user-injured"></i> <strong>${pilot.name}</strong> takes ${personal} damage${canApply ? '' : ' (apply manually)'}</div>` : ''}
+        ${unitDestroyed ? `<div class="unit-destroyed"><i class="fas fa-skull"></i> ${this.name} is wiped out!</div>` : ''}
+      </div>`
+    });
+    if (canApply) await pilot.applyDirectDamage(personal);
+    else if (carry) ui.notifications.warn(`You cannot modify ${pilot.name}; apply ${personal} damage manually.`);
+    if (unitDestroyed) ui.notifications.error(`${this.name} has been wiped out!`);
+    return { trooper: trooper.id, ...result, unitDestroyed };
+  }
+
+  /**
+   * Damage one building of an installation: its CF drops point for point.
+   * A building that collapses takes its turret weapons with it. An
+   * installation with no building left standing is destroyed.
+   * @param {number} damage
+   * @param {string} buildingId Building struck
+   * @returns {Promise<Object|null>}
+   */
+  async _applyBuildingDamage(damage, buildingId) {
+    const buildings = foundry.utils.deepClone(this.system.buildings || []);
+    const building = buildings.find(b => b.id === buildingId);
+    if (!building || buildingState(building) === 'destroyed') {
+      ui.notifications.warn(`That building of ${this.name} is already destroyed.`);
+      return null;
+    }
+    const label = this._unitLocationLabel(this, buildingId);
+    const result = damageBuilding(building, damage);
+    building.cf = { ...building.cf, value: result.cf };
+    const update = { 'system.buildings': buildings };
+    let lostWeapons = [];
+    if (result.collapsed) {
+      const weapons = foundry.utils.deepClone(this.system.weapons || []);
+      lostWeapons = weapons.filter(w => w.location === buildingId && w.out !== 'destroyed');
+      for (const w of lostWeapons) w.out = 'destroyed';
+      if (lostWeapons.length) update['system.weapons'] = weapons;
+    }
+    await this.update(update);
+    const unitDestroyed = buildings.length > 0 && buildings.every(b => buildingState(b) === 'destroyed');
+    const lost = Math.max(0, (Number(damage) || 0) - result.absorbed);
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry unit-damage">
+        <strong>${this.name}</strong> takes ${damage} damage
+        <ul><li>${label}: ${result.absorbed} CF (${result.cf} left)</li></ul>
+        ${result.collapsed ? `<div class="unit-destroyed-loc">${label} collapses${lostWeapons.length ? ` — ${lostWeapons.map(w => w.name || 'weapon').join(', ')} destroyed` : ''}</div>` : ''}
+        ${unitDestroyed ? `<div class="unit-destroyed"><i class="fas fa-skull"></i> ${this.name} is destroyed!</div>` : ''}
+        ${lost ? `<div class="unit-damage-lost">${lost} excess damage lost</div>` : ''}
+      </div>`
+    });
+    if (unitDestroyed) ui.notifications.error(`${this.name} has been destroyed!`);
+    return { building: buildingId, ...result, unitDestroyed };
+  }
+
+  /**
+   * A battle armor squad's anti-'Mech attack: a leg attack on a 'Mech, or a
+   * swarm attack on a 'Mech or vehicle. The to-hit number is the squad's
+   * Anti-'Mech (Piloting) rating plus the active-trooper modifier. A leg
+   * attack strikes one leg with a critical chance. A swarm attack first
+   * attaches the squad to the target; once attached, each attack strikes with
+   * every trooper's weapons on the swarm location table. Posts the unit attack
+   * card, with Apply buttons for the hits.
+   * @param {'leg'|'swarm'} kind
+   * @param {Object} [options]
+   * @param {Token} [options.target] Target token (a swarm already attached uses its own)
+   * @param {number} [options.targetMovementMod]
+   * @param {number} [options.modifier]
+   * @returns {Promise<Object|null>}
+   */
+  async rollAntiMechAttack(kind, options = {}) {
+    const system = this.system;
+    const name = kind === 'leg' ? 'Leg Attack' : 'Swarm Attack';
+    if (system.squad?.destroyed) {
+      ui.notifications.warn(`${this.name} has no troopers left.`);
+      return null;
+    }
+    if (!system.antiMech?.capable) {
+      ui.notifications.warn(`${this.name}'s suits cannot make anti-'Mech attacks (weight class or manipulators).`);
+      return null;
+    }
+    const swarm = system.swarm || {};
+    const attached = kind === 'swarm' && !!swarm.actorId;
+    let targetToken = attached ? null : (options.target || null);
+    let targetActor = targetToken?.actor || null;
+    if (attached) {
+      targetActor = (swarm.tokenId && game.scenes.get(swarm.sceneId)?.tokens.get(swarm.tokenId)?.actor)
+        || game.actors.get(swarm.actorId) || null;
+    }
+    if (!targetActor) {
+      ui.notifications.warn(attached ? `${this.name}'s swarm target is gone.` : `Target a unit for the ${name.toLowerCase()}.`);
+      return null;
+    }
+    if (kind === 'leg' && swarm.actorId) {
+      ui.notifications.warn(`${this.name} is swarming ${swarm.name}; drop off first.`);
+      return null;
+    }
+    const allowed = kind === 'leg' ? ['mech'] : ['mech', 'ground_vehicle'];
+    if (!allowed.includes(targetActor.type)) {
+      ui.notifications.warn(`${name}s only work against ${kind === 'leg' ? "'Mechs" : "'Mechs and vehicles"}.`);
+      return null;
+    }
+
+    const piloting = this.getCrewSkill('piloting');
+    const modifiers = [{ label: piloting.crewName ? `Anti-'Mech (${piloting.crewName})` : "Anti-'Mech", value: piloting.rating }];
+    const addMod = (label, value) => { if (value) modifiers.push({ label, value }); };
+    addMod(`Troopers Active (${system.squad.active})`, system.antiMech.modifier);
+    addMod('Target Movement', Number(options.targetMovementMod) || 0);
+    addMod('Other', Number(options.modifier) || 0);
+    const targetNumber = modifiers.reduce((sum, m) => sum + m.value, 0);
+
+    const roll = await new Roll('2d6').evaluate();
+    const rolls = [roll];
+    const hit = targetNumber <= 12 && roll.total >= targetNumber;
+    const hits = [];
+    let note = null;
+    if (hit && kind === 'leg') {
+      const lr = await new Roll('1d6').evaluate();
+      rolls.push(lr);
+      const location = lr.total <= 3 ? 'll' : 'rl';
+      hits.push({
+        damage: system.antiMech.legDamage, locationRoll: lr.total, location, rear: false, critical: true, motive: false,
+        locationLabel: this._unitLocationLabel(targetActor, location)
+      });
+    } else if (hit && !attached) {
+      const tokenDoc = targetToken?.document || null;
+      await this.update({
+        'system.swarm': {
+          actorId: targetActor.id,
+          tokenId: tokenDoc?.id || '',
+          sceneId: tokenDoc?.parent?.id || canvas.scene?.id || '',
+          name: targetActor.name
+        }
+      });
+      note = `${this.name} swarms onto ${targetActor.name}; its next swarm attacks strike with every trooper's weapons.`;
+    } else if (hit) {
+      const layout = { hasTurret: !!targetActor.system?.layout?.turret, hasRotor: !!targetActor.system?.layout?.rotor };
+      for (const damage of baSwarmDamage(system.weapons, system.squad.active)) {
+        const lr = await new Roll('2d6').evaluate();
+        rolls.push(lr);
+        const loc = targetActor.type === 'mech'
+          ? { ...swarmHitLocation(lr.total), critical: false, motive: false }
+          : hitLocation(targetActor.type, 'rear', lr.total, layout);
+        hits.push({ damage, locationRoll: lr.total, ...loc, locationLabel: this._unitLocationLabel(targetActor, loc.location, loc.rear) });
+      }
+      if (!hits.length) note = `${this.name} has no working weapons to strike with.`;
+    }
+
+    const result = {
+      weaponName: name,
+      rear: false,
+      targetName: targetActor.name,
+      targetActorId: targetActor.id,
+      targetTokenId: attached ? (swarm.tokenId || null) : (targetToken?.document?.id || targetToken?.id || null),
+      targetSceneId: attached ? (swarm.sceneId || null) : (canvas.scene?.id || null),
+      canApplyDamage: targetActor.isOwner || game.user.isGM,
+      directionLabel: attached ? 'Swarming' : (kind === 'leg' ? 'Legs' : 'Attaching'),
+      modifiers,
+      targetNumber,
+      impossible: targetNumber > 12,
+      roll: roll.total,
+      hit,
+      missiles: null,
+      rack: 0,
+      clusterRoll: null,
+      hits,
+      totalDamage: hits.reduce((sum, h) => sum + h.damage, 0),
+      note
+    };
+    const content = await foundry.applications.handlebars.renderTemplate(
+      "systems/mech-foundry/templates/chat/unit-weapon-attack.hbs", result
+    );
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: name,
+      content,
+      rolls
+    });
+    return result;
+  }
+
+  /** Drop a swarming battle armor squad off its target. */
+  async dismountSwarm() {
+    const swarm = this.system.swarm || {};
+    if (!swarm.actorId) return;
+    await this.update({ 'system.swarm': { actorId: '', tokenId: '', sceneId: '', name: '' } });
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry unit-damage"><strong>${this.name}</strong> drops off ${swarm.name || 'its target'}.</div>`
+    });
+  }
+
+  /**
+   * End-of-turn upkeep for a battle armor squad, run at each new combat
+   * round: fired weapons and the turn's movement mode reset, and a swarm
+   * whose target no longer exists lets go.
+   */
+  async resolveBattleArmorEndPhase() {
+    const weapons = foundry.utils.deepClone(this.system.weapons || []);
+    for (const w of weapons) w.fired = false;
+    const update = { 'system.movement.mode': 'stand', 'system.weapons': weapons };
+    const swarm = this.system.swarm || {};
+    if (swarm.actorId && !game.actors.get(swarm.actorId)) {
+      update['system.swarm'] = { actorId: '', tokenId: '', sceneId: '', name: '' };
+    }
+    await this.update(update);
+  }
+
+  /**
+   * End-of-turn upkeep for an installation, run at each new combat round:
+   * its turrets' fired weapons reset.
+   */
+  async resolveInstallationEndPhase() {
+    const weapons = foundry.utils.deepClone(this.system.weapons || []);
+    if (!weapons.some(w => w.fired)) return;
+    for (const w of weapons) w.fired = false;
+    await this.update({ 'system.weapons': weapons });
+  }
+
+  /**
+   * End-of-turn upkeep for a ground vehicle, run at each new combat round:
+   * crew stuns and turret jams wear off, fired weapons and the turn's
+   * movement mode reset.
+   */
+  async resolveVehicleEndPhase() {
+    const status = this.system.status || {};
+    const weapons = foundry.utils.deepClone(this.system.weapons || []);
+    for (const w of weapons) w.fired = false;
+    const wasStunned = status.crewStunned > 0;
+    const update = {
+      'system.status.crewStunned': Math.max(0, (Number(status.crewStunned) || 0) - 1),
+      'system.status.turretJammed': Math.max(0, (Number(status.turretJammed) || 0) - 1),
+      'system.movement.mode': 'stand',
+      'system.weapons': weapons
+    };
+    await this.update(update);
+    if (wasStunned && update['system.status.crewStunned'] === 0) {
+      await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `<div class="mech-foundry unit-damage"><strong>${this.name}</strong>'s crew recovers from being stunned.</div>`
+      });
+    }
+  }
+
+  /**
+   * Carry Total Warfare pilot hits over to the pilot character's damage track
+   * via `applyDirectDamage` (PILOT_HIT_DAMAGE standard damage per hit).
+   * @param {number} hits
+   * @param {string} source Shown in chat (e.g. "Head hit")
+   * @returns {Promise<number>} Damage rolled (0 when no pilot is assigned)
+   */
+  async applyPilotHits(hits, source) {
+    const pilot = this.getCrewMember('pilot');
+    if (!pilot || !(hits > 0)) return 0;
+
+    const roll = await new Roll(Array(hits).fill(PILOT_HIT_DAMAGE).join(' + ')).evaluate();
+    const canApply = pilot.isOwner || game.user.isGM;
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: `<div class="mech-foundry pilot-damage">
+        <i class="fas fa-user-injured"></i> <strong>${pilot.name}</strong> takes ${hits} pilot hit${hits > 1 ? 's' : ''}
+        from <strong>${source}</strong>: ${roll.total} standard damage${canApply ? '' : ' (apply manually)'}
+      </div>`,
+      rolls: [roll]
+    });
+    if (canApply) await pilot.applyDirectDamage(roll.total);
+    else ui.notifications.warn(`You cannot modify ${pilot.name}; apply ${roll.total} damage manually.`);
+    return roll.total;
+  }
+
+  /**
+   * Piloting Skill Roll (TW p.59) against the pilot's Piloting rating. A 'Mech
+   * that fails falls: it takes falling damage in 5-point groups on the front
+   * hit table, and the pilot rolls again (+1) to avoid a pilot hit. A ground
+   * vehicle makes the same roll as a Driving Skill Roll, adding the modifiers
+   * from its motive damage and driver/commander hits.
+   * @param {Object} [options]
+   * @param {number} [options.modifier] Situational modifiers
+   * @param {string} [options.reason] Why the roll is needed (shown in chat)
+   * @param {number} [options.levels] Levels fallen on a failure
+   * @returns {Promise<{success: boolean, roll: number, targetNumber: number}>}
+   */
+  async rollPilotingSkill({ modifier = 0, reason = '', levels = 0 } = {}) {
+    const piloting = this.getCrewSkill('piloting');
+    // Ground vehicles roll Driving, worsened by motive damage and crew hits.
+    const isVehicle = this.type === 'ground_vehicle';
+    const title = isVehicle ? 'Driving Skill Roll' : 'Piloting Skill Roll';
+    const damageMod = isVehicle ? (Number(this.system.drivingMod) || 0) : 0;
+    const targetNumber = piloting.rating + (Number(modifier) || 0) + damageMod;
+    const roll = await new Roll('2d6').evaluate();
+    const success = roll.total >= targetNumber;
+
+    const notes = [`${isVehicle ? 'Driving' : 'Piloting'} ${piloting.rating}`];
+    if (modifier) notes.push(`${modifier >= 0 ? '+' : ''}${modifier}`);
+    if (damageMod) notes.push(`+${damageMod} damage`);
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      flavor: title,
+      content: `<div class="mech-foundry roll-result psr-roll">
+        <div class="roll-title">${title}${reason ? `: ${reason}` : ''}</div>
+        <div class="roll-formula">2d6 = ${roll.total}</div>
+        <div class="roll-tn">TN: ${targetNumber} (${notes.join(', ')})</div>
+        <div class="roll-mos ${success ? 'success' : 'failure'}">${success ? 'Success' : (this.type === 'mech' ? 'Failure — falls!' : 'Failure')}</div>
+      </div>`,
+      rolls: [roll]
+    });
+
+    if (!success && this.type === 'mech') {
+      for (const damage of fallDamage(this.system.tonnage, levels)) {
+        const lr = await new Roll('2d6').evaluate();
+        const loc = hitLocation('mech', 'front', lr.total);
+        await this.applyUnitDamage(damage, loc.location, { critical: loc.critical });
+      }
+      const avoid = await new Roll('2d6').evaluate();
+      if (avoid.total < targetNumber + 1) {
+        await this.applyPilotHits(1, `Fall (avoid roll ${avoid.total} vs ${targetNumber + 1})`);
+      }
+    }
+    return { success, roll: roll.total, targetNumber };
+  }
 }
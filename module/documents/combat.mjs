@@ -1,3 +1,11 @@
+import {
+  ACTION_TYPES, MOVEMENT_MODES, blankActions, spendAction, actionSummary, inferMovementMode, setMovement,
+  recoilBuilt, addRecoil, resetActionsUpdate
+} from "../helpers/action-economy.mjs";
+
+/** Actor types that take personal-scale actions (units have their own phases). */
+const ACTING_TYPES = ['character', 'npc'];
+
 /**
  * Extend the base Combat document for the Mech Foundry system.
  *
@@ -6,6 +14,14 @@
  * so the tiebreak must live there — sorting the derived `combat.turns` array
  * elsewhere has no persistent effect.
  *
+ * It also tracks each character's action economy for the turn — one Complex
+ * or two Simple actions plus Incidentals — in the combatant's
+ * `flags.mech-foundry.actions`, with how they are moving this turn (picked
+ * in the tracker, or worked out from how far their token went) and the
+ * recoil each weapon has built up. Spending
+ * more warns rather than blocks; the counters reset on `combatTurn` /
+ * `combatRound`.
+ *
  * @extends {Combat}
  */
 export class MechFoundryCombat extends Combat {
@@ -30,4 +46,160 @@ export class MechFoundryCombat extends Combat {
     // Stable final fallback by document id.
     return (a.id ?? "").localeCompare(b.id ?? "");
   }
+
+  /* -------------------------------------------- */
+  /*  Action Economy                              */
+  /* -------------------------------------------- */
+
+  /**
+   * The combatant an actor fights as in this combat, if it takes actions.
+   * @param {Actor} actor
+   * @returns {Combatant|null}
+   */
+  actingCombatant(actor) {
+    if (!actor || !ACTING_TYPES.includes(actor.type)) return null;
+    return this.getCombatantsByActor(actor)[0] ?? null;
+  }
+
+  /**
+   * Actions a combatant has spent this turn.
+   * @param {Combatant} combatant
+   * @returns {Object}
+   */
+  getActions(combatant) {
+    return { ...blankActions(), ...(combatant?.getFlag("mech-foundry", "actions") || {}) };
+  }
+
+  /**
+   * The sheet / tracker summary of an actor's actions this turn.
+   * @param {Actor} actor
+   * @returns {Object|null} null when the actor isn't acting in this combat
+   */
+  actionSummary(actor) {
+    const combatant = this.actingCombatant(actor);
+    return combatant ? actionSummary(this.getActions(combatant)) : null;
+  }
+
+  /**
+   * Spend an action for an actor, warning when it takes them past one
+   * Complex or two Simple actions this turn.
+   * @param {Actor} actor
+   * @param {string} type An ACTION_TYPES key
+   * @param {string} [label] What the action was
+   * @returns {Promise<Object|null>} The turn's record, or null if not tracked
+   */
+  async spendAction(actor, type, label = "") {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant) return null;
+    return this._commitAction(combatant, type, label);
+  }
+
+  /**
+   * How an actor is moving this turn.
+   * @param {Actor} actor
+   * @returns {string|null} A MOVEMENT_MODES key, or null if not tracked
+   */
+  movementMode(actor) {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant) return null;
+    return this.getActions(combatant).movement?.mode ?? "stationary";
+  }
+
+  /**
+   * Add a token's travel to an actor's movement this turn. Unless a mode
+   * was picked by hand, walk / run / sprint follows the total distance.
+   * @param {Actor} actor
+   * @param {number} distance Meters just moved
+   * @returns {Promise<Object|null>} The turn's record, or null if not tracked
+   */
+  async recordMovement(actor, distance) {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant || !(distance > 0)) return null;
+    const actions = this.getActions(combatant);
+    const total = (Number(actions.movement?.distance) || 0) + distance;
+    const current = actions.movement?.mode ?? "stationary";
+    const mode = actions.movement?.manual && current !== "stationary"
+      ? current
+      : inferMovementMode(total, actor.system.movement);
+    if (mode === current) {
+      await combatant.setFlag("mech-foundry", "actions.movement.distance", total);
+      return actions;
+    }
+    return this._commitMovement(combatant, mode, { distance: total });
+  }
+
+  /**
+   * Pick an actor's movement mode for the turn by hand.
+   * @param {Actor} actor
+   * @param {string} mode A MOVEMENT_MODES key, or "auto" to go by distance again
+   * @returns {Promise<Object|null>} The turn's record, or null if not tracked
+   */
+  async setMovementMode(actor, mode) {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant) return null;
+    if (mode === "auto") {
+      const distance = this.getActions(combatant).movement?.distance || 0;
+      return this._commitMovement(combatant, inferMovementMode(distance, actor.system.movement), { manual: false });
+    }
+    if (!(mode in MOVEMENT_MODES)) return null;
+    return this._commitMovement(combatant, mode, { manual: true });
+  }
+
+  /**
+   * Recoil an actor's weapon has built up over earlier attacks this turn.
+   * @param {Actor} actor
+   * @param {string} weaponId
+   * @returns {number} 0 when the actor isn't acting in this combat
+   */
+  weaponRecoil(actor, weaponId) {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant) return 0;
+    return recoilBuilt(this.getActions(combatant), weaponId);
+  }
+
+  /**
+   * Carry an attack's recoil over to the weapon's next attack this turn.
+   * @param {Actor} actor
+   * @param {string} weaponId
+   * @param {number} points The attack's recoil per shot
+   * @returns {Promise<Object|null>} The turn's record, or null if not tracked
+   */
+  async addWeaponRecoil(actor, weaponId, points) {
+    const combatant = this.actingCombatant(actor);
+    if (!this.started || !combatant || !(points > 0)) return null;
+    const actions = addRecoil(this.getActions(combatant), weaponId, points);
+    await combatant.setFlag("mech-foundry", "actions", actions);
+    return actions;
+  }
+
+  /** Save a new movement mode on a combatant's record. */
+  async _commitMovement(combatant, mode, changes) {
+    const { actions, over } = setMovement(this.getActions(combatant), mode, changes);
+    await combatant.setFlag("mech-foundry", "actions", actions);
+    if (over) {
+      ui.notifications.warn(`${combatant.name} has already used their actions this turn (${MOVEMENT_MODES[mode].label}).`);
+    }
+    return actions;
+  }
+
+  /** Spend an action on a combatant's record and save it. */
+  async _commitAction(combatant, type, label) {
+    const { actions, over } = spendAction(this.getActions(combatant), type, label);
+    await combatant.setFlag("mech-foundry", "actions", actions);
+    if (over) {
+      ui.notifications.warn(`${combatant.name} has already used their actions this turn (${label || ACTION_TYPES[type].label}).`);
+    }
+    return actions;
+  }
+
+  /**
+   * Clear the action counters.
+   * @param {Combatant[]} [combatants] Defaults to every combatant
+   */
+  async resetActions(combatants = this.combatants.contents) {
+    const updates = combatants
+      .filter(c => c.getFlag("mech-foundry", "actions"))
+      .map(c => ({ _id: c.id, ...resetActionsUpdate() }));
+    if (updates.length) await this.updateEmbeddedDocuments("Combatant", updates);
+  }
 }
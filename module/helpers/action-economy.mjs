@@ -0,0 +1,237 @@
+/**
+ * Action economy for a combat turn (A Time of War): each character gets one
+ * Complex action or two Simple actions per turn, plus Incidental actions.
+ *
+ * Pure bookkeeping — `MechFoundryCombat` keeps each combatant's record in its
+ * flags and calls these to spend and summarize it, along with how the
+ * character is moving this turn and the recoil their weapons have built
+ * up. Aiming, which builds up
+ * over several actions, is tracked on the actor (`system.aim`) by the same
+ * kind of helpers.
+ */
+
+/** Action types and the Simple-action slots each takes. */
+export const ACTION_TYPES = {
+  simple: { label: 'Simple', slots: 1 },
+  complex: { label: 'Complex', slots: 2 },
+  incidental: { label: 'Incidental', slots: 0 }
+};
+
+/** Simple-action slots per turn (a Complex action fills both). */
+export const ACTION_SLOTS = 2;
+
+/** What the things a character does in combat cost. */
+export const ACTION_COSTS = {
+  attack: { type: 'simple', label: 'Attack' },
+  reload: { type: 'simple', label: 'Reload' },
+  clearStun: { type: 'simple', label: 'Clear Stun' },
+  aim: { type: 'simple', label: 'Aim' },
+  overwatch: { type: 'simple', label: 'Overwatch' },
+  firstAid: { type: 'complex', label: 'First Aid' },
+  recoverFatigue: { type: 'complex', label: 'Recover Fatigue' }
+};
+
+/**
+ * Movement modes for a turn: what each costs, the modifier it puts on the
+ * mover's own attacks (null: they can't attack) and on attacks against them,
+ * and which derived `system.movement` speed caps it.
+ */
+export const MOVEMENT_MODES = {
+  stationary: { label: 'Stationary', action: null, attack: 0, defense: 0, speed: null },
+  crawl: { label: 'Crawl', action: 'simple', attack: -2, defense: 0, speed: 'crawl' },
+  walk: { label: 'Walk', action: 'simple', attack: -1, defense: -1, speed: 'walk' },
+  run: { label: 'Run', action: 'simple', attack: -2, defense: -2, speed: 'run' },
+  sprint: { label: 'Sprint', action: 'complex', attack: null, defense: -2, speed: 'sprint' },
+  evade: { label: 'Evade', action: 'complex', attack: null, defense: -3, speed: 'run' }
+};
+
+/** A fresh turn's record. */
+export function blankActions() {
+  return {
+    simple: 0, complex: 0, incidental: 0, moved: false, log: [],
+    movement: { mode: 'stationary', distance: 0, manual: false },
+    recoil: {}
+  };
+}
+
+/**
+ * The Combatant update that starts a fresh turn. The record is deleted rather
+ * than overwritten with `blankActions()`: Foundry deep-merges updates, so an
+ * empty `recoil` would leave every weapon's recoil in place.
+ * @returns {Object} Flat update data for the combatant
+ */
+export function resetActionsUpdate() {
+  return { 'flags.mech-foundry.-=actions': null };
+}
+
+/** Simple-action slots a turn's record has used. */
+export function slotsUsed(actions) {
+  return Object.entries(ACTION_TYPES)
+    .reduce((sum, [key, def]) => sum + (Number(actions?.[key]) || 0) * def.slots, 0);
+}
+
+/**
+ * Spend an action.
+ * @param {Object} actions The turn's record so far
+ * @param {string} type An ACTION_TYPES key
+ * @param {string} [label] What the action was, for the log
+ * @returns {{actions: Object, over: boolean}} The new record, and whether it
+ *   now holds more than a turn allows
+ */
+export function spendAction(actions, type, label = '') {
+  if (!(type in ACTION_TYPES)) throw new Error(`Unknown action type: ${type}`);
+  const next = { ...blankActions(), ...actions, log: [...(actions?.log || [])] };
+  next[type] = (Number(next[type]) || 0) + 1;
+  next.log.push({ type, label: label || ACTION_TYPES[type].label });
+  return { actions: next, over: slotsUsed(next) > ACTION_SLOTS };
+}
+
+/**
+ * The movement mode a distance covered this turn implies: the slowest of
+ * walk, run and sprint that reaches it.
+ * @param {number} distance Meters moved this turn
+ * @param {Object} movement The actor's derived `system.movement`
+ * @returns {string} A MOVEMENT_MODES key
+ */
+export function inferMovementMode(distance, movement) {
+  if (!(Number(distance) > 0)) return 'stationary';
+  for (const mode of ['walk', 'run']) {
+    if (distance <= (Number(movement?.[MOVEMENT_MODES[mode].speed]) || 0)) return mode;
+  }
+  return 'sprint';
+}
+
+/**
+ * Set how a character is moving this turn, swapping the action charged for
+ * any earlier mode for the new one's.
+ * @param {Object} actions The turn's record so far
+ * @param {string} mode A MOVEMENT_MODES key
+ * @param {Object} [changes] Other `movement` fields (distance, manual)
+ * @returns {{actions: Object, over: boolean}}
+ */
+export function setMovement(actions, mode, changes = {}) {
+  if (!(mode in MOVEMENT_MODES)) throw new Error(`Unknown movement mode: ${mode}`);
+  const blank = blankActions();
+  const next = { ...blank, ...actions, log: [...(actions?.log || [])] };
+  next.movement = { ...blank.movement, ...actions?.movement, ...changes, mode };
+
+  const charged = next.log.findIndex(entry => entry.movement);
+  if (charged >= 0) {
+    const [entry] = next.log.splice(charged, 1);
+    next[entry.type] = Math.max(0, (Number(next[entry.type]) || 0) - 1);
+  }
+  const def = MOVEMENT_MODES[mode];
+  if (def.action) {
+    next[def.action] = (Number(next[def.action]) || 0) + 1;
+    next.log.push({ type: def.action, label: def.label, movement: true });
+  }
+  next.moved = mode !== 'stationary';
+  return { actions: next, over: slotsUsed(next) > ACTION_SLOTS };
+}
+
+/**
+ * What a turn's record shows on the sheet and tracker.
+ * @param {Object} actions
+ * @returns {{used: number, left: number, over: boolean, incidental: number,
+ *   pips: Array<{filled: boolean, over: boolean}>, log: Array<{type: string, label: string}>,
+ *   movement: string}}
+ */
+export function actionSummary(actions) {
+  const used = slotsUsed(actions);
+  return {
+    used,
+    left: Math.max(0, ACTION_SLOTS - used),
+    over: used > ACTION_SLOTS,
+    incidental: Number(actions?.incidental) || 0,
+    pips: Array.from({ length: Math.max(ACTION_SLOTS, used) }, (_, i) => ({ filled: i < used, over: i >= ACTION_SLOTS })),
+    log: actions?.log || [],
+    movement: MOVEMENT_MODES[actions?.movement?.mode] ? actions.movement.mode : 'stationary'
+  };
+}
+
+/* -------------------------------------------- */
+/*  Recoil                                      */
+/* -------------------------------------------- */
+
+/**
+ * The recoil penalty one attack with a weapon kicks: its recoil less any
+ * bipod, tripod or mount, then offset by the firer's STR link modifier (a
+ * weak firer feels more of it, a strong one less). A weapon that no longer
+ * kicks at all stays at 0 whatever the firer's STR.
+ * @param {number} recoil The weapon's (or firing mode's) recoil
+ * @param {number} [strLinkMod] The firer's STR link modifier
+ * @param {number} [reduction] Recoil soaked by item effects
+ * @returns {number}
+ */
+export function recoilPerShot(recoil, strLinkMod = 0, reduction = 0) {
+  const kick = (Number(recoil) || 0) - (Number(reduction) || 0);
+  if (kick <= 0) return 0;
+  return Math.max(0, kick - (Number(strLinkMod) || 0));
+}
+
+/**
+ * Recoil a weapon has built up over earlier attacks this turn.
+ * @param {Object} actions The turn's record
+ * @param {string} weaponId
+ * @returns {number}
+ */
+export function recoilBuilt(actions, weaponId) {
+  return Number(actions?.recoil?.[weaponId]) || 0;
+}
+
+/**
+ * Add an attack's recoil to a weapon's running total for the turn.
+ * @param {Object} actions The turn's record so far
+ * @param {string} weaponId
+ * @param {number} points The attack's recoil per shot
+ * @returns {Object} The new record
+ */
+export function addRecoil(actions, weaponId, points) {
+  const next = { ...blankActions(), ...actions };
+  next.recoil = { ...actions?.recoil, [weaponId]: recoilBuilt(actions, weaponId) + Math.max(0, Number(points) || 0) };
+  return next;
+}
+
+/* -------------------------------------------- */
+/*  Aiming                                      */
+/* -------------------------------------------- */
+
+/** To-hit bonus each Aim action earns against the same target. */
+export const AIM_BONUS_PER_ACTION = 1;
+
+/** Most an attack can gain from aiming. */
+export const AIM_MAX_BONUS = 3;
+
+/** An actor that isn't aiming. */
+export function blankAim() {
+  return { target: '', targetName: '', actions: 0 };
+}
+
+/**
+ * Spend an action aiming at a target. Aiming at someone new starts over.
+ * @param {Object} aim The actor's current `system.aim`
+ * @param {string} target The target token's UUID
+ * @param {string} [targetName]
+ * @returns {{aim: Object, switched: boolean}} The new aim, and whether an
+ *   aim at a different target was dropped for it
+ */
+export function takeAim(aim, target, targetName = '') {
+  const same = !!aim?.target && aim.target === target;
+  const actions = same ? (Number(aim.actions) || 0) + 1 : 1;
+  return {
+    aim: { target, targetName: targetName || (same ? aim.targetName : ''), actions },
+    switched: !same && (Number(aim?.actions) || 0) > 0
+  };
+}
+
+/**
+ * The bonus an aim gives an attack on a target.
+ * @param {Object} aim The actor's `system.aim`
+ * @param {string} [target] The attacked token's UUID; omitted, the aimed-at target
+ * @returns {number} 0 when not aiming, or aiming at someone else
+ */
+export function aimBonus(aim, target) {
+  const actions = Number(aim?.actions) || 0;
+  if (!actions || !aim.target || (target !== undefined && target !== aim.target)) return 0;
+  return Math.min(AIM_MAX_BONUS, actions * AIM_BONUS_PER_ACTION);
+}
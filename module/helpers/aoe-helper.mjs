@@ -1,4 +1,5 @@
 import { OpposedRollHelper } from "./opposed-rolls.mjs";
+import { IndirectFireHelper } from "./indirect-fire.mjs";
 // AnimationHelper is imported lazily inside methods to avoid a load-time
 // circular import (animation-helper.mjs imports AOEHelper at module top level).
 
@@ -12,6 +13,9 @@ import { OpposedRollHelper } from "./opposed-rolls.mjs";
  * 4. Token detection within blast radius
  * 5. Per-target damage with distance falloff (BD and AP decrease by 1/meter)
  *
+ * Indirect fire (spotting, longer scatter, rounds in flight) is worked out by
+ * IndirectFireHelper.
+ *
  * Based on A Time of War area-effect (blast) weapon rules.
  *
  * Foundry v14: MeasuredTemplate was removed and absorbed into the Scene Regions
@@ -87,9 +91,10 @@ export class AOEHelper {
    * @param {string} cfg.color Fill color
    * @param {Object} cfg.shape A single Region shape object (in pixel units)
    * @param {Object} [cfg.flags] mech-foundry flags to attach to the region
+   * @param {string} [cfg.hint] Placement instructions for the notification
    * @returns {Promise<{x:number, y:number, rotation:number, region:RegionDocument}|null>}
    */
-  static async _placeRegionInteractive({ name, color, shape, flags = {} }) {
+  static async _placeRegionInteractive({ name, color, shape, flags = {}, hint = "Position the blast, click to confirm." }) {
     const regionData = {
       name,
       color,
@@ -106,7 +111,7 @@ export class AOEHelper {
       Object.assign(event.position, snapped);
     };
 
-    ui.notifications.info("Position the blast, click to confirm. Right-click or Escape to cancel.");
+    ui.notifications.info(`${hint} Right-click or Escape to cancel.`);
 
     let region;
     try {
@@ -136,8 +141,19 @@ export class AOEHelper {
    * @param {{x: number, y: number}} aimPoint The intended impact point
    * @param {number} blastRadius The blast radius in meters
    * @param {Object} options Attack options
+   * @param {boolean} [options.indirectFire] Fired at a point out of sight
+   * @param {string} [options.spotterTokenId] Token spotting an indirect shot
+   * @param {number} [options.flightRounds] Combat rounds before the round lands
+   * @param {boolean} [options.landing] A round in flight coming down (action and ammo already spent)
    */
   static async _rollAndResolve(actor, weapon, aimPoint, blastRadius, options = {}) {
+    // Artillery in flight: mark where it lands and resolve it in a later round
+    const inFlight = options.indirectFire && options.flightRounds > 0 && !options.landing;
+    if (inFlight && game.combat?.started) {
+      await IndirectFireHelper.scheduleStrike(actor, weapon, aimPoint, blastRadius, options);
+      return;
+    }
+
     const weaponData = weapon.system;
     const bd = weaponData.bd || 0;
     const ap = weaponData.ap || 0;
@@ -148,9 +164,37 @@ export class AOEHelper {
     const injuryMod = actor.system.injuryModifier || 0;
     const fatigueMod = actor.system.fatigueModifier || 0;
     const aoeMod = 2; // +2 AOE bonus
-    const indirectFire = options.indirectFire || false;
-    const spotter = options.spotter || false;
-    const indirectMod = indirectFire ? (spotter ? -2 : -4) : 0;
+
+    // Indirect fire: line of sight, the spotter and their comm links
+    const { AnimationHelper } = await import("./animation-helper.mjs");
+    const sourceToken = AnimationHelper.getActorToken(actor);
+    const attackerPoint = sourceToken?.center || null;
+    const indirect = options.indirectFire
+      ? IndirectFireHelper.assess(actor, sourceToken, aimPoint, options.spotterTokenId || null)
+      : null;
+    const indirectFire = !!indirect && indirect.mode !== 'direct';
+    const indirectMod = indirect?.mod || 0;
+    if (inFlight) indirect.notes.push("Not in combat: the round lands at once.");
+
+    // Thrown ordnance (grenades): range bands from the thrower's STR and its mass
+    const { ThrownHelper, isThrownWeapon } = await import("./thrown-helper.mjs");
+    let rangeMod = 0;
+    let rangeCategory = null;
+    let measuredDistance = null;
+    const thrown = isThrownWeapon(weaponData);
+    if (thrown) {
+      const thrownRange = ThrownHelper.rangesFor(actor, weapon);
+      const rangeResult = actor._calculateRangeModifier({ range: thrownRange }, { center: aimPoint });
+      if (rangeResult?.category === 'Out of Range') {
+        ui.notifications.warn(`${actor.name} can't throw ${weapon.name} that far (${rangeResult.distance}m; ${thrownRange.extreme}m at most).`);
+        return;
+      }
+      if (rangeResult) {
+        rangeMod = rangeResult.modifier;
+        rangeCategory = rangeResult.category;
+        measuredDistance = rangeResult.distance;
+      }
+    }
 
     // Find linked skill
     const skillName = weaponData.skill;
@@ -182,7 +226,7 @@ export class AOEHelper {
     const itemCombatMod = ItemEffectsHelper.getCombatModifier(actor, 'ranged', weapon.id);
     const itemEffectMod = itemCombatMod.totalBonus;
 
-    const totalMod = skillMod + inputMod + injuryMod + fatigueMod + itemEffectMod + aoeMod + indirectMod;
+    const totalMod = skillMod + inputMod + injuryMod + fatigueMod + itemEffectMod + aoeMod + indirectMod + rangeMod;
     const targetNumber = skill?.system.targetNumber || 7;
 
     // Roll the attack
@@ -190,6 +234,7 @@ export class AOEHelper {
     const rollFormula = `2d6 + ${totalMod}`;
     const roll = new Roll(rollFormula);
     await roll.evaluate();
+    if (!options.landing) await actor.spendCombatAction?.('attack', `Attack (${weapon.name})`);
 
     const diceResults = roll.dice[0].results.map(r => r.result);
     const specialRoll = await DiceMechanics.evaluateSpecialRoll(diceResults);
@@ -199,18 +244,15 @@ export class AOEHelper {
     const marginOfSuccess = successInfo.mos;
     const finalTotal = successInfo.finalTotal;
 
-    // Determine attacker origin (for scatter direction relative to the firing line)
-    const { AnimationHelper } = await import("./animation-helper.mjs");
-    const sourceToken = AnimationHelper.getActorToken(actor);
-    const attackerPoint = sourceToken?.center || null;
-
-    // Determine final impact point (scatter on miss)
+    // Determine final impact point (scatter on miss, further for indirect fire)
     let impactPoint = { ...aimPoint };
     let scatterInfo = null;
 
     if (!success) {
-      const marginOfFailure = Math.abs(marginOfSuccess);
+      const scatterMultiplier = indirect?.scatterMultiplier || 1;
+      const marginOfFailure = Math.abs(marginOfSuccess) * scatterMultiplier;
       scatterInfo = await this._calculateScatter(marginOfFailure);
+      scatterInfo.multiplier = scatterMultiplier;
       impactPoint = this._applyScatter(aimPoint, scatterInfo, attackerPoint);
     }
 
@@ -287,12 +329,19 @@ export class AOEHelper {
     // Sort targets by distance from center
     targetResults.sort((a, b) => a.distance - b.distance);
 
-    // Consume ammo
+    // Consume ammo (a round in flight was paid for when it was fired)
     const currentAmmo = weaponData.ammo?.value || 0;
-    if (weaponData.ammo?.max > 0) {
+    if (weaponData.ammo?.max > 0 && !options.landing) {
       await weapon.update({ "system.ammo.value": Math.max(0, currentAmmo - 1) });
     }
 
+    // A thrown grenade goes off and is used up, as on the direct thrown path
+    // (thrown ordnance with ammo is spent as ammo instead)
+    let thrownDisposal = null;
+    if (thrown && !(weaponData.ammo?.max > 0 || weaponData.pps > 0) && !options.landing) {
+      thrownDisposal = await ThrownHelper.dispose(actor, weapon, null, 'consume');
+    }
+
     // Render and send the chat message
     const messageContent = await foundry.applications.handlebars.renderTemplate(
       "systems/mech-foundry/templates/chat/aoe-attack.hbs",
@@ -324,8 +373,16 @@ export class AOEHelper {
         itemCombatModBreakdown: itemCombatMod.breakdown,
         // Indirect fire info
         indirectFire,
-        spotter,
         indirectMod,
+        spotterName: indirect?.spotterName || null,
+        spotterBonus: indirect?.spotterBonus || 0,
+        indirectNotes: indirect?.notes || [],
+        landing: !!options.landing,
+        // Thrown range info
+        rangeMod,
+        rangeCategory,
+        measuredDistance,
+        thrownUsedUp: !!thrownDisposal?.consumed,
         // Scatter info
         didScatter: !!scatterInfo,
         scatterInfo,
@@ -1,11 +1,15 @@
 /**
- * Shared cargo / bay / supply definitions and helpers used by both the company
- * sheet (Logistics tab) and the naval ship sheet (Bay tab).
+ * Shared cargo / bay / supply definitions and helpers used by the company
+ * sheet (Logistics tab), the naval ship sheet (Bay tab) and the installation
+ * sheet (Buildings tab).
  *
  * Supplies are stored on the location actor (`system.cargoSupplies`) and each
  * unit of supply weighs 1 ton. A ship's cargo capacity is the summed tonnage of
- * its Cargo bay components; used tonnage is the sum of all stored supplies.
+ * its Cargo bay components, an installation's that of its standing
+ * warehouses; used tonnage is the sum of all stored supplies.
  */
+import { buildingState } from './unit-math.mjs';
+
 
 /** Ship-supply categories (numeric, tons). */
 export const SHIP_SUPPLY_FIELDS = [
@@ -60,6 +64,67 @@ export function bayComponentDef(key) {
   return BAY_COMPONENT_TYPES.find(t => t.key === key) || null;
 }
 
+/**
+ * What an installation building is for. Warehouses hold cargo (tons),
+ * barracks house the garrison (personnel), hangars hold unit cubicles, and a
+ * building with a `department` gives the installation that department.
+ */
+export const BUILDING_FUNCTIONS = [
+  { key: 'general', label: 'General' },
+  { key: 'warehouse', label: 'Warehouse', hasTonnage: true, department: 'boatswain' },
+  { key: 'barracks', label: 'Barracks', hasGarrison: true },
+  { key: 'hangar', label: 'Hangar', hasCubicles: true, department: 'bayMaintenance' },
+  { key: 'powerPlant', label: 'Power Plant', department: 'engineering' },
+  { key: 'bunker', label: 'Bunker / Turret Emplacement', department: 'gunnery' },
+  { key: 'hospital', label: 'Hospital', department: 'medical' },
+  { key: 'command', label: 'Command Post' }
+];
+
+export function buildingFunctionDef(key) {
+  return BUILDING_FUNCTIONS.find(f => f.key === key) || null;
+}
+
+/** An installation's buildings as an array. */
+export function buildingList(actor) {
+  const b = actor?.system?.buildings;
+  return Array.isArray(b) ? b : [];
+}
+
+/** Buildings still standing (destroyed ones provide nothing until rebuilt). */
+function standingBuildings(actor) {
+  return buildingList(actor).filter(b => buildingState(b) !== 'destroyed');
+}
+
+/**
+ * An installation's departments, one per standing building whose function
+ * has one, shaped like a ship's `system.departments` (the building id is the
+ * department id, so company crew assignments follow the building).
+ */
+export function buildingDepartments(actor) {
+  const out = [];
+  for (const b of standingBuildings(actor)) {
+    const type = buildingFunctionDef(b.function)?.department;
+    if (!type) continue;
+    out.push({
+      id: b.id,
+      type,
+      name: b.name || '',
+      requiredPrimary: Number(b.requiredPrimary) || 0,
+      requiredOfficers: Number(b.requiredOfficers) || 0
+    });
+  }
+  return out;
+}
+
+/** Personnel an installation's standing barracks can house. */
+export function garrisonCapacity(actor) {
+  let cap = 0;
+  for (const b of standingBuildings(actor)) {
+    if (buildingFunctionDef(b.function)?.hasGarrison) cap += Number(b.garrison) || 0;
+  }
+  return cap;
+}
+
 /**
  * A location actor's bays as an array. Older ship actors stored `bays` as an
  * object ({bay1, bay2, bay3}); those are treated as no bays until re-saved.
@@ -80,11 +145,18 @@ export function blankCargoSupplies() {
 
 /**
  * Total cargo tonnage available on an actor. Naval ships derive it from their
- * Cargo bay components; other location actors (e.g. installations) are treated
- * as unlimited for now (their bay model isn't built yet).
+ * Cargo bay components, installations from their standing warehouses; other
+ * actors are treated as unlimited.
  */
 export function cargoCapacity(actor) {
   if (!actor) return 0;
+  if (actor.type === 'installation') {
+    let cap = 0;
+    for (const b of standingBuildings(actor)) {
+      if (buildingFunctionDef(b.function)?.hasTonnage) cap += Number(b.tonnage) || 0;
+    }
+    return cap;
+  }
   if (actor.type !== 'naval_ship') return Infinity;
   let cap = 0;
   for (const bay of bayList(actor)) {
@@ -125,10 +197,24 @@ export const VEHICLE_CUBICLE_TYPES = {
   battle_armor: ['baSquadBay']
 };
 
-/** Ship cubicles grouped by the vehicle type they accept. */
+/**
+ * Ship cubicles grouped by the vehicle type they accept. An installation's
+ * cubicles are those of its standing hangars (`cubicles` of `cubicleType`).
+ */
 export function shipCubiclesByVehicle(actor) {
   const out = {};
   for (const vt of Object.keys(VEHICLE_CUBICLE_TYPES)) out[vt] = [];
+  if (actor?.type === 'installation') {
+    for (const b of standingBuildings(actor)) {
+      if (!buildingFunctionDef(b.function)?.hasCubicles) continue;
+      const vt = Object.keys(VEHICLE_CUBICLE_TYPES).find(k => VEHICLE_CUBICLE_TYPES[k].includes(b.cubicleType));
+      if (!vt) continue;
+      for (let i = 0; i < (Number(b.cubicles) || 0); i++) {
+        out[vt].push({ bayId: b.id, bayName: b.name, compId: `${b.id}-${i}`, manualUnitId: '' });
+      }
+    }
+    return out;
+  }
   for (const bay of bayList(actor)) {
     for (const c of (bay.components || [])) {
       for (const vt of Object.keys(VEHICLE_CUBICLE_TYPES)) {
@@ -166,6 +252,18 @@ export function mtoeVehiclesAtShip(shipId, excludeBoxId = null) {
   return out;
 }
 
+/** Personnel in every company's MTOE unit boxes based at a location. */
+export function garrisonAt(locationId) {
+  let count = 0;
+  for (const company of game.actors) {
+    if (company.type !== 'company') continue;
+    for (const box of (company.system?.mtoe || [])) {
+      if (box.locationId === locationId) count += (box.personnel || []).length;
+    }
+  }
+  return count;
+}
+
 /** Count a box's vehicles by actor type. */
 export function boxVehicleNeeds(box) {
   const need = {};
@@ -0,0 +1,165 @@
+/**
+ * Line-of-Sight Cover Helper
+ *
+ * Works out at attack time how much cover a target token has from the
+ * attacker, instead of trusting the target's manual `system.cover` dropdown.
+ * Lines are traced from the attacker's center to several points across the
+ * target token; each line is blocked outright by a sight-blocking wall, or
+ * partly by a Scene Region tagged as cover (hedges, crates, parked vehicles
+ * — `flags.mech-foundry.cover`, set from the Region config). The average
+ * blocking maps onto A Time of War's cover tiers.
+ *
+ * The dropdown is still the fallback when there is no canvas to trace on,
+ * and the attack dialog can override the result either way.
+ */
+
+/**
+ * Cover tiers: the attack modifier each imposes, and the share of the
+ * target that has to be blocked from view to reach it.
+ */
+export const COVER_LEVELS = {
+  none: { label: 'None', mod: 0, blocks: 0 },
+  light: { label: 'Light', mod: -1, blocks: 0.25 },
+  moderate: { label: 'Moderate', mod: -2, blocks: 0.5 },
+  heavy: { label: 'Heavy', mod: -3, blocks: 0.75 },
+  full: { label: 'Full', mod: -4, blocks: 1 }
+};
+
+/**
+ * The cover tier for a set of traced lines.
+ * @param {number[]} blocked How much of each line is blocked, 0 (clear) to 1 (wall)
+ * @returns {string} A COVER_LEVELS key; anything blocked at all is at least light
+ */
+export function coverFromBlocking(blocked) {
+  if (!blocked?.length) return 'none';
+  const share = blocked.reduce((sum, b) => sum + Math.min(1, Math.max(0, Number(b) || 0)), 0) / blocked.length;
+  let level = share > 0 ? 'light' : 'none';
+  for (const [key, tier] of Object.entries(COVER_LEVELS)) {
+    if (tier.blocks && share >= tier.blocks - 1e-9) level = key;
+  }
+  return level;
+}
+
+export class CoverHelper {
+
+  /** Sample points across the target, as fractions of its width and height. */
+  static SAMPLE_POINTS = [
+    [0.5, 0.5],
+    [0.25, 0.25], [0.75, 0.25],
+    [0.25, 0.75], [0.75, 0.75]
+  ];
+
+  /**
+   * Trace cover from one token to another on the current scene.
+   * @param {Token} attackerToken
+   * @param {Token} targetToken
+   * @returns {{level: string, walls: number, lines: number, regions: string[]}|null}
+   *   null when there is no canvas or either token is missing
+   */
+  static detectCover(attackerToken, targetToken) {
+    if (!canvas?.ready || !canvas.scene || !attackerToken || !targetToken) return null;
+    const origin = attackerToken.center;
+    const elevation = targetToken.document?.elevation ?? 0;
+    const regions = this._coverRegions(origin, attackerToken.document?.elevation ?? 0);
+
+    const { x, y } = targetToken.document;
+    const { w, h } = targetToken;
+    const blocked = [];
+    const crossed = new Set();
+    let walls = 0;
+    for (const [fx, fy] of this.SAMPLE_POINTS) {
+      const point = { x: x + w * fx, y: y + h * fy };
+      if (this._wallBlocks(origin, point)) {
+        walls++;
+        blocked.push(1);
+        continue;
+      }
+      let block = 0;
+      for (const region of regions) {
+        if (!this._regionCrossed(region, origin, point, elevation)) continue;
+        crossed.add(region.name);
+        block = Math.max(block, COVER_LEVELS[region.getFlag('mech-foundry', 'cover')]?.blocks ?? 0);
+      }
+      blocked.push(block);
+    }
+    return { level: coverFromBlocking(blocked), walls, lines: blocked.length, regions: [...crossed] };
+  }
+
+  /**
+   * Does a sight-blocking wall cut the line between two points?
+   * @param {{x:number, y:number}} a
+   * @param {{x:number, y:number}} b
+   * @returns {boolean}
+   */
+  static _wallBlocks(a, b) {
+    try {
+      return !!CONFIG.Canvas.polygonBackends.sight.testCollision(a, b, { type: 'sight', mode: 'any' });
+    } catch (e) {
+      console.warn('mech-foundry | Wall collision test failed', e);
+      return false;
+    }
+  }
+
+  /**
+   * Scene Regions tagged as cover, leaving out any the attacker stands in
+   * (firing out of a bunker doesn't put the target behind it).
+   * @param {{x:number, y:number}} origin
+   * @param {number} elevation
+   * @returns {RegionDocument[]}
+   */
+  static _coverRegions(origin, elevation) {
+    return (canvas.scene.regions?.contents || []).filter(region => {
+      const level = region.getFlag('mech-foundry', 'cover');
+      if (!level || level === 'none' || !(level in COVER_LEVELS)) return false;
+      return !region.testPoint({ x: origin.x, y: origin.y, elevation });
+    });
+  }
+
+  /**
+   * Does the line between two points pass through a Region? Sampled every
+   * quarter grid square, end point included (a target inside the Region is
+   * in it).
+   * @param {RegionDocument} region
+   * @param {{x:number, y:number}} a
+   * @param {{x:number, y:number}} b
+   * @param {number} elevation
+   * @returns {boolean}
+   */
+  static _regionCrossed(region, a, b, elevation) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const steps = Math.max(1, Math.ceil(length / (canvas.grid.size / 4)));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (region.testPoint({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, elevation })) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add a Cover select to the Region config sheet so GMs can tag hedges,
+   * crates and the like. Registered on `renderRegionConfig`.
+   * @param {RegionConfig} app
+   * @param {HTMLElement} element
+   */
+  static injectRegionConfig(app, element) {
+    if (!game.user.isGM || element.querySelector('.mech-foundry-cover')) return;
+    const current = app.document.getFlag('mech-foundry', 'cover') || 'none';
+    const group = document.createElement('div');
+    group.className = 'form-group mech-foundry-cover';
+    group.innerHTML = `
+      <label>Cover (Mech Foundry)</label>
+      <div class="form-fields">
+        <select name="flags.mech-foundry.cover">
+          ${Object.entries(COVER_LEVELS).map(([key, tier]) =>
+            `<option value="${key}" ${key === current ? 'selected' : ''}>${tier.label}${tier.mod ? ` (${tier.mod})` : ''}</option>`
+          ).join('')}
+        </select>
+      </div>
+      <p class="hint">How much cover this region gives a target when an attack's line of sight passes through it.</p>`;
+    const tab = element.querySelector('.tab[data-tab="identity"]');
+    const footer = element.querySelector('.form-footer');
+    if (tab) tab.append(group);
+    else if (footer) footer.before(group);
+    else element.append(group);
+  }
+}
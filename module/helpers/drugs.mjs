@@ -0,0 +1,134 @@
+/**
+ * Drugs and poisons: how a dose gets in, whether the body shrugs it off, and
+ * what it does for how long.
+ *
+ * A dose goes in by one of the item's vectors. Injected and contact doses
+ * must get through armor first — a target sealed head to toe stops one whose
+ * Poison AP is below the suit's weakest BAR (M). The target then resists with
+ * a BOD or WIL check against the single-attribute TN, less the Drug
+ * Strength; a failed check lets the drug take hold as timed active effects:
+ * its attribute modifiers, and for poisons continuous damage each round.
+ *
+ * Pure rules — `MechFoundryActor#administerDrug` rolls and applies them.
+ */
+
+/** The ways a dose gets in. `armor`: stopped by a sealed suit. */
+export const DRUG_VECTORS = {
+  ingested: { label: 'Ingested', armor: false },
+  injected: { label: 'Injected', armor: true },
+  inhaled: { label: 'Inhaled', armor: false },
+  contact: { label: 'Contact', armor: true }
+};
+
+/** Attributes a target may resist with. */
+export const RESIST_ATTRIBUTES = ['bod', 'wil'];
+
+/** Target number for a resistance check (a single-attribute check). */
+export const RESIST_TN = 12;
+
+/** Combat rounds (5-second turns) in each duration unit. */
+export const ROUNDS_PER_UNIT = { turn: 1, min: 12, hr: 720, day: 17280 };
+
+/** Body locations a suit must cover to be sealed. */
+const SEALED_LOCATIONS = ['head', 'torso', 'arms', 'legs'];
+
+/** Attribute modifiers written into a drug's notes ("STR +3, INT -1"). */
+const NOTE_MODIFIER = /\b(STR|BOD|RFL|DEX|INT|WIL|CHA|EDG)\s*([+-]\d+)/g;
+
+/**
+ * The vectors a drug can be given by. With none ticked, any will do.
+ * @param {Object} primaryVector A drug's `system.primaryVector`
+ * @returns {string[]} DRUG_VECTORS keys
+ */
+export function drugVectors(primaryVector) {
+  const keys = Object.keys(DRUG_VECTORS).filter(k => primaryVector?.[k]);
+  return keys.length ? keys : Object.keys(DRUG_VECTORS);
+}
+
+/**
+ * The BAR (M) a sealed suit offers: the weakest of its locations, each at the
+ * best armor worn there. Null unless every location is covered.
+ * @param {Array<{coverage: Object, bar: Object}>} armors Equipped armor `system`s
+ * @returns {number|null}
+ */
+export function sealedBAR(armors) {
+  let weakest = Infinity;
+  for (const location of SEALED_LOCATIONS) {
+    const covering = (armors || []).filter(a => a?.coverage?.[location]);
+    if (!covering.length) return null;
+    weakest = Math.min(weakest, Math.max(...covering.map(a => Number(a.bar?.m) || 0)));
+  }
+  return weakest;
+}
+
+/**
+ * Does armor stop a dose?
+ * @param {string} vector A DRUG_VECTORS key
+ * @param {number} poisonAP The drug's Poison AP
+ * @param {number|null} sealed From `sealedBAR`
+ * @returns {boolean}
+ */
+export function armorStopsDose(vector, poisonAP, sealed) {
+  if (!DRUG_VECTORS[vector]?.armor || sealed === null) return false;
+  return (Number(poisonAP) || 0) < sealed;
+}
+
+/**
+ * Modifier on the resistance check.
+ * @param {number} score The resisting attribute
+ * @param {number} drugStrength
+ * @returns {number}
+ */
+export function resistanceMod(score, drugStrength) {
+  return (Number(score) || 0) - (Number(drugStrength) || 0);
+}
+
+/**
+ * A roll formula for a duration in combat rounds: "2 hr", "3 turns",
+ * "1D6x0.5 hr". Null when it can't be read (the effect lasts until removed).
+ * @param {string} duration A drug's `system.duration`
+ * @returns {string|null}
+ */
+export function durationFormula(duration) {
+  const match = String(duration || '').trim().toLowerCase()
+    .match(/^([\dd.x*+\s]+?)\s*(turns?|rounds?|min(?:ute)?s?|h(?:ou)?rs?|hours?|days?)$/);
+  if (!match) return null;
+  const count = match[1].replace(/x/g, ' * ').replace(/\s+/g, ' ').trim();
+  if (!/\d/.test(count)) return null;
+  const unit = match[2].startsWith('d') ? 'day'
+    : match[2].startsWith('h') ? 'hr'
+      : match[2].startsWith('m') ? 'min' : 'turn';
+  const per = ROUNDS_PER_UNIT[unit];
+  return per === 1 ? count : `(${count}) * ${per}`;
+}
+
+/**
+ * A drug's attribute modifiers: its own list, else any written in its notes.
+ * @param {Object} system A drug's `system`
+ * @returns {Array<{targetType: string, target: string, operation: string, value: number}>}
+ */
+export function drugModifiers(system) {
+  if (Array.isArray(system?.persistentModifiers) && system.persistentModifiers.length) {
+    return system.persistentModifiers;
+  }
+  return [...String(system?.notes || '').matchAll(NOTE_MODIFIER)].map(([, attr, value]) => ({
+    targetType: 'attribute', target: attr.toLowerCase(), operation: 'add', value: Number(value)
+  }));
+}
+
+/**
+ * Damage a drug deals each round it's in effect: its own figures, else for a
+ * poison noted "Lethal", its Drug Strength in standard damage.
+ * @param {Object} system A drug's `system`
+ * @returns {{standardDamage: number, fatigueDamage: number}|null}
+ */
+export function drugDamage(system) {
+  const own = system?.continuousDamage || {};
+  const standardDamage = Number(own.standardDamage) || 0;
+  const fatigueDamage = Number(own.fatigueDamage) || 0;
+  if (standardDamage || fatigueDamage) return { standardDamage, fatigueDamage };
+  if (/\blethal\b/i.test(system?.notes || '') && system.drugStrength > 0) {
+    return { standardDamage: Number(system.drugStrength), fatigueDamage: 0 };
+  }
+  return null;
+}
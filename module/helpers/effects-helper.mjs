@@ -3,6 +3,8 @@
  * Handles Active Effects tied to items that apply when equipped
  */
 
+import { prostheticFault } from './prosthetics.mjs';
+
 /**
  * Effect categories and types
  */
@@ -15,7 +17,8 @@ export const EFFECT_CATEGORIES = {
       all_attack_bonus: { label: "All Attack Bonus", hasValue: true },
       damage_bonus: { label: "Damage Bonus", hasValue: true },
       ranged_damage_bonus: { label: "Ranged Damage Bonus", hasValue: true },
-      melee_damage_bonus: { label: "Melee Damage Bonus", hasValue: true }
+      melee_damage_bonus: { label: "Melee Damage Bonus", hasValue: true },
+      recoil_reduction: { label: "Recoil Reduction", hasValue: true }
     }
   },
   vision: {
@@ -145,11 +148,14 @@ export class ItemEffectsHelper {
   }
 
   /**
-   * Check if an item is equipped
+   * Check if an item is equipped (for a prosthetic: installed and working)
    * @param {Item} item The item to check
    * @returns {boolean} True if equipped
    */
   static _isItemEquipped(item) {
+    // A prosthetic counts only while it is installed and working, whatever
+    // its carry status
+    if (item.type === 'prosthetics') return prostheticFault(item.system, game.time?.worldTime ?? 0) === null;
     // Delegate to the item's canonical isEquipped getter (carryStatus-based).
     return item.isEquipped === true;
   }
@@ -246,6 +252,39 @@ export class ItemEffectsHelper {
     return { totalBonus, breakdown };
   }
 
+  /**
+   * Calculate recoil reduction from equipped item effects (bipods, tripods,
+   * vehicle or emplacement mounts)
+   * @param {Actor} actor The actor firing
+   * @param {string|null} weaponId Optional weapon ID for attached-item-only effects
+   * @returns {Object} Object with totalBonus and breakdown array
+   */
+  static getRecoilReduction(actor, weaponId = null) {
+    const effects = this.getEquippedItemEffects(actor);
+    let totalBonus = 0;
+    const breakdown = [];
+
+    for (const effect of effects) {
+      if (effect.effectType !== 'recoil_reduction') continue;
+
+      // Check attachedItemOnly restriction
+      if (effect.attachedItemOnly && effect.sourceItemId !== weaponId) {
+        continue;
+      }
+
+      const value = Number(effect.value) || 0;
+      totalBonus += value;
+      breakdown.push({
+        name: effect.name || effect.effectType,
+        source: effect.sourceItemName,
+        value: value,
+        attachedItemOnly: effect.attachedItemOnly
+      });
+    }
+
+    return { totalBonus, breakdown };
+  }
+
   /**
    * Get vision and light effects from equipped items
    * @param {Actor} actor The actor to check
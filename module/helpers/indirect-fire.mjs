@@ -0,0 +1,256 @@
+import { CoverHelper } from "./cover-helper.mjs";
+
+/**
+ * Indirect Fire Helper
+ *
+ * Mortars and artillery can drop a round on a point the firer can't see.
+ * Unspotted, the shot is a guess (-4); a spotter who can see the point and
+ * has a comm link back to the firer (both carrying an equipped
+ * communications `electronics` item) calls it in for -2, eased by their
+ * Perception. Indirect misses scatter further than direct ones, and an
+ * artillery round may take some combat rounds to come down — it waits on
+ * the scene as an "Incoming" Region until the round it lands.
+ *
+ * If the firer has line of sight to the point after all, the shot is simply
+ * direct fire.
+ */
+
+/** Skill a spotter calls the shot in with. */
+export const SPOTTER_SKILL = 'Perception';
+
+/** Attack modifier for each kind of shot. */
+export const INDIRECT_MODS = { direct: 0, spotted: -2, unspotted: -4 };
+
+/** Scatter distance multiplier on the margin of failure. */
+export const INDIRECT_SCATTER = { direct: 1, spotted: 2, unspotted: 3 };
+
+/** Most a spotter's skill can ease the spotted penalty. */
+export const MAX_SPOTTER_BONUS = 2;
+
+/** Names that mark an electronics item as a comm link. */
+const COMM_NAME = /comm|radio|headset|intercom/i;
+
+/**
+ * Is an item a working comm link: an equipped communications device?
+ * @param {Object} item An Item or its data
+ * @returns {boolean}
+ */
+export function isCommLink(item) {
+  if (item?.type !== 'electronics' || item.system?.carryStatus !== 'equipped') return false;
+  const subfolder = item.flags?.['mech-foundry']?.subfolder;
+  return subfolder === 'Communications' || COMM_NAME.test(item.name || '');
+}
+
+/**
+ * What a spotter's skill takes off the spotted penalty: a point per three
+ * levels, up to MAX_SPOTTER_BONUS.
+ * @param {number} level The spotter's skill level
+ * @returns {number}
+ */
+export function spotterBonus(level) {
+  return Math.min(MAX_SPOTTER_BONUS, Math.max(0, Math.floor((Number(level) || 0) / 3)));
+}
+
+/**
+ * Which kind of shot this is.
+ * @param {Object} state
+ * @param {boolean} state.firerHasLOS The firer can see the point
+ * @param {boolean} [state.spotterHasLOS] The chosen spotter can see it
+ * @param {boolean} [state.firerComms] The firer has a comm link
+ * @param {boolean} [state.spotterComms] The spotter has a comm link
+ * @returns {'direct'|'spotted'|'unspotted'}
+ */
+export function indirectMode({ firerHasLOS, spotterHasLOS = false, firerComms = false, spotterComms = false }) {
+  if (firerHasLOS) return 'direct';
+  return spotterHasLOS && firerComms && spotterComms ? 'spotted' : 'unspotted';
+}
+
+/**
+ * The attack modifier for a shot.
+ * @param {string} mode From `indirectMode`
+ * @param {number} [spotterLevel] The spotter's skill level
+ * @returns {number}
+ */
+export function indirectFireMod(mode, spotterLevel = 0) {
+  if (mode === 'spotted') return INDIRECT_MODS.spotted + spotterBonus(spotterLevel);
+  return INDIRECT_MODS[mode] ?? 0;
+}
+
+/**
+ * How far a miss scatters, in meters.
+ * @param {number} marginOfFailure
+ * @param {string} mode From `indirectMode`
+ * @returns {number}
+ */
+export function indirectScatter(marginOfFailure, mode) {
+  return Math.abs(Number(marginOfFailure) || 0) * (INDIRECT_SCATTER[mode] ?? 1);
+}
+
+/**
+ * The combat round a round in flight comes down.
+ * @param {number} round The current round
+ * @param {number} flightRounds Rounds in flight
+ * @returns {number}
+ */
+export function landingRound(round, flightRounds) {
+  return (Number(round) || 0) + Math.max(0, Math.floor(Number(flightRounds) || 0));
+}
+
+/**
+ * Has a round in flight come down by a combat round?
+ * @param {Object} strike A region's `incomingStrike` flag
+ * @param {number} round The round now starting
+ * @returns {boolean}
+ */
+export function strikeLands(strike, round) {
+  return Number.isFinite(Number(strike?.lands)) && Number(strike.lands) <= (Number(round) || 0);
+}
+
+export class IndirectFireHelper {
+
+  /**
+   * Tokens on the scene that could spot for an actor: characters and NPCs on
+   * the firer's side, other than the firer.
+   * @param {Actor} actor The firer
+   * @returns {Array<{id: string, name: string, hasComms: boolean}>}
+   */
+  static spotterCandidates(actor) {
+    if (!canvas?.ready) return [];
+    const side = actor.getActiveTokens(true)[0]?.document.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY;
+    return canvas.tokens.placeables
+      .filter(t => t.actor && t.actor !== actor && ['character', 'npc'].includes(t.actor.type))
+      .filter(t => t.document.disposition === side)
+      .map(t => ({ id: t.id, name: t.name, hasComms: this.hasComms(t.actor) }));
+  }
+
+  /**
+   * Does an actor carry a working comm link?
+   * @param {Actor} actor
+   * @returns {boolean}
+   */
+  static hasComms(actor) {
+    return !!actor?.items.some(isCommLink);
+  }
+
+  /**
+   * Work out an indirect shot at a point: who can see it, whether the spotter
+   * can talk to the firer, and what that does to the roll and any scatter.
+   * @param {Actor} actor The firer
+   * @param {Token|null} sourceToken The firer's token
+   * @param {{x:number, y:number}} aimPoint
+   * @param {string|null} spotterTokenId The chosen spotter's token
+   * @returns {{mode: string, mod: number, scatterMultiplier: number, spotterName: string|null,
+   *   spotterLevel: number, spotterBonus: number, notes: string[]}}
+   */
+  static assess(actor, sourceToken, aimPoint, spotterTokenId = null) {
+    const notes = [];
+    const firerHasLOS = !!sourceToken && !CoverHelper._wallBlocks(sourceToken.center, aimPoint);
+    if (firerHasLOS) notes.push(`${actor.name} can see the target point: fired direct.`);
+
+    const spotter = spotterTokenId ? canvas.tokens.get(spotterTokenId) : null;
+    const spotterHasLOS = !!spotter && !CoverHelper._wallBlocks(spotter.center, aimPoint);
+    const firerComms = this.hasComms(actor);
+    const spotterComms = this.hasComms(spotter?.actor);
+    if (spotter && !firerHasLOS) {
+      if (!spotterHasLOS) notes.push(`${spotter.name} has no line of sight to the target point.`);
+      if (!spotterComms) notes.push(`${spotter.name} has no working comm link.`);
+      if (!firerComms) notes.push(`${actor.name} has no working comm link.`);
+    }
+
+    const mode = indirectMode({ firerHasLOS, spotterHasLOS, firerComms, spotterComms });
+    let spotterLevel = 0;
+    if (mode === 'spotted') {
+      const skill = spotter.actor.items.find(i => i.type === 'skill' && i.name === SPOTTER_SKILL);
+      spotterLevel = skill ? spotter.actor.constructor.getSkillLevelFromXP(skill.system.xp) : 0;
+    }
+    return {
+      mode,
+      mod: indirectFireMod(mode, spotterLevel),
+      scatterMultiplier: INDIRECT_SCATTER[mode],
+      spotterName: mode === 'spotted' ? spotter.name : null,
+      spotterLevel,
+      spotterBonus: mode === 'spotted' ? spotterBonus(spotterLevel) : 0,
+      notes
+    };
+  }
+
+  /**
+   * Put a round in flight: mark where it will land and when. Resolved by
+   * `resolveIncoming` when that combat round starts.
+   * @param {Actor} actor
+   * @param {Item} weapon
+   * @param {{x:number, y:number}} aimPoint
+   * @param {number} blastRadius In meters
+   * @param {Object} options Attack options, with `flightRounds`
+   * @returns {Promise<RegionDocument|null>}
+   */
+  static async scheduleStrike(actor, weapon, aimPoint, blastRadius, options) {
+    const combat = game.combat;
+    const lands = landingRound(combat.round, options.flightRounds);
+    const { AOEHelper } = await import("./aoe-helper.mjs");
+    let region;
+    try {
+      [region] = await canvas.scene.createEmbeddedDocuments("Region", [{
+        name: `Incoming: ${weapon.name} (round ${lands})`,
+        color: "#aa2222",
+        shapes: [{ type: "circle", x: aimPoint.x, y: aimPoint.y, radius: blastRadius * AOEHelper._pixelsPerMeter() }],
+        visibility: CONST.REGION_VISIBILITY.ALWAYS,
+        flags: {
+          "mech-foundry": {
+            incomingStrike: {
+              actorUuid: actor.uuid,
+              weaponId: weapon.id,
+              aimPoint,
+              blastRadius,
+              lands,
+              options: { ...options, flightRounds: 0 }
+            }
+          }
+        }
+      }]);
+    } catch (e) {
+      console.error("mech-foundry | Could not mark the incoming strike", e);
+      ui.notifications.error("Could not place the incoming strike.");
+      return null;
+    }
+
+    await actor.spendCombatAction?.('attack', `Attack (${weapon.name})`);
+    if (weapon.system.ammo?.max > 0) {
+      await weapon.update({ "system.ammo.value": Math.max(0, (weapon.system.ammo.value || 0) - 1) });
+    }
+    ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div class="mech-foundry incoming-strike">
+        <i class="fas fa-hourglass-half"></i> <strong>${actor.name}</strong> fires ${weapon.name}: the round lands in round ${lands}.
+      </div>`
+    });
+    return region;
+  }
+
+  /**
+   * Bring down every round in flight on the combat's scene that lands by the
+   * round now starting. GM only, from the combatRound hook — which fires
+   * before the combat is updated, so the new round is passed in.
+   * @param {Combat} combat
+   * @param {number} [round] The round now starting
+   */
+  static async resolveIncoming(combat, round = combat.round) {
+    const scene = combat.scene ?? canvas.scene;
+    const regions = (scene?.regions?.contents || [])
+      .filter(r => strikeLands(r.getFlag("mech-foundry", "incomingStrike"), round));
+    if (!regions.length) return;
+    const { AOEHelper } = await import("./aoe-helper.mjs");
+
+    for (const region of regions) {
+      const strike = region.getFlag("mech-foundry", "incomingStrike");
+      await region.delete();
+      const actor = await fromUuid(strike.actorUuid);
+      const weapon = actor?.items.get(strike.weaponId);
+      if (!weapon) {
+        ui.notifications.warn(`The incoming strike at "${region.name}" lost its firer or weapon and was called off.`);
+        continue;
+      }
+      await AOEHelper._rollAndResolve(actor, weapon, strike.aimPoint, strike.blastRadius, { ...strike.options, landing: true });
+    }
+  }
+}
@@ -0,0 +1,556 @@
+import {
+  UNIT_WEAPONS, MECH_LOCATIONS, VEHICLE_LOCATIONS, FIGHTER_ARCS, BA_SQUAD_SIZE
+} from '../data/battletech.mjs';
+import {
+  mechStructureFor, blankMechCrits, vehicleStructureFor, fighterStructuralIntegrity
+} from './unit-math.mjs';
+
+/**
+ * megamek-import.mjs
+ * ------------------
+ * Reads MegaMek unit files — `.mtf` for 'Mechs, `.blk` for vehicles, aerospace
+ * fighters and battle armor — into the matching unit actor: armor, internal
+ * structure (full, for the tonnage), weapons per location with their catalog
+ * stats, ammunition bins, heat sinks, engine and movement.
+ *
+ * The parsing and conversion half is framework-agnostic (no Foundry globals)
+ * so it can be checked with plain Node; `importMegaMekUnit` and
+ * `openMegaMekImporter` write the result to a world actor, updating one of
+ * the same name and type when it already exists. An update keeps the unit's
+ * crew, notes and image and replaces its design.
+ */
+
+/* -------------------------------------------------------------------------- */
+/*  Name matching                                                              */
+/* -------------------------------------------------------------------------- */
+
+const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** MegaMek spellings that differ from the catalog's once normalized. */
+const WEAPON_ALIASES = {
+  autocannon2: 'ac2', autocannon5: 'ac5', autocannon10: 'ac10', autocannon20: 'ac20',
+  mg: 'machinegun', gauss: 'gaussrifle', particleprojectorcannon: 'ppc', erparticleprojectorcannon: 'erppc'
+};
+
+/**
+ * The catalog weapon a MegaMek equipment name refers to: tech-base and
+ * battle armor prefixes (`IS`, `CL`, `Clan`, `BA`), spacing, punctuation and
+ * parenthetical tags are ignored, so `ISMediumLaser`, `CLERLargeLaser` and
+ * `LRM-20 (R)` all resolve.
+ * @param {string} raw
+ * @returns {Object|null} UNIT_WEAPONS entry
+ */
+export function matchUnitWeapon(raw) {
+  let s = String(raw || '').replace(/\([^)]*\)/g, '').trim();
+  s = s.replace(/^(?:IS|CL|Clan)(?=[A-Z\s-])\s*/, '').replace(/^BA(?=[A-Z\s-])\s*-?\s*/, '');
+  let key = normalize(s);
+  key = WEAPON_ALIASES[key] || key;
+  return UNIT_WEAPONS.find(w => normalize(w.name) === key) || null;
+}
+
+/**
+ * The weapon an ammunition entry feeds (`IS Ammo AC/20`, `ISLRM20 Ammo`,
+ * `Clan Ammo SRM-6`, `IS Ammo MG - Half`), and whether it is a half ton.
+ * @param {string} raw
+ * @returns {{weapon: Object, half: boolean}|null} null when not ammunition or unknown
+ */
+export function matchUnitAmmo(raw) {
+  const s = String(raw || '');
+  if (!/ammo/i.test(s)) return null;
+  const half = /half/i.test(s);
+  const rest = s.replace(/\([^)]*\)/g, '').replace(/-?\s*(?:half|full)\b/ig, '').replace(/\bammo\b/ig, ' ').trim();
+  const weapon = matchUnitWeapon(rest);
+  return weapon ? { weapon, half } : null;
+}
+
+/** MegaMek tech base text → TECH_BASES key. */
+export function megaMekTechBase(text) {
+  const s = String(text || '').toLowerCase();
+  if (s.includes('mixed')) return 'Mixed';
+  if (s.startsWith('clan')) return 'Clan';
+  return 'IS';
+}
+
+/** Use Foundry's randomID when present; fall back to a simple id otherwise. */
+function defaultId() {
+  if (typeof foundry !== 'undefined' && foundry.utils?.randomID) return foundry.utils.randomID();
+  return 'mm' + (idSeed++).toString(36) + Math.random().toString(36).slice(2, 8);
+}
+let idSeed = 1;
+
+/**
+ * Weapon and ammunition rows for one location's equipment list. Every ton of
+ * ammunition for the same weapon in the same location pools into one bin
+ * named after the weapon (so the weapon finds it when it fires).
+ * @returns {{weapons: Object[], ammo: Object[], unknown: string[]}}
+ */
+function equipmentRows(entries, makeId) {
+  const weapons = [], ammo = [], unknown = [];
+  const bins = new Map();
+  for (const { name, location, rear = false } of entries) {
+    const shot = matchUnitAmmo(name);
+    if (shot) {
+      const key = `${location}|${shot.weapon.name}`;
+      const per = Number(shot.weapon.ammoPerTon) || 0;
+      const shots = shot.half ? Math.floor(per / 2) : per;
+      if (bins.has(key)) {
+        const bin = bins.get(key);
+        bin.shots += shots;
+        bin.maxShots += shots;
+      } else {
+        const bin = { id: makeId(), name: `${shot.weapon.name} Ammo`, location, shots, maxShots: shots, damage: 0 };
+        bins.set(key, bin);
+        ammo.push(bin);
+      }
+      continue;
+    }
+    const def = matchUnitWeapon(name);
+    if (!def) {
+      // Non-weapon equipment (heat sinks, CASE, jump jets, …) is left off.
+      if (looksLikeWeapon(name)) unknown.push(name);
+      continue;
+    }
+    weapons.push({
+      id: makeId(),
+      name: def.name,
+      location,
+      rear,
+      fired: false,
+      out: '',
+      heat: def.heat ?? 0,
+      damage: def.damage ?? 0,
+      rack: def.rack ?? 0,
+      min: def.min ?? 0,
+      short: def.short ?? 0,
+      medium: def.medium ?? 0,
+      long: def.long ?? 0
+    });
+  }
+  return { weapons, ammo, unknown };
+}
+
+/** Equipment names that are weapons the catalog lacks (reported, not imported). */
+function looksLikeWeapon(name) {
+  return /laser|ppc|cannon|\bac\b|ac\/|lrm|srm|mrm|atm|gauss|rifle|flamer|machine\s*gun|launcher|mortar|streak|rocket/i.test(name);
+}
+
+/* -------------------------------------------------------------------------- */
+/*  MTF ('Mechs)                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** MTF location names → 'Mech location keys (quad legs map onto arms and legs). */
+const MTF_LOCATIONS = {
+  'head': 'hd', 'center torso': 'ct', 'left torso': 'lt', 'right torso': 'rt',
+  'left arm': 'la', 'right arm': 'ra', 'left leg': 'll', 'right leg': 'rl',
+  'front left leg': 'la', 'front right leg': 'ra', 'rear left leg': 'll', 'rear right leg': 'rl'
+};
+
+/** MTF armor codes → armor keys. */
+const MTF_ARMOR = {
+  hd: 'hd', ct: 'ct', lt: 'lt', rt: 'rt', la: 'la', ra: 'ra', ll: 'll', rl: 'rl',
+  rtc: 'ctr', rtl: 'ltr', rtr: 'rtr', fll: 'la', frl: 'ra', rll: 'll', rrl: 'rl'
+};
+
+/**
+ * Split an `.mtf` file into its `key:value` fields, armor values, weapon
+ * list and critical-slot lists. Files without `chassis:` / `model:` fields
+ * carry them as the first two bare lines.
+ * @param {string} text
+ * @returns {{fields: Object<string,string>, chassis: string, model: string,
+ *   armor: Object<string,number>, weapons: string[], crits: Object<string,string[]>}}
+ */
+export function parseMtf(text) {
+  const fields = {}, armor = {}, crits = {}, weapons = [], bare = [];
+  let weaponsLeft = 0, critLoc = null;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) { critLoc = null; continue; }
+    if (weaponsLeft > 0) { weapons.push(line); weaponsLeft--; continue; }
+    const header = line.endsWith(':') ? MTF_LOCATIONS[line.slice(0, -1).trim().toLowerCase()] : null;
+    if (header) { critLoc = header; crits[header] = []; continue; }
+    if (critLoc) { crits[critLoc].push(line); continue; }
+    const m = line.match(/^([^:]+):(.*)$/);
+    if (!m) { bare.push(line); continue; }
+    const key = m[1].trim().toLowerCase();
+    const value = m[2].trim();
+    const armorKey = key.match(/^(\w+) armor$/);
+    if (key === 'weapons') weaponsLeft = Number(value) || 0;
+    else if (armorKey && MTF_ARMOR[armorKey[1]]) armor[MTF_ARMOR[armorKey[1]]] = Number(value) || 0;
+    else fields[key] = value;
+  }
+  return {
+    fields,
+    chassis: fields.chassis ?? bare[0] ?? '',
+    model: fields.model ?? bare[1] ?? '',
+    armor, weapons, crits
+  };
+}
+
+/**
+ * Actor data for a parsed `.mtf` file: a `mech` with armor at full, the
+ * internal structure for its tonnage, its weapons (from the Weapons list),
+ * ammunition and critical slots (from the location lists).
+ * @param {ReturnType<typeof parseMtf>} mtf
+ * @param {{makeId?: Function}} [options]
+ * @returns {{type: 'mech', name: string, system: Object, warnings: string[]}}
+ */
+export function mtfToActorData(mtf, { makeId = defaultId } = {}) {
+  const f = mtf.fields;
+  const warnings = [];
+  const config = String(f.config || 'Biped');
+  if (!/biped/i.test(config)) warnings.push(`${config} 'Mech: its locations are mapped onto a biped's.`);
+
+  const tonnage = Number(f.mass) || 0;
+  const engine = String(f.engine || '').match(/^(\d+)\s*(.*)$/);
+  const engineType = (engine?.[2] || '').replace(/\bengine\b/i, '').replace(/\([^)]*\)/g, '').trim() || 'Fusion';
+  const sinks = String(f['heat sinks'] || '');
+
+  const armor = {};
+  for (const key of [...MECH_LOCATIONS.map(l => l.key), 'ctr', 'ltr', 'rtr']) {
+    const v = mtf.armor[key] ?? 0;
+    armor[key] = { value: v, max: v };
+  }
+  const is = mechStructureFor(tonnage);
+  const structure = {};
+  for (const loc of MECH_LOCATIONS) structure[loc.key] = { value: is[loc.key], max: is[loc.key] };
+
+  // Weapons come from the Weapons list; ammunition and the slot table from
+  // the critical-slot lists.
+  const entries = [];
+  for (const line of mtf.weapons) {
+    const [name, where] = line.split(',').map(s => s.trim());
+    const location = MTF_LOCATIONS[String(where || '').toLowerCase()] || 'ct';
+    entries.push({ name: name.replace(/^\d+\s+/, ''), location, rear: /\(R\)/i.test(name) });
+  }
+  const crits = blankMechCrits();
+  for (const [loc, slots] of Object.entries(mtf.crits)) {
+    slots.forEach((slot, i) => {
+      if (!crits[loc] || i >= crits[loc].length) return;
+      const empty = /^-?empty-?$/i.test(slot);
+      const ammo = !empty && matchUnitAmmo(slot);
+      if (ammo) entries.push({ name: slot, location: loc });
+      const weapon = !empty && !ammo && matchUnitWeapon(slot);
+      let label = empty ? '' : slot.replace(/\((?:omnipod|armored)\)/ig, '').trim();
+      if (ammo) label = `${ammo.weapon.name} Ammo${ammo.half ? ' (Half)' : ''}`;
+      else if (weapon) label = `${weapon.name}${/\(R\)/i.test(slot) ? ' (R)' : ''}`;
+      crits[loc][i] = { name: label, hit: false };
+    });
+  }
+  const rows = equipmentRows(entries, makeId);
+  if (rows.unknown.length) warnings.push(`Not in the weapon catalog (left off): ${[...new Set(rows.unknown)].join(', ')}`);
+  if (!mtf.weapons.length) warnings.push('No Weapons list in the file; no weapons imported.');
+
+  return {
+    type: 'mech',
+    name: [mtf.chassis, mtf.model].filter(Boolean).join(' '),
+    system: {
+      chassis: mtf.chassis,
+      model: mtf.model,
+      techBase: megaMekTechBase(f.techbase),
+      tonnage,
+      engine: { type: engineType, rating: Number(engine?.[1]) || 0 },
+      movement: { walk: Number(f['walk mp']) || 0, jump: Number(f['jump mp']) || 0 },
+      heatSinks: { count: Number(sinks.match(/\d+/)?.[0]) || 0, type: /double|laser/i.test(sinks) ? 'double' : 'single' },
+      armor,
+      structure,
+      crits,
+      weapons: rows.weapons,
+      ammo: rows.ammo
+    },
+    warnings
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*  BLK (vehicles, fighters, battle armor)                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Split a `.blk` file into its `<Tag>` blocks, each a list of non-empty
+ * lines. Tag names are lower-cased.
+ * @param {string} text
+ * @returns {Object<string, string[]>}
+ */
+export function parseBlk(text) {
+  const blocks = {};
+  const re = /<([^>/]+)>([\s\S]*?)<\/\1>/g;
+  let m;
+  while ((m = re.exec(String(text || '')))) {
+    blocks[m[1].trim().toLowerCase()] = m[2].split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  }
+  return blocks;
+}
+
+/** MegaMek engine type codes. */
+const BLK_ENGINE_TYPES = ['ICE', 'Fusion', 'XL', 'XXL', 'Fuel Cell', 'Light', 'Compact', 'Fission'];
+
+/** BLK unit types → actor types. */
+const BLK_UNIT_TYPES = {
+  tank: 'ground_vehicle', supporttank: 'ground_vehicle', vtol: 'ground_vehicle', supportvtol: 'ground_vehicle',
+  aero: 'aerospace_fighter', aerospacefighter: 'aerospace_fighter', conventionalfighter: 'aerospace_fighter',
+  convfighter: 'aerospace_fighter', battlearmor: 'battle_armor'
+};
+
+/** BLK motion types → vehicle motive types. */
+const BLK_MOTIVE_TYPES = {
+  tracked: 'tracked', wheeled: 'wheeled', hover: 'hover', vtol: 'vtol',
+  naval: 'naval', hydrofoil: 'naval', submarine: 'naval', wige: 'hover'
+};
+
+/**
+ * A vehicle's suspension factor (TM p.127), taken off cruise MP × tonnage to
+ * get its engine rating.
+ */
+function suspensionFactor(motiveType, tonnage) {
+  const t = Number(tonnage) || 0;
+  if (motiveType === 'wheeled') return 20;
+  if (motiveType === 'hover') return [40, 85, 130, 175, 235][Math.min(4, Math.max(0, Math.ceil(t / 10) - 1))];
+  if (motiveType === 'vtol') return [50, 95, 140][Math.min(2, Math.max(0, Math.ceil(t / 10) - 1))];
+  return 0;
+}
+
+const num = (blocks, tag, fallback = 0) => Number(blocks[tag]?.[0] ?? fallback) || 0;
+
+/**
+ * Actor data for a parsed `.blk` file: a ground vehicle (tank or VTOL), an
+ * aerospace or conventional fighter, or a battle armor squad.
+ * @param {Object<string, string[]>} blk From `parseBlk`
+ * @param {{makeId?: Function}} [options]
+ * @returns {{type: string, name: string, system: Object, warnings: string[]}}
+ * @throws {Error} For unit types the system has no sheet for
+ */
+export function blkToActorData(blk, { makeId = defaultId } = {}) {
+  const unitType = String(blk.unittype?.[0] || '').replace(/\s+/g, '').toLowerCase();
+  const type = BLK_UNIT_TYPES[unitType];
+  if (!type) throw new Error(`MegaMek unit type "${blk.unittype?.[0] || 'unknown'}" cannot be imported.`);
+  const chassis = blk.name?.[0] || '';
+  const model = blk.model?.[0] || '';
+  const base = {
+    chassis,
+    model,
+    techBase: megaMekTechBase(blk.type?.[0])
+  };
+  const warnings = [];
+  const convert = { ground_vehicle: blkVehicle, aerospace_fighter: blkFighter, battle_armor: blkBattleArmor }[type];
+  const system = { ...base, ...convert(blk, makeId, warnings) };
+  return { type, name: [chassis, model].filter(Boolean).join(' '), system, warnings };
+}
+
+function reportUnknown(rows, warnings) {
+  if (rows.unknown.length) warnings.push(`Not in the weapon catalog (left off): ${[...new Set(rows.unknown)].join(', ')}`);
+}
+
+function blkVehicle(blk, makeId, warnings) {
+  const tonnage = num(blk, 'tonnage');
+  const motion = String(blk.motion_type?.[0] || 'Tracked').toLowerCase();
+  const motiveType = BLK_MOTIVE_TYPES[motion] || 'tracked';
+  if (!BLK_MOTIVE_TYPES[motion]) warnings.push(`Motion type "${blk.motion_type?.[0]}" imported as tracked.`);
+  const vtol = motiveType === 'vtol';
+  // MegaMek armor order: front, right, left, rear, then turret (rotor, then chin turret on a VTOL).
+  const order = vtol ? ['front', 'right', 'left', 'back', 'rotor', 'turret'] : ['front', 'right', 'left', 'back', 'turret'];
+  const values = (blk.armor || []).map(Number);
+  const turret = values.length > order.indexOf('turret') || !!blk['turret equipment']?.length;
+  const armor = {};
+  for (const loc of VEHICLE_LOCATIONS) {
+    const i = order.indexOf(loc.key);
+    const v = i >= 0 ? (values[i] || 0) : 0;
+    armor[loc.key] = { value: v, max: v };
+  }
+  const is = vehicleStructureFor(tonnage, { turret, rotor: vtol });
+  const structure = {};
+  for (const loc of VEHICLE_LOCATIONS) structure[loc.key] = { value: is[loc.key], max: is[loc.key] };
+
+  const entries = [];
+  const blocks = { front: 'front', right: 'right', left: 'left', rear: 'back', turret: 'turret', rotor: 'rotor', body: 'body' };
+  for (const [tag, location] of Object.entries(blocks)) {
+    for (const name of blk[`${tag} equipment`] || []) entries.push({ name, location });
+  }
+  const rows = equipmentRows(entries, makeId);
+  reportUnknown(rows, warnings);
+
+  const cruise = num(blk, 'cruisemp');
+  const engineCode = num(blk, 'engine_type', 1);
+  return {
+    tonnage,
+    motiveType,
+    engine: {
+      type: BLK_ENGINE_TYPES[engineCode] || 'Fusion',
+      rating: Math.max(10, Math.ceil((cruise * tonnage - suspensionFactor(motiveType, tonnage)) / 5) * 5)
+    },
+    movement: { cruise, mode: 'stand' },
+    turret: { mounted: turret },
+    armor,
+    structure,
+    weapons: rows.weapons,
+    ammo: rows.ammo
+  };
+}
+
+function blkFighter(blk, makeId, warnings) {
+  const tonnage = num(blk, 'tonnage');
+  const safeThrust = num(blk, 'safethrust');
+  // MegaMek armor order: nose, left wing, right wing, aft.
+  const values = (blk.armor || []).map(Number);
+  const armor = {};
+  FIGHTER_ARCS.forEach((arc, i) => { armor[arc.key] = { value: values[i] || 0, max: values[i] || 0 }; });
+  const si = fighterStructuralIntegrity(tonnage, safeThrust);
+
+  const entries = [];
+  const blocks = { nose: 'nose', 'left wing': 'left', 'right wing': 'right', aft: 'aft', fuselage: 'nose' };
+  for (const [tag, location] of Object.entries(blocks)) {
+    for (const name of blk[`${tag} equipment`] || []) entries.push({ name, location });
+  }
+  const rows = equipmentRows(entries, makeId);
+  reportUnknown(rows, warnings);
+
+  const fuel = num(blk, 'fuel');
+  const engineCode = num(blk, 'engine_type', 1);
+  return {
+    tonnage,
+    engine: { type: BLK_ENGINE_TYPES[engineCode] || 'Fusion', rating: Math.max(0, (safeThrust - 2) * tonnage) },
+    movement: { safeThrust, thrustUsed: 0 },
+    fuel: { value: fuel, max: fuel },
+    heatSinks: { count: num(blk, 'heatsinks'), type: num(blk, 'sink_type') === 1 ? 'double' : 'single' },
+    armor,
+    structure: { si: { value: si, max: si } },
+    weapons: rows.weapons,
+    ammo: rows.ammo
+  };
+}
+
+/** BLK battle armor weight class codes. */
+const BLK_BA_CLASSES = ['pal', 'light', 'medium', 'heavy', 'assault'];
+
+/** Manipulator equipment → BA_MANIPULATORS key (most specific first). */
+const BLK_MANIPULATORS = [
+  ['vibro', 'vibroClaw'], ['heavybattleclaw', 'heavyBattleClaw'], ['battleclaw', 'battleClaw'],
+  ['armoredglove', 'armoredGlove'], ['basicmanipulator', 'basic'], ['magnetic', 'magnetic']
+];
+
+function blkBattleArmor(blk, makeId, warnings) {
+  const weightClass = BLK_BA_CLASSES[num(blk, 'weightclass', 2)] || 'medium';
+  const motion = String(blk.motion_type?.[0] || '').toLowerCase();
+  const movementType = ['jump', 'vtol', 'umu'].includes(motion) ? motion : 'none';
+  const armorPoints = num(blk, 'armor');
+  const size = Math.min(BA_SQUAD_SIZE.max, Math.max(BA_SQUAD_SIZE.min, num(blk, 'trooper count', BA_SQUAD_SIZE.min)));
+  const troopers = Array.from({ length: size }, (_, i) => ({
+    id: makeId(), name: `Trooper ${i + 1}`, pilot: '', armor: { value: armorPoints, max: armorPoints }, killed: false
+  }));
+
+  // Equipment lines read "Name:Mount" (LA, RA or Body).
+  const manipulators = { left: 'none', right: 'none' };
+  const entries = [];
+  for (const line of [...(blk['squad equipment'] || []), ...(blk['point equipment'] || [])]) {
+    const [name, where = 'Body'] = line.split(':').map(s => s.trim());
+    const location = { la: 'la', ra: 'ra' }[where.toLowerCase()] || 'body';
+    const manip = BLK_MANIPULATORS.find(([key]) => normalize(name).includes(key));
+    if (manip) {
+      if (location === 'la') manipulators.left = manip[1];
+      else if (location === 'ra') manipulators.right = manip[1];
+      continue;
+    }
+    // Battle armor ammunition is counted in shots per weapon, not tons.
+    if (/ammo/i.test(name)) continue;
+    entries.push({ name, location });
+  }
+  const rows = equipmentRows(entries, makeId);
+  reportUnknown(rows, warnings);
+
+  return {
+    weightClass,
+    manipulators,
+    movement: { ground: num(blk, 'cruisemp', 1), type: movementType, mp: num(blk, 'jumpingmp'), mode: 'stand' },
+    troopers,
+    weapons: rows.weapons,
+    ammo: []
+  };
+}
+
+/**
+ * Parse a MegaMek unit file into actor data, by format.
+ * @param {string} text File contents
+ * @param {string} [filename] Used to tell `.mtf` from `.blk` (sniffed otherwise)
+ * @param {{makeId?: Function}} [options]
+ * @returns {{type: string, name: string, system: Object, warnings: string[]}}
+ */
+export function megaMekToActorData(text, filename = '', options = {}) {
+  const blk = /\.blk$/i.test(filename) || (!/\.mtf$/i.test(filename) && /<UnitType>/i.test(text));
+  return blk ? blkToActorData(parseBlk(text), options) : mtfToActorData(parseMtf(text), options);
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Foundry                                                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Import a MegaMek unit file as a world actor. Updates `options.actor` (or a
+ * world actor with the same name and type) when there is one, otherwise
+ * creates a new actor. GM only.
+ * @param {string} text File contents
+ * @param {Object} [options]
+ * @param {string} [options.filename] Original file name (`.mtf` / `.blk`)
+ * @param {Actor} [options.actor] Unit actor to update in place
+ * @returns {Promise<Actor|null>}
+ */
+export async function importMegaMekUnit(text, { filename = '', actor = null } = {}) {
+  if (!game.user?.isGM) {
+    ui.notifications.warn('Only the GM can import MegaMek units.');
+    return null;
+  }
+  let data;
+  try {
+    data = megaMekToActorData(text, filename);
+  } catch (err) {
+    ui.notifications.error(err.message);
+    return null;
+  }
+  if (!data.name) data.name = filename.replace(/\.(mtf|blk)$/i, '') || 'Imported Unit';
+  if (actor && actor.type !== data.type) {
+    ui.notifications.warn(`${filename || 'That file'} is a ${data.type.replace('_', ' ')}, not a ${actor.type.replace('_', ' ')}; importing it as a new actor.`);
+    actor = null;
+  }
+  actor = actor || game.actors.find(a => a.type === data.type && a.name === data.name) || null;
+
+  if (actor) {
+    // A squad keeps its pilots, suit by suit.
+    if (data.type === 'battle_armor') {
+      const old = actor.system.troopers || [];
+      data.system.troopers.forEach((t, i) => { t.pilot = old[i]?.pilot || ''; });
+    }
+    await actor.update({ name: data.name, system: data.system });
+  } else {
+    actor = await Actor.implementation.create({ name: data.name, type: data.type, system: data.system });
+  }
+  for (const w of data.warnings) ui.notifications.warn(`${data.name}: ${w}`);
+  ui.notifications.info(`Imported ${data.name} from ${filename || 'MegaMek data'}.`);
+  return actor;
+}
+
+/**
+ * Ask for one or more `.mtf` / `.blk` files and import each one.
+ * @param {Actor} [actor] Unit actor to update with the (first) file
+ * @returns {Promise<Actor[]>} The actors created or updated
+ */
+export async function openMegaMekImporter(actor = null) {
+  const files = await foundry.applications.api.DialogV2.wait({
+    window: { title: 'Import MegaMek Unit', icon: 'fa-solid fa-file-import' },
+    content: `
+      <p>Choose MegaMek unit files: <code>.mtf</code> for 'Mechs, <code>.blk</code> for vehicles, fighters and battle armor.</p>
+      <div class="form-group"><input type="file" name="files" accept=".mtf,.blk" ${actor ? '' : 'multiple'} /></div>`,
+    buttons: [
+      {
+        action: 'import', label: 'Import', icon: 'fa-solid fa-file-import', default: true,
+        callback: (event, button) => [...button.form.elements.files.files]
+      },
+      { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+    ],
+    rejectClose: false
+  });
+  if (!Array.isArray(files) || !files.length) return [];
+  const imported = [];
+  for (const [i, file] of files.entries()) {
+    const result = await importMegaMekUnit(await file.text(), { filename: file.name, actor: i === 0 ? actor : null });
+    if (result) imported.push(result);
+  }
+  return imported;
+}
@@ -0,0 +1,144 @@
+/**
+ * Melee maneuvers beyond a plain strike (A Time of War): grapple, pin,
+ * disarm, trip and throw, plus breaking free of a hold.
+ *
+ * A maneuver rides the normal opposed melee roll; who wins is still decided
+ * by `OpposedRollHelper.resolveMeleeOpposed`, and these helpers say what
+ * winning means. Holds last: each character's `system.grapple` records
+ * whether they are grappling, grappled or pinned, and by whom, and that
+ * state modifies their later attacks and attacks made against them.
+ */
+
+/**
+ * Maneuvers: attack modifier, whether a win deals damage, and what the
+ * attacker must already have hold of (`holding`: the target is in their
+ * grapple; `held`: they are in the target's).
+ */
+export const MELEE_MANEUVERS = {
+  strike: { label: 'Strike', mod: 0, damage: true, requires: null, hint: 'A normal blow' },
+  grapple: { label: 'Grapple', mod: 0, damage: false, requires: null, hint: 'Seize the target: grappled' },
+  pin: { label: 'Pin', mod: -2, damage: false, requires: 'holding', hint: 'Pin a grappled target: pinned' },
+  disarm: { label: 'Disarm', mod: -2, damage: false, requires: null, hint: 'Knock the weapon from their grip' },
+  trip: { label: 'Trip', mod: -1, damage: false, requires: null, hint: 'Knock the target prone' },
+  throw: { label: 'Throw', mod: -1, damage: true, requires: 'holding', hint: 'Throw a grappled target: damage, prone, released' },
+  escape: { label: 'Break Free', mod: 0, damage: false, requires: 'held', hint: 'Escape the hold you are in' }
+};
+
+/**
+ * Maneuvers a defender can answer with when they win outright ('none' for a
+ * defender with no free hand to do it, such as one who is pinned).
+ */
+export const COUNTER_MANEUVERS = ['strike', 'grapple', 'trip', 'disarm'];
+
+/**
+ * Hold states: the modifier on the character's own attacks (null: they can
+ * only try to break free) and on attacks made against them.
+ */
+export const GRAPPLE_STATES = {
+  none: { label: 'Free', attack: 0, defense: 0 },
+  grappling: { label: 'Grappling', attack: -2, defense: 0 },
+  grappled: { label: 'Grappled', attack: -2, defense: 0 },
+  pinned: { label: 'Pinned', attack: null, defense: 2 }
+};
+
+/** A character nobody has hold of. */
+export function blankGrapple() {
+  return { state: 'none', partner: '', partnerName: '' };
+}
+
+/**
+ * Can a character try a maneuver on a target?
+ * @param {string} key A MELEE_MANEUVERS key
+ * @param {Object} grapple The attacker's `system.grapple`
+ * @param {string} targetUuid The target actor's UUID
+ * @returns {boolean}
+ */
+export function maneuverAvailable(key, grapple, targetUuid) {
+  const maneuver = MELEE_MANEUVERS[key];
+  if (!maneuver) return false;
+  const state = GRAPPLE_STATES[grapple?.state] ? grapple.state : 'none';
+  const withTarget = !!grapple?.partner && grapple.partner === targetUuid;
+  if (state === 'pinned' && key !== 'escape') return false;
+  if (maneuver.requires === 'holding') return state === 'grappling' && withTarget;
+  if (maneuver.requires === 'held') return (state === 'grappled' || state === 'pinned') && withTarget;
+  return true;
+}
+
+/**
+ * Modifier a hold puts on a character's attack.
+ * @param {Object} grapple The attacker's `system.grapple`
+ * @param {string} [targetUuid] Who they're attacking; the one they're locked with is exempt
+ * @returns {number|null} null when the hold stops them attacking at all
+ */
+export function grappleAttackMod(grapple, targetUuid) {
+  const def = GRAPPLE_STATES[grapple?.state] ?? GRAPPLE_STATES.none;
+  if (def.attack === null) return null;
+  if (targetUuid && grapple?.partner === targetUuid) return 0;
+  return def.attack;
+}
+
+/**
+ * Modifier a hold puts on attacks against a character.
+ * @param {Object} grapple The target's `system.grapple`
+ * @returns {number}
+ */
+export function grappleDefenseMod(grapple) {
+  return (GRAPPLE_STATES[grapple?.state] ?? GRAPPLE_STATES.none).defense;
+}
+
+/**
+ * Read an opposed melee resolution in terms of a maneuver.
+ * @param {string} key The attacker's MELEE_MANEUVERS key
+ * @param {string} counter The defender's COUNTER_MANEUVERS key, or 'none'
+ * @param {Object} resolution From `OpposedRollHelper.resolveMeleeOpposed`
+ * @returns {{winner: 'attacker'|'defender'|null, maneuver: string|null, damage: boolean,
+ *   defenderChoice: boolean, description: string}}
+ */
+export function resolveManeuver(key, counter, resolution) {
+  const attackKey = key in MELEE_MANEUVERS ? key : 'strike';
+  const counterKey = COUNTER_MANEUVERS.includes(counter) ? counter : 'strike';
+  const attack = MELEE_MANEUVERS[attackKey];
+  const answer = MELEE_MANEUVERS[counterKey];
+  const strike = attackKey === 'strike';
+  const none = { winner: null, maneuver: null, damage: false, defenderChoice: false, description: resolution.description };
+
+  switch (resolution.outcome) {
+    case 'attacker_hits':
+      return { winner: 'attacker', maneuver: attackKey, damage: attack.damage, defenderChoice: false,
+        description: strike ? resolution.description : `${attack.label} succeeds!` };
+    case 'counterstrike':
+      if (counter === 'none') return { ...none, description: 'Defender holds them off.' };
+      return { winner: 'defender', maneuver: counterKey, damage: answer.damage, defenderChoice: false,
+        description: counterKey === 'strike' ? resolution.description : `Defender counters with a ${answer.label.toLowerCase()}!` };
+    case 'defender_choice':
+      // Block or trade blows only makes sense against a strike
+      if (strike) return { ...none, defenderChoice: true };
+      return { ...none, description: `Defender slips the ${attack.label.toLowerCase()}.` };
+    case 'tie':
+      return strike ? none : { ...none, description: `Tie - the ${attack.label.toLowerCase()} is blocked.` };
+    default:
+      return none;
+  }
+}
+
+/**
+ * What a successful maneuver changes.
+ * @param {string} key A MELEE_MANEUVERS key
+ * @param {{uuid: string, name: string}} by Who pulled it off
+ * @param {{uuid: string, name: string}} on Who it was done to
+ * @returns {{by: Object|null, on: Object|null, prone: boolean, disarm: boolean}}
+ *   New `system.grapple` for each side (null: unchanged), and whether the
+ *   victim is knocked prone or disarmed
+ */
+export function maneuverChanges(key, by, on) {
+  const hold = (state, other) => ({ state, partner: other.uuid, partnerName: other.name });
+  switch (key) {
+    case 'grapple': return { by: hold('grappling', on), on: hold('grappled', by), prone: false, disarm: false };
+    case 'pin': return { by: hold('grappling', on), on: hold('pinned', by), prone: false, disarm: false };
+    case 'throw': return { by: blankGrapple(), on: blankGrapple(), prone: true, disarm: false };
+    case 'escape': return { by: blankGrapple(), on: blankGrapple(), prone: false, disarm: false };
+    case 'trip': return { by: null, on: null, prone: true, disarm: false };
+    case 'disarm': return { by: null, on: null, prone: false, disarm: true };
+    default: return { by: null, on: null, prone: false, disarm: false };
+  }
+}
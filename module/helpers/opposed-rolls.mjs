@@ -5,6 +5,7 @@
 
 import { SocketHandler, SOCKET_EVENTS } from './socket-handler.mjs';
 import { DiceMechanics } from './dice-mechanics.mjs';
+import { MELEE_MANEUVERS, COUNTER_MANEUVERS, GRAPPLE_STATES, maneuverAvailable } from './melee-maneuvers.mjs';
 
 export class OpposedRollHelper {
 
@@ -408,12 +409,22 @@ export class OpposedRollHelper {
 
     const options = this.getDefenseSkillOptions(actor);
 
+    // What the attacker is trying, and how the defender can answer if they win outright
+    const maneuver = MELEE_MANEUVERS[data.maneuver] && data.maneuver !== 'strike' ? MELEE_MANEUVERS[data.maneuver] : null;
+    const counters = COUNTER_MANEUVERS
+      .filter(key => maneuverAvailable(key, actor.system.grapple, data.attackerUuid))
+      .map(key => ({ key, label: MELEE_MANEUVERS[key].label, hint: MELEE_MANEUVERS[key].hint }));
+    const grappleState = actor.system.grapple?.state;
+
     const content = await foundry.applications.handlebars.renderTemplate(
       "systems/mech-foundry/templates/dialog/defender-prompt.hbs",
       {
         attackerName: data.attackerName,
         weaponName: data.weaponName || "Melee Attack",
-        options: options
+        options: options,
+        maneuver,
+        counters,
+        holdLabel: grappleState && grappleState !== 'none' ? GRAPPLE_STATES[grappleState]?.label : null
       }
     );
 
@@ -440,12 +451,14 @@ export class OpposedRollHelper {
 
               let selectedOption = null;
               let modifier = 0;
+              let counter = counters.length ? 'strike' : 'none';
 
               if (formElement) {
                 // Use FormData to extract values
                 const formData = new FormData(formElement);
                 selectedOption = formData.get('defenseOption');
                 modifier = parseInt(formData.get('modifier')) || 0;
+                counter = formData.get('counterManeuver') || counter;
               }
 
               // Fallback: try direct query
@@ -471,6 +484,7 @@ export class OpposedRollHelper {
                 modifier,
                 defenseOptions
               );
+              defenseResult.counter = counter;
 
               resolve(defenseResult);
             }
@@ -0,0 +1,269 @@
+import { AOEHelper } from "./aoe-helper.mjs";
+import { SocketHandler, SOCKET_EVENTS } from "./socket-handler.mjs";
+
+/**
+ * Overwatch (held action) Helper
+ *
+ * A character can hold their attack and watch an area: they pick a weapon
+ * and place a circular Region with the same `canvas.regions.placeRegion`
+ * flow as AOE attacks. The Region carries the overwatch in
+ * `flags.mech-foundry.overwatch` and lasts until the shot is taken, the
+ * watcher's next turn starts, or they stand down.
+ *
+ * When a hostile token moves into the area, the client that moved it asks
+ * the watcher's owner (over the socket, or the GM when no owner is on) whether
+ * to take the reaction shot, which runs through the normal
+ * `rollWeaponAttack` path.
+ */
+
+/** Foundry's token dispositions for the two sides (CONST.TOKEN_DISPOSITIONS). */
+export const SIDES = { FRIENDLY: 1, HOSTILE: -1 };
+
+/**
+ * Are two tokens on opposite sides? Neutral and secret tokens are no one's enemy.
+ * @param {{disposition: number}} a
+ * @param {{disposition: number}} b
+ * @returns {boolean}
+ */
+export function isHostile(a, b) {
+  const { FRIENDLY, HOSTILE } = SIDES;
+  return (a?.disposition === FRIENDLY && b?.disposition === HOSTILE)
+    || (a?.disposition === HOSTILE && b?.disposition === FRIENDLY);
+}
+
+/**
+ * Has the overwatch's shot already been taken?
+ * @param {Object|null} watch A region's overwatch flag
+ * @returns {boolean}
+ */
+export function overwatchSpent(watch) {
+  return !watch || !!watch.spent;
+}
+
+/**
+ * Does a move spring an overwatch? Only a hostile token stepping into the
+ * area from outside does: one already inside has to leave and come back,
+ * the watcher can't spring their own, and a spent overwatch stays spent.
+ * @param {Object|null} watch The region's overwatch flag
+ * @param {{id: string, disposition: number}|null} watcher The watching token, null if gone
+ * @param {{id: string, disposition: number}} mover The moved token
+ * @param {boolean} wasInside Whether the mover started inside the area
+ * @param {boolean} isInside Whether it ended inside
+ * @returns {boolean}
+ */
+export function overwatchTriggered(watch, watcher, mover, wasInside, isInside) {
+  if (overwatchSpent(watch) || !watcher || watcher.id === mover.id) return false;
+  return isHostile(watcher, mover) && !wasInside && isInside;
+}
+
+export class OverwatchHelper {
+
+  /** Default radius of the watched area, in meters. */
+  static DEFAULT_RADIUS = 5;
+
+  /**
+   * Listen for reaction prompts routed to this client — call this in the
+   * ready hook.
+   */
+  static initSocket() {
+    game.socket.on(SocketHandler.SOCKET_NAME, (data) => {
+      if (data?.eventType === SOCKET_EVENTS.OVERWATCH_PROMPT) this.promptReaction(data);
+    });
+  }
+
+  /**
+   * Place the watched area and hold the attack.
+   *
+   * @param {Actor} actor The watching actor
+   * @param {Item} weapon The weapon held ready
+   * @param {Object} [options] Attack options for the reaction shot (modifier, firingMode, etc.)
+   * @param {number} [options.radius] Radius of the watched area in meters
+   * @returns {Promise<RegionDocument|null>}
+   */
+  static async startOverwatch(actor, weapon, options = {}) {
+    const token = actor.getActiveTokens(true)[0];
+    if (!token) {
+      ui.notifications.warn(`${actor.name} needs a token on this scene to set up overwatch.`);
+      return null;
+    }
+
+    const radius = Math.max(1, Number(options.radius) || this.DEFAULT_RADIUS);
+    const placement = await AOEHelper._placeRegionInteractive({
+      name: `${actor.name} Overwatch`,
+      color: game.user.color || "#3388ff",
+      shape: { type: "circle", x: 0, y: 0, radius: radius * AOEHelper._pixelsPerMeter() },
+      hint: "Position the overwatch area, click to confirm."
+    });
+    if (!placement) {
+      ui.notifications.info("Overwatch cancelled.");
+      return null;
+    }
+
+    // One overwatch at a time
+    await this.endOverwatch(actor);
+
+    // What the reaction shot is fired with (suppression needs its own placement)
+    const shotOptions = {
+      modifier: options.modifier || 0,
+      firingMode: options.firingMode === 'suppression' ? 'single' : (options.firingMode || 'single'),
+      burstShots: options.burstShots,
+      controlledShots: options.controlledShots,
+      friendlyInLoF: !!options.friendlyInLoF
+    };
+    const regionData = {
+      name: `${actor.name} Overwatch (${weapon.name})`,
+      color: game.user.color || "#3388ff",
+      shapes: [{ type: "circle", x: placement.x, y: placement.y, radius: radius * AOEHelper._pixelsPerMeter() }],
+      visibility: CONST.REGION_VISIBILITY.ALWAYS,
+      flags: {
+        "mech-foundry": {
+          overwatch: {
+            actorUuid: actor.uuid,
+            tokenId: token.id,
+            weaponId: weapon.id,
+            options: shotOptions
+          }
+        }
+      }
+    };
+
+    let region;
+    try {
+      [region] = await canvas.scene.createEmbeddedDocuments("Region", [regionData]);
+    } catch (e) {
+      console.error("mech-foundry | Could not create overwatch Region", e);
+      ui.notifications.error("Could not place the overwatch area.");
+      return null;
+    }
+
+    await actor.setFlag("mech-foundry", "overwatch", { sceneId: canvas.scene.id, regionId: region.id, weaponName: weapon.name });
+    ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `${actor.name} goes on overwatch with ${weapon.name} (${radius} m area).`
+    });
+    await actor.spendCombatAction?.('overwatch', `Overwatch (${weapon.name})`);
+    return region;
+  }
+
+  /**
+   * Stand down: remove the actor's overwatch area, if any.
+   * @param {Actor} actor
+   */
+  static async endOverwatch(actor) {
+    const state = actor?.getFlag("mech-foundry", "overwatch");
+    if (!state) return;
+    const region = game.scenes.get(state.sceneId)?.regions.get(state.regionId);
+    if (region) {
+      try {
+        await region.delete();
+      } catch (e) {
+        console.warn("mech-foundry | Could not remove overwatch Region", e);
+      }
+    }
+    await actor.unsetFlag("mech-foundry", "overwatch");
+  }
+
+  /**
+   * Check a token that just moved against every overwatch area on its scene,
+   * and ask for a reaction shot where a hostile walked in. Runs on the client
+   * that moved the token (the only one that knows where it came from).
+   *
+   * @param {TokenDocument} tokenDocument The moved token
+   * @param {{x: number, y: number}} from Its top-left position before the move
+   */
+  static checkTrigger(tokenDocument, from) {
+    const scene = tokenDocument.parent;
+    if (!scene) return;
+    const half = { x: tokenDocument.width * scene.grid.size / 2, y: tokenDocument.height * scene.grid.size / 2 };
+    const elevation = tokenDocument.elevation ?? 0;
+    const before = { x: from.x + half.x, y: from.y + half.y, elevation };
+    const after = { x: tokenDocument.x + half.x, y: tokenDocument.y + half.y, elevation };
+
+    for (const region of scene.regions) {
+      const watch = region.getFlag("mech-foundry", "overwatch");
+      if (!watch) continue;
+      const watcher = scene.tokens.get(watch.tokenId) ?? null;
+      if (!overwatchTriggered(watch, watcher, tokenDocument, region.testPoint(before), region.testPoint(after))) continue;
+      this._requestReaction({
+        sceneId: scene.id,
+        regionId: region.id,
+        targetTokenId: tokenDocument.id,
+        targetName: tokenDocument.name
+      }, watch);
+    }
+  }
+
+  /**
+   * Route the reaction prompt to exactly one client: an active player who
+   * owns the watcher, otherwise the first active GM.
+   * @param {Object} data Prompt data (sceneId, regionId, targetTokenId, targetName)
+   * @param {Object} watch The region's overwatch flag
+   */
+  static _requestReaction(data, watch) {
+    const actor = fromUuidSync(watch.actorUuid);
+    if (!actor) return;
+    const owner = game.users.find(u => u.active && !u.isGM && actor.testUserPermission(u, "OWNER"));
+    const responderId = owner ? owner.id : game.users.find(u => u.active && u.isGM)?.id;
+    if (!responderId) return;
+
+    const payload = { ...data, responderId };
+    if (responderId === game.user.id) this.promptReaction(payload);
+    else SocketHandler.emit(SOCKET_EVENTS.OVERWATCH_PROMPT, payload);
+  }
+
+  /**
+   * Ask the watcher's owner whether to take the reaction shot, and take it.
+   * @param {Object} data Prompt data from `_requestReaction`
+   */
+  static async promptReaction(data) {
+    if (data.responderId !== game.user.id) return;
+    const region = game.scenes.get(data.sceneId)?.regions.get(data.regionId);
+    const watch = region?.getFlag("mech-foundry", "overwatch");
+    const actor = watch ? fromUuidSync(watch.actorUuid) : null;
+    const weapon = actor?.items.get(watch.weaponId);
+    if (!weapon) return;
+
+    new Dialog({
+      title: "Overwatch",
+      content: `<p><strong>${data.targetName}</strong> has moved into ${actor.name}'s overwatch area.</p>
+        <p>Take the reaction shot with <strong>${weapon.name}</strong>?</p>`,
+      buttons: {
+        fire: {
+          icon: '<i class="fas fa-crosshairs"></i>',
+          label: "Fire",
+          callback: () => this._fireReaction(actor, weapon, watch, data)
+        },
+        hold: {
+          icon: '<i class="fas fa-hand-paper"></i>',
+          label: "Hold"
+        }
+      },
+      default: "fire"
+    }).render(true);
+  }
+
+  /**
+   * Take the reaction shot and end the overwatch. A prompt answered after the
+   * shot was already taken (two hostiles walking in) fires nothing.
+   * @param {Actor} actor
+   * @param {Item} weapon
+   * @param {Object} watch The region's overwatch flag
+   * @param {Object} data Prompt data
+   * @private
+   */
+  static async _fireReaction(actor, weapon, watch, data) {
+    const region = game.scenes.get(data.sceneId)?.regions.get(data.regionId);
+    if (overwatchSpent(region?.getFlag("mech-foundry", "overwatch"))) {
+      ui.notifications.info(`${actor.name} has already taken the overwatch shot.`);
+      return;
+    }
+    const target = canvas.scene?.id === data.sceneId ? canvas.tokens.get(data.targetTokenId) : null;
+    if (!target) {
+      ui.notifications.warn(`View the scene with ${data.targetName} to take the overwatch shot.`);
+      return;
+    }
+    await region.setFlag("mech-foundry", "overwatch", { ...watch, spent: true });
+    await this.endOverwatch(actor);
+    await actor.rollWeaponAttack(weapon.id, { ...watch.options, target, reaction: true });
+  }
+}
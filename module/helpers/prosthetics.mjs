@@ -0,0 +1,151 @@
+/**
+ * Prosthetics and cybernetics: where they fit, what fitting one does to the
+ * wounds there, and whether an installed one is working.
+ *
+ * A prosthetic is fitted into a body slot by a Surgery check (the surgery TN,
+ * harder for grafted implants). Fitting a limb replaces the natural one, so a
+ * limb wound at that location (Nerve Damage, or any homebrew wound type marked
+ * as a limb wound) goes with it.
+ * Once installed it works, and its item effects apply, until it is damaged
+ * (a limb wound landing on it needs technical repair), runs out of power,
+ * falls overdue for maintenance or is knocked out by an EMP.
+ *
+ * Pure rules — `MechFoundryActor#installProsthetic` and friends apply them.
+ */
+import { woundType } from './wounds.mjs';
+
+/**
+ * Body slots a prosthetic can fill. `location` is the hit location (armor
+ * location) wounds there are recorded against; `count` how many a body has.
+ * `body` holds systemic implants: full-body myomer, neural implants.
+ */
+export const PROSTHETIC_SLOTS = {
+  arm: { label: 'Arm', location: 'arms', count: 2, limb: true },
+  hand: { label: 'Hand', location: 'arms', count: 2, limb: true },
+  leg: { label: 'Leg', location: 'legs', count: 2, limb: true },
+  foot: { label: 'Foot', location: 'legs', count: 2, limb: true },
+  eye: { label: 'Eye', location: 'head', count: 2, limb: false },
+  ear: { label: 'Ear', location: 'head', count: 2, limb: false },
+  organ: { label: 'Organ', location: 'torso', count: 5, limb: false },
+  body: { label: 'Whole Body', location: null, count: 3, limb: false }
+};
+
+/** Target number for fitting a prosthetic (the Surgery TN). */
+export const INSTALL_TN = 9;
+
+/** Surgery modifier by how a prosthetic is fitted. */
+export const INSTALL_MODS = { removable: 0, surgical: -1, grafted: -2 };
+
+/** Why an installed prosthetic isn't working, as shown on the sheet. */
+export const PROSTHETIC_FAULTS = {
+  damaged: 'Damaged',
+  emp: 'EMP shutdown',
+  unpowered: 'No power',
+  maintenance: 'Maintenance overdue'
+};
+
+/** Seconds in a day of game time. */
+const DAY_SECONDS = 86400;
+
+/** Words in a prosthetic's name that give away its slot. */
+const SLOT_WORDS = [
+  ['arm', /\barms?\b/i], ['hand', /\bhands?\b/i], ['leg', /\blegs?\b/i], ['foot', /\b(foot|feet)\b/i],
+  ['eye', /\b(eyes?|lens|vision)\b/i], ['ear', /\b(ears?|hearing|acoustic)\b/i],
+  ['organ', /\b(organ|heart|liver|kidney|lung)\b/i]
+];
+
+/**
+ * The slot a prosthetic's name suggests, e.g. "Type 3: Standard Prosthetic
+ * (Leg/Foot)" → 'leg'.
+ * @param {string} name
+ * @returns {string} A PROSTHETIC_SLOTS key, or '' if none
+ */
+export function slotFromName(name) {
+  return SLOT_WORDS.find(([, pattern]) => pattern.test(name || ''))?.[0] || '';
+}
+
+/**
+ * How a prosthetic is fitted, from its notes.
+ * @param {string} notes
+ * @returns {string} An INSTALL_MODS key
+ */
+export function installKind(notes) {
+  if (/\bgrafted\b/i.test(notes || '')) return 'grafted';
+  if (/\bwith surgery\b/i.test(notes || '')) return 'surgical';
+  return 'removable';
+}
+
+/**
+ * Is there room for another prosthetic in a slot?
+ * @param {Object[]} installed `system`s of the prosthetics already installed
+ * @param {string} slot A PROSTHETIC_SLOTS key
+ * @returns {boolean}
+ */
+export function slotFree(installed, slot) {
+  const def = PROSTHETIC_SLOTS[slot];
+  if (!def) return false;
+  return (installed || []).filter(p => p?.bodyLocation === slot).length < def.count;
+}
+
+/**
+ * Wounds a newly fitted prosthetic replaces along with the natural limb.
+ * @param {Object[]} wounds The patient's `system.wounds`
+ * @param {string} slot A PROSTHETIC_SLOTS key
+ * @returns {number[]} Their indices, highest first (safe to remove in order)
+ */
+export function replacedWounds(wounds, slot) {
+  const def = PROSTHETIC_SLOTS[slot];
+  if (!def?.limb) return [];
+  return (wounds || [])
+    .map((w, i) => (woundType(w?.type)?.limb && w.location === def.location ? i : -1))
+    .filter(i => i >= 0)
+    .reverse();
+}
+
+/**
+ * Days since a prosthetic was last serviced.
+ * @param {Object} system A prosthetic's `system`
+ * @param {number} worldTime Game time in seconds
+ * @returns {number}
+ */
+export function daysSinceService(system, worldTime) {
+  return Math.max(0, Math.floor(((Number(worldTime) || 0) - (Number(system?.lastServiced) || 0)) / DAY_SECONDS));
+}
+
+/**
+ * Power points left: charged at service, drawn at `powerUse` a day.
+ * @param {Object} system A prosthetic's `system`
+ * @param {number} worldTime Game time in seconds
+ * @returns {number|null} Null for an unpowered prosthetic
+ */
+export function powerLeft(system, worldTime) {
+  const use = Number(system?.powerUse) || 0;
+  if (use <= 0) return null;
+  return Math.max(0, (Number(system.power?.value) || 0) - use * daysSinceService(system, worldTime));
+}
+
+/**
+ * Is an installed prosthetic overdue for maintenance?
+ * @param {Object} system A prosthetic's `system`
+ * @param {number} worldTime Game time in seconds
+ * @returns {boolean}
+ */
+export function maintenanceOverdue(system, worldTime) {
+  const interval = Number(system?.maintenanceInterval) || 0;
+  return interval > 0 && daysSinceService(system, worldTime) > interval;
+}
+
+/**
+ * Why a prosthetic isn't working, if it isn't.
+ * @param {Object} system A prosthetic's `system`
+ * @param {number} worldTime Game time in seconds
+ * @returns {string|null} 'uninstalled' or a PROSTHETIC_FAULTS key; null if working
+ */
+export function prostheticFault(system, worldTime) {
+  if (!system?.installed) return 'uninstalled';
+  if (system.damaged) return 'damaged';
+  if ((Number(system.empRounds) || 0) > 0) return 'emp';
+  if (powerLeft(system, worldTime) === 0) return 'unpowered';
+  if (maintenanceOverdue(system, worldTime)) return 'maintenance';
+  return null;
+}
@@ -0,0 +1,383 @@
+/**
+ * Printable record sheets for unit actors.
+ *
+ * `recordSheetData` turns a unit actor's data into the layout of its paper
+ * record sheet — armor pip diagrams, the weapon table, the heat scale, the
+ * critical-slot or damage boxes and the turn track — modelled on the naval
+ * ship sheet's BattleSpace Dropship layout. `renderRecordSheet` fills the
+ * standalone `print/record-sheet.hbs` page from it; `printRecordSheet` opens
+ * that page for printing and `exportRecordSheet` saves it as an HTML file.
+ */
+import {
+  MECH_LOCATIONS, HEAT_SCALE, HEAT_SCALE_MAX, HEAT_SINK_TYPES, TECH_BASES, UNIT_WEAPON_COLUMNS,
+  VEHICLE_LOCATIONS, VEHICLE_MOTIVE_TYPES, FIGHTER_ARCS, FIGHTER_MODES, FIGHTER_BOMB_TYPES,
+  BA_WEIGHT_CLASSES, BA_MANIPULATORS, BA_MOVEMENT_TYPES, BA_MOUNTS,
+  NAVAL_ARCS, NAVAL_MOVEMENT_COLUMNS, NAVAL_WEAPON_COLUMNS, NAVAL_CRIT_TABLE, TRACK_TURNS
+} from '../data/battletech.mjs';
+
+/** Unit actor types with a printable record sheet, and the sheet's title. */
+export const RECORD_SHEET_TYPES = {
+  mech: 'BattleMech Record Sheet',
+  ground_vehicle: 'Combat Vehicle Record Sheet',
+  aerospace_fighter: 'Aerospace Fighter Record Sheet',
+  battle_armor: 'Battle Armor Record Sheet',
+  naval_ship: 'Dropship Record Sheet'
+};
+
+/**
+ * One pip per point of `max`; the first `max − value` are marked lost, the
+ * way damage is crossed off a paper sheet.
+ * @param {number} value
+ * @param {number} max
+ * @returns {Array<{lost: boolean}>}
+ */
+export function pips(value, max) {
+  const total = Math.max(0, Number(max) || 0);
+  const lost = total - Math.min(total, Math.max(0, Number(value) || 0));
+  return Array.from({ length: total }, (_, i) => ({ lost: i < lost }));
+}
+
+/** A {value, max} track with its pips. */
+function pipTrack(track) {
+  const value = Number(track?.value) || 0;
+  const max = Number(track?.max) || 0;
+  return { value, max, pips: pips(value, max) };
+}
+
+/**
+ * The printed heat scale, hottest row first. Rows carry the 'Mech heat
+ * effects that start at that heat when `effects` is set.
+ * @param {number} current Heat to mark
+ * @param {{effects?: boolean}} [options]
+ * @returns {Array<{heat: number, current: boolean, effects: string[]}>}
+ */
+export function heatScaleRows(current, { effects = true } = {}) {
+  const rows = [];
+  for (let heat = HEAT_SCALE_MAX; heat >= 0; heat--) {
+    const notes = [];
+    if (effects) {
+      const at = list => list.find(r => r.heat === heat);
+      const shutdown = at(HEAT_SCALE.shutdown);
+      if (shutdown) notes.push(shutdown.avoid === null ? 'Shutdown' : `Shutdown, avoid on ${shutdown.avoid}+`);
+      const ammo = at(HEAT_SCALE.ammo);
+      if (ammo) notes.push(`Ammo Exp., avoid on ${ammo.avoid}+`);
+      const toHit = at(HEAT_SCALE.toHit);
+      if (toHit) notes.push(`+${toHit.mod} Modifier to Fire`);
+      const movement = at(HEAT_SCALE.movement);
+      if (movement) notes.push(`−${movement.mp} Movement Points`);
+    }
+    rows.push({ heat, current: heat === (Number(current) || 0), effects: notes });
+  }
+  return rows;
+}
+
+/** Label for a weapon location key, from a record-sheet location list. */
+function locationLabel(list, key) {
+  const loc = list.find(l => l.key === key);
+  return loc ? (loc.abbr || loc.label) : (key || '—');
+}
+
+/** The unit weapon table: name, location and the UNIT_WEAPON_COLUMNS stats. */
+function unitWeaponTable(weapons, locations) {
+  return {
+    columns: ['Weapon', 'Loc', ...UNIT_WEAPON_COLUMNS.map(c => c.label)],
+    rows: (weapons || []).map(w => ({
+      name: w.name || 'Weapon',
+      cells: [
+        `${locationLabel(locations, w.location)}${w.rear ? ' (R)' : ''}`,
+        ...UNIT_WEAPON_COLUMNS.map(c => (c.key === 'rack' || c.key === 'min') && !Number(w[c.key]) ? '—' : (w[c.key] ?? ''))
+      ],
+      out: w.out || ''
+    }))
+  };
+}
+
+/** Ammunition bins with a pip per shot left. */
+function ammoBins(ammo, locations) {
+  return (ammo || []).map(a => ({
+    name: a.name || 'Ammo',
+    location: locationLabel(locations, a.location),
+    ...pipTrack({ value: a.shots, max: a.maxShots })
+  }));
+}
+
+/** Crew lines: who fills each seat, and the Gunnery / Piloting ratings used. */
+function crewLines(actor, pilotingLabel = 'Piloting') {
+  const lines = [];
+  for (const [role, label] of [['pilot', 'Pilot'], ['gunner', 'Gunner'], ['commander', 'Commander']]) {
+    const member = actor.getCrewMember?.(role);
+    if (member) lines.push({ label, value: member.name });
+  }
+  const crew = actor.system.crew || {};
+  const gunnery = actor.getCrewSkill?.('gunnery')?.rating ?? crew.gunnery;
+  const piloting = actor.getCrewSkill?.('piloting')?.rating ?? crew.piloting;
+  lines.push({ label: 'Gunnery Skill', value: gunnery ?? '—' }, { label: `${pilotingLabel} Skill`, value: piloting ?? '—' });
+  return lines;
+}
+
+/** Facts every unit with a chassis shares. */
+function chassisFacts(system) {
+  return [
+    { label: 'Tonnage', value: system.tonnage ?? '—' },
+    { label: 'Tech Base', value: TECH_BASES[system.techBase] || system.techBase || '—' }
+  ];
+}
+
+function mechRecord(actor, record) {
+  const system = actor.system;
+  const crits = system.crits || {};
+  record.facts = [
+    ...chassisFacts(system),
+    { label: 'Engine', value: `${system.engine?.rating ?? ''} ${system.engine?.type ?? ''}`.trim() || '—' },
+    { label: 'Walking MP', value: system.movement?.walk ?? 0 },
+    { label: 'Running MP', value: system.movement?.run ?? 0 },
+    { label: 'Jumping MP', value: system.movement?.jump ?? 0 }
+  ];
+  record.crew = crewLines(actor);
+  record.locationsTitle = 'Armor Diagram';
+  record.locations = MECH_LOCATIONS.map(loc => ({
+    label: loc.label,
+    abbr: loc.abbr,
+    armor: pipTrack(system.armor?.[loc.key]),
+    rear: loc.rear ? pipTrack(system.armor?.[loc.rear]) : null,
+    structure: pipTrack(system.structure?.[loc.key])
+  }));
+  record.weapons = unitWeaponTable(system.weapons, MECH_LOCATIONS);
+  record.ammo = ammoBins(system.ammo, MECH_LOCATIONS);
+  record.crits = MECH_LOCATIONS.map(loc => ({
+    label: loc.label,
+    slots: (crits[loc.key] || []).map((slot, i) => ({ num: i + 1, name: slot.name || 'Roll Again', empty: !slot.name, hit: !!slot.hit }))
+  }));
+  const sinks = system.heatSinks || {};
+  record.heat = {
+    sinks: `${sinks.count ?? 0} ${HEAT_SINK_TYPES[sinks.type]?.label || ''}`.trim(),
+    dissipation: system.heatDissipation ?? 0,
+    rows: heatScaleRows(system.heat?.value)
+  };
+}
+
+function vehicleRecord(actor, record) {
+  const system = actor.system;
+  const status = system.status || {};
+  const motive = system.motive || {};
+  const layout = system.layout || { turret: !!system.turret?.mounted, rotor: system.motiveType === 'vtol' };
+  const present = VEHICLE_LOCATIONS.filter(l => (!l.turret || layout.turret) && (!l.rotor || layout.rotor));
+  record.facts = [
+    ...chassisFacts(system),
+    { label: 'Movement Type', value: VEHICLE_MOTIVE_TYPES[system.motiveType]?.label || system.motiveType || '—' },
+    { label: 'Engine', value: `${system.engine?.rating ?? ''} ${system.engine?.type ?? ''}`.trim() || '—' },
+    { label: 'Cruising MP', value: system.movement?.cruise ?? 0 },
+    { label: 'Flanking MP', value: system.movement?.flank ?? 0 }
+  ];
+  record.crew = crewLines(actor, 'Driving');
+  record.locationsTitle = 'Armor Diagram';
+  record.locations = present.map(loc => ({
+    label: loc.label,
+    abbr: loc.abbr,
+    armor: pipTrack(system.armor?.[loc.key]),
+    structure: pipTrack(system.structure?.[loc.key])
+  }));
+  record.weapons = unitWeaponTable(system.weapons, VEHICLE_LOCATIONS);
+  record.ammo = ammoBins(system.ammo, VEHICLE_LOCATIONS);
+  record.checksTitle = 'Critical Damage';
+  record.checks = [
+    { label: 'Crew Stunned', marked: Number(status.crewStunned) > 0 },
+    { label: 'Driver Hit (+2)', marked: !!status.driverHit },
+    { label: 'Commander Hit (+1)', marked: !!status.commanderHit },
+    { label: 'Crew Killed', marked: !!status.crewKilled },
+    { label: 'Engine Hit', marked: !!status.engineHit },
+    ...[1, 2, 3].map(n => ({ label: `Sensor Hit ${n}`, marked: Number(status.sensorHits) >= n })),
+    { label: 'Stabilizers', value: (status.stabilizers || []).map(k => locationLabel(VEHICLE_LOCATIONS, k)).join(', ') },
+    ...(layout.turret ? [
+      { label: 'Turret Locked', marked: !!status.turretLocked },
+      { label: 'Turret Blown Off', marked: !!status.turretDestroyed }
+    ] : []),
+    { label: 'Motive: MP Lost', value: Number(motive.mpLost) || 0 },
+    { label: 'Motive: Halved', value: Number(motive.halved) || 0 },
+    { label: 'Motive: Driving Mod', value: `+${Number(motive.drivingMod) || 0}` },
+    { label: 'Immobilized', marked: !!motive.immobilized }
+  ].map(check => ({ ...check, box: !('value' in check) }));
+}
+
+function fighterRecord(actor, record) {
+  const system = actor.system;
+  const modeRules = system.modeRules || FIGHTER_MODES[system.mode] || FIGHTER_MODES.space;
+  const sinks = system.heatSinks || {};
+  record.facts = [
+    ...chassisFacts(system),
+    { label: 'Mode', value: FIGHTER_MODES[system.mode]?.label || '—' },
+    { label: 'Safe Thrust', value: system.movement?.safeCurrent ?? system.movement?.safeThrust ?? 0 },
+    { label: 'Max Thrust', value: system.movement?.maxThrust ?? 0 },
+    { label: 'Fuel', value: `${system.fuel?.value ?? 0} / ${system.fuel?.max ?? 0}` },
+    { label: 'Bomb Slots', value: `${system.bombSlots?.used ?? 0} / ${system.bombSlots?.max ?? 0}` }
+  ];
+  record.crew = crewLines(actor);
+  record.locationsTitle = 'Armor Diagram';
+  record.locations = [
+    ...FIGHTER_ARCS.map(arc => ({ label: arc.label, armor: pipTrack(system.armor?.[arc.key]) })),
+    { label: 'Structural Integrity', structure: pipTrack(system.structure?.si) }
+  ];
+  record.weapons = unitWeaponTable(system.weapons, FIGHTER_ARCS);
+  record.ammo = ammoBins(system.ammo, FIGHTER_ARCS);
+  record.bombs = (system.bombs || []).map(b => ({
+    label: FIGHTER_BOMB_TYPES[b.type]?.label || b.type,
+    value: Number(b.count) || 0
+  }));
+  record.heat = {
+    sinks: `${sinks.count ?? 0} ${HEAT_SINK_TYPES[sinks.type]?.label || ''}`.trim(),
+    dissipation: system.heatDissipation ?? 0,
+    rows: heatScaleRows(system.heat?.value, { effects: false })
+  };
+  const fields = modeRules.altitude ? ['thrust', 'velocity', 'altitude'] : ['thrust', 'velocity'];
+  record.track = trackTable(system.track, fields);
+}
+
+function battleArmorRecord(actor, record) {
+  const system = actor.system;
+  const manipulators = system.manipulators || {};
+  record.facts = [
+    { label: 'Weight Class', value: BA_WEIGHT_CLASSES[system.weightClass]?.label || '—' },
+    { label: 'Tech Base', value: TECH_BASES[system.techBase] || system.techBase || '—' },
+    { label: 'Ground MP', value: system.movement?.ground ?? 0 },
+    { label: BA_MOVEMENT_TYPES[system.movement?.type]?.label || 'Movement', value: system.movement?.type === 'none' ? '—' : (system.movement?.mp ?? 0) },
+    { label: 'Left Arm', value: BA_MANIPULATORS[manipulators.left]?.label || '—' },
+    { label: 'Right Arm', value: BA_MANIPULATORS[manipulators.right]?.label || '—' }
+  ];
+  record.crew = crewLines(actor, 'Anti-\'Mech');
+  record.locationsTitle = 'Troopers';
+  record.locations = (system.troopers || []).map((t, i) => ({
+    label: t.name || `Trooper ${i + 1}`,
+    note: (t.pilot && globalThis.game?.actors?.get(t.pilot)?.name) || '',
+    killed: !!t.killed,
+    armor: pipTrack(t.armor)
+  }));
+  record.weapons = unitWeaponTable(system.weapons, BA_MOUNTS);
+  record.ammo = ammoBins(system.ammo, BA_MOUNTS);
+}
+
+function navalRecord(actor, record) {
+  const system = actor.system;
+  const movement = system.movement || {};
+  record.facts = [
+    { label: 'Class', value: system.vessel?.class || '—' },
+    { label: 'Role', value: system.vessel?.role || '—' },
+    ...NAVAL_MOVEMENT_COLUMNS.flat().map(f => ({ label: f.label, value: movement[f.key] ?? 0 }))
+  ];
+  record.locationsTitle = 'Armor Diagram';
+  record.locations = NAVAL_ARCS.map(arc => ({ label: arc.label, armor: pipTrack(system.armor?.[arc.key]) }));
+  record.weapons = {
+    columns: ['Weapon Bay', ...NAVAL_WEAPON_COLUMNS.map(c => c.label)],
+    rows: (system.weapons || []).map(w => ({
+      name: w.name || 'Weapon',
+      cells: NAVAL_WEAPON_COLUMNS.map(c => w[c.key] ?? ''),
+      out: ''
+    }))
+  };
+  record.track = trackTable(system.track, ['thrust', 'velocity']);
+  record.critTable = NAVAL_CRIT_TABLE.map((row, i) => ({ num: i + 1, cells: row }));
+}
+
+/** The per-turn track, one row per field across TRACK_TURNS. */
+function trackTable(track, fields) {
+  return {
+    turns: TRACK_TURNS.map((_, i) => i + 1),
+    rows: fields.map(field => ({
+      label: field.charAt(0).toUpperCase() + field.slice(1),
+      cells: TRACK_TURNS.map(t => Number(track?.[t]?.[field]) || '')
+    }))
+  };
+}
+
+/**
+ * Everything the printable record sheet shows for a unit actor.
+ * @param {Actor} actor A unit actor (prepared, so derived values are present)
+ * @returns {Object|null} null for actor types without a record sheet
+ */
+export function recordSheetData(actor) {
+  const title = RECORD_SHEET_TYPES[actor?.type];
+  if (!title) return null;
+  const system = actor.system || {};
+  const record = {
+    title,
+    name: actor.name,
+    subtitle: [system.chassis, system.model].filter(Boolean).join(' ') || '',
+    facts: [],
+    crew: [],
+    locationsTitle: '',
+    locations: [],
+    weapons: null,
+    ammo: [],
+    bombs: [],
+    crits: null,
+    checks: null,
+    heat: null,
+    track: null,
+    critTable: null
+  };
+  switch (actor.type) {
+    case 'mech': mechRecord(actor, record); break;
+    case 'ground_vehicle': vehicleRecord(actor, record); break;
+    case 'aerospace_fighter': fighterRecord(actor, record); break;
+    case 'battle_armor': battleArmorRecord(actor, record); break;
+    case 'naval_ship': navalRecord(actor, record); break;
+  }
+  return record;
+}
+
+/* -------------------------------------------- */
+/*  Foundry                                     */
+/* -------------------------------------------- */
+
+/**
+ * The standalone HTML page of a unit's record sheet.
+ * @param {Actor} actor
+ * @returns {Promise<string|null>}
+ */
+export async function renderRecordSheet(actor) {
+  const record = recordSheetData(actor);
+  if (!record) return null;
+  return foundry.applications.handlebars.renderTemplate(
+    'systems/mech-foundry/templates/print/record-sheet.hbs',
+    { record, printed: new Date().toLocaleDateString() }
+  );
+}
+
+/** File name for a unit's saved record sheet. */
+function recordSheetFilename(actor) {
+  return `${actor.name.slugify({ strict: true }) || 'unit'}-record-sheet.html`;
+}
+
+/**
+ * Open a unit's record sheet in a new browser window, ready to print. Falls
+ * back to saving the file when the browser blocks the window.
+ * @param {Actor} actor
+ */
+export async function printRecordSheet(actor) {
+  const html = await renderRecordSheet(actor);
+  if (!html) {
+    ui.notifications.warn(`${actor?.name ?? 'That actor'} has no printable record sheet.`);
+    return;
+  }
+  const win = window.open('', '_blank');
+  if (!win) {
+    ui.notifications.info('The browser blocked the print window; saving the record sheet instead.');
+    foundry.utils.saveDataToFile(html, 'text/html', recordSheetFilename(actor));
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+}
+
+/**
+ * Save a unit's record sheet as a standalone HTML file.
+ * @param {Actor} actor
+ */
+export async function exportRecordSheet(actor) {
+  const html = await renderRecordSheet(actor);
+  if (!html) {
+    ui.notifications.warn(`${actor?.name ?? 'That actor'} has no printable record sheet.`);
+    return;
+  }
+  foundry.utils.saveDataToFile(html, 'text/html', recordSheetFilename(actor));
+}
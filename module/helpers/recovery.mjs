@@ -0,0 +1,79 @@
+/**
+ * Downtime recovery: what a stretch of rest heals.
+ *
+ * Fatigue comes back at BOD points an hour and is gone after a full day.
+ * Standard damage heals day by day: each day of rest heals the care level's
+ * rate, doubled on a successful BOD recovery check (2d6 + BOD + care and kit
+ * bonuses against the single-attribute TN). Wounds mend slowly: every so many
+ * days of rest — fewer with better care — each wound gets a BOD check
+ * (helped by a kit's Surgery bonus) that lowers its severity by 1, and a
+ * wound at severity 0 is healed.
+ *
+ * Pure rules — `MechFoundryActor#restAndRecover` rolls the checks and
+ * applies the result.
+ */
+
+/** Target number for recovery checks (a single-attribute check). */
+export const RECOVERY_TN = 12;
+
+/** Hours of rest that make a day. */
+export const HOURS_PER_DAY = 24;
+
+/**
+ * Levels of care while resting.
+ * `mod` is added to every recovery check, `damageRate` is standard damage
+ * healed per day, `woundInterval` the days of rest between wound checks.
+ */
+export const CARE_LEVELS = {
+  none: { label: 'Rest Only', mod: 0, damageRate: 1, woundInterval: 14 },
+  field: { label: 'Field Care', mod: 1, damageRate: 1, woundInterval: 7 },
+  hospital: { label: 'Hospital', mod: 2, damageRate: 2, woundInterval: 3 }
+};
+
+/**
+ * Fatigue recovered over some hours of rest.
+ * @param {number} bod The resting character's BOD
+ * @param {number} hours Hours rested
+ * @param {number} fatigue Current fatigue
+ * @returns {number}
+ */
+export function fatigueRecovered(bod, hours, fatigue) {
+  fatigue = Math.max(0, Number(fatigue) || 0);
+  if (hours >= HOURS_PER_DAY) return fatigue;
+  return Math.min(fatigue, Math.max(0, Number(bod) || 0) * Math.max(0, Math.floor(Number(hours) || 0)));
+}
+
+/**
+ * Modifier on a recovery check.
+ * @param {number} bod
+ * @param {string} care A CARE_LEVELS key
+ * @param {number} [itemBonus] The care kit's MedTech or Surgery bonus
+ * @returns {number}
+ */
+export function recoveryCheckMod(bod, care, itemBonus = 0) {
+  return (Number(bod) || 0) + (CARE_LEVELS[care]?.mod ?? 0) + (Number(itemBonus) || 0);
+}
+
+/**
+ * Standard damage healed in a day.
+ * @param {string} care A CARE_LEVELS key
+ * @param {boolean} checkPassed The day's recovery check
+ * @returns {number}
+ */
+export function dailyDamageHealed(care, checkPassed) {
+  const rate = CARE_LEVELS[care]?.damageRate ?? CARE_LEVELS.none.damageRate;
+  return checkPassed ? rate * 2 : rate;
+}
+
+/**
+ * Wound checks a stretch of rest earns, carrying part-finished intervals over
+ * to the next rest.
+ * @param {number} restDays Days rested, including any carried over
+ * @param {string} care A CARE_LEVELS key
+ * @returns {{checks: number, carried: number}}
+ */
+export function woundChecks(restDays, care) {
+  const interval = CARE_LEVELS[care]?.woundInterval ?? CARE_LEVELS.none.woundInterval;
+  const days = Math.max(0, Math.floor(Number(restDays) || 0));
+  return { checks: Math.floor(days / interval), carried: days % interval };
+}
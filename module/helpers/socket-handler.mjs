@@ -9,7 +9,8 @@ import { OpposedRollHelper } from './opposed-rolls.mjs';
 export const SOCKET_EVENTS = {
   DEFENDER_PROMPT: "defenderPrompt",
   DEFENDER_RESPONSE: "defenderResponse",
-  DEFENDER_CHOICE: "defenderChoice"
+  DEFENDER_CHOICE: "defenderChoice",
+  OVERWATCH_PROMPT: "overwatchPrompt"
 };
 
 export class SocketHandler {
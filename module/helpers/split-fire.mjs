@@ -0,0 +1,73 @@
+/**
+ * Split fire: one weapon fired at several targets in the same action, either
+ * a burst's rounds shared out between them or a separate attack at each.
+ *
+ * Pure planning — `MechFoundryActor#rollWeaponAttack` hands a plan's entries
+ * back to itself one target at a time, so each still gets its own range,
+ * cover, size and movement modifiers, plus the secondary-target penalty
+ * worked out here.
+ */
+
+/** Modifier on the attack against every target after the primary. */
+export const SECONDARY_TARGET_MOD = -1;
+
+/**
+ * The secondary-target modifier for a target's place in the volley.
+ * @param {number} index 0 for the primary target
+ * @returns {number}
+ */
+export function secondaryTargetMod(index) {
+  return index > 0 ? SECONDARY_TARGET_MOD : 0;
+}
+
+/**
+ * Share a burst's rounds out between targets. Each target needs at least one
+ * round; requested counts are honored in order as far as the rest allow, and
+ * anything left over goes to the primary target. With nothing requested the
+ * rounds are split evenly, the primary first for any remainder.
+ * @param {number} total Rounds in the burst
+ * @param {number} count Number of targets
+ * @param {number[]} [requested] Rounds asked for per target
+ * @returns {number[]|null} Rounds per target, or null if there are too few
+ *   rounds to reach them all
+ */
+export function allocateShots(total, count, requested = []) {
+  total = Math.floor(Number(total) || 0);
+  if (count < 1 || total < count) return null;
+
+  const asked = Array.from({ length: count }, (_, i) => Math.floor(Number(requested?.[i]) || 0));
+  if (!asked.some(n => n > 0)) {
+    const base = Math.floor(total / count);
+    return asked.map((_, i) => base + (i < total % count ? 1 : 0));
+  }
+
+  const shots = [];
+  let left = total;
+  for (let i = 0; i < count; i++) {
+    const reserve = count - i - 1;
+    const n = Math.min(Math.max(1, asked[i]), left - reserve);
+    shots.push(n);
+    left -= n;
+  }
+  shots[0] += left;
+  return shots;
+}
+
+/**
+ * Plan a volley against several targets.
+ * @param {number} count Number of targets, the primary first
+ * @param {number|null} burstShots Rounds in a burst to share out, or null for
+ *   a separate attack at each target
+ * @param {number[]} [requested] Rounds asked for per target (burst only)
+ * @returns {Array<{index: number, shots: number|null, mod: number}>|null}
+ *   One entry per target, or null if a burst can't reach them all
+ */
+export function planSplitFire(count, burstShots, requested = []) {
+  const shots = burstShots === null ? null : allocateShots(burstShots, count, requested);
+  if (burstShots !== null && !shots) return null;
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    shots: shots ? shots[index] : null,
+    mod: secondaryTargetMod(index)
+  }));
+}
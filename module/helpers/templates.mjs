@@ -16,11 +16,15 @@ export const preloadHandlebarsTemplates = async function() {
     "systems/mech-foundry/templates/actor/actor-battle_armor-sheet.hbs",
     "systems/mech-foundry/templates/actor/actor-installation-sheet.hbs",
 
+    // Actor partials
+    "systems/mech-foundry/templates/actor/parts/unit-crew.hbs",
+
     // Item sheets
     "systems/mech-foundry/templates/item/item-skill-sheet.hbs",
 
     // Item partials
     "systems/mech-foundry/templates/item/parts/item-effects.hbs",
+    "systems/mech-foundry/templates/item/parts/persistent-modifiers.hbs",
     "systems/mech-foundry/templates/item/item-trait-sheet.hbs",
     "systems/mech-foundry/templates/item/item-weapon-sheet.hbs",
     "systems/mech-foundry/templates/item/item-armor-sheet.hbs",
@@ -39,6 +43,8 @@ export const preloadHandlebarsTemplates = async function() {
     // Application windows
     "systems/mech-foundry/templates/apps/character-wizard.hbs",
     "systems/mech-foundry/templates/apps/shop.hbs",
+    "systems/mech-foundry/templates/apps/casualty-board.hbs",
+    "systems/mech-foundry/templates/apps/wound-types.hbs",
     "systems/mech-foundry/templates/apps/parts/wizard-grants.hbs",
     "systems/mech-foundry/templates/apps/parts/wizard-variant-picker.hbs",
     "systems/mech-foundry/templates/apps/parts/wizard-field-picker.hbs",
@@ -47,8 +53,13 @@ export const preloadHandlebarsTemplates = async function() {
     // Chat partials
     "systems/mech-foundry/templates/chat/skill-roll.hbs",
     "systems/mech-foundry/templates/chat/weapon-attack.hbs",
+    "systems/mech-foundry/templates/chat/split-fire.hbs",
     "systems/mech-foundry/templates/chat/aoe-attack.hbs",
     "systems/mech-foundry/templates/chat/opposed-roll.hbs",
+    "systems/mech-foundry/templates/chat/heat-phase.hbs",
+    "systems/mech-foundry/templates/chat/recovery.hbs",
+    "systems/mech-foundry/templates/chat/drug-use.hbs",
+    "systems/mech-foundry/templates/chat/unit-weapon-attack.hbs",
 
     // Dialog partials
     "systems/mech-foundry/templates/dialog/defender-prompt.hbs"
@@ -0,0 +1,154 @@
+import { AOEHelper } from "./aoe-helper.mjs";
+
+/**
+ * Thrown Weapon Helper
+ *
+ * Throwing knives, spears and grenades have no fixed range bands: how far
+ * they carry comes from the thrower (A Time of War: STR + DEX meters per
+ * band for thrown weapons, STR alone for grenades) and how heavy the thing
+ * is. A thrown weapon that misses scatters like a blast weapon does, and
+ * afterwards is either gone (used up) or lies where it landed — marked on
+ * the scene by a small Region that the chat card's Pick Up button clears.
+ */
+
+/** Skills whose weapons are thrown. */
+export const THROWN_SKILLS = ['Thrown Weapons'];
+
+/** Range band multipliers, Short to Extreme. */
+export const THROW_BANDS = { short: 1, medium: 2, long: 3, extreme: 4 };
+
+/** Mass a throw carries without losing range, in kg. */
+export const THROW_FREE_MASS = 1;
+
+/**
+ * Is a weapon thrown rather than fired or swung?
+ * @param {Object} weaponData A weapon's `system`
+ * @returns {boolean}
+ */
+export function isThrownWeapon(weaponData) {
+  if (!weaponData) return false;
+  if (weaponData.weaponType === 'thrown') return true;
+  const skill = String(weaponData.skill || '');
+  return THROWN_SKILLS.some(name => skill === name || skill.startsWith(`${name}/`));
+}
+
+/**
+ * Range bands for a throw, in meters: the base (STR + DEX, or STR alone for
+ * explosives) less a meter per full kg over THROW_FREE_MASS, never under 1,
+ * times each THROW_BANDS multiplier.
+ * @param {number} str The thrower's STR
+ * @param {number} dex The thrower's DEX
+ * @param {number} mass The thrown item's mass in kg
+ * @param {boolean} [explosive] A grenade or charge
+ * @returns {{pointBlank: number, short: number, medium: number, long: number, extreme: number}}
+ *   Shaped like a weapon's `system.range`
+ */
+export function throwRanges(str, dex, mass, explosive = false) {
+  const base = (Number(str) || 0) + (explosive ? 0 : (Number(dex) || 0));
+  const heavy = Math.max(0, Math.floor((Number(mass) || 0) - THROW_FREE_MASS));
+  const band = Math.max(1, base - heavy);
+  const range = { pointBlank: 0 };
+  for (const [key, times] of Object.entries(THROW_BANDS)) range[key] = band * times;
+  return range;
+}
+
+export class ThrownHelper {
+
+  /**
+   * Range bands an actor throws a weapon to.
+   * @param {Actor} actor
+   * @param {Item} weapon
+   * @returns {Object} Shaped like a weapon's `system.range`
+   */
+  static rangesFor(actor, weapon) {
+    const attrs = actor.system.attributes || {};
+    return throwRanges(attrs.str?.total, attrs.dex?.total, weapon.system.mass, weapon.system.weaponType === 'explosives');
+  }
+
+  /**
+   * Where a throw comes down: on the target if it hit, else scattered from
+   * it by the margin of failure.
+   * @param {Token} sourceToken The thrower's token
+   * @param {Token} targetToken
+   * @param {{success: boolean, marginOfSuccess: number}} result
+   * @returns {Promise<{point: {x:number, y:number}, scatterInfo: Object|null}|null>}
+   *   null without a canvas and target
+   */
+  static async landing(sourceToken, targetToken, result) {
+    if (!canvas?.ready || !targetToken) return null;
+    const aimPoint = { ...targetToken.center };
+    if (result.success) return { point: aimPoint, scatterInfo: null };
+    const scatterInfo = await AOEHelper._calculateScatter(Math.abs(result.marginOfSuccess));
+    return { point: AOEHelper._applyScatter(aimPoint, scatterInfo, sourceToken?.center || null), scatterInfo };
+  }
+
+  /**
+   * Take a thrown weapon out of the thrower's inventory: used up, or left
+   * on the scene where it landed for someone to pick up. With nowhere to
+   * leave it (no canvas or target, or the marker can't be placed) a dropped
+   * weapon stays on the sheet.
+   * @param {Actor} actor
+   * @param {Item} weapon
+   * @param {{x:number, y:number}|null} point Where it landed
+   * @param {string} [disposal] 'drop' or 'consume'
+   * @returns {Promise<{consumed: boolean, dropped: boolean, regionId: string|null}>}
+   */
+  static async dispose(actor, weapon, point, disposal = 'drop') {
+    const consumed = disposal === 'consume';
+    if (!consumed && !(point && canvas?.scene)) return { consumed, dropped: false, regionId: null };
+
+    let region = null;
+    if (!consumed) {
+      const itemData = weapon.toObject();
+      delete itemData._id;
+      itemData.system.carryStatus = 'carried';
+      try {
+        [region] = await canvas.scene.createEmbeddedDocuments("Region", [{
+          name: weapon.name,
+          color: "#c9a227",
+          shapes: [{ type: "circle", x: point.x, y: point.y, radius: canvas.grid.size / 4 }],
+          visibility: CONST.REGION_VISIBILITY.ALWAYS,
+          flags: { "mech-foundry": { droppedItem: itemData, droppedBy: actor.uuid } }
+        }]);
+      } catch (e) {
+        console.warn("mech-foundry | Could not mark the dropped item", e);
+        return { consumed, dropped: false, regionId: null };
+      }
+    }
+    await weapon.delete();
+    return { consumed, dropped: !!region, regionId: region?.id || null };
+  }
+
+  /**
+   * Pick a dropped item back up: into the user's controlled token's actor,
+   * else their character, else whoever threw it.
+   * @param {string} sceneId
+   * @param {string} regionId
+   * @returns {Promise<Item|null>}
+   */
+  static async pickUp(sceneId, regionId) {
+    const region = game.scenes.get(sceneId)?.regions.get(regionId);
+    const itemData = region?.getFlag("mech-foundry", "droppedItem");
+    if (!itemData) {
+      ui.notifications.warn("That item has already been picked up.");
+      return null;
+    }
+    const thrower = await fromUuid(region.getFlag("mech-foundry", "droppedBy"));
+    const actor = canvas.tokens?.controlled[0]?.actor ?? game.user.character ?? thrower;
+    if (!actor?.isOwner) {
+      ui.notifications.warn("Select a token you own to pick this up.");
+      return null;
+    }
+    // Clear the marker first, so two clicks can't pick it up twice
+    try {
+      await region.delete();
+    } catch (e) {
+      console.warn("mech-foundry | Could not clear the dropped item", e);
+      ui.notifications.warn("Only the GM can pick this up here.");
+      return null;
+    }
+    const [item] = await actor.createEmbeddedDocuments("Item", [itemData]);
+    ui.notifications.info(`${actor.name} picks up ${item.name}.`);
+    return item;
+  }
+}
@@ -0,0 +1,620 @@
+/**
+ * unit-math.mjs
+ * -------------
+ * Pure Classic BattleTech record-sheet math for the unit actor types, with NO
+ * Foundry dependency so the Actor document, the unit sheets and the importer
+ * can share it — and it can be unit-tested in isolation (tests/unit-math.test.mjs).
+ * The tables themselves live in `data/battletech.mjs`.
+ */
+import {
+  MECH_LOCATIONS, MECH_INTERNAL_STRUCTURE, MECH_MAX_HEAD_ARMOR, MECH_FIXED_CRITS,
+  HEAT_SINK_TYPES, HEAT_SCALE, MECH_MOVEMENT_MODES, HEX_METERS, UNIT_RANGE_MODIFIERS,
+  UNIT_HIT_TABLES, UNIT_DAMAGE_PROFILES, CLUSTER_SIZES, CLUSTER_HITS, LRM_CLUSTER_SIZE, CRIT_CHANCE,
+  VEHICLE_LOCATIONS, VEHICLE_MOTIVE_TYPES, MOTIVE_DIRECTION_MODS, VEHICLE_MOTIVE_DAMAGE,
+  VEHICLE_CRITS, VEHICLE_CRIT_TABLE, FIGHTER_ARCS, FIGHTER_BOMB_TYPES, BOMBS_PER_THRUST, FIGHTER_LOW_FUEL, FIGHTER_READINESS,
+  BA_WEIGHT_CLASSES, BA_MANIPULATORS, BA_ANTIMECH_TROOPER_MODS, BA_LEG_ATTACK_DAMAGE, BA_SWARM_LOCATIONS,
+  BUILDING_TYPES
+} from '../data/battletech.mjs';
+
+/** Clamp a tonnage onto the 5-ton steps of the internal structure table. */
+export function structureTonnage(tonnage) {
+  const t = Math.round((Number(tonnage) || 0) / 5) * 5;
+  return Math.min(100, Math.max(10, t));
+}
+
+/**
+ * Internal structure points per 'Mech location for a tonnage.
+ * @param {number} tonnage
+ * @returns {Object<string, number>} keyed by location (hd, ct, lt, …)
+ */
+export function mechStructureFor(tonnage) {
+  const [hd, ct, side, arm, leg] = MECH_INTERNAL_STRUCTURE[structureTonnage(tonnage)];
+  return { hd, ct, lt: side, rt: side, la: arm, ra: arm, ll: leg, rl: leg };
+}
+
+/**
+ * A location's structure when its maximum changes (a new tonnage or layout).
+ * An undamaged location fills to the new maximum; a damaged one keeps its
+ * battle damage, capped at the new maximum.
+ * @param {number} value Structure left
+ * @param {number} oldMax The maximum before the change
+ * @param {number} newMax The maximum after it
+ * @returns {number}
+ */
+export function restructure(value, oldMax, newMax) {
+  const current = Number(value) || 0;
+  return current >= (Number(oldMax) || 0) ? newMax : Math.min(current, newMax);
+}
+
+/**
+ * Maximum armor per 'Mech location: 9 on the head, 2× internal structure
+ * elsewhere. A torso's front and rear armor share that one allowance.
+ * @param {number} tonnage
+ * @returns {Object<string, number>}
+ */
+export function mechMaxArmor(tonnage) {
+  const is = mechStructureFor(tonnage);
+  const out = {};
+  for (const loc of MECH_LOCATIONS) {
+    out[loc.key] = loc.key === 'hd' ? MECH_MAX_HEAD_ARMOR : is[loc.key] * 2;
+  }
+  return out;
+}
+
+/** Running MP is Walking MP × 1.5, rounded up. */
+export function runMP(walk) {
+  return Math.ceil((Number(walk) || 0) * 1.5);
+}
+
+/** Heat dissipated per turn by a unit's heat sinks. */
+export function heatDissipation(count, type = 'single') {
+  const per = HEAT_SINK_TYPES[type]?.dissipation ?? 1;
+  return Math.max(0, Number(count) || 0) * per;
+}
+
+/**
+ * A fresh critical-slot table for a standard biped 'Mech: the fixed
+ * components in place, every other slot empty.
+ * @returns {Object<string, Array<{name: string, hit: boolean}>>}
+ */
+export function blankMechCrits() {
+  const crits = {};
+  for (const loc of MECH_LOCATIONS) {
+    const fixed = MECH_FIXED_CRITS[loc.key] || [];
+    crits[loc.key] = Array.from({ length: loc.slots }, (_, i) => ({ name: fixed[i] || '', hit: false }));
+  }
+  return crits;
+}
+
+/** Highest heat-scale row at or below `heat` in one of the HEAT_SCALE lists. */
+function heatRow(list, heat) {
+  let row = null;
+  for (const r of list) if (heat >= r.heat) row = r;
+  return row;
+}
+
+/**
+ * Effects of a heat level on the heat scale.
+ * @param {number} heat
+ * @returns {{movePenalty: number, toHitPenalty: number,
+ *   shutdown: {heat: number, avoid: number|null}|null,
+ *   ammo: {heat: number, avoid: number}|null}}
+ *   `shutdown` / `ammo` are the avoidance rolls owed this turn (avoid null = automatic).
+ */
+export function heatEffects(heat) {
+  const h = Math.max(0, Number(heat) || 0);
+  return {
+    movePenalty: heatRow(HEAT_SCALE.movement, h)?.mp ?? 0,
+    toHitPenalty: heatRow(HEAT_SCALE.toHit, h)?.mod ?? 0,
+    shutdown: heatRow(HEAT_SCALE.shutdown, h),
+    ammo: heatRow(HEAT_SCALE.ammo, h)
+  };
+}
+
+/** Heat generated by the turn's movement mode (jumping: 1 per Jump MP, min 3). */
+export function movementHeat(mode, jumpMP = 0) {
+  if (mode === 'jump') return Math.max(MECH_MOVEMENT_MODES.jump.heat, Number(jumpMP) || 0);
+  return MECH_MOVEMENT_MODES[mode]?.heat ?? 0;
+}
+
+/**
+ * One end-of-turn heat phase: add the heat built this turn, subtract what the
+ * sinks dissipate, never below zero.
+ * @returns {{generated: number, heat: number}}
+ */
+export function resolveHeat({ current = 0, weaponHeat = 0, moveHeat = 0, dissipation = 0 } = {}) {
+  const generated = (Number(weaponHeat) || 0) + (Number(moveHeat) || 0);
+  return { generated, heat: Math.max(0, (Number(current) || 0) + generated - (Number(dissipation) || 0)) };
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Unit-scale combat                                                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Total Warfare skill rating (lower is better) for an A Time of War skill
+ * level: 7 − level, never below 0. A level-3 MechWarrior is a Regular (4).
+ */
+export function totalWarfareSkill(level) {
+  return Math.max(0, 7 - (Number(level) || 0));
+}
+
+/** Scene distance (meters) → hexes, rounded up. */
+export function metersToHexes(meters) {
+  return Math.max(0, Math.ceil((Number(meters) || 0) / HEX_METERS));
+}
+
+/**
+ * Attack direction from the attacker's bearing relative to the target's
+ * facing, in degrees (0 = dead ahead): front within 60°, rear within 30° of
+ * dead astern, the sides in between.
+ * @param {number} relative
+ * @returns {'front'|'left'|'right'|'rear'}
+ */
+export function attackDirection(relative) {
+  const a = ((Number(relative) || 0) % 360 + 540) % 360 - 180; // → (-180, 180]
+  if (Math.abs(a) <= 60) return 'front';
+  if (Math.abs(a) >= 150) return 'rear';
+  return a < 0 ? 'left' : 'right';
+}
+
+/**
+ * Range bracket and to-hit modifier for a unit weapon at a distance in hexes,
+ * including the minimum-range penalty.
+ * @param {{min?: number, short?: number, medium?: number, long?: number}} weapon
+ * @param {number} hexes
+ * @returns {{bracket: string, modifier: number, minimumMod: number, outOfRange: boolean}}
+ */
+export function unitRangeBracket(weapon, hexes) {
+  const h = Math.max(0, Number(hexes) || 0);
+  const short = Number(weapon?.short) || 0;
+  const medium = Number(weapon?.medium) || 0;
+  const long = Number(weapon?.long) || 0;
+  const min = Number(weapon?.min) || 0;
+  const minimumMod = min > 0 && h <= min ? min - h + 1 : 0;
+  let bracket = 'out';
+  if (h <= short) bracket = 'short';
+  else if (h <= medium) bracket = 'medium';
+  else if (h <= long) bracket = 'long';
+  const outOfRange = bracket === 'out';
+  return { bracket, modifier: outOfRange ? 0 : UNIT_RANGE_MODIFIERS[bracket], minimumMod, outOfRange };
+}
+
+/**
+ * Look up a hit location.
+ * @param {string} unitType Actor type of the target
+ * @param {string} direction front | left | right | rear
+ * @param {number} roll 2d6 total
+ * @param {{hasTurret?: boolean, hasRotor?: boolean}} [options] Vehicle layout
+ * @returns {{location: string, rear: boolean, critical: boolean, motive: boolean}|null}
+ */
+export function hitLocation(unitType, direction, roll, { hasTurret = false, hasRotor = false } = {}) {
+  const table = UNIT_HIT_TABLES[unitType]?.[direction] || UNIT_HIT_TABLES[unitType]?.front;
+  const entry = table?.[Math.min(12, Math.max(2, Number(roll) || 2)) - 2];
+  if (!entry) return null;
+  let location = entry.replace(/[*!]/g, '');
+  if (location === 'turret' && !hasTurret) {
+    location = hasRotor ? 'rotor' : ({ front: 'front', left: 'left', right: 'right', rear: 'back' }[direction] || 'front');
+  }
+  const rear = direction === 'rear' && !!UNIT_DAMAGE_PROFILES[unitType]?.rear?.[location];
+  return { location, rear, critical: entry.includes('*'), motive: entry.includes('!') };
+}
+
+/** Missiles that hit from a rack of `rack` on a 2d6 cluster roll. */
+export function clusterHits(rack, roll) {
+  const size = Number(rack) || 0;
+  if (size <= 1) return size;
+  const row = CLUSTER_HITS[Math.min(12, Math.max(2, Number(roll) || 2)) - 2];
+  // Racks above 20 (or between columns) read the largest column that fits, scaled up.
+  let col = CLUSTER_SIZES.length - 1;
+  while (col > 0 && CLUSTER_SIZES[col] > size) col--;
+  return Math.min(size, Math.round(row[col] * size / CLUSTER_SIZES[col]));
+}
+
+/**
+ * Split the damage of a hit into the groups that each roll their own hit
+ * location: LRMs in 5-point clusters, other missiles one missile at a time,
+ * everything else as a single group.
+ * @param {{name?: string, damage?: number, rack?: number}} weapon
+ * @param {number} [missiles] Missiles that hit (cluster weapons only)
+ * @returns {number[]}
+ */
+export function damageGroups(weapon, missiles = 0) {
+  const per = Number(weapon?.damage) || 0;
+  if (!(Number(weapon?.rack) > 0)) return per > 0 ? [per] : [];
+  const total = per * (Number(missiles) || 0);
+  return groupsOf(total, /\blrm\b/i.test(weapon?.name || '') ? LRM_CLUSTER_SIZE : per);
+}
+
+/** Split `total` damage into groups of at most `size`. */
+function groupsOf(total, size) {
+  const groups = [];
+  if (!(size > 0)) return groups;
+  for (let left = total; left > 0; left -= size) groups.push(Math.min(size, left));
+  return groups;
+}
+
+/**
+ * Damage a falling 'Mech takes (TW p.68): 1 per 10 tons (rounded up) per
+ * level fallen plus one, in 5-point groups.
+ * @param {number} tonnage
+ * @param {number} [levels] Levels fallen (0 for a fall in place)
+ * @returns {number[]}
+ */
+export function fallDamage(tonnage, levels = 0) {
+  const total = Math.ceil((Number(tonnage) || 0) / 10) * ((Number(levels) || 0) + 1);
+  return groupsOf(total, 5);
+}
+
+/** Critical hits scored on a 2d6 determining-critical-hits roll. */
+export function critCount(roll) {
+  return CRIT_CHANCE[Math.min(12, Math.max(2, Number(roll) || 2)) - 2];
+}
+
+/**
+ * Allocate damage to a unit: armor first, then internal structure, then on
+ * to the transfer location (torso rear armor stays in play on rear hits).
+ * Pure — works on copies of the armor / structure maps.
+ * @param {string} unitType
+ * @param {{armor: Object, structure: Object}} state `{key: {value}}` maps
+ * @param {string} location Location struck
+ * @param {number} damage
+ * @param {{rear?: boolean, internal?: boolean}} [options] `internal` bypasses armor
+ *   (ammunition explosions)
+ * @returns {{armor: Object, structure: Object, steps: Array<Object>, destroyed: string[],
+ *   structureHit: string[], unitDestroyed: boolean, lost: number}}
+ */
+export function allocateUnitDamage(unitType, state, location, damage, { rear = false, internal = false } = {}) {
+  const profile = UNIT_DAMAGE_PROFILES[unitType] || { rear: {}, transfer: {}, dependents: {}, fatal: [] };
+  const armor = structuredClone(state?.armor || {});
+  const structure = structuredClone(state?.structure || {});
+  const steps = [];
+  const destroyed = [];
+  const structureHit = [];
+  let remaining = Math.max(0, Number(damage) || 0);
+  let loc = location;
+
+  while (remaining > 0 && loc) {
+    const armorKey = rear && profile.rear?.[loc] ? profile.rear[loc] : loc;
+    const structureKey = profile.structure || loc;
+    const step = { location: loc, armorKey, armor: 0, structure: 0 };
+
+    const a = armor[armorKey];
+    if (!internal && a && a.value > 0) {
+      step.armor = Math.min(a.value, remaining);
+      a.value -= step.armor;
+      remaining -= step.armor;
+    }
+    const s = structure[structureKey];
+    if (remaining > 0 && s && s.value > 0) {
+      step.structure = Math.min(s.value, remaining);
+      s.value -= step.structure;
+      remaining -= step.structure;
+      structureHit.push(loc);
+      if (s.value <= 0) {
+        destroyed.push(profile.structure ? structureKey : loc);
+        for (const dep of profile.dependents?.[loc] || []) {
+          if (structure[dep]?.value > 0) { structure[dep].value = 0; destroyed.push(dep); }
+        }
+      }
+    }
+    if (step.armor || step.structure) steps.push(step);
+    loc = profile.transfer?.[loc] || null;
+  }
+
+  const unitDestroyed = destroyed.some(k => profile.fatal?.includes(k));
+  return { armor, structure, steps, destroyed, structureHit, unitDestroyed, lost: remaining };
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Combat vehicles                                                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A ground vehicle's internal structure per location: one point per 10 tons
+ * (rounded up) everywhere, and none at a turret or rotor it doesn't mount.
+ * @param {number} tonnage
+ * @param {{turret?: boolean, rotor?: boolean}} [layout]
+ * @returns {Object<string, number>}
+ */
+export function vehicleStructureFor(tonnage, { turret = false, rotor = false } = {}) {
+  const points = Math.ceil(Math.max(0, Number(tonnage) || 0) / 10);
+  const out = {};
+  for (const loc of VEHICLE_LOCATIONS) {
+    out[loc.key] = (loc.turret && !turret) || (loc.rotor && !rotor) ? 0 : points;
+  }
+  return out;
+}
+
+/**
+ * Roll result on the Motive System Damage Table for a vehicle struck at
+ * `location`, or null when the motive type takes no motive damage (VTOLs).
+ * @param {number} roll 2d6 total
+ * @param {string} motiveType
+ * @param {string} location front | left | right | back
+ * @returns {{total: number, result: Object}|null}
+ */
+export function motiveDamage(roll, motiveType, location) {
+  const mod = VEHICLE_MOTIVE_TYPES[motiveType]?.motiveMod;
+  if (mod == null) return null;
+  const total = (Number(roll) || 0) + mod + (MOTIVE_DIRECTION_MODS[location] || 0);
+  return { total, result: VEHICLE_MOTIVE_DAMAGE.find(r => total >= r.min) };
+}
+
+/**
+ * Fold a motive damage (or rotor critical) result into a vehicle's motive
+ * state. Pure — returns a new object.
+ * @param {{mpLost?: number, halved?: number, drivingMod?: number, immobilized?: boolean}} motive
+ * @param {Object} result A VEHICLE_MOTIVE_DAMAGE or VEHICLE_CRITS entry
+ * @returns {{mpLost: number, halved: number, drivingMod: number, immobilized: boolean}}
+ */
+export function applyMotiveDamage(motive, result) {
+  return {
+    mpLost: (Number(motive?.mpLost) || 0) + (result?.mp || 0),
+    halved: (Number(motive?.halved) || 0) + (result?.halve ? 1 : 0),
+    drivingMod: (Number(motive?.drivingMod) || 0) + (result?.driving || 0),
+    immobilized: !!motive?.immobilized || !!result?.immobilized
+  };
+}
+
+/**
+ * Cruise MP left after motive damage: lost MP first, then halved (rounding
+ * down) once per heavy-damage result.
+ * @param {number} cruise
+ * @param {Object} motive
+ * @returns {number}
+ */
+export function vehicleCruiseMP(cruise, motive) {
+  if (motive?.immobilized) return 0;
+  let mp = Math.max(0, (Number(cruise) || 0) - (Number(motive?.mpLost) || 0));
+  for (let i = 0; i < (Number(motive?.halved) || 0); i++) mp = Math.floor(mp / 2);
+  return mp;
+}
+
+/**
+ * Look up a roll on the vehicle critical hits table for a location.
+ * @param {string} location front | left | right | back | turret | rotor
+ * @param {number} roll 2d6 total
+ * @returns {Object} The VEHICLE_CRITS entry, with its `key`
+ */
+export function vehicleCrit(location, roll) {
+  const column = ['left', 'right'].includes(location) ? 'side' : location;
+  const table = VEHICLE_CRIT_TABLE[column] || VEHICLE_CRIT_TABLE.front;
+  const key = table[Math.min(12, Math.max(2, Number(roll) || 2)) - 2];
+  return { key, ...VEHICLE_CRITS[key] };
+}
+
+/**
+ * Apply a vehicle critical hit to its status and motive state. Weapon and
+ * ammunition effects need the vehicle's rows and are left to the caller.
+ * Crew stuns and turret jams last through the next turn (two round
+ * boundaries). Pure — returns new objects.
+ * @param {Object} status The vehicle's `system.status`
+ * @param {Object} motive The vehicle's `system.motive`
+ * @param {Object} crit A `vehicleCrit` result
+ * @param {string} location Location struck
+ * @returns {{status: Object, motive: Object}}
+ */
+export function applyVehicleCrit(status, motive, crit, location) {
+  const next = structuredClone(status || {});
+  next.stabilizers = [...(next.stabilizers || [])];
+  if (crit.status === 'crewStunned' || crit.status === 'turretJammed') next[crit.status] = 2;
+  else if (crit.status) next[crit.status] = true;
+  if (crit.counter) next[crit.counter] = (Number(next[crit.counter]) || 0) + 1;
+  if (crit.stabilizer && !next.stabilizers.includes(location)) next.stabilizers.push(location);
+  if (crit.turretDestroyed) next.turretDestroyed = true;
+  if (crit.destroys) next.destroyed = true;
+  return { status: next, motive: applyMotiveDamage(motive, crit) };
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Aerospace fighters                                                         */
+/* -------------------------------------------------------------------------- */
+
+/** A fighter's structural integrity: its safe thrust or a tenth of its tonnage, whichever is higher. */
+export function fighterStructuralIntegrity(tonnage, safeThrust) {
+  return Math.max(Math.ceil((Number(tonnage) || 0) / 10), Number(safeThrust) || 0);
+}
+
+/** External bomb slots: one per 5 tons. */
+export function fighterBombSlots(tonnage) {
+  return Math.floor((Number(tonnage) || 0) / 5);
+}
+
+/**
+ * Safe and maximum thrust once external bombs are loaded (−1 safe thrust per
+ * BOMBS_PER_THRUST bombs; maximum thrust is 1.5× safe, rounded up).
+ * @param {number} safeThrust Unladen safe thrust
+ * @param {number} [bombs] Bombs carried
+ * @returns {{safe: number, max: number, penalty: number}}
+ */
+export function fighterThrust(safeThrust, bombs = 0) {
+  const penalty = Math.floor((Number(bombs) || 0) / BOMBS_PER_THRUST);
+  const safe = Math.max(0, (Number(safeThrust) || 0) - penalty);
+  return { safe, max: runMP(safe), penalty };
+}
+
+/**
+ * Release one bomb from a fighter's load, without mutating it.
+ * @param {Object[]} bombs A fighter's `system.bombs` rows
+ * @param {string} rowId The row to drop from
+ * @returns {{bombs: Object[], left: number, bomb: {label: string, damage: number}}|null}
+ *   The load after the drop, bombs left in that row and the bomb's type; null if none left there
+ */
+export function releaseBomb(bombs, rowId) {
+  const row = (bombs || []).find(b => b.id === rowId);
+  if (!row || !(Number(row.count) > 0)) return null;
+  const left = Number(row.count) - 1;
+  return {
+    bombs: bombs.map(b => (b === row ? { ...b, count: left } : { ...b })),
+    left,
+    bomb: FIGHTER_BOMB_TYPES[row.type] || { label: row.type, damage: 0 }
+  };
+}
+
+/**
+ * Whether a fighter can launch, from its record-sheet state: destroyed when
+ * its SI is gone, then damaged (any armor or SI missing), low on fuel, or
+ * without a pilot assigned.
+ * @param {Object} system An aerospace_fighter's system data
+ * @returns {{key: string, label: string}}
+ */
+export function fighterReadiness(system) {
+  const si = system?.structure?.si || {};
+  const fuel = system?.fuel || {};
+  let key = 'ready';
+  if ((Number(si.max) || 0) > 0 && (Number(si.value) || 0) <= 0) key = 'destroyed';
+  else if ((Number(si.value) || 0) < (Number(si.max) || 0)
+    || FIGHTER_ARCS.some(a => (Number(system?.armor?.[a.key]?.value) || 0) < (Number(system?.armor?.[a.key]?.max) || 0))) key = 'damaged';
+  else if ((Number(fuel.max) || 0) > 0 && (Number(fuel.value) || 0) < fuel.max * FIGHTER_LOW_FUEL) key = 'lowFuel';
+  else if (!system?.crew?.pilot) key = 'noPilot';
+  return { key, label: FIGHTER_READINESS[key] };
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Battle armor                                                               */
+/* -------------------------------------------------------------------------- */
+
+/** Troopers still in the fight. */
+export function baActiveTroopers(troopers) {
+  return (troopers || []).filter(t => !t.killed).length;
+}
+
+/**
+ * The trooper a hit lands on from a 1d6 roll: the roll-th trooper, or the
+ * next one still standing (wrapping round) in place of a reroll.
+ * @param {Array<{killed?: boolean}>} troopers
+ * @param {number} roll 1d6
+ * @returns {number} Index into `troopers`, or −1 when none are left
+ */
+export function baTrooperHit(troopers, roll) {
+  const list = troopers || [];
+  if (!list.length) return -1;
+  const start = Math.max(0, (Number(roll) || 1) - 1) % list.length;
+  for (let i = 0; i < list.length; i++) {
+    const idx = (start + i) % list.length;
+    if (!list[idx].killed) return idx;
+  }
+  return -1;
+}
+
+/**
+ * Damage one trooper's suit: armor soaks what it can, and any damage past it
+ * breaches the suit (the trooper is out) and carries on to the pilot.
+ * @param {{armor?: {value: number}}} trooper
+ * @param {number} damage
+ * @returns {{armor: number, absorbed: number, overflow: number, killed: boolean}}
+ *   `armor` is the suit's remaining armor
+ */
+export function allocateTrooperDamage(trooper, damage) {
+  const armor = Math.max(0, Number(trooper?.armor?.value) || 0);
+  const dmg = Math.max(0, Number(damage) || 0);
+  const absorbed = Math.min(armor, dmg);
+  const overflow = dmg - absorbed;
+  return { armor: armor - absorbed, absorbed, overflow, killed: !!trooper?.killed || overflow > 0 };
+}
+
+/** Whether a squad's suits can make leg and swarm attacks at all. */
+export function baAntiMechCapable(weightClass, manipulators) {
+  if (!BA_WEIGHT_CLASSES[weightClass]?.antiMech) return false;
+  return ['left', 'right'].some(side => BA_MANIPULATORS[manipulators?.[side]]?.antiMech);
+}
+
+/** Leg/swarm to-hit modifier for the troopers still active. */
+export function baAntiMechModifier(active) {
+  const n = Math.max(0, Number(active) || 0);
+  if (!n) return null;
+  return BA_ANTIMECH_TROOPER_MODS[Math.min(n, BA_ANTIMECH_TROOPER_MODS.length - 1)];
+}
+
+/** Damage of a successful leg attack: the base plus a point per vibro-claw. */
+export function baLegAttackDamage(manipulators) {
+  const claws = ['left', 'right'].reduce((sum, side) => sum + (BA_MANIPULATORS[manipulators?.[side]]?.legDamage || 0), 0);
+  return BA_LEG_ATTACK_DAMAGE + claws;
+}
+
+/**
+ * A squad weapon fired by every active trooper: one shot (or rack) per suit,
+ * so the cluster roll is made on troopers × rack.
+ * @param {{rack?: number}} weapon
+ * @param {number} active Troopers still active
+ * @returns {Object} The weapon as the squad fires it
+ */
+export function baSquadWeapon(weapon, active) {
+  const n = Math.max(0, Number(active) || 0);
+  if (n <= 1) return weapon;
+  return { ...weapon, rack: n * Math.max(1, Number(weapon?.rack) || 0) };
+}
+
+/**
+ * Damage groups of a swarm attack: each active trooper strikes with all of
+ * its working weapons at once.
+ * @param {Array<{damage?: number, rack?: number, out?: string}>} weapons
+ * @param {number} active
+ * @returns {number[]}
+ */
+export function baSwarmDamage(weapons, active) {
+  const perTrooper = (weapons || [])
+    .filter(w => !w.out)
+    .reduce((sum, w) => sum + (Number(w.damage) || 0) * Math.max(1, Number(w.rack) || 0), 0);
+  if (!(perTrooper > 0)) return [];
+  return Array(Math.max(0, Number(active) || 0)).fill(perTrooper);
+}
+
+/** Where an attached swarm strikes a 'Mech on a 2d6 roll. */
+export function swarmHitLocation(roll) {
+  return BA_SWARM_LOCATIONS[Math.min(12, Math.max(2, Number(roll) || 2)) - 2];
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Installations                                                              */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A building's repair state: destroyed once its CF is gone, under repair
+ * while flagged so, damaged below full CF, otherwise intact.
+ * @param {{cf?: {value: number, max: number}, underRepair?: boolean}} building
+ * @returns {'intact'|'damaged'|'repairing'|'destroyed'}
+ */
+export function buildingState(building) {
+  const value = Number(building?.cf?.value) || 0;
+  const max = Number(building?.cf?.max) || 0;
+  if (max > 0 && value <= 0) return 'destroyed';
+  if (building?.underRepair) return 'repairing';
+  return value < max ? 'damaged' : 'intact';
+}
+
+/** Whether a CF lies within its building class's range. */
+export function buildingTypeFits(type, cf) {
+  const range = BUILDING_TYPES[type]?.cf;
+  const n = Number(cf) || 0;
+  return !!range && n >= range[0] && n <= range[1];
+}
+
+/**
+ * Damage a building: its CF drops point for point, and it collapses at 0.
+ * @param {{cf?: {value: number}}} building
+ * @param {number} damage
+ * @returns {{cf: number, absorbed: number, collapsed: boolean}} `cf` is what is left
+ */
+export function damageBuilding(building, damage) {
+  const cf = Math.max(0, Number(building?.cf?.value) || 0);
+  const absorbed = Math.min(cf, Math.max(0, Number(damage) || 0));
+  return { cf: cf - absorbed, absorbed, collapsed: cf > 0 && cf - absorbed === 0 };
+}
+
+/**
+ * An installation's power budget from the buildings still standing: what
+ * they generate against what they draw.
+ * @param {Array<{powerOut?: number, powerDraw?: number}>} buildings
+ * @returns {{generated: number, drawn: number, balance: number, short: boolean}}
+ */
+export function installationPower(buildings) {
+  let generated = 0, drawn = 0;
+  for (const b of buildings || []) {
+    if (buildingState(b) === 'destroyed') continue;
+    generated += Number(b.powerOut) || 0;
+    drawn += Number(b.powerDraw) || 0;
+  }
+  return { generated, drawn, balance: generated - drawn, short: drawn > generated };
+}
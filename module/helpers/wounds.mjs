@@ -0,0 +1,292 @@
+/**
+ * Wound types: what each wound does to a character and how it heals.
+ *
+ * Every wound on `system.wounds` names a type from this registry. A type sets
+ * how many damage (and fatigue) boxes it locks, its attribute penalties — the
+ * worst of each attribute counts, they don't add up — a movement multiplier,
+ * whether it starts the character bleeding, whether it's a limb wound (one a
+ * fitted prosthetic limb replaces), what a second one of the same type does,
+ * and how it heals: by Surgery, by rest, or either.
+ *
+ * The seven built-in types are the system's homebrew wounds and stay as they
+ * are — do NOT re-align them to the rulebook's Specific Wound Effects table
+ * without explicit direction. The GM adds homebrew types of their own in the
+ * Wound Types settings menu; those are kept in a world setting and handed to
+ * `setCustomWoundTypes`.
+ *
+ * Pure rules — `MechFoundryActor#inflictWound` and friends apply them.
+ */
+
+/** Attributes a wound can penalize. */
+export const WOUND_ATTRIBUTES = ['str', 'bod', 'rfl', 'dex', 'int', 'wil', 'cha', 'edg'];
+
+/** What a second wound of a type already suffered does. */
+export const WOUND_STACKING = {
+  worsen: 'Becomes Severely Wounded',
+  stack: 'Stacks',
+  none: 'No further effect'
+};
+
+/** How a wound heals: its severity drops by Surgery, by rest, or either. */
+export const HEAL_PROCEDURES = {
+  any: { label: 'Surgery or rest', surgery: true, rest: true },
+  surgery: { label: 'Surgery only', surgery: true, rest: false },
+  rest: { label: 'Rest only', surgery: false, rest: true }
+};
+
+/** The wound a repeated `worsen` wound becomes. */
+export const WORSENED_WOUND = 'severelyWounded';
+
+/** Severity a new wound starts at; it heals at 0. */
+export const DEFAULT_SEVERITY = 5;
+
+/** The built-in wound types. */
+export const DEFAULT_WOUND_TYPES = {
+  dazed: {
+    label: 'Dazed', icon: 'fa-dizzy', capacityPenalty: 1,
+    description: 'Dazed — locks 1 standard-damage box (−1 damage capacity) while it lasts. '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  },
+  concussion: {
+    label: 'Concussion', icon: 'fa-brain', capacityPenalty: 1, attributePenalties: { int: -2, wil: -2 },
+    description: 'Concussion — locks 1 standard-damage box and imposes −2 INT and −2 WIL. '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  },
+  hemorrhage: {
+    label: 'Hemorrhage', icon: 'fa-tint', capacityPenalty: 1, causesBleeding: true,
+    description: 'Hemorrhage — locks 1 standard-damage box and causes ongoing Bleeding. '
+      + 'Heal: remove it with Surgery, which also stops the bleeding if no other hemorrhage remains.'
+  },
+  traumaticImpact: {
+    label: 'Traumatic Impact', icon: 'fa-fist-raised', capacityPenalty: 1,
+    description: 'Traumatic Impact — locks 1 standard-damage box (−1 damage capacity). '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  },
+  nerveDamage: {
+    label: 'Nerve Damage', icon: 'fa-bolt', capacityPenalty: 1, attributePenalties: { dex: -2, rfl: -2 }, limb: true,
+    description: 'Nerve Damage — locks 1 standard-damage box and imposes −2 DEX and −2 RFL. '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  },
+  severeStrain: {
+    label: 'Severe Strain', icon: 'fa-running', capacityPenalty: 1, movementMultiplier: 0.5,
+    description: 'Severe Strain — locks 1 standard-damage box and halves the character’s movement. '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  },
+  severelyWounded: {
+    label: 'Severely Wounded', icon: 'fa-skull-crossbones', capacityPenalty: 3, stacking: 'stack',
+    description: 'Severely Wounded — locks 3 standard-damage boxes and can stack with further instances. '
+      + 'Heal: reduce its severity to 0 with Surgery.'
+  }
+};
+
+/** The GM's homebrew types, normalized. */
+let customTypes = {};
+
+/** Attribute penalties as written in a form ("DEX -2, RFL -2"). */
+const PENALTY_TEXT = /\b(STR|BOD|RFL|DEX|INT|WIL|CHA|EDG)\s*([+-]?\d+)/gi;
+
+/**
+ * A wound type with every field filled in, or null if it can't be used.
+ * @param {Object} raw A type as stored: any of the DEFAULT_WOUND_TYPES fields
+ * @returns {Object|null}
+ */
+export function normalizeWoundType(raw) {
+  const label = String(raw?.label || '').trim();
+  if (!label) return null;
+  const attributePenalties = {};
+  for (const [attr, value] of Object.entries(raw.attributePenalties || {})) {
+    const penalty = -Math.abs(Number(value) || 0);
+    if (WOUND_ATTRIBUTES.includes(attr) && penalty) attributePenalties[attr] = penalty;
+  }
+  const multiplier = raw.movementMultiplier === '' || raw.movementMultiplier == null ? 1 : Number(raw.movementMultiplier);
+  return {
+    label,
+    icon: /^fa-[\w-]+$/.test(raw.icon || '') ? raw.icon : 'fa-band-aid',
+    capacityPenalty: Math.max(0, Math.floor(Number(raw.capacityPenalty) || 0)),
+    attributePenalties,
+    movementMultiplier: Number.isFinite(multiplier) && multiplier >= 0 ? multiplier : 1,
+    causesBleeding: !!raw.causesBleeding,
+    limb: !!raw.limb,
+    stacking: WOUND_STACKING[raw.stacking] ? raw.stacking : 'worsen',
+    heal: HEAL_PROCEDURES[raw.heal] ? raw.heal : 'any',
+    description: String(raw.description || '').trim()
+  };
+}
+
+/**
+ * Attribute penalties read from text, e.g. "DEX -2, RFL -2".
+ * @param {string} text
+ * @returns {Object<string, number>}
+ */
+export function parsePenalties(text) {
+  const penalties = {};
+  for (const [, attr, value] of String(text || '').matchAll(PENALTY_TEXT)) {
+    penalties[attr.toLowerCase()] = -Math.abs(Number(value));
+  }
+  return penalties;
+}
+
+/**
+ * Attribute penalties written out, e.g. "DEX -2, RFL -2".
+ * @param {Object<string, number>} penalties
+ * @returns {string}
+ */
+export function formatPenalties(penalties) {
+  return Object.entries(penalties || {}).map(([attr, value]) => `${attr.toUpperCase()} ${value}`).join(', ');
+}
+
+/**
+ * A type key made from a label, e.g. "Shattered Limb" → 'shatteredLimb'.
+ * @param {string} label
+ * @returns {string} Empty if the label has no letters to go on
+ */
+export function woundKey(label) {
+  const words = String(label || '').replace(/[^a-zA-Z0-9\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  const key = words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())).join('');
+  return /^[a-zA-Z]/.test(key) ? key : '';
+}
+
+/**
+ * Set the GM's homebrew wound types. Keys must be plain identifiers and
+ * can't replace a built-in type; unusable entries are dropped.
+ * @param {Object<string, Object>} types Type key → stored type
+ * @returns {Object<string, Object>} The types kept
+ */
+export function setCustomWoundTypes(types) {
+  customTypes = {};
+  for (const [key, raw] of Object.entries(types || {})) {
+    if (!/^[a-zA-Z]\w*$/.test(key) || DEFAULT_WOUND_TYPES[key]) continue;
+    const type = normalizeWoundType(raw);
+    if (type) customTypes[key] = type;
+  }
+  return customTypes;
+}
+
+/**
+ * Every wound type: the built-ins, then the GM's.
+ * @returns {Object<string, Object>}
+ */
+export function woundTypes() {
+  const types = {};
+  for (const [key, raw] of Object.entries(DEFAULT_WOUND_TYPES)) types[key] = normalizeWoundType(raw);
+  return { ...types, ...customTypes };
+}
+
+/**
+ * A wound type by key.
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export function woundType(key) {
+  if (DEFAULT_WOUND_TYPES[key]) return normalizeWoundType(DEFAULT_WOUND_TYPES[key]);
+  return customTypes[key] || null;
+}
+
+/**
+ * A wound type's display name; unknown types show their key.
+ * @param {string} key
+ * @returns {string}
+ */
+export function woundLabel(key) {
+  return woundType(key)?.label || key || '';
+}
+
+/**
+ * What a wound does and how it heals, for tooltips. Types without a written
+ * description get one from their rules.
+ * @param {string} key
+ * @returns {string} Empty when the type is unknown
+ */
+export function woundDescription(key) {
+  const type = woundType(key);
+  if (!type) return '';
+  if (type.description) return type.description;
+  const effects = [];
+  if (type.capacityPenalty) effects.push(`locks ${type.capacityPenalty} standard-damage box${type.capacityPenalty === 1 ? '' : 'es'}`);
+  for (const [attr, value] of Object.entries(type.attributePenalties)) effects.push(`imposes ${value} ${attr.toUpperCase()}`);
+  if (type.movementMultiplier !== 1) effects.push(`multiplies movement by ${type.movementMultiplier}`);
+  if (type.causesBleeding) effects.push('causes ongoing Bleeding');
+  if (type.stacking === 'stack') effects.push('can stack with further instances');
+  const heal = { any: 'Surgery or rest', surgery: 'Surgery', rest: 'rest' }[type.heal];
+  return `${type.label} — ${effects.join(', ') || 'no lasting effect'}. Heal: reduce its severity to 0 with ${heal}.`;
+}
+
+/**
+ * A wound type's rules in brief, e.g. "Nerve Damage (1 box, DEX -2, RFL -2)".
+ * @param {string} key
+ * @returns {string}
+ */
+export function woundSummary(key) {
+  const type = woundType(key);
+  if (!type) return key || '';
+  const parts = [];
+  if (type.capacityPenalty) parts.push(`${type.capacityPenalty} box${type.capacityPenalty === 1 ? '' : 'es'}`);
+  if (Object.keys(type.attributePenalties).length) parts.push(formatPenalties(type.attributePenalties));
+  if (type.movementMultiplier !== 1) parts.push(`×${type.movementMultiplier} movement`);
+  if (type.causesBleeding) parts.push('Bleeding');
+  return parts.length ? `${type.label} (${parts.join(', ')})` : type.label;
+}
+
+/**
+ * The type a new wound is recorded as, given the wounds already suffered: a
+ * repeated `worsen` wound becomes Severely Wounded, a repeated `none` wound
+ * is not recorded.
+ * @param {string} key The wound type inflicted
+ * @param {Object[]} wounds The character's `system.wounds`
+ * @returns {string|null} Null for an unknown type or a wound with no effect
+ */
+export function woundToRecord(key, wounds) {
+  const type = woundType(key);
+  if (!type) return null;
+  if (type.stacking === 'stack' || !(wounds || []).some(w => w?.type === key)) return key;
+  return type.stacking === 'worsen' ? WORSENED_WOUND : null;
+}
+
+/**
+ * Can a wound's severity be reduced by a procedure?
+ * @param {string} key A wound type
+ * @param {string} procedure 'surgery' or 'rest'
+ * @returns {boolean}
+ */
+export function woundHealsBy(key, procedure) {
+  const type = woundType(key);
+  return !!(type ? HEAL_PROCEDURES[type.heal][procedure] : HEAL_PROCEDURES.any[procedure]);
+}
+
+/**
+ * Do any of these wounds keep a character bleeding?
+ * @param {Object[]} wounds
+ * @returns {boolean}
+ */
+export function woundsCauseBleeding(wounds) {
+  return (wounds || []).some(w => woundType(w?.type)?.causesBleeding);
+}
+
+/**
+ * What a character's wounds add up to. Locked boxes add up, attribute
+ * penalties don't (the worst counts), movement multipliers multiply.
+ * @param {Object[]} wounds The character's `system.wounds`
+ * @returns {{lockedDamage: number, lockedFatigue: number, attributeModifiers: Object<string, number>, movementMultiplier: number, woundCount: number}}
+ */
+export function totalWoundEffects(wounds) {
+  const effects = {
+    lockedDamage: 0,
+    lockedFatigue: 0,
+    attributeModifiers: {},
+    movementMultiplier: 1,
+    woundCount: (wounds || []).length
+  };
+  for (const wound of wounds || []) {
+    const type = woundType(wound?.type);
+    if (!type) continue;
+    effects.lockedDamage += type.capacityPenalty;
+    effects.lockedFatigue += type.capacityPenalty;
+    for (const [attr, penalty] of Object.entries(type.attributePenalties)) {
+      if (!effects.attributeModifiers[attr] || penalty < effects.attributeModifiers[attr]) {
+        effects.attributeModifiers[attr] = penalty;
+      }
+    }
+    effects.movementMultiplier *= type.movementMultiplier;
+  }
+  return effects;
+}
@@ -33,6 +33,13 @@ import { seedWeapons } from "./helpers/weapon-seeder.mjs";
 import { seedAmmo } from "./helpers/ammo-seeder.mjs";
 import { seedArmor } from "./helpers/armor-seeder.mjs";
 import { makeFolderedSeeder } from "./helpers/pack-seeder.mjs";
+import { importMegaMekUnit, openMegaMekImporter } from "./helpers/megamek-import.mjs";
+import { printRecordSheet, exportRecordSheet } from "./helpers/record-sheet.mjs";
+import { CoverHelper } from "./helpers/cover-helper.mjs";
+import { OverwatchHelper } from "./helpers/overwatch-helper.mjs";
+import { IndirectFireHelper } from "./helpers/indirect-fire.mjs";
+import { ThrownHelper } from "./helpers/thrown-helper.mjs";
+import { MOVEMENT_MODES } from "./helpers/action-economy.mjs";
 import { ELECTRONICS_SEED } from "./data/electronics.mjs";
 import { FIELD_GEAR_SEED } from "./data/field-gear.mjs";
 import { MEDICAL_SEED } from "./data/medical.mjs";
@@ -44,8 +51,11 @@ const seedMedical = makeFolderedSeeder("mech-foundry.medical", () => MEDICAL_SEE
 const seedVehicles = makeFolderedSeeder("mech-foundry.vehicles", () => VEHICLE_SEED, "Vehicles");
 import { CharacterWizard } from "./apps/character-wizard.mjs";
 import { ShopApplication } from "./apps/shop.mjs";
+import { CasualtyBoard } from "./apps/casualty-board.mjs";
+import { WoundTypeConfig } from "./apps/wound-types.mjs";
 import { ATOW_SKILLS, ATOW_TRAITS, ATOW_TRAIT_DESCRIPTIONS } from "./data/atow-lists.mjs";
-import { woundDescription, conditionDescription } from "./data/status-descriptions.mjs";
+import { conditionDescription } from "./data/status-descriptions.mjs";
+import { woundType, woundLabel, woundDescription, setCustomWoundTypes } from "./helpers/wounds.mjs";
 import { SocketHandler, SOCKET_EVENTS } from "./helpers/socket-handler.mjs";
 import { OpposedRollHelper } from "./helpers/opposed-rolls.mjs";
 import { DiceMechanics } from "./helpers/dice-mechanics.mjs";
@@ -74,6 +84,10 @@ Hooks.once('init', function() {
       actor: actor ?? game.user?.character ?? canvas?.tokens?.controlled?.[0]?.actor ?? null
     }).render(true),
     ShopApplication,
+    /** Open the GM's Casualty Board: who is hurt on the scene or in the combat. */
+    openCasualtyBoard: () => CasualtyBoard.open(),
+    CasualtyBoard,
+    WoundTypeConfig,
     /** Manually (re)seed the Life Modules compendium, adding any missing starters. */
     reseedLifeModules: () => seedLifeModules({ force: true }),
     /** Manually (re)seed the Skills/Traits reference compendia, then refresh config. */
@@ -105,6 +119,15 @@ Hooks.once('init', function() {
     /** Manually (re)seed the Vehicles compendium, adding any missing entries. */
     reseedVehicles: () => seedVehicles({ force: true }),
     refreshVehicles: () => seedVehicles({ refresh: true }),
+    /** Pick MegaMek .mtf / .blk files and import them as unit actors
+     *  (updating `actor`, or a same-named unit, in place). */
+    importMegaMek: (actor = null) => openMegaMekImporter(actor),
+    /** Import one MegaMek unit file's text: `importMegaMekUnit(text, { filename, actor })`. */
+    importMegaMekUnit,
+    /** Open a unit's printable record sheet in a new window. */
+    printRecordSheet,
+    /** Save a unit's record sheet as a standalone HTML file. */
+    exportRecordSheet,
     config: MECHFOUNDRY
   };
 
@@ -225,6 +248,7 @@ Hooks.once('ready', async function() {
   // Initialize socket handler for cross-player communication
   SocketHandler.initialize();
   ShopApplication.initSocket();
+  OverwatchHelper.initSocket();
 
   // Make OpposedRollHelper available globally
   game.mechfoundry.OpposedRollHelper = OpposedRollHelper;
@@ -389,6 +413,13 @@ function _registerHandlebarsHelpers() {
   Handlebars.registerHelper('woundDescription', function(type) {
     return woundDescription(type);
   });
+  // Display name and Font Awesome icon for a wound type (see helpers/wounds.mjs).
+  Handlebars.registerHelper('woundLabel', function(type) {
+    return woundLabel(type);
+  });
+  Handlebars.registerHelper('woundIcon', function(type) {
+    return woundType(type)?.icon || 'fa-band-aid';
+  });
   Handlebars.registerHelper('conditionDescription', function(key) {
     return conditionDescription(key);
   });
@@ -539,6 +570,37 @@ function _registerSystemSettings() {
       strict: "MECHFOUNDRY.SettingCreationStrictnessStrict"
     }
   });
+
+  /* ---- Wound types (GM homebrew) --------------------------------------- */
+
+  // The group's own wound types, added to the built-in seven (helpers/wounds.mjs).
+  game.settings.register("mech-foundry", "customWoundTypes", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: value => {
+      setCustomWoundTypes(value);
+      // World actors, and the synthetic actors of unlinked tokens on every scene
+      const tokenActors = game.scenes.contents.flatMap(scene =>
+        scene.tokens.contents.filter(token => !token.actorLink).map(token => token.actor));
+      for (const actor of new Set([...game.actors, ...tokenActors])) {
+        if (!actor) continue;
+        actor.prepareData();
+        if (actor.sheet?.rendered) actor.sheet.render();
+      }
+      CasualtyBoard.refresh();
+    }
+  });
+  game.settings.registerMenu("mech-foundry", "woundTypesMenu", {
+    name: "MECHFOUNDRY.SettingWoundTypes",
+    label: "MECHFOUNDRY.SettingWoundTypesLabel",
+    hint: "MECHFOUNDRY.SettingWoundTypesHint",
+    icon: "fa-solid fa-user-injured",
+    type: WoundTypeConfig,
+    restricted: true
+  });
+  setCustomWoundTypes(game.settings.get("mech-foundry", "customWoundTypes"));
 }
 
 /* -------------------------------------------- */
@@ -598,12 +660,42 @@ Hooks.on("combatRound", async (combat, updateData, updateOptions) => {
   // Only run for the GM to prevent duplicate processing
   if (!game.user.isGM) return;
 
+  // New round: everyone's action economy starts fresh
+  await combat.resetActions?.();
+  // ...and the first combatant's turn starts (combatTurn doesn't fire for it)
+  await _startCombatantTurn(combat, updateData.turn ?? 0);
+
+  // Artillery rounds in flight that land this round come down
+  await IndirectFireHelper.resolveIncoming(combat, updateData.round);
+
   // Process each combatant
   for (const combatant of combat.combatants) {
     // Get the actor - for tokens, this gets the correct token actor
     let actor = combatant.actor;
     if (!actor) continue;
 
+    // BattleTech units run their end phase (heat, crew stuns, fuel, swarms) instead of personal-scale effects
+    if (actor.type === 'mech') {
+      await actor.resolveHeatPhase();
+      continue;
+    }
+    if (actor.type === 'ground_vehicle') {
+      await actor.resolveVehicleEndPhase();
+      continue;
+    }
+    if (actor.type === 'aerospace_fighter') {
+      await actor.resolveFighterEndPhase();
+      continue;
+    }
+    if (actor.type === 'battle_armor') {
+      await actor.resolveBattleArmorEndPhase();
+      continue;
+    }
+    if (actor.type === 'installation') {
+      await actor.resolveInstallationEndPhase();
+      continue;
+    }
+
     // Apply bleeding damage (1 standard damage per round)
     if (actor.system.bleeding) {
       const currentDmg = actor.system.damage?.value || 0;
@@ -712,6 +804,11 @@ Hooks.on("combatRound", async (combat, updateData, updateOptions) => {
       }
     }
   }
+
+  // Timed effects (drugs, poisons) count down once the round's damage is done
+  for (const combatant of combat.combatants) {
+    await combatant.actor?.tickTimedEffects?.(1);
+  }
 });
 
 /* -------------------------------------------- */
@@ -768,7 +865,7 @@ Hooks.on('renderChatMessage', (message, html, data) => {
     }
 
     // Apply wound effect if present (from critical hit - doubles on attack)
-    // Valid wound types: dazed, deafened, blinded, internalDamage, shatteredLimb
+    // Wound types come from the wound registry (helpers/wounds.mjs)
     // Knockdown is not a wound, just a status effect
     if (woundType && woundType !== 'knockdown') {
       await target.inflictWound(woundType, location, 'Critical Hit');
@@ -783,6 +880,97 @@ Hooks.on('renderChatMessage', (message, html, data) => {
     ui.notifications.info(`Applied ${isSubduing ? fatigueDamage + ' fatigue' : standardDamage + ' standard'} damage to ${target.name}`);
   });
 
+  // Apply Damage buttons on BattleTech-scale unit attack cards
+  html.find('.apply-unit-damage').click(async (event) => {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const { targetId, tokenId, sceneId, location } = button.dataset;
+
+    let target = null;
+    if (tokenId && sceneId) {
+      const tokenDoc = game.scenes.get(sceneId)?.tokens.get(tokenId);
+      if (tokenDoc) target = tokenDoc.actor;
+    }
+    if (!target) target = game.actors.get(targetId);
+    if (!target) {
+      ui.notifications.error("Target actor not found!");
+      return;
+    }
+    if (!target.isOwner && !game.user.isGM) {
+      ui.notifications.warn("You do not have permission to apply damage to this actor.");
+      return;
+    }
+
+    await target.applyUnitDamage(parseInt(button.dataset.damage) || 0, location, {
+      rear: button.dataset.rear === 'true',
+      critical: button.dataset.critical === 'true',
+      motive: button.dataset.motive === 'true'
+    });
+
+    button.disabled = true;
+    button.textContent = "Applied";
+    button.classList.add('disabled');
+  });
+
+  // Apply a winning melee maneuver (grapple, pin, trip, disarm, throw, break free)
+  html.find('.apply-maneuver').click(async (event) => {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const { maneuver, targetId, tokenId, byActorId, byTokenId, sceneId } = button.dataset;
+    const scene = game.scenes.get(sceneId);
+    const target = scene?.tokens.get(tokenId)?.actor ?? game.actors.get(targetId);
+    const by = scene?.tokens.get(byTokenId)?.actor ?? game.actors.get(byActorId);
+    if (!target || !by) {
+      ui.notifications.error("Actor not found!");
+      return;
+    }
+    if (!target.isOwner && !game.user.isGM) {
+      ui.notifications.warn("You do not have permission to modify this actor.");
+      return;
+    }
+
+    await target.applyManeuver(maneuver, by);
+
+    button.disabled = true;
+    button.textContent = "Applied";
+    button.classList.add('disabled');
+  });
+
+  // Give a target a drug's effects the user who administered it couldn't apply
+  html.find('.apply-drug').click(async (event) => {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const { targetId, tokenId, sceneId } = button.dataset;
+    const target = game.scenes.get(sceneId)?.tokens.get(tokenId)?.actor ?? game.actors.get(targetId);
+    const effects = message.getFlag("mech-foundry", "drugEffects");
+    if (!target || !effects?.length) {
+      ui.notifications.error("Target actor not found!");
+      return;
+    }
+    if (!target.isOwner && !game.user.isGM) {
+      ui.notifications.warn("You do not have permission to modify this actor.");
+      return;
+    }
+
+    await target.applyDrugEffects(effects);
+
+    button.disabled = true;
+    button.textContent = "Applied";
+    button.classList.add('disabled');
+  });
+
+  // Pick a thrown weapon back up from where it landed
+  html.find('.pick-up-thrown').click(async (event) => {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const item = await ThrownHelper.pickUp(button.dataset.sceneId, button.dataset.regionId);
+    if (!item) return;
+
+    button.disabled = true;
+    button.textContent = "Picked Up";
+    button.classList.add('disabled');
+  });
+
   // Defender Choice button handlers (Block vs Mutual Damage)
   html.find('.defender-choice-btn').click(async (event) => {
     event.preventDefault();
@@ -895,6 +1083,123 @@ async function applyVisionEffects(token, actor) {
   }
 }
 
+// Action economy: the combatant whose turn starts gets fresh actions
+Hooks.on("combatTurn", async (combat, updateData, updateOptions) => {
+  if (!game.user.isGM) return;
+  await _startCombatantTurn(combat, updateData.turn);
+});
+
+/**
+ * Start a combatant's turn: fresh actions, and a held overwatch lapses when
+ * the watcher's next turn comes round. From combatTurn, and from combatRound
+ * for the first turn of a round (Foundry fires only combatRound when the
+ * turn wraps to 0).
+ * @param {Combat} combat
+ * @param {number} turn Index into `combat.turns`
+ */
+async function _startCombatantTurn(combat, turn) {
+  const combatant = combat.turns[turn];
+  if (!combatant) return;
+  await combat.resetActions?.([combatant]);
+  if (combatant.actor) await OverwatchHelper.endOverwatch(combatant.actor);
+}
+
+// Remember where a token moved from, so the move can be measured afterwards
+Hooks.on('preUpdateToken', (tokenDocument, changes, options) => {
+  if (changes.x === undefined && changes.y === undefined) return;
+  options.mechFoundryFrom = { x: tokenDocument.x, y: tokenDocument.y };
+});
+
+// Moving a token can spring an overwatch; for a character it also counts
+// toward their movement mode this turn and throws off any aim
+Hooks.on('updateToken', async (tokenDocument, changes, options, userId) => {
+  if (game.user.id !== userId) return;
+  if (changes.x === undefined && changes.y === undefined) return;
+  const from = options.mechFoundryFrom;
+  if (from) OverwatchHelper.checkTrigger(tokenDocument, from);
+  // Measured on the token's own scene, which needn't be the one being viewed
+  const grid = tokenDocument.parent?.grid;
+  if (from && grid) {
+    const distance = grid.measurePath([from, { x: tokenDocument.x, y: tokenDocument.y }]).distance;
+    await game.combat?.recordMovement?.(tokenDocument.actor, distance);
+  }
+  await tokenDocument.actor?.loseAim?.('moved');
+});
+
+// Keep open character sheets in step with the actions they've spent
+Hooks.on('updateCombatant', (combatant, changes) => {
+  if (!foundry.utils.hasProperty(changes, 'flags.mech-foundry.actions')) return;
+  if (combatant.actor?.sheet?.rendered) combatant.actor.sheet.render(false);
+});
+Hooks.on('updateCombat', (combat, changes) => {
+  if (!('round' in changes || 'turn' in changes || 'started' in changes)) return;
+  for (const combatant of combat.combatants) {
+    if (combatant.actor?.sheet?.rendered) combatant.actor.sheet.render(false);
+  }
+});
+
+// Action pips and movement mode for each character in the combat tracker
+Hooks.on('renderCombatTracker', (app, element) => {
+  const combat = app.viewed;
+  if (!combat?.started) return;
+  const root = element instanceof HTMLElement ? element : element[0];
+  for (const li of root.querySelectorAll('li.combatant[data-combatant-id]')) {
+    const combatant = combat.combatants.get(li.dataset.combatantId);
+    const summary = combatant?.actor ? combat.actionSummary?.(combatant.actor) : null;
+    const name = li.querySelector('.token-name');
+    if (!summary || !name || name.querySelector('.mf-action-pips')) continue;
+    const pips = document.createElement('span');
+    pips.className = 'mf-action-pips';
+    pips.title = summary.log.map(entry => entry.label).join(', ') || 'No actions yet';
+    pips.innerHTML = summary.pips
+      .map(pip => `<span class="action-pip ${pip.filled ? 'filled' : ''} ${pip.over ? 'over' : ''}"></span>`).join('');
+    (name.querySelector('h4, strong') ?? name).append(pips);
+
+    // Movement mode: a picker for the combatant's owners, a label for everyone else
+    const mode = MOVEMENT_MODES[summary.movement];
+    if (!combatant.isOwner) {
+      const label = document.createElement('span');
+      label.className = 'mf-movement-mode';
+      label.textContent = mode.label;
+      name.append(label);
+      continue;
+    }
+    const select = document.createElement('select');
+    select.className = 'mf-movement-mode';
+    select.title = 'Movement this turn';
+    const manual = combat.getActions(combatant).movement?.manual;
+    select.innerHTML = `<option value="auto">Auto: ${manual ? 'by distance' : mode.label}</option>`
+      + Object.entries(MOVEMENT_MODES).map(([key, def]) =>
+        `<option value="${key}" ${manual && key === summary.movement ? 'selected' : ''}>${def.label}</option>`).join('');
+    for (const type of ['click', 'dblclick', 'mousedown', 'pointerdown']) {
+      select.addEventListener(type, event => event.stopPropagation());
+    }
+    select.addEventListener('change', event => combat.setMovementMode(combatant.actor, event.currentTarget.value));
+    name.append(select);
+  }
+});
+
+// Casualty Board: a GM button in the combat tracker, and keep the open board current
+Hooks.on('renderCombatTracker', (app, element) => {
+  if (!game.user.isGM) return;
+  const root = element instanceof HTMLElement ? element : element[0];
+  if (root.querySelector('.mf-casualty-board')) return;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'mf-casualty-board';
+  button.title = 'Casualty Board';
+  button.innerHTML = '<i class="fa-solid fa-kit-medical"></i>';
+  button.addEventListener('click', () => CasualtyBoard.open());
+  (root.querySelector('header') ?? root).append(button);
+});
+const refreshCasualtyBoard = foundry.utils.debounce(() => CasualtyBoard.refresh(), 100);
+for (const hook of ['updateActor', 'createItem', 'updateItem', 'deleteItem', 'createToken', 'deleteToken', 'createCombatant', 'deleteCombatant', 'canvasReady']) {
+  Hooks.on(hook, refreshCasualtyBoard);
+}
+
+// Let GMs tag Scene Regions (hedges, crates, vehicles) as cover for attacks
+Hooks.on('renderRegionConfig', (app, element) => CoverHelper.injectRegionConfig(app, element));
+
 // Update token vision when a token is created
 Hooks.on('createToken', async (tokenDocument, options, userId) => {
   if (game.user.id !== userId) return;
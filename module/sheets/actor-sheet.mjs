@@ -1,6 +1,17 @@
 import { MechFoundryActor } from '../documents/actor.mjs';
 import { OpposedRollHelper } from '../helpers/opposed-rolls.mjs';
 import { ItemEffectsHelper } from '../helpers/effects-helper.mjs';
+import { COVER_LEVELS } from '../helpers/cover-helper.mjs';
+import { OverwatchHelper } from '../helpers/overwatch-helper.mjs';
+import { MELEE_MANEUVERS, GRAPPLE_STATES, maneuverAvailable } from '../helpers/melee-maneuvers.mjs';
+import { ACTION_TYPES, MOVEMENT_MODES, aimBonus, recoilPerShot } from '../helpers/action-economy.mjs';
+import { SECONDARY_TARGET_MOD } from '../helpers/split-fire.mjs';
+import { ThrownHelper, isThrownWeapon } from '../helpers/thrown-helper.mjs';
+import { IndirectFireHelper, INDIRECT_MODS, MAX_SPOTTER_BONUS, SPOTTER_SKILL } from '../helpers/indirect-fire.mjs';
+import { CARE_LEVELS, RECOVERY_TN } from '../helpers/recovery.mjs';
+import { DEFAULT_SEVERITY, woundTypes, woundLabel, woundSummary, woundHealsBy } from '../helpers/wounds.mjs';
+import { DRUG_VECTORS, RESIST_TN, drugVectors } from '../helpers/drugs.mjs';
+import { PROSTHETIC_SLOTS, PROSTHETIC_FAULTS, INSTALL_TN, INSTALL_MODS, installKind, slotFromName, slotFree, prostheticFault, powerLeft } from '../helpers/prosthetics.mjs';
 import { CharacterWizard } from '../apps/character-wizard.mjs';
 import { ShopApplication } from '../apps/shop.mjs';
 
@@ -247,6 +258,18 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     context.creation = this.actor.getFlag('mech-foundry', 'creation') || null;
     context.creationCards = this._prepareCreationCards(context.creation);
 
+    // Bonus from aiming, for the Stance panel
+    context.aimBonus = aimBonus(this.actor.system.aim);
+    context.overwatch = this.actor.getFlag('mech-foundry', 'overwatch') ?? null;
+    const grapple = this.actor.system.grapple;
+    context.hold = grapple?.state && grapple.state !== 'none'
+      ? { label: GRAPPLE_STATES[grapple.state]?.label, partnerName: grapple.partnerName, canRelease: grapple.state === 'grappling' || game.user.isGM }
+      : null;
+
+    // Actions spent this turn, while a combat is running
+    context.actionEconomy = game.combat?.started ? (game.combat.actionSummary?.(this.actor) ?? null) : null;
+    if (context.actionEconomy) context.actionEconomy.movementLabel = MOVEMENT_MODES[context.actionEconomy.movement].label;
+
     return context;
   }
 
@@ -489,6 +512,11 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
         }
       }
       else if (i.type === 'prosthetics') {
+        // Installed: where, and if it isn't working, why not
+        const fault = prostheticFault(i.system, game.time.worldTime);
+        i.slotLabel = PROSTHETIC_SLOTS[i.system.bodyLocation]?.label || '';
+        i.faultLabel = fault === 'uninstalled' ? '' : PROSTHETIC_FAULTS[fault] || '';
+        i.powerLeft = powerLeft(i.system, game.time.worldTime);
         inventory.prosthetics.push(i);
         // Prosthetics don't have mass field
       }
@@ -849,6 +877,13 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     html.on('click', '.clear-stun', this._onClearStun.bind(this));
     html.on('click', '.recover-fatigue', this._onRecoverFatigue.bind(this));
     html.on('click', '.consciousness-check', this._onConsciousnessCheck.bind(this));
+    html.on('click', '.rest-downtime', this._onRestDowntime.bind(this));
+
+    // Aiming
+    html.on('click', '.take-aim', this._onTakeAim.bind(this));
+    html.on('click', '.clear-aim', this._onClearAim.bind(this));
+    html.on('click', '.end-overwatch', this._onEndOverwatch.bind(this));
+    html.on('click', '.release-grapple', this._onReleaseGrapple.bind(this));
 
     // Edge burning
     html.on('click', '.burn-edge', this._onBurnEdge.bind(this));
@@ -912,10 +947,18 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     // Item Effect toggle (for toggleable effects from equipped items)
     html.on('change', '.item-effect-toggle', this._onItemEffectToggle.bind(this));
 
+    // Action economy
+    html.on('click', '.spend-action', this._onSpendAction.bind(this));
+    html.on('click', '.reset-actions', this._onResetActions.bind(this));
+
     // Medical actions
     html.on('click', '.first-aid', this._onFirstAid.bind(this));
     html.on('click', '.stabilize-patient', this._onStabilize.bind(this));
     html.on('click', '.surgery', this._onSurgery.bind(this));
+    html.on('click', '.drug-use', this._onDrugUse.bind(this));
+    html.on('click', '.prosthetic-service', this._onProstheticService.bind(this));
+    html.on('click', '.prosthetic-remove', this._onProstheticRemove.bind(this));
+    html.on('click', '.prosthetic-emp', this._onProstheticEmp.bind(this));
     html.on('click', '.heal-wound', this._onHealWound.bind(this));
     html.on('click', '.add-wound', this._onAddWound.bind(this));
 
@@ -1143,6 +1186,204 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     return this.actor.recoverFatigue();
   }
 
+  /**
+   * Handle rest / downtime: pick how long and what care, then recover
+   * @param {Event} event The originating click event
+   * @private
+   */
+  async _onRestDowntime(event) {
+    event.preventDefault();
+    const careOptions = Object.entries(CARE_LEVELS)
+      .map(([key, c]) => `<option value="${key}">${c.label} (+${c.mod} to checks, ${c.damageRate}/day, wounds every ${c.woundInterval} days)</option>`)
+      .join('');
+
+    // Kits with charges left (or none to run out of)
+    const healthcareItems = this.actor.items.filter(i =>
+      i.type === 'healthcare' &&
+      (i.system.charges.max === 0 || i.system.charges.value > 0)
+    );
+    let healthcareOptions = '<option value="">None</option>';
+    for (const item of healthcareItems) {
+      const charges = item.system.charges.max > 0 ? ` (${item.system.charges.value}/${item.system.charges.max})` : '';
+      const bonus = [item.system.medTechBonus ? `MedTech +${item.system.medTechBonus}` : '', item.system.surgeryBonus ? `Surgery +${item.system.surgeryBonus}` : '']
+        .filter(Boolean).join(', ');
+      healthcareOptions += `<option value="${item.id}">${item.name}${bonus ? ` [${bonus}]` : ''}${charges}</option>`;
+    }
+
+    const content = `
+      <form>
+        <div class="form-group">
+          <label>Days</label>
+          <input type="number" name="days" value="1" min="0" style="width: 60px;"/>
+        </div>
+        <div class="form-group">
+          <label>Hours</label>
+          <input type="number" name="hours" value="0" min="0" style="width: 60px;"/>
+        </div>
+        <div class="form-group">
+          <label>Care</label>
+          <select name="care">${careOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Healthcare Item</label>
+          <select name="healthcareItem">${healthcareOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Modifier (+/-)</label>
+          <input type="number" name="modifier" value="0" style="width: 60px;"/>
+        </div>
+        ${game.user.isGM ? `<div class="form-group">
+          <label><input type="checkbox" name="advanceTime" checked/> Advance world time</label>
+        </div>` : ''}
+        <p class="hint">
+          Fatigue recovers BOD points an hour, all of it after a day.<br>
+          Each day: BOD check (2d6 + BOD + care + MedTech bonus, TN ${RECOVERY_TN}) — heals the daily rate, doubled on a success.<br>
+          Wounds: a BOD check (with the Surgery bonus) every few days of rest lowers severity by 1.
+        </p>
+      </form>
+    `;
+
+    new Dialog({
+      title: `Rest / Downtime - ${this.actor.name}`,
+      content,
+      buttons: {
+        rest: {
+          icon: '<i class="fas fa-bed"></i>',
+          label: "Rest",
+          callback: (html) => this.actor.restAndRecover({
+            days: parseInt(html.find('[name="days"]').val()) || 0,
+            hours: parseInt(html.find('[name="hours"]').val()) || 0,
+            care: html.find('[name="care"]').val(),
+            healthcareItemId: html.find('[name="healthcareItem"]').val() || null,
+            modifier: parseInt(html.find('[name="modifier"]').val()) || 0,
+            advanceTime: html.find('[name="advanceTime"]').is(':checked')
+          })
+        },
+        cancel: {
+          label: "Cancel"
+        }
+      },
+      default: "rest"
+    }).render(true);
+  }
+
+  /**
+   * Aim at the current target
+   * @param {Event} event
+   * @private
+   */
+  async _onTakeAim(event) {
+    event.preventDefault();
+    return this.actor.takeAim();
+  }
+
+  /**
+   * Stop aiming
+   * @param {Event} event
+   * @private
+   */
+  async _onClearAim(event) {
+    event.preventDefault();
+    return this.actor.loseAim();
+  }
+
+  /**
+   * Handle using or administering a drug or poison: on the targeted token's
+   * actor if there is one, else on this character
+   * @param {Event} event
+   * @private
+   */
+  async _onDrugUse(event) {
+    event.preventDefault();
+    const itemId = event.currentTarget.closest('.item')?.dataset.itemId;
+    const item = this.actor.items.get(itemId);
+    if (!item) return;
+
+    const targetToken = OpposedRollHelper.getTarget();
+    const targetActor = targetToken?.actor || this.actor;
+    const isSelf = targetActor === this.actor;
+    const vectorOptions = drugVectors(item.system.primaryVector)
+      .map(key => `<option value="${key}">${DRUG_VECTORS[key].label}${DRUG_VECTORS[key].armor ? ' (sealed armor may stop it)' : ''}</option>`)
+      .join('');
+
+    const content = `
+      <form>
+        <div class="form-group">
+          <label>${isSelf ? 'Taken by' : 'Given to'}</label>
+          <span><strong>${targetActor.name}</strong>${isSelf ? ' (Self)' : ''}</span>
+        </div>
+        <div class="form-group">
+          <label>Vector</label>
+          <select name="vector">${vectorOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Resist With</label>
+          <select name="attribute">
+            <option value="bod">BOD</option>
+            <option value="wil">WIL</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" name="willing" ${isSelf ? 'checked' : ''}/> Taken willingly (no resistance)</label>
+        </div>
+        <div class="form-group">
+          <label>Modifier (+/-)</label>
+          <input type="number" name="modifier" value="0" style="width: 60px;"/>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" name="consume" checked/> Use up the dose</label>
+        </div>
+        <p class="hint">
+          <strong>Drug Strength:</strong> ${item.system.drugStrength}${item.system.poisonAP ? ` | <strong>Poison AP:</strong> ${item.system.poisonAP}` : ''}${item.system.duration ? ` | <strong>Duration:</strong> ${item.system.duration}` : ''}<br>
+          Resistance: 2d6 + attribute − Drug Strength vs TN ${RESIST_TN}. On a failure the drug takes hold.
+        </p>
+      </form>
+    `;
+
+    new Dialog({
+      title: `${isSelf ? 'Use' : 'Administer'} ${item.name}`,
+      content,
+      buttons: {
+        use: {
+          icon: '<i class="fas fa-syringe"></i>',
+          label: isSelf ? "Use" : "Administer",
+          callback: (html) => this.actor.administerDrug(item.id, {
+            target: targetActor,
+            vector: html.find('[name="vector"]').val(),
+            attribute: html.find('[name="attribute"]').val(),
+            willing: html.find('[name="willing"]').is(':checked'),
+            modifier: parseInt(html.find('[name="modifier"]').val()) || 0,
+            consume: html.find('[name="consume"]').is(':checked')
+          })
+        },
+        cancel: {
+          label: "Cancel"
+        }
+      },
+      default: "use"
+    }).render(true);
+  }
+
+  /**
+   * Stand down from overwatch
+   * @param {Event} event
+   * @private
+   */
+  async _onEndOverwatch(event) {
+    event.preventDefault();
+    return OverwatchHelper.endOverwatch(this.actor);
+  }
+
+  /**
+   * Let go of (or, as GM, clear) a grapple
+   * @param {Event} event
+   * @private
+   */
+  async _onReleaseGrapple(event) {
+    event.preventDefault();
+    return this.actor.releaseGrapple();
+  }
+
   /**
    * Roll consciousness check
    * @param {Event} event
@@ -1153,18 +1394,42 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     return this.actor.rollConsciousness();
   }
 
+  /**
+   * Log an action the sheet has no roll for.
+   * @param {Event} event Click on `.spend-action` (data-type: an ACTION_TYPES key)
+   * @private
+   */
+  async _onSpendAction(event) {
+    event.preventDefault();
+    const type = event.currentTarget.dataset.type;
+    if (!(type in ACTION_TYPES)) return;
+    await game.combat?.spendAction?.(this.actor, type, `${ACTION_TYPES[type].label} action`);
+  }
+
+  /**
+   * GM: clear this character's actions for the turn.
+   * @param {Event} event
+   * @private
+   */
+  async _onResetActions(event) {
+    event.preventDefault();
+    const combatant = game.combat?.actingCombatant?.(this.actor);
+    if (combatant) await game.combat.resetActions([combatant]);
+  }
+
   /**
    * First Aid action - heal damage on target
    * Targets: Self (with -2 penalty) or targeted creature
    * Cannot be used on Critically Injured/Dying targets unless they are Stabilized
    * @param {Event} event
+   * @param {Actor} [patient] Treat this actor instead of the target (Casualty Board)
    * @private
    */
-  async _onFirstAid(event) {
+  async _onFirstAid(event, patient = null) {
     event.preventDefault();
 
-    // Get target - can be self or targeted token
-    const targets = Array.from(game.user.targets);
+    // Get target - the patient given, else self or targeted token
+    const targets = patient ? [{ actor: patient }] : Array.from(game.user.targets);
     let targetActor = null;
     let isSelfTarget = false;
 
@@ -1287,6 +1552,7 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             const result = roll.total + totalMod;
             const mos = result - targetNumber;
             const success = mos >= 0;
+            await this.actor.spendCombatAction('firstAid');
 
             if (healthcareItem && healthcareItem.system.charges.max > 0) {
               await healthcareItem.update({'system.charges.value': Math.max(0, healthcareItem.system.charges.value - 1)});
@@ -1343,13 +1609,14 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
    * Targets: Self (with -2 penalty) or targeted creature
    * Can be used on Critically Injured/Dying targets
    * @param {Event} event
+   * @param {Actor} [patient] Treat this actor instead of the target (Casualty Board)
    * @private
    */
-  async _onStabilize(event) {
+  async _onStabilize(event, patient = null) {
     event.preventDefault();
 
-    // Get target - can be self or targeted token
-    const targets = Array.from(game.user.targets);
+    // Get target - the patient given, else self or targeted token
+    const targets = patient ? [{ actor: patient }] : Array.from(game.user.targets);
     let targetActor = null;
     let isSelfTarget = false;
 
@@ -1511,16 +1778,17 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
   }
 
   /**
-   * Open Surgery dialog for healing wounds
+   * Open Surgery dialog for healing wounds or fitting a prosthetic
    * Targets: Targeted creature only (cannot perform surgery on self)
    * @param {Event} event
+   * @param {Actor} [patient] Operate on this actor instead of the target (Casualty Board)
    * @private
    */
-  async _onSurgery(event) {
+  async _onSurgery(event, patient = null) {
     event.preventDefault();
 
-    // Get target - must be a targeted token, cannot be self
-    const targets = Array.from(game.user.targets);
+    // Get target - the patient given, else a targeted token; cannot be self
+    const targets = patient ? [{ actor: patient }] : Array.from(game.user.targets);
 
     if (targets.length === 0) {
       ui.notifications.warn("Please target a creature for Surgery. You cannot perform surgery on yourself.");
@@ -1545,9 +1813,11 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     }
 
     const wounds = targetActor.system.wounds || [];
+    // Prosthetics the patient has on hand, waiting to be fitted
+    const prosthetics = targetActor.items.filter(i => i.type === 'prosthetics' && !i.system.installed);
 
-    if (wounds.length === 0) {
-      ui.notifications.warn(`${targetActor.name} has no wounds to treat with surgery.`);
+    if (!wounds.some(w => woundHealsBy(w.type, 'surgery')) && prosthetics.length === 0) {
+      ui.notifications.warn(`${targetActor.name} has no wounds to treat or prosthetics to fit with surgery.`);
       return;
     }
 
@@ -1602,26 +1872,30 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
       healthcareOptions += `<option value="${item.id}">${item.name}${bonus}${charges}</option>`;
     }
 
-    // Wound type names
-    const woundNames = {
-      dazed: 'Dazed',
-      concussion: 'Concussion',
-      hemorrhage: 'Hemorrhage',
-      traumaticImpact: 'Traumatic Impact',
-      nerveDamage: 'Nerve Damage',
-      severeStrain: 'Severe Strain',
-      severelyWounded: 'Severely Wounded'
-    };
-
-    // Build wound selection
+    // Build wound selection (wounds that only heal with rest are left out)
     let woundOptions = '';
     wounds.forEach((wound, index) => {
-      const woundTypeName = woundNames[wound.type] || wound.type;
+      if (!woundHealsBy(wound.type, 'surgery')) return;
+      const woundTypeName = woundLabel(wound.type);
       const locationText = wound.location ? ` (${wound.location})` : '';
-      const severity = wound.severity ?? 5;
+      const severity = wound.severity ?? DEFAULT_SEVERITY;
       woundOptions += `<option value="${index}">${woundTypeName}${locationText} [Severity: ${severity}]</option>`;
     });
 
+    // Build prosthetic selection, each suggesting the slot it fits
+    let prostheticOptions = '';
+    for (const item of prosthetics) {
+      const installMod = INSTALL_MODS[installKind(item.system.notes)];
+      const slot = item.system.bodyLocation || slotFromName(item.name) || 'body';
+      prostheticOptions += `<option value="install:${item.id}" data-slot="${slot}">Fit ${item.name}${installMod ? ` [${installMod}]` : ''}</option>`;
+    }
+    const slotOptions = Object.entries(PROSTHETIC_SLOTS)
+      .map(([key, def]) => `<option value="${key}">${def.label}</option>`)
+      .join('');
+    const procedureOptions = prostheticOptions
+      ? `${woundOptions ? `<optgroup label="Treat Wound">${woundOptions}</optgroup>` : ''}<optgroup label="Fit Prosthetic">${prostheticOptions}</optgroup>`
+      : woundOptions;
+
     const content = `
       <form>
         <div class="form-group">
@@ -1629,9 +1903,14 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           <span><strong>${targetActor.name}</strong></span>
         </div>
         <div class="form-group">
-          <label>Wound to Treat</label>
-          <select name="woundIndex">${woundOptions}</select>
+          <label>Procedure</label>
+          <select name="procedure">${procedureOptions}</select>
         </div>
+        ${prostheticOptions ? `
+        <div class="form-group">
+          <label>Body Location</label>
+          <select name="slot">${slotOptions}</select>
+        </div>` : ''}
         <div class="form-group">
           <label>Healthcare Item</label>
           <select name="healthcareItem">${healthcareOptions}</select>
@@ -1644,6 +1923,7 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           <strong>${hasSkill ? 'Surgery Skill Check' : 'INT+DEX Attribute Check'}:</strong> ${checkType} = ${baseMod}<br>
           <strong>Target Number:</strong> ${targetNumber}<br>
           Success reduces the wound's severity by MoS.
+          ${prostheticOptions ? `<br>Success fits a prosthetic (TN ${INSTALL_TN}; harder for implants fitted with surgery or grafted). A limb wound at that location goes with the natural limb.` : ''}
         </p>
       </form>
     `;
@@ -1660,10 +1940,24 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
         roll: {
           label: hasSkill ? "Roll Surgery" : "Roll INT+DEX Check",
           callback: async (html) => {
-            const woundIndex = parseInt(html.find('[name="woundIndex"]').val());
+            const procedure = html.find('[name="procedure"]').val();
+            const prosthetic = procedure.startsWith('install:') ? targetActorRef.items.get(procedure.slice(8)) : null;
+            const woundIndex = prosthetic ? -1 : parseInt(procedure);
+            const slot = html.find('[name="slot"]').val();
             const healthcareItemId = html.find('[name="healthcareItem"]').val();
             const inputModifier = parseInt(html.find('[name="modifier"]').val()) || 0;
 
+            // A prosthetic needs a free slot, and grafts are harder to fit
+            const installMod = prosthetic ? INSTALL_MODS[installKind(prosthetic.system.notes)] : 0;
+            if (prosthetic) {
+              const installed = targetActorRef.items.filter(i => i.type === 'prosthetics' && i.system.installed).map(i => i.system);
+              if (!slotFree(installed, slot)) {
+                ui.notifications.warn(`${targetActorRef.name} has no free ${PROSTHETIC_SLOTS[slot]?.label ?? slot} slot.`);
+                return;
+              }
+            }
+            const tn = prosthetic ? INSTALL_TN : targetNumber;
+
             // Get healthcare item bonus if selected
             let bonus = 0;
             let healthcareItem = null;
@@ -1675,11 +1969,11 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             }
 
             // Roll check
-            const totalMod = baseModRef + bonus + inputModifier;
+            const totalMod = baseModRef + bonus + installMod + inputModifier;
             const roll = new Roll('2d6');
             await roll.evaluate();
             const result = roll.total + totalMod;
-            const mos = result - targetNumber;
+            const mos = result - tn;
             const success = mos >= 0;
 
             // Consume healthcare charge if applicable
@@ -1689,10 +1983,18 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
 
             let actionResult = '';
             const wound = woundsRef[woundIndex];
-            const woundTypeName = woundNames[wound.type] || wound.type;
-            const currentSeverity = wound.severity ?? 5;
-
-            if (success && mos > 0) {
+            const woundTypeName = wound ? woundLabel(wound.type) : '';
+            const currentSeverity = wound?.severity ?? DEFAULT_SEVERITY;
+
+            if (prosthetic) {
+              const fitted = success ? await targetActorRef.installProsthetic(prosthetic.id, slot) : null;
+              if (fitted) {
+                const replacedText = fitted.replaced.length ? ` Replaces ${fitted.replaced.join(', ')}.` : '';
+                actionResult = `<br><strong>Prosthetic fitted!</strong> ${prosthetic.name} installed in ${targetActorRef.name}'s ${PROSTHETIC_SLOTS[slot].label.toLowerCase()}.${replacedText}`;
+              } else {
+                actionResult = `<br>Surgery failed. ${prosthetic.name} is not fitted.`;
+              }
+            } else if (success && mos > 0) {
               // Reduce wound severity by MoS
               const newSeverity = currentSeverity - mos;
               if (newSeverity <= 0) {
@@ -1714,7 +2016,8 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             // Create chat message
             const checkLabel = hasSkillRef ? 'Surgery' : 'INT+DEX Check';
             const inputModText = inputModifier ? ` Mod ${inputModifier >= 0 ? '+' : ''}${inputModifier}` : '';
-            const modifiersText = inputModText ? ` (${inputModText.trim()})` : '';
+            const installModText = installMod ? ` Implant ${installMod}` : '';
+            const modifiersText = (inputModText || installModText) ? ` (${(installModText + inputModText).trim()})` : '';
             const messageContent = `
               <div class="mech-foundry roll-result">
                 <h3>Surgery</h3>
@@ -1722,7 +2025,7 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
                   <span class="roll-target-name">Patient: ${targetActorRef.name}</span>
                   <span class="roll-formula">2d6 + ${totalMod} (${checkLabel}${bonus ? ` +${bonus} item` : ''}${modifiersText})</span>
                   <span class="roll-result">${roll.total} + ${totalMod} = <strong>${result}</strong></span>
-                  <span class="roll-target">TN: ${targetNumber}</span>
+                  <span class="roll-target">TN: ${tn}</span>
                   <span class="roll-mos ${success ? 'success' : 'failure'}">MoS: ${mos} - ${success ? 'SUCCESS' : 'FAILURE'}</span>
                   ${actionResult}
                 </div>
@@ -1740,10 +2043,66 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           label: "Cancel"
         }
       },
-      default: "roll"
+      default: "roll",
+      render: (html) => {
+        // Suggest the slot the chosen prosthetic fits
+        const syncSlot = () => {
+          const slot = html.find('[name="procedure"] option:selected').data('slot');
+          if (slot) html.find('[name="slot"]').val(slot);
+        };
+        html.find('[name="procedure"]').on('change', syncSlot);
+        syncSlot();
+      }
     }).render(true);
   }
 
+  /**
+   * Service an installed prosthetic: repair, recharge, reset maintenance
+   * @param {Event} event
+   * @private
+   */
+  async _onProstheticService(event) {
+    event.preventDefault();
+    const itemId = event.currentTarget.closest('.item')?.dataset.itemId;
+    return this.actor.serviceProsthetic(itemId);
+  }
+
+  /**
+   * Take out an installed prosthetic
+   * @param {Event} event
+   * @private
+   */
+  async _onProstheticRemove(event) {
+    event.preventDefault();
+    const item = this.actor.items.get(event.currentTarget.closest('.item')?.dataset.itemId);
+    if (!item) return;
+
+    const confirmed = await Dialog.confirm({
+      title: "Remove Prosthetic",
+      content: `<p>Remove <strong>${item.name}</strong> from ${this.actor.name}?</p>
+                <p>Refitting it takes another Surgery check.</p>`,
+      yes: () => true,
+      no: () => false
+    });
+    if (!confirmed) return;
+
+    return this.actor.removeProsthetic(item.id);
+  }
+
+  /**
+   * Hit this character's vulnerable prosthetics with an EMP (GM only)
+   * @param {Event} event
+   * @private
+   */
+  async _onProstheticEmp(event) {
+    event.preventDefault();
+    if (!game.user.isGM) {
+      ui.notifications.warn("Only the GM can apply an EMP.");
+      return;
+    }
+    return this.actor.empStrike();
+  }
+
   /**
    * Handle heal wound button click (manual GM/owner removal)
    * @param {Event} event
@@ -1761,18 +2120,7 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
 
     const wound = wounds[woundIndex];
 
-    // Wound type names
-    const woundNames = {
-      dazed: 'Dazed',
-      concussion: 'Concussion',
-      hemorrhage: 'Hemorrhage',
-      traumaticImpact: 'Traumatic Impact',
-      nerveDamage: 'Nerve Damage',
-      severeStrain: 'Severe Strain',
-      severelyWounded: 'Severely Wounded'
-    };
-
-    const woundTypeName = woundNames[wound.type] || wound.type;
+    const woundTypeName = woundLabel(wound.type);
     const locationText = wound.location ? ` (${wound.location})` : '';
 
     // Confirm dialog
@@ -1805,20 +2153,10 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
       return;
     }
 
-    // Wound type options
-    const woundTypes = {
-      dazed: 'Dazed (+1d6 Fatigue)',
-      concussion: 'Concussion (-2 INT/WIL)',
-      hemorrhage: 'Hemorrhage (Automatic Bleeding)',
-      traumaticImpact: 'Traumatic Impact (+1d6 Standard)',
-      nerveDamage: 'Nerve Damage (-2 DEX/RFL)',
-      severeStrain: 'Severe Strain (-50% Movement)',
-      severelyWounded: 'Severely Wounded (3 capacity penalty)'
-    };
-
+    // Wound type options: the built-in types and the GM's own
     let woundOptions = '';
-    for (const [type, label] of Object.entries(woundTypes)) {
-      woundOptions += `<option value="${type}">${label}</option>`;
+    for (const type of Object.keys(woundTypes())) {
+      woundOptions += `<option value="${type}">${woundSummary(type)}</option>`;
     }
 
     const content = `
@@ -2557,10 +2895,64 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     const hasTarget = !!target;
     const targetName = target?.name || '';
 
-    // Get target's cover status for display
+    // Cover the target has from here, traced on the canvas (or its sheet setting)
     const targetActor = target?.actor || null;
-    const targetCover = targetActor?.system?.cover || 'none';
-    const coverLabels = { none: 'None', light: 'Light (-1)', moderate: 'Moderate (-2)', heavy: 'Heavy (-3)', full: 'Full (-4)' };
+    const autoCover = (!isMelee && targetActor) ? this.actor._resolveTargetCover(target) : null;
+    const coverLabel = key => `${COVER_LEVELS[key].label}${COVER_LEVELS[key].mod ? ` (${COVER_LEVELS[key].mod})` : ''}`;
+
+    // How attacker and target are moving this turn
+    const ownMove = MOVEMENT_MODES[game.combat?.movementMode?.(this.actor) || 'stationary'];
+    const targetMove = MOVEMENT_MODES[(targetActor && game.combat?.movementMode?.(targetActor)) || 'stationary'];
+    const targetMoveHtml = targetMove.defense ? `
+        <div class="form-group target-movement">
+          <label><i class="fas fa-running"></i> Target moving: ${targetMove.label} (${targetMove.defense})</label>
+        </div>
+      ` : '';
+
+    // Aim built up against this target (ranged only); a different target loses it
+    const aim = this.actor.system.aim;
+    const aimMod = (!isMelee && hasTarget) ? aimBonus(aim, target.document.uuid) : 0;
+    let aimHtml = '';
+    if (aimMod) {
+      aimHtml = `
+        <div class="form-group aim-info">
+          <label><i class="fas fa-bullseye"></i> Aimed ${aim.actions} action${aim.actions === 1 ? '' : 's'}: <strong>+${aimMod}</strong></label>
+        </div>
+      `;
+    } else if (aim?.actions && hasTarget) {
+      aimHtml = `
+        <div class="form-group aim-info aim-lost">
+          <em><i class="fas fa-bullseye"></i> Aiming at ${aim.targetName} — this attack loses that aim</em>
+        </div>
+      `;
+    }
+
+    // Every other targeted token: ranged fire can be split across them all
+    const splitTargets = (!isMelee && hasTarget)
+      ? [target, ...Array.from(game.user.targets).filter(t => t !== target && t.actor)]
+      : [];
+    let splitHtml = '';
+    if (splitTargets.length > 1) {
+      splitHtml = `
+        <div class="form-group">
+          <label>
+            <input type="checkbox" name="splitFire" class="split-fire-toggle" checked/>
+            Split fire across ${splitTargets.length} targets
+          </label>
+        </div>
+        <div class="split-fire-options">
+          ${splitTargets.map((t, i) => `
+          <div class="form-group split-target">
+            <label>${i ? `${t.name} <span class="split-penalty">(${SECONDARY_TARGET_MOD})</span>` : `${t.name} <em>(primary)</em>`}</label>
+            <input type="number" name="allocation-${i}" class="split-allocation" value="" min="1" placeholder="rounds" title="Burst rounds at this target; blank shares them out evenly" style="display: none;"/>
+          </div>
+          `).join('')}
+          <div class="form-group split-hint">
+            <em>A burst's rounds are shared out; otherwise each target is a separate attack. Cover is traced per target.</em>
+          </div>
+        </div>
+      `;
+    }
 
     // Build target/opposed roll section
     let targetHtml = '';
@@ -2576,12 +2968,27 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             Opposed Roll
           </label>
         </div>
+        <div class="form-group">
+          <label>Maneuver</label>
+          <select name="maneuver" title="Anything but a strike is always an opposed roll">
+            ${Object.entries(MELEE_MANEUVERS)
+              .filter(([key]) => maneuverAvailable(key, this.actor.system.grapple, targetActor?.uuid))
+              .map(([key, m]) => `<option value="${key}" title="${m.hint}">${m.label}${m.mod ? ` (${m.mod})` : ''}</option>`).join('')}
+          </select>
+        </div>
         ` : ''}
-        ${!isMelee && targetCover !== 'none' ? `
+        ${autoCover ? `
         <div class="form-group cover-info">
-          <label>Target Cover: <strong>${coverLabels[targetCover]}</strong></label>
+          <label>Target Cover</label>
+          <select name="cover">
+            <option value="auto" selected>Auto: ${coverLabel(autoCover.level)}${autoCover.source === 'detected' ? ' — line of sight' : ''}</option>
+            ${Object.keys(COVER_LEVELS).map(key => `<option value="${key}">${coverLabel(key)}</option>`).join('')}
+          </select>
         </div>
         ` : ''}
+        ${targetMoveHtml}
+        ${aimHtml}
+        ${splitHtml}
         <hr/>
       `;
     } else {
@@ -2637,10 +3044,54 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
       `;
     }
 
-    // Build ranged-only options (cover, friendly fire)
+    // Recoil this weapon kicks, and what earlier attacks with it built up this turn
+    const recoilKick = recoilPerShot(recoil, this.actor.system.attributes.str?.linkMod || 0,
+      ItemEffectsHelper.getRecoilReduction(this.actor, weapon.id).totalBonus);
+    const recoilBuilt = game.combat?.weaponRecoil?.(this.actor, weapon.id) || 0;
+
+    // Thrown weapons: range from STR and mass, and what happens to the weapon after
+    const isThrown = isThrownWeapon(weapon.system);
+    const throwRange = ThrownHelper.rangesFor(this.actor, weapon);
+    const afterThrowHtml = `
+        <div class="form-group">
+          <label>After the Throw</label>
+          <select name="afterThrow">
+            <option value="drop">Lies where it lands</option>
+            <option value="consume">Used up</option>
+          </select>
+        </div>
+      `;
+    let thrownHtml = '';
+    if (isThrown) {
+      thrownHtml = `
+        <div class="form-group thrown-info">
+          <label><i class="fas fa-hand-rock"></i> Throw range: ${throwRange.short}/${throwRange.medium}/${throwRange.long}/${throwRange.extreme}m</label>
+        </div>
+        ${(weapon.system.ammo?.max > 0 || weapon.system.pps > 0) ? '' : afterThrowHtml}
+      `;
+    } else if (isMelee) {
+      thrownHtml = `
+        <div class="form-group">
+          <label title="A ranged attack: ${throwRange.short}/${throwRange.medium}/${throwRange.long}/${throwRange.extreme}m from STR and mass">
+            <input type="checkbox" name="thrown" class="thrown-toggle"/>
+            Throw it
+          </label>
+        </div>
+        <div class="thrown-options" style="display: none;">
+          ${afterThrowHtml}
+        </div>
+      `;
+    }
+
+    // Build ranged-only options (recoil, cover, friendly fire)
     let rangedOptionsHtml = '';
     if (!isMelee) {
       rangedOptionsHtml = `
+        ${(recoil || recoilBuilt) ? `
+        <div class="form-group recoil-info">
+          <label><i class="fas fa-arrows-alt-v"></i> Recoil: ${recoilKick} per attack${recoilBuilt ? `, <strong>-${recoilBuilt}</strong> built up this turn` : ''}</label>
+        </div>
+        ` : ''}
         ${hasTarget ? `
         <div class="form-group">
           <label>
@@ -2655,6 +3106,10 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             Friendly in Line of Fire (-1)
           </label>
         </div>
+        <div class="form-group">
+          <label title="Used by the Overwatch button: the area to watch">Overwatch Radius (m)</label>
+          <input type="number" name="overwatchRadius" value="${OverwatchHelper.DEFAULT_RADIUS}" min="1"/>
+        </div>
       `;
     }
 
@@ -2679,6 +3134,7 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             <option value="foot">Foot (-5)</option>
           </select>
         </div>
+        ${aimMod ? `<div class="form-group aim-info"><em>Your aim (+${aimMod}) offsets the location penalty</em></div>` : ''}
       </div>
     `;
 
@@ -2695,10 +3151,16 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
         </div>
         <hr/>
         ${targetHtml}
+        ${ownMove.attack !== 0 ? `
+        <div class="form-group own-movement">
+          <label><i class="fas fa-running"></i> Moving this turn: ${ownMove.label} (${ownMove.attack ?? "can't attack"})</label>
+        </div>
+        ` : ''}
         <div class="form-group">
           <label>Modifier</label>
           <input type="number" name="modifier" value="0"/>
         </div>
+        ${thrownHtml}
         ${rangedOptionsHtml}
         ${aimedShotHtml}
         ${firingModeHtml}
@@ -2715,12 +3177,16 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           callback: async (html) => {
             const modifier = parseInt(html.find('[name="modifier"]').val()) || 0;
             const firingMode = html.find('[name="firingMode"]').val() || 'single';
-            const useOpposedRoll = html.find('[name="opposedRoll"]').is(':checked');
+            const maneuver = html.find('[name="maneuver"]').val() || 'strike';
+            const thrown = html.find('[name="thrown"]').is(':checked');
+            const useOpposedRoll = !thrown && (html.find('[name="opposedRoll"]').is(':checked') || maneuver !== 'strike');
 
+            const cover = html.find('[name="cover"]').val();
             const ignoreCover = html.find('[name="ignoreCover"]').is(':checked');
             const friendlyInLoF = html.find('[name="friendlyInLoF"]').is(':checked');
             const aimedShot = html.find('[name="aimedShot"]').is(':checked');
             const aimedLocation = aimedShot ? html.find('[name="aimedLocation"]').val() : null;
+            const splitFire = html.find('[name="splitFire"]').is(':checked');
 
             const options = {
               modifier,
@@ -2732,10 +3198,16 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
               // Suppression targets are auto-detected from the placed Region; the
               // numTargets fallback in rollWeaponAttack defaults to 1 when absent.
               target: hasTarget ? target : null,
+              targets: splitFire ? splitTargets : null,
+              allocation: splitTargets.map((t, i) => parseInt(html.find(`[name="allocation-${i}"]`).val()) || 0),
+              cover: cover in COVER_LEVELS ? cover : null,
               ignoreCover,
               friendlyInLoF,
               aimedShot,
-              aimedLocation
+              aimedLocation,
+              maneuver,
+              thrown,
+              afterThrow: html.find('[name="afterThrow"]').val() || 'drop'
             };
 
             // For melee attacks with target and opposed roll checked, use opposed roll flow
@@ -2746,6 +3218,22 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
             }
           }
         },
+        ...(isMelee ? {} : {
+          overwatch: {
+            icon: '<i class="fas fa-eye"></i>',
+            label: "Overwatch",
+            callback: async (html) => {
+              await OverwatchHelper.startOverwatch(this.actor, weapon, {
+                modifier: parseInt(html.find('[name="modifier"]').val()) || 0,
+                firingMode: html.find('[name="firingMode"]').val() || 'single',
+                burstShots: parseInt(html.find('[name="burstShots"]').val()) || 1,
+                controlledShots: parseInt(html.find('[name="controlledShots"]').val()) || 2,
+                friendlyInLoF: html.find('[name="friendlyInLoF"]').is(':checked'),
+                radius: parseInt(html.find('[name="overwatchRadius"]').val()) || OverwatchHelper.DEFAULT_RADIUS
+              });
+            }
+          }
+        }),
         cancel: {
           icon: '<i class="fas fa-times"></i>',
           label: "Cancel"
@@ -2757,11 +3245,22 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
         html.find('.firing-mode-select').on('change', (e) => {
           const mode = e.currentTarget.value;
           html.find('.burst-options, .controlled-options, .suppression-options').hide();
+          html.find('.split-allocation').toggle(mode === 'burst');
           if (mode === 'burst') html.find('.burst-options').show();
           else if (mode === 'controlled') html.find('.controlled-options').show();
           else if (mode === 'suppression') html.find('.suppression-options').show();
         });
 
+        // Toggle the options for throwing a melee weapon
+        html.find('.thrown-toggle').on('change', (e) => {
+          html.find('.thrown-options').toggle(e.currentTarget.checked);
+        });
+
+        // Toggle the per-target split fire rows
+        html.find('.split-fire-toggle').on('change', (e) => {
+          html.find('.split-fire-options').toggle(e.currentTarget.checked);
+        });
+
         // Toggle aimed shot body part dropdown
         html.find('.aimed-shot-toggle').on('change', (e) => {
           const checked = e.currentTarget.checked;
@@ -2784,6 +3283,11 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
     const ap = weapon.system.ap || 0;
     const apFactor = weapon.system.apFactor || '';
 
+    // Who on this side could spot an indirect shot
+    const spotterOptions = IndirectFireHelper.spotterCandidates(this.actor)
+      .map(c => `<option value="${c.id}">${c.name}${c.hasComms ? '' : ' (no comm link)'}</option>`)
+      .join('');
+
     const dialogContent = `
       <form class="weapon-attack-dialog aoe-attack-dialog">
         <div class="form-group">
@@ -2818,11 +3322,17 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
         </div>
         <div class="spotter-option" style="display: none;">
           <div class="form-group">
-            <label>
-              <input type="checkbox" name="spotter"/>
-              Spotter (reduces penalty to -2)
-            </label>
+            <label>Spotter</label>
+            <select name="spotterTokenId">
+              <option value="">None (unspotted, -4)</option>
+              ${spotterOptions}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Flight Time (rounds)</label>
+            <input type="number" name="flightRounds" value="0" min="0"/>
           </div>
+          <p class="hint">A spotter needs line of sight to the target point, and both of you a working comm link: ${INDIRECT_MODS.spotted} (less up to ${MAX_SPOTTER_BONUS} for their ${SPOTTER_SKILL}). Misses scatter further. A round with flight time lands in a later combat round.</p>
         </div>
         <div class="form-group">
           <label>Additional Modifier</label>
@@ -2844,8 +3354,9 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           callback: async (html) => {
             const modifier = parseInt(html.find('[name="modifier"]').val()) || 0;
             const indirectFire = html.find('[name="indirectFire"]').is(':checked');
-            const spotter = html.find('[name="spotter"]').is(':checked');
-            await this.actor.rollWeaponAttack(weapon._id, { modifier, indirectFire, spotter });
+            const spotterTokenId = indirectFire ? (html.find('[name="spotterTokenId"]').val() || null) : null;
+            const flightRounds = indirectFire ? Math.max(0, parseInt(html.find('[name="flightRounds"]').val()) || 0) : 0;
+            await this.actor.rollWeaponAttack(weapon._id, { modifier, indirectFire, spotterTokenId, flightRounds });
           }
         },
         cancel: {
@@ -2860,12 +3371,11 @@ export class MechFoundryActorSheet extends HandlebarsApplicationMixin(ActorSheet
           html.find('.spotter-option').toggle(checked);
           html.find('.indirect-penalty').text(checked ? '(-4)' : '');
           if (!checked) {
-            html.find('[name="spotter"]').prop('checked', false);
+            html.find('[name="spotterTokenId"]').val('');
           }
         });
-        html.find('[name="spotter"]').on('change', (e) => {
-          const spotterChecked = e.currentTarget.checked;
-          html.find('.indirect-penalty').text(spotterChecked ? '(-2)' : '(-4)');
+        html.find('[name="spotterTokenId"]').on('change', (e) => {
+          html.find('.indirect-penalty').text(e.currentTarget.value ? `(${INDIRECT_MODS.spotted})` : '(-4)');
         });
       }
     }).render(true);
@@ -1,18 +1,94 @@
 import { MechFoundryActorSheetV2 } from "./base-actor-sheet.mjs";
+import {
+  TECH_BASES, HEAT_SINK_TYPES, UNIT_WEAPONS, UNIT_WEAPON_COLUMNS, FIGHTER_ARCS, FIGHTER_MODES,
+  FIGHTER_BOMB_TYPES, TRACK_TURNS
+} from "../data/battletech.mjs";
 
 /**
- * Aerospace Fighter Actor Sheet (ApplicationV2) - placeholder for future expansion.
+ * Aerospace Fighter Actor Sheet (ApplicationV2, Foundry v14).
+ *
+ * A Classic BattleTech aerospace fighter record sheet: structural integrity,
+ * safe/max thrust, fuel and heat sinks, nose/wing/aft armor, bomb bays, and a
+ * per-turn thrust/velocity track like the naval ship's (with altitude in
+ * atmospheric flight). The operating mode switches between space and
+ * atmospheric play.
+ *
  * @extends {MechFoundryActorSheetV2}
  */
 export class MechFoundryAerospaceFighterSheet extends MechFoundryActorSheetV2 {
 
   /** @override */
   static DEFAULT_OPTIONS = {
-    classes: ["mech-foundry", "sheet", "actor", "aerospace-fighter-sheet"]
+    classes: ["mech-foundry", "sheet", "actor", "unit-sheet", "aerospace-fighter-sheet"],
+    position: { width: 820, height: 760 }
   };
 
   /** @override */
   static PARTS = {
-    body: { template: "systems/mech-foundry/templates/actor/actor-aerospace_fighter-sheet.hbs" }
+    form: {
+      template: "systems/mech-foundry/templates/actor/actor-aerospace_fighter-sheet.hbs",
+      scrollable: [".sheet-body"]
+    }
   };
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const system = this.actor.system;
+
+    context.techBases = TECH_BASES;
+    context.heatSinkTypes = Object.entries(HEAT_SINK_TYPES).map(([key, t]) => ({ key, label: t.label }));
+    context.modes = FIGHTER_MODES;
+    context.weaponCatalog = UNIT_WEAPONS;
+    context.weaponColumns = UNIT_WEAPON_COLUMNS;
+    context.locationOptions = FIGHTER_ARCS;
+    context.arcs = FIGHTER_ARCS.map(arc => ({ ...arc, armor: system.armor?.[arc.key] || { value: 0, max: 0 } }));
+    context.trackTurns = TRACK_TURNS.map((key, i) => ({ key, num: i + 1 }));
+    context.crew = this._prepareCrewContext();
+
+    const weapons = system.weapons || [];
+    context.weaponGroups = FIGHTER_ARCS
+      .map(arc => ({ key: arc.key, label: arc.label, weapons: weapons.filter(w => w.location === arc.key) }))
+      .filter(g => g.weapons.length);
+    const unplaced = weapons.filter(w => !FIGHTER_ARCS.some(a => a.key === w.location));
+    if (unplaced.length) context.weaponGroups.push({ key: '', label: 'Unassigned', weapons: unplaced });
+    context.weaponCount = weapons.length;
+    context.ammo = (system.ammo || []).map(a => ({ ...a }));
+
+    context.bombTypes = FIGHTER_BOMB_TYPES;
+    context.bombs = (system.bombs || []).map(b => ({ ...b }));
+    context.bombsOver = (system.bombSlots?.used ?? 0) > (system.bombSlots?.max ?? 0);
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _activateListeners(html) {
+    if (!this.isEditable) return;
+    html.on('click', '.fire-unit-weapon', this._onFireUnitWeapon.bind(this));
+    html.on('click', '.open-crew', this._onOpenCrew.bind(this));
+    html.on('click', '.roll-psr', this._onRollPiloting.bind(this));
+    html.on('change', '.add-unit-weapon', this._onAddUnitWeapon.bind(this));
+    html.on('click', '.add-ammo-bin', this._onAddAmmoBin.bind(this));
+    html.on('change', '.row-field', this._onRowFieldChange.bind(this));
+    html.on('click', '.remove-row', this._onRemoveRow.bind(this));
+    html.on('click', '.add-bomb', this._onAddBomb.bind(this));
+    html.on('click', '.drop-bomb', this._onDropBomb.bind(this));
+  }
+
+  async _onAddBomb(event) {
+    event.preventDefault();
+    await this._updateRows('bombs', rows => {
+      rows.push({ id: foundry.utils.randomID(), type: 'he', count: 1 });
+    });
+  }
+
+  async _onDropBomb(event) {
+    event.preventDefault();
+    await this.actor.dropBomb(event.currentTarget.dataset.rowId);
+  }
 }
@@ -1,17 +1,51 @@
-const { HandlebarsApplicationMixin } = foundry.applications.api;
+import { ATTACK_DIRECTIONS, UNIT_CREW_ROLES, unitWeaponDef } from "../data/battletech.mjs";
+import { buildingState } from "../helpers/unit-math.mjs";
+import { RECORD_SHEET_TYPES, printRecordSheet, exportRecordSheet } from "../helpers/record-sheet.mjs";
+
+const { HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
 const { ActorSheetV2 } = foundry.applications.sheets;
 
+/** A unit weapon row from a catalog entry (or a blank row). */
+function weaponRowFrom(def, location) {
+  return {
+    id: foundry.utils.randomID(),
+    name: def?.name || '',
+    location,
+    rear: false,
+    fired: false,
+    out: '',
+    heat: def?.heat ?? 0,
+    damage: def?.damage ?? 0,
+    rack: def?.rack ?? 0,
+    min: def?.min ?? 0,
+    short: def?.short ?? 0,
+    medium: def?.medium ?? 0,
+    long: def?.long ?? 0
+  };
+}
+
 /**
  * Shared ApplicationV2 base for Mech Foundry actor sheets (Foundry v14).
  *
- * Provides the common window/form options, an image-edit action, and a base
- * `_prepareContext` with the enriched biography. Subclasses supply their own
- * `classes` and `PARTS`, and may extend `_prepareContext`.
+ * Provides the common window/form options, an image-edit action, a base
+ * `_prepareContext` with the enriched biography, and the sheet-tab / delegated
+ * listener plumbing the record sheets share. Subclasses supply their own
+ * `classes` and `PARTS`, and may extend `_prepareContext` and
+ * `_activateListeners`.
  *
  * @extends {ActorSheetV2}
  */
 export class MechFoundryActorSheetV2 extends HandlebarsApplicationMixin(ActorSheetV2) {
 
+  #activeTab = null;
+  #boundElement = null;
+  #dragDrop;
+
+  constructor(options = {}) {
+    super(options);
+    this.#dragDrop = this.#createDragDropHandlers();
+  }
+
   /** @override */
   static DEFAULT_OPTIONS = {
     classes: ["mech-foundry", "sheet", "actor"],
@@ -20,8 +54,11 @@ export class MechFoundryActorSheetV2 extends HandlebarsApplicationMixin(ActorShe
     form: { submitOnChange: true, closeOnSubmit: false },
     window: { resizable: true },
     actions: {
-      editImage: MechFoundryActorSheetV2._onEditImage
-    }
+      editImage: MechFoundryActorSheetV2._onEditImage,
+      printRecordSheet: MechFoundryActorSheetV2._onPrintRecordSheet,
+      exportRecordSheet: MechFoundryActorSheetV2._onExportRecordSheet
+    },
+    dragDrop: [{ dragSelector: null, dropSelector: null }]
   };
 
   /** @override */
@@ -29,6 +66,7 @@ export class MechFoundryActorSheetV2 extends HandlebarsApplicationMixin(ActorShe
     const context = {
       editable: this.isEditable,
       owner: this.document.isOwner,
+      isGM: game.user.isGM,
       actor: this.actor,
       system: this.actor.system,
       flags: this.actor.flags
@@ -59,4 +97,284 @@ export class MechFoundryActorSheetV2 extends HandlebarsApplicationMixin(ActorShe
     });
     return fp.browse();
   }
+
+  /**
+   * Unit types with a paper record sheet get Print / Export Record Sheet in
+   * the window header.
+   * @override
+   */
+  _getHeaderControls() {
+    const controls = super._getHeaderControls();
+    if (RECORD_SHEET_TYPES[this.actor.type]) {
+      controls.push(
+        { icon: "fa-solid fa-print", label: "Print Record Sheet", action: "printRecordSheet" },
+        { icon: "fa-solid fa-file-export", label: "Export Record Sheet", action: "exportRecordSheet" }
+      );
+    }
+    return controls;
+  }
+
+  /** Action handler: open the printable record sheet in a new window. */
+  static async _onPrintRecordSheet() {
+    return printRecordSheet(this.actor);
+  }
+
+  /** Action handler: save the record sheet as a standalone HTML file. */
+  static async _onExportRecordSheet() {
+    return exportRecordSheet(this.actor);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender?.(context, options);
+    if (this.#boundElement !== this.element) {
+      this._activateListeners($(this.element));
+      this.#boundElement = this.element;
+    }
+    this._applyActiveTab();
+    this.#dragDrop.forEach((d) => d.bind(this.element));
+  }
+
+  #createDragDropHandlers() {
+    return this.options.dragDrop.map((d) => {
+      d.permissions = { drop: () => this.isEditable };
+      d.callbacks = { drop: this._onDrop.bind(this) };
+      return new foundry.applications.ux.DragDrop.implementation(d);
+    });
+  }
+
+  async _onDrop(event) {
+    const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+    const allowed = Hooks.call("dropActorSheetData", this.actor, this, data);
+    if (allowed === false) return;
+    if (data.type === "Actor") return this._onDropActor(event, data);
+    if (data.type === "Item") return this._onDropItem(event, data);
+  }
+
+  /** Items dropped on a unit sheet; subclasses that accept them override. */
+  async _onDropItem(event, data) {
+    return false;
+  }
+
+  /**
+   * A character or NPC dropped on a crewed unit fills its first empty crew
+   * role (the pilot's seat when all are taken).
+   * @override
+   */
+  async _onDropActor(event, data) {
+    if (!this.isEditable || !this.actor.system.crew) return false;
+    const actor = await Actor.implementation.fromDropData(data);
+    if (!actor || !['character', 'npc'].includes(actor.type)) return false;
+    const crew = this.actor.system.crew;
+    if (Object.keys(UNIT_CREW_ROLES).some(r => crew[r] === actor.id)) {
+      ui.notifications.warn(`${actor.name} is already crewing ${this.actor.name}.`);
+      return false;
+    }
+    const role = Object.keys(UNIT_CREW_ROLES).find(r => !crew[r]) || 'pilot';
+    await this.actor.update({ [`system.crew.${role}`]: actor.id });
+    ui.notifications.info(`${actor.name} assigned as ${UNIT_CREW_ROLES[role]} of ${this.actor.name}.`);
+    return false;
+  }
+
+  /**
+   * Bind delegated listeners once per rendered root element. Subclasses
+   * override; the base sheet has none.
+   * @param {jQuery} html
+   */
+  _activateListeners(html) {}
+
+  _applyActiveTab() {
+    const navs = this.element.querySelectorAll(".sheet-tabs .item[data-tab]");
+    const bodies = this.element.querySelectorAll(".sheet-body .tab[data-tab]");
+    if (!navs.length || !bodies.length) return;
+    if (!this.#activeTab || ![...bodies].some(b => b.dataset.tab === this.#activeTab)) {
+      this.#activeTab = bodies[0].dataset.tab;
+    }
+    for (const n of navs) {
+      n.classList.toggle("active", n.dataset.tab === this.#activeTab);
+      n.onclick = (ev) => { ev.preventDefault(); this.#activeTab = n.dataset.tab; this._applyActiveTab(); };
+    }
+    for (const b of bodies) b.classList.toggle("active", b.dataset.tab === this.#activeTab);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update one of the actor's `system` arrays of id-keyed rows (weapons, ammo
+   * bins, …) through a mutator; return `false` from the mutator to abort.
+   * @param {string} key The system array key (e.g. "weapons")
+   * @param {Function} mutator Receives a deep clone of the array
+   */
+  async _updateRows(key, mutator) {
+    const rows = foundry.utils.deepClone(foundry.utils.getProperty(this.actor.system, key) || []);
+    if (mutator(rows) === false) return;
+    await this.actor.update({ [`system.${key}`]: rows });
+  }
+
+  /** Delegated change handler for `.row-field` inputs (data-rows, data-row-id, data-field). */
+  async _onRowFieldChange(event) {
+    const el = event.currentTarget;
+    const { rows, rowId, field } = el.dataset;
+    const value = el.type === 'checkbox' ? el.checked
+      : el.type === 'number' ? (Number(el.value) || 0)
+      : el.value;
+    await this._updateRows(rows, list => {
+      const row = list.find(r => r.id === rowId);
+      if (!row) return false;
+      foundry.utils.setProperty(row, field, value);
+    });
+  }
+
+  /** Delegated click handler for `.remove-row` controls (data-rows, data-row-id). */
+  async _onRemoveRow(event) {
+    event.preventDefault();
+    const { rows, rowId } = event.currentTarget.dataset;
+    await this._updateRows(rows, list => {
+      const i = list.findIndex(r => r.id === rowId);
+      if (i < 0) return false;
+      list.splice(i, 1);
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Unit crew and weapons                        */
+  /* -------------------------------------------- */
+
+  /**
+   * Crew context shared by the unit record sheets (parts/unit-crew.hbs): one
+   * entry per crew role with the characters that can fill it, and the skill
+   * ratings the unit currently rolls with.
+   * @returns {Object}
+   */
+  _prepareCrewContext() {
+    const crew = this.actor.system.crew || {};
+    const candidates = game.actors.filter(a => ['character', 'npc'].includes(a.type));
+    const roles = Object.entries(UNIT_CREW_ROLES).map(([key, label]) => {
+      const member = crew[key] ? game.actors.get(crew[key]) : null;
+      return {
+        key,
+        label,
+        actorId: crew[key] || '',
+        member: member ? { id: member.id, name: member.name, img: member.img } : null,
+        missing: !!crew[key] && !member,
+        options: candidates.map(a => ({ id: a.id, name: a.name, selected: a.id === crew[key] }))
+      };
+    });
+    const gunnery = this.actor.getCrewSkill('gunnery');
+    const piloting = this.actor.getCrewSkill('piloting');
+    // Vehicle crews drive rather than pilot.
+    const pilotingLabel = this.actor.type === 'ground_vehicle' ? 'Driving' : 'Piloting';
+    return { roles, gunnery, piloting, pilotingLabel, gunneryLinked: !!gunnery.crewName, pilotingLinked: !!piloting.crewName };
+  }
+
+  /** Delegated click handler for `.open-crew` (data-actor-id): open the crew member's sheet. */
+  _onOpenCrew(event) {
+    event.preventDefault();
+    game.actors.get(event.currentTarget.dataset.actorId)?.sheet.render(true);
+  }
+
+  /** Delegated click handler for `.roll-psr`: a Piloting (or Driving) Skill Roll with a situational modifier. */
+  async _onRollPiloting(event) {
+    event.preventDefault();
+    const result = await DialogV2.wait({
+      window: { title: this.actor.type === 'ground_vehicle' ? "Driving Skill Roll" : "Piloting Skill Roll", icon: "fa-solid fa-person-falling" },
+      content: `
+        <div class="form-group"><label>Reason</label><input type="text" name="reason" placeholder="e.g. 20+ damage in a phase" /></div>
+        <div class="form-group"><label>Modifier</label><input type="number" name="modifier" value="0" /></div>`,
+      buttons: [
+        {
+          action: "roll", label: "Roll", icon: "fa-solid fa-dice", default: true,
+          callback: (event, button) => ({
+            reason: button.form.elements.reason.value,
+            modifier: button.form.elements.modifier.value
+          })
+        },
+        { action: "cancel", label: "Cancel", icon: "fa-solid fa-times" }
+      ],
+      rejectClose: false
+    });
+    if (!result || result === "cancel") return;
+    await this.actor.rollPilotingSkill({ reason: result.reason, modifier: Number(result.modifier) || 0 });
+  }
+
+  /**
+   * Delegated change handler for the `.add-unit-weapon` catalog dropdown: add
+   * a weapon row at the location picked in `.add-unit-weapon-location`.
+   */
+  async _onAddUnitWeapon(event) {
+    const value = event.currentTarget.value;
+    if (!value) return;
+    const def = value === '__blank' ? null : unitWeaponDef(value);
+    const location = this.element.querySelector('.add-unit-weapon-location')?.value || '';
+    await this._updateRows('weapons', rows => { rows.push(weaponRowFrom(def, location)); });
+  }
+
+  /** Delegated click handler for `.add-ammo-bin`: a blank bin at the picked weapon location. */
+  async _onAddAmmoBin(event) {
+    event.preventDefault();
+    const location = this.element.querySelector('.add-unit-weapon-location')?.value || '';
+    await this._updateRows('ammo', rows => {
+      rows.push({ id: foundry.utils.randomID(), name: '', location, shots: 0, maxShots: 0, damage: 0 });
+    });
+  }
+
+  /**
+   * Delegated click handler for `.fire-unit-weapon` (data-row-id): confirm the
+   * attack options against the user's current target, then fire.
+   */
+  async _onFireUnitWeapon(event) {
+    event.preventDefault();
+    const weaponId = event.currentTarget.dataset.rowId;
+    const weapon = (this.actor.system.weapons || []).find(w => w.id === weaponId);
+    if (!weapon) return;
+
+    const target = game.user.targets.first() || null;
+    const direction = target ? this.actor._unitAttackDirection(target) : 'front';
+    const range = target ? this.actor._measureHexes(target) : null;
+    const dirOpts = Object.entries(ATTACK_DIRECTIONS)
+      .map(([key, label]) => `<option value="${key}" ${key === direction ? 'selected' : ''}>${label}</option>`).join('');
+    // An installation is attacked building by building: aim at one, or hit one at random.
+    const buildings = target?.actor?.type === 'installation'
+      ? (target.actor.system.buildings || []).filter(b => buildingState(b) !== 'destroyed') : null;
+    const buildingOpts = (buildings || [])
+      .map((b, i) => `<option value="${b.id}">${b.name || `Building ${i + 1}`}</option>`).join('');
+    const content = `
+      <p>${target ? `Target: <strong>${target.name}</strong>` : '<em>No target selected — the attack will roll without hit locations.</em>'}</p>
+      ${buildings ? `<div class="form-group"><label>Building</label><select name="building"><option value="">Random</option>${buildingOpts}</select></div>`
+        : `<div class="form-group"><label>Attack Direction</label><select name="direction">${dirOpts}</select></div>`}
+      <div class="form-group"><label>Range (hexes)</label><input type="number" name="range" min="0" value="${range ?? ''}" placeholder="Short" /></div>
+      <div class="form-group"><label>Target Movement Modifier</label><input type="number" name="targetMovementMod" value="0" /></div>
+      <div class="form-group"><label>Other Modifiers</label><input type="number" name="modifier" value="0" /></div>`;
+
+    const result = await DialogV2.wait({
+      window: { title: `Fire ${weapon.name || 'Weapon'}`, icon: "fa-solid fa-crosshairs" },
+      content,
+      buttons: [
+        {
+          action: "fire", label: "Fire", icon: "fa-solid fa-crosshairs", default: true,
+          callback: (event, button) => ({
+            direction: button.form.elements.direction?.value,
+            building: button.form.elements.building?.value || null,
+            range: button.form.elements.range.value,
+            targetMovementMod: button.form.elements.targetMovementMod.value,
+            modifier: button.form.elements.modifier.value
+          })
+        },
+        { action: "cancel", label: "Cancel", icon: "fa-solid fa-times" }
+      ],
+      rejectClose: false
+    });
+    if (!result || result === "cancel") return;
+
+    await this.actor.rollUnitWeaponAttack(weaponId, {
+      target,
+      direction: result.direction,
+      building: result.building,
+      range: result.range === '' ? null : Number(result.range),
+      targetMovementMod: Number(result.targetMovementMod) || 0,
+      modifier: Number(result.modifier) || 0
+    });
+  }
 }
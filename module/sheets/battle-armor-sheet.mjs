@@ -1,18 +1,209 @@
 import { MechFoundryActorSheetV2 } from "./base-actor-sheet.mjs";
+import {
+  TECH_BASES, UNIT_WEAPONS, UNIT_WEAPON_COLUMNS, BA_SQUAD_SIZE, BA_WEIGHT_CLASSES, BA_MANIPULATORS,
+  BA_MOVEMENT_TYPES, BA_MOVEMENT_MODES, BA_MOUNTS
+} from "../data/battletech.mjs";
+
+const { DialogV2 } = foundry.applications.api;
 
 /**
- * Battle Armor Actor Sheet (ApplicationV2) - placeholder for future expansion.
+ * Battle Armor Actor Sheet (ApplicationV2, Foundry v14).
+ *
+ * A Classic BattleTech battle armor squad of 4–6 troopers, each with its own
+ * suit armor and a linked pilot character whose personal damage track takes
+ * whatever gets through the suit. Squad weapons by mount, manipulators,
+ * ground plus jump / VTOL / UMU movement, and the leg and swarm attacks.
+ *
  * @extends {MechFoundryActorSheetV2}
  */
 export class MechFoundryBattleArmorSheet extends MechFoundryActorSheetV2 {
 
   /** @override */
   static DEFAULT_OPTIONS = {
-    classes: ["mech-foundry", "sheet", "actor", "battle-armor-sheet"]
+    classes: ["mech-foundry", "sheet", "actor", "unit-sheet", "battle-armor-sheet"],
+    position: { width: 820, height: 760 }
   };
 
   /** @override */
   static PARTS = {
-    body: { template: "systems/mech-foundry/templates/actor/actor-battle_armor-sheet.hbs" }
+    form: {
+      template: "systems/mech-foundry/templates/actor/actor-battle_armor-sheet.hbs",
+      scrollable: [".sheet-body"]
+    }
   };
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const system = this.actor.system;
+
+    context.techBases = TECH_BASES;
+    context.weightClasses = BA_WEIGHT_CLASSES;
+    context.manipulators = BA_MANIPULATORS;
+    context.movementTypes = BA_MOVEMENT_TYPES;
+    // The modes this squad can actually use: standing, ground, and its own secondary system.
+    context.movementModes = Object.entries(BA_MOVEMENT_MODES)
+      .filter(([key]) => key === 'stand' || key === 'ground' || key === system.movement?.type)
+      .map(([key, m]) => ({ key, label: m.label, toHit: m.toHit }));
+    context.weaponCatalog = UNIT_WEAPONS;
+    context.weaponColumns = UNIT_WEAPON_COLUMNS;
+    context.locationOptions = BA_MOUNTS;
+    context.gunnery = this.actor.getCrewSkill('gunnery');
+    context.antiMechSkill = this.actor.getCrewSkill('piloting');
+
+    const candidates = game.actors.filter(a => ['character', 'npc'].includes(a.type));
+    const troopers = system.troopers || [];
+    context.troopers = troopers.map((t, i) => {
+      const pilot = t.pilot ? game.actors.get(t.pilot) : null;
+      return {
+        ...t,
+        num: i + 1,
+        pilotMember: pilot ? { id: pilot.id, name: pilot.name, img: pilot.img } : null,
+        pilotMissing: !!t.pilot && !pilot,
+        options: candidates.map(a => ({ id: a.id, name: a.name, selected: a.id === t.pilot }))
+      };
+    });
+    context.canAddTrooper = troopers.length < BA_SQUAD_SIZE.max;
+    context.canRemoveTrooper = troopers.length > BA_SQUAD_SIZE.min;
+    context.squadSize = BA_SQUAD_SIZE;
+
+    const weapons = system.weapons || [];
+    context.weaponGroups = BA_MOUNTS
+      .map(m => ({ key: m.key, label: m.label, weapons: weapons.filter(w => w.location === m.key) }))
+      .filter(g => g.weapons.length);
+    const unplaced = weapons.filter(w => !BA_MOUNTS.some(m => m.key === w.location));
+    if (unplaced.length) context.weaponGroups.push({ key: '', label: 'Unassigned', weapons: unplaced });
+    context.weaponCount = weapons.length;
+    context.ammo = (system.ammo || []).map(a => ({ ...a }));
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _activateListeners(html) {
+    if (!this.isEditable) return;
+    html.on('click', '.fire-unit-weapon', this._onFireUnitWeapon.bind(this));
+    html.on('click', '.open-crew', this._onOpenCrew.bind(this));
+    html.on('change', '.add-unit-weapon', this._onAddUnitWeapon.bind(this));
+    html.on('click', '.add-ammo-bin', this._onAddAmmoBin.bind(this));
+    html.on('change', '.row-field', this._onRowFieldChange.bind(this));
+    html.on('click', '.remove-row', this._onRemoveRow.bind(this));
+    html.on('click', '.add-trooper', this._onAddTrooper.bind(this));
+    html.on('click', '.remove-trooper', this._onRemoveTrooper.bind(this));
+    html.on('click', '.refit-troopers', this._onRefitTroopers.bind(this));
+    html.on('click', '.ba-anti-mech', this._onAntiMechAttack.bind(this));
+    html.on('click', '.ba-dismount', this._onDismount.bind(this));
+  }
+
+  /**
+   * A character or NPC dropped on the squad pilots the first suit without
+   * one (or a new suit, while there is room for one).
+   * @override
+   */
+  async _onDropActor(event, data) {
+    if (!this.isEditable) return false;
+    const actor = await Actor.implementation.fromDropData(data);
+    if (!actor || !['character', 'npc'].includes(actor.type)) return false;
+    const troopers = this.actor.system.troopers || [];
+    if (troopers.some(t => t.pilot === actor.id)) {
+      ui.notifications.warn(`${actor.name} is already in ${this.actor.name}.`);
+      return false;
+    }
+    let seat = null;
+    await this._updateRows('troopers', rows => {
+      seat = rows.find(t => !t.pilot) || null;
+      if (!seat) {
+        if (rows.length >= BA_SQUAD_SIZE.max) return false;
+        seat = this._newTrooper(rows.length);
+        rows.push(seat);
+      }
+      seat.pilot = actor.id;
+    });
+    if (!seat) ui.notifications.warn(`${this.actor.name} already has ${BA_SQUAD_SIZE.max} piloted suits.`);
+    else ui.notifications.info(`${actor.name} suits up as ${seat.name} of ${this.actor.name}.`);
+    return false;
+  }
+
+  /** A fresh suit armored to the squad's weight-class maximum. */
+  _newTrooper(index) {
+    const armor = BA_WEIGHT_CLASSES[this.actor.system.weightClass]?.maxArmor ?? 0;
+    return { id: foundry.utils.randomID(), name: `Trooper ${index + 1}`, pilot: '', armor: { value: armor, max: armor }, killed: false };
+  }
+
+  async _onAddTrooper(event) {
+    event.preventDefault();
+    await this._updateRows('troopers', rows => {
+      if (rows.length >= BA_SQUAD_SIZE.max) return false;
+      rows.push(this._newTrooper(rows.length));
+    });
+  }
+
+  async _onRemoveTrooper(event) {
+    event.preventDefault();
+    const rowId = event.currentTarget.dataset.rowId;
+    await this._updateRows('troopers', rows => {
+      const i = rows.findIndex(t => t.id === rowId);
+      if (i < 0 || rows.length <= BA_SQUAD_SIZE.min) return false;
+      rows.splice(i, 1);
+    });
+  }
+
+  /** Restore every suit to full armor and return its trooper to the fight (repairs between battles). */
+  async _onRefitTroopers(event) {
+    event.preventDefault();
+    await this._updateRows('troopers', rows => {
+      for (const t of rows) {
+        t.armor = { ...t.armor, value: Number(t.armor?.max) || 0 };
+        t.killed = false;
+      }
+    });
+  }
+
+  /**
+   * Delegated click handler for `.ba-anti-mech` (data-kind leg | swarm):
+   * confirm the modifiers against the user's current target, then attack.
+   */
+  async _onAntiMechAttack(event) {
+    event.preventDefault();
+    const kind = event.currentTarget.dataset.kind;
+    const attached = kind === 'swarm' && !!this.actor.system.swarm?.actorId;
+    const target = game.user.targets.first() || null;
+    const targetName = attached ? this.actor.system.swarm.name : target?.name;
+    const title = kind === 'leg' ? 'Leg Attack' : 'Swarm Attack';
+
+    const result = await DialogV2.wait({
+      window: { title, icon: "fa-solid fa-hand-back-fist" },
+      content: `
+        <p>${targetName ? `Target: <strong>${targetName}</strong>${attached ? ' (attached)' : ''}` : '<em>No target selected.</em>'}</p>
+        <div class="form-group"><label>Target Movement Modifier</label><input type="number" name="targetMovementMod" value="0" /></div>
+        <div class="form-group"><label>Other Modifiers</label><input type="number" name="modifier" value="0" /></div>`,
+      buttons: [
+        {
+          action: "attack", label: "Attack", icon: "fa-solid fa-dice", default: true,
+          callback: (event, button) => ({
+            targetMovementMod: button.form.elements.targetMovementMod.value,
+            modifier: button.form.elements.modifier.value
+          })
+        },
+        { action: "cancel", label: "Cancel", icon: "fa-solid fa-times" }
+      ],
+      rejectClose: false
+    });
+    if (!result || result === "cancel") return;
+
+    await this.actor.rollAntiMechAttack(kind, {
+      target,
+      targetMovementMod: Number(result.targetMovementMod) || 0,
+      modifier: Number(result.modifier) || 0
+    });
+  }
+
+  async _onDismount(event) {
+    event.preventDefault();
+    await this.actor.dismountSwarm();
+  }
 }
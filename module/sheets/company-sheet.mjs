@@ -339,12 +339,18 @@ export class MechFoundryCompanySheet extends HandlebarsApplicationMixin(ActorShe
       const hasDeptSupport = Array.isArray(actor?.system?.departments);
 
       // Armor summary from the ship's arcs: current armor / total max armor.
+      // An installation has no armor; its buildings' CF stands in.
       const arcs = actor?.system?.armor || {};
       let armorValue = 0, armorMax = 0;
       for (const arc of Object.values(arcs)) {
         armorMax += Number(arc?.max) || 0;
         armorValue += Number(arc?.value) || 0;
       }
+      const isInstallation = actor?.type === 'installation';
+      if (isInstallation) {
+        armorValue = actor.system.totals?.cf ?? 0;
+        armorMax = actor.system.totals?.cfMax ?? 0;
+      }
 
       locations.push({
         id: loc.id,
@@ -358,6 +364,7 @@ export class MechFoundryCompanySheet extends HandlebarsApplicationMixin(ActorShe
         deptSupported: hasDeptSupport,
         expanded: this.#locExpanded.has(loc.id),
         armorValue, armorMax,
+        armorTitle: isInstallation ? 'Current CF / max CF (buildings)' : 'Current armor / max armor',
         crewAssignedTotal: departments.reduce((s, d) => s + d.assignedTotal, 0),
         crewRequiredTotal: departments.reduce((s, d) => s + d.reqTotal, 0)
       });
@@ -452,6 +459,8 @@ export class MechFoundryCompanySheet extends HandlebarsApplicationMixin(ActorShe
           name: actor ? actor.name : 'Missing Unit',
           img: actor ? actor.img : 'icons/svg/hazard.svg',
           typeLabel: actor ? (UNIT_ACTOR_TYPE_LABELS[actor.type] || 'Unit') : 'Missing',
+          // The named character assigned to the unit's pilot seat, if any.
+          pilotName: actor?.system?.crew ? (actor.getCrewMember('pilot')?.name || null) : null,
           status: u.status || 'Undamaged'
         };
       });
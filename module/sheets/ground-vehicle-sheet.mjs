@@ -1,18 +1,181 @@
 import { MechFoundryActorSheetV2 } from "./base-actor-sheet.mjs";
+import {
+  TECH_BASES, UNIT_WEAPONS, UNIT_WEAPON_COLUMNS, VEHICLE_LOCATIONS, VEHICLE_MOTIVE_TYPES,
+  VEHICLE_MOVEMENT_MODES, MOTIVE_DIRECTION_MODS, VEHICLE_MOTIVE_DAMAGE, VEHICLE_CRITS, VEHICLE_CRIT_TABLE
+} from "../data/battletech.mjs";
+
+/** Weapon states a critical hit can leave a row in. */
+const WEAPON_STATES = {
+  '': 'OK',
+  jammed: 'Jammed',
+  destroyed: 'Destroyed'
+};
+
+/**
+ * The critical hits table as printed: one row per 2d6 result (6+, since 2–5
+ * never score), one column per location.
+ */
+function critTableRows(columns) {
+  const rows = [];
+  for (let roll = 6; roll <= 12; roll++) {
+    rows.push({ roll, cells: columns.map(c => VEHICLE_CRITS[VEHICLE_CRIT_TABLE[c.key][roll - 2]]?.label || '') });
+  }
+  return rows;
+}
 
 /**
- * Ground Vehicle Actor Sheet (ApplicationV2) - placeholder for future expansion.
+ * Ground Vehicle Actor Sheet (ApplicationV2, Foundry v14).
+ *
+ * A Classic BattleTech combat vehicle record sheet: motive type and cruise /
+ * flank MP, armor and internal structure for the front, sides, rear, turret
+ * and (VTOL) rotor, weapons by location including the turret mount, and the
+ * motive-system damage and critical hit state with their reference tables.
+ *
  * @extends {MechFoundryActorSheetV2}
  */
 export class MechFoundryGroundVehicleSheet extends MechFoundryActorSheetV2 {
 
   /** @override */
   static DEFAULT_OPTIONS = {
-    classes: ["mech-foundry", "sheet", "actor", "ground-vehicle-sheet"]
+    classes: ["mech-foundry", "sheet", "actor", "unit-sheet", "ground-vehicle-sheet"],
+    position: { width: 820, height: 760 }
   };
 
   /** @override */
   static PARTS = {
-    body: { template: "systems/mech-foundry/templates/actor/actor-ground_vehicle-sheet.hbs" }
+    form: {
+      template: "systems/mech-foundry/templates/actor/actor-ground_vehicle-sheet.hbs",
+      scrollable: [".sheet-body"]
+    }
   };
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const system = this.actor.system;
+    const layout = system.layout || {};
+    const present = VEHICLE_LOCATIONS.filter(l => (!l.turret || system.turret?.mounted) && (!l.rotor || layout.rotor));
+
+    context.techBases = TECH_BASES;
+    context.motiveTypes = Object.entries(VEHICLE_MOTIVE_TYPES).map(([key, m]) => ({ key, label: m.label }));
+    context.movementModes = VEHICLE_MOVEMENT_MODES;
+    context.weaponCatalog = UNIT_WEAPONS;
+    context.weaponColumns = UNIT_WEAPON_COLUMNS;
+    context.weaponStates = WEAPON_STATES;
+    context.locationOptions = present.map(l => ({ key: l.key, label: l.label }));
+    context.crew = this._prepareCrewContext();
+
+    const status = system.status || {};
+    context.locations = present.map(loc => ({
+      key: loc.key,
+      label: loc.label,
+      abbr: loc.abbr,
+      armor: system.armor?.[loc.key] || { value: 0, max: 0 },
+      structure: system.structure?.[loc.key] || { value: 0, max: 0 },
+      stabilizer: (status.stabilizers || []).includes(loc.key),
+      destroyed: (system.structure?.[loc.key]?.max ?? 0) > 0 && (system.structure?.[loc.key]?.value ?? 0) <= 0
+    }));
+
+    // Weapons grouped by location in record-sheet order.
+    const weapons = system.weapons || [];
+    context.weaponGroups = present
+      .map(loc => ({ key: loc.key, label: loc.label, weapons: weapons.filter(w => w.location === loc.key) }))
+      .filter(g => g.weapons.length);
+    const known = new Set(present.map(l => l.key));
+    const unplaced = weapons.filter(w => !known.has(w.location));
+    if (unplaced.length) context.weaponGroups.push({ key: '', label: 'Unassigned', weapons: unplaced });
+    context.weaponCount = weapons.length;
+    context.ammo = (system.ammo || []).map(a => ({ ...a }));
+
+    // Damage reference: the motive table (with this vehicle's modifier) and crit table.
+    const motiveMod = VEHICLE_MOTIVE_TYPES[system.motiveType]?.motiveMod;
+    context.motiveMod = motiveMod;
+    context.motiveLabel = VEHICLE_MOTIVE_TYPES[system.motiveType]?.label || '';
+    context.takesMotiveDamage = motiveMod != null;
+    context.motiveDirectionMods = Object.entries(MOTIVE_DIRECTION_MODS)
+      .filter(([, mod]) => mod)
+      .map(([key, mod]) => ({ label: VEHICLE_LOCATIONS.find(l => l.key === key)?.label || key, mod }));
+    context.motiveTable = VEHICLE_MOTIVE_DAMAGE.map((r, i, all) => ({
+      range: i === 0 ? `${r.min}+` : (r.min === 0 ? `2–${all[i - 1].min - 1}` : `${r.min}–${all[i - 1].min - 1}`),
+      label: r.label,
+      driving: r.driving || 0
+    }));
+    const critColumns = [
+      { key: 'front', label: 'Front' },
+      { key: 'side', label: 'Side' },
+      { key: 'back', label: 'Rear' },
+      ...(system.turret?.mounted ? [{ key: 'turret', label: 'Turret' }] : []),
+      ...(layout.rotor ? [{ key: 'rotor', label: 'Rotor' }] : [])
+    ];
+    context.critColumns = critColumns;
+    context.critTable = critTableRows(critColumns);
+    context.stabilizerLabels = (status.stabilizers || [])
+      .map(k => VEHICLE_LOCATIONS.find(l => l.key === k)?.label || k).join(', ');
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _activateListeners(html) {
+    if (!this.isEditable) return;
+    html.on('click', '.fire-unit-weapon', this._onFireUnitWeapon.bind(this));
+    html.on('click', '.open-crew', this._onOpenCrew.bind(this));
+    html.on('click', '.roll-psr', this._onRollPiloting.bind(this));
+    html.on('change', '.add-unit-weapon', this._onAddUnitWeapon.bind(this));
+    html.on('click', '.add-ammo-bin', this._onAddAmmoBin.bind(this));
+    html.on('change', '.row-field', this._onRowFieldChange.bind(this));
+    html.on('click', '.remove-row', this._onRemoveRow.bind(this));
+    html.on('click', '.clear-stabilizers', this._onClearStabilizers.bind(this));
+    html.on('click', '.repair-vehicle', this._onRepairVehicle.bind(this));
+  }
+
+  /**
+   * A personal `vehicle` item dropped on the sheet seeds the motive type and
+   * armor: its front, back and rotor armor carry straight over, and its side
+   * armor goes on both sides.
+   * @override
+   */
+  async _onDropItem(event, data) {
+    if (!this.isEditable) return false;
+    const item = await Item.implementation.fromDropData(data);
+    if (item?.type !== 'vehicle') return false;
+    const motiveType = Object.entries(VEHICLE_MOTIVE_TYPES)
+      .find(([, m]) => m.itemTypes.includes(item.system.vehicleType))?.[0] || this.actor.system.motiveType;
+    const update = { 'system.motiveType': motiveType };
+    if (!this.actor.system.chassis) update['system.chassis'] = item.name;
+    for (const loc of VEHICLE_LOCATIONS) {
+      if (!loc.itemArmor) continue;
+      const points = Number(item.system.armor?.[loc.itemArmor]) || 0;
+      update[`system.armor.${loc.key}.value`] = points;
+      update[`system.armor.${loc.key}.max`] = points;
+    }
+    await this.actor.update(update);
+    ui.notifications.info(`${this.actor.name} takes its motive type and armor from ${item.name}.`);
+    return false;
+  }
+
+  async _onClearStabilizers(event) {
+    event.preventDefault();
+    await this.actor.update({ 'system.status.stabilizers': [] });
+  }
+
+  /** Clear all motive damage and critical hit effects (field repairs between battles). */
+  async _onRepairVehicle(event) {
+    event.preventDefault();
+    const weapons = foundry.utils.deepClone(this.actor.system.weapons || []);
+    for (const w of weapons) w.out = '';
+    await this.actor.update({
+      'system.motive': { mpLost: 0, halved: 0, drivingMod: 0, immobilized: false },
+      'system.status': {
+        crewStunned: 0, driverHit: false, commanderHit: false, crewKilled: false,
+        engineHit: false, sensorHits: 0, stabilizers: [],
+        turretJammed: 0, turretLocked: false, turretDestroyed: false, destroyed: false
+      },
+      'system.weapons': weapons
+    });
+  }
 }
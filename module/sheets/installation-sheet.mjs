@@ -1,18 +1,183 @@
 import { MechFoundryActorSheetV2 } from "./base-actor-sheet.mjs";
+import { DEPARTMENT_TYPES } from "./company-sheet.mjs";
+import {
+  UNIT_WEAPONS, UNIT_WEAPON_COLUMNS, UNIT_CREW_ROLES, BUILDING_TYPES, BUILDING_STATES, IMMOBILE_TARGET_MOD
+} from "../data/battletech.mjs";
+import { buildingState, buildingTypeFits } from "../helpers/unit-math.mjs";
+import {
+  BUILDING_FUNCTIONS, VEHICLE_CUBICLE_TYPES, bayComponentDef, buildingFunctionDef, garrisonAt
+} from "../helpers/cargo.mjs";
+
+/** Crew positions at an installation: its turrets have gunners, not pilots. */
+const INSTALLATION_CREW_ROLES = ['gunner', 'commander'];
 
 /**
- * Installation Actor Sheet (ApplicationV2) - placeholder for future expansion.
+ * Installation Actor Sheet (ApplicationV2, Foundry v14).
+ *
+ * A fixed base made of buildings, each with a construction factor (CF) and
+ * building class, a repair state and a function: warehouses give cargo
+ * space, barracks garrison room, hangars unit cubicles, and power plants the
+ * power the rest draw. Fixed weapon turrets are mounted in buildings and
+ * are lost when theirs collapses. Departments and cargo capacity come from
+ * the buildings, the way a naval ship's come from its bays.
+ *
  * @extends {MechFoundryActorSheetV2}
  */
 export class MechFoundryInstallationSheet extends MechFoundryActorSheetV2 {
 
   /** @override */
   static DEFAULT_OPTIONS = {
-    classes: ["mech-foundry", "sheet", "actor", "installation-sheet"]
+    classes: ["mech-foundry", "sheet", "actor", "unit-sheet", "installation-sheet"],
+    position: { width: 820, height: 760 }
   };
 
   /** @override */
   static PARTS = {
-    body: { template: "systems/mech-foundry/templates/actor/actor-installation-sheet.hbs" }
+    form: {
+      template: "systems/mech-foundry/templates/actor/actor-installation-sheet.hbs",
+      scrollable: [".sheet-body"]
+    }
   };
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const system = this.actor.system;
+
+    context.buildingTypes = BUILDING_TYPES;
+    context.buildingFunctions = BUILDING_FUNCTIONS;
+    context.cubicleTypes = Object.values(VEHICLE_CUBICLE_TYPES).flat()
+      .map(key => ({ key, label: bayComponentDef(key)?.label || key }));
+    context.weaponCatalog = UNIT_WEAPONS;
+    context.weaponColumns = UNIT_WEAPON_COLUMNS;
+    context.immobileMod = IMMOBILE_TARGET_MOD;
+
+    const crew = this._prepareCrewContext();
+    crew.roles = crew.roles.filter(r => INSTALLATION_CREW_ROLES.includes(r.key));
+    context.crew = crew;
+
+    const buildings = system.buildings || [];
+    context.buildings = buildings.map((b, i) => {
+      const fn = buildingFunctionDef(b.function) || BUILDING_FUNCTIONS[0];
+      const state = buildingState(b);
+      return {
+        ...b,
+        num: i + 1,
+        state,
+        stateLabel: BUILDING_STATES[state],
+        cfOutOfClass: !!Number(b.cf?.max) && !buildingTypeFits(b.type, b.cf.max),
+        hasTonnage: !!fn.hasTonnage,
+        hasGarrison: !!fn.hasGarrison,
+        hasCubicles: !!fn.hasCubicles,
+        departmentLabel: DEPARTMENT_TYPES.find(d => d.key === fn.department)?.label || ''
+      };
+    });
+
+    // Turrets are mounted in buildings: a building's weapons go with it.
+    context.locationOptions = buildings.map((b, i) => ({ key: b.id, label: b.name || `Building ${i + 1}` }));
+    const weapons = system.weapons || [];
+    context.weaponGroups = context.buildings
+      .map(b => ({
+        key: b.id,
+        label: b.name || `Building ${b.num}`,
+        collapsed: b.state === 'destroyed',
+        weapons: weapons.filter(w => w.location === b.id)
+      }))
+      .filter(g => g.weapons.length);
+    const unplaced = weapons.filter(w => !buildings.some(b => b.id === w.location));
+    if (unplaced.length) context.weaponGroups.push({ key: '', label: 'Unassigned', weapons: unplaced });
+    context.weaponCount = weapons.length;
+    context.ammo = (system.ammo || []).map(a => ({ ...a }));
+
+    context.garrisonAssigned = garrisonAt(this.actor.id);
+    context.garrisonOver = context.garrisonAssigned > (system.garrison?.capacity ?? 0);
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _activateListeners(html) {
+    if (!this.isEditable) return;
+    html.on('click', '.fire-unit-weapon', this._onFireUnitWeapon.bind(this));
+    html.on('click', '.open-crew', this._onOpenCrew.bind(this));
+    html.on('change', '.add-unit-weapon', this._onAddUnitWeapon.bind(this));
+    html.on('click', '.add-ammo-bin', this._onAddAmmoBin.bind(this));
+    html.on('change', '.row-field', this._onRowFieldChange.bind(this));
+    html.on('click', '.remove-row', this._onRemoveRow.bind(this));
+    html.on('click', '.add-building', this._onAddBuilding.bind(this));
+    html.on('click', '.repair-building', this._onRepairBuilding.bind(this));
+  }
+
+  /**
+   * A character or NPC dropped on the installation mans its turrets, then
+   * commands it (the gunner's post when both are taken).
+   * @override
+   */
+  async _onDropActor(event, data) {
+    if (!this.isEditable) return false;
+    const actor = await Actor.implementation.fromDropData(data);
+    if (!actor || !['character', 'npc'].includes(actor.type)) return false;
+    const crew = this.actor.system.crew || {};
+    if (INSTALLATION_CREW_ROLES.some(r => crew[r] === actor.id)) {
+      ui.notifications.warn(`${actor.name} is already posted at ${this.actor.name}.`);
+      return false;
+    }
+    const role = INSTALLATION_CREW_ROLES.find(r => !crew[r]) || 'gunner';
+    await this.actor.update({ [`system.crew.${role}`]: actor.id });
+    ui.notifications.info(`${actor.name} assigned as ${UNIT_CREW_ROLES[role]} of ${this.actor.name}.`);
+    return false;
+  }
+
+  async _onAddBuilding(event) {
+    event.preventDefault();
+    await this._updateRows('buildings', rows => {
+      rows.push({
+        id: foundry.utils.randomID(),
+        name: `Building ${rows.length + 1}`,
+        type: 'medium',
+        function: 'general',
+        cf: { value: 40, max: 40 },
+        underRepair: false,
+        powerOut: 0,
+        powerDraw: 0,
+        tonnage: 0,
+        garrison: 0,
+        cubicleType: '',
+        cubicles: 0,
+        requiredPrimary: 0,
+        requiredOfficers: 0
+      });
+    });
+  }
+
+  /**
+   * Delegated click handler for `.repair-building` (data-row-id): a building
+   * under repair is restored to full CF and its turrets come back on line; any
+   * other building is put under repair.
+   */
+  async _onRepairBuilding(event) {
+    event.preventDefault();
+    const rowId = event.currentTarget.dataset.rowId;
+    const building = (this.actor.system.buildings || []).find(b => b.id === rowId);
+    if (!building) return;
+    if (!building.underRepair) {
+      await this._updateRows('buildings', rows => {
+        const row = rows.find(b => b.id === rowId);
+        row.underRepair = true;
+      });
+      return;
+    }
+    const buildings = foundry.utils.deepClone(this.actor.system.buildings || []);
+    const row = buildings.find(b => b.id === rowId);
+    row.cf = { ...row.cf, value: Number(row.cf?.max) || 0 };
+    row.underRepair = false;
+    const weapons = foundry.utils.deepClone(this.actor.system.weapons || []);
+    for (const w of weapons) if (w.location === rowId && w.out === 'destroyed') w.out = '';
+    await this.actor.update({ 'system.buildings': buildings, 'system.weapons': weapons });
+    ui.notifications.info(`${row.name || 'Building'} of ${this.actor.name} is repaired.`);
+  }
 }
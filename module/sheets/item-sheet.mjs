@@ -1,3 +1,5 @@
+import { PROSTHETIC_SLOTS, PROSTHETIC_FAULTS, prostheticFault, powerLeft, slotFromName } from '../helpers/prosthetics.mjs';
+
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 const { ItemSheetV2 } = foundry.applications.sheets;
 
@@ -62,7 +64,7 @@ export class MechFoundryItemSheet extends HandlebarsApplicationMixin(ItemSheetV2
     };
 
     // Ensure array-valued fields are always arrays for the template
-    if (item.type === 'activeEffect') {
+    if (['activeEffect', 'drugpoison'].includes(item.type)) {
       context.system.persistentModifiers = this._asArray(item.system.persistentModifiers);
     }
     if (ITEM_TYPES_WITH_EFFECTS.includes(item.type)) {
@@ -83,6 +85,14 @@ export class MechFoundryItemSheet extends HandlebarsApplicationMixin(ItemSheetV2
         burst: m.burst ?? '', recoil: m.recoil ?? '', switchAction: m.switchAction || '', notes: m.notes || ''
       }));
     }
+    if (item.type === 'prosthetics') {
+      context.slotOptions = Object.entries(PROSTHETIC_SLOTS).map(([value, def]) => ({ value, label: def.label }));
+      context.suggestedSlot = PROSTHETIC_SLOTS[slotFromName(item.name)]?.label || '';
+      const fault = prostheticFault(item.system, game.time.worldTime);
+      context.prostheticStatus = fault === 'uninstalled' ? 'Not installed'
+        : PROSTHETIC_FAULTS[fault] || 'Working';
+      context.powerLeft = powerLeft(item.system, game.time.worldTime);
+    }
     if (item.type === 'ammo') {
       this._addAmmoTypeContext(context, item.system);
       const special = this._asArray(item.system.specialEffects);
@@ -209,7 +219,7 @@ export class MechFoundryItemSheet extends HandlebarsApplicationMixin(ItemSheetV2
     const data = super._processFormData(event, form, formData);
     const type = this.item.type;
 
-    if (type === 'activeEffect') this._objectToArray(data, "system.persistentModifiers");
+    if (['activeEffect', 'drugpoison'].includes(type)) this._objectToArray(data, "system.persistentModifiers");
     if (ITEM_TYPES_WITH_EFFECTS.includes(type)) this._objectToArray(data, "system.itemEffects");
     if (type === 'ammo') {
       // Special-effect checkboxes: collect all checked values (empty when none)
@@ -1,18 +1,136 @@
 import { MechFoundryActorSheetV2 } from "./base-actor-sheet.mjs";
+import {
+  MECH_LOCATIONS, MECH_REAR_LOCATIONS, HEAT_SINK_TYPES, TECH_BASES, UNIT_WEAPONS, UNIT_WEAPON_COLUMNS,
+  HEAT_SCALE, HEAT_SCALE_MAX, MECH_MOVEMENT_MODES
+} from "../data/battletech.mjs";
+import { blankMechCrits } from "../helpers/unit-math.mjs";
 
 /**
- * Mech Actor Sheet (ApplicationV2) - placeholder for future expansion.
+ * The printed heat scale, hottest first: one row per heat level with the
+ * effects that kick in at that level.
+ */
+function heatScaleRows(current) {
+  const notes = {};
+  const add = (heat, text) => (notes[heat] ||= []).push(text);
+  for (const r of HEAT_SCALE.movement) add(r.heat, `−${r.mp} MP`);
+  for (const r of HEAT_SCALE.toHit) add(r.heat, `+${r.mod} to-hit`);
+  for (const r of HEAT_SCALE.shutdown) add(r.heat, r.avoid === null ? 'Shutdown' : `Shutdown, avoid ${r.avoid}+`);
+  for (const r of HEAT_SCALE.ammo) add(r.heat, `Ammo explosion, avoid ${r.avoid}+`);
+  const rows = [];
+  for (let heat = HEAT_SCALE_MAX; heat >= 0; heat--) {
+    rows.push({ heat, note: (notes[heat] || []).join(' · '), current: heat === Math.min(current, HEAT_SCALE_MAX), over: heat <= current });
+  }
+  return rows;
+}
+
+/**
+ * Mech Actor Sheet (ApplicationV2, Foundry v14).
+ *
+ * A Classic BattleTech 'Mech record sheet: chassis data and movement, armor and
+ * internal structure per location (rear torsos included), heat sinks, weapons
+ * listed by location with their ammo bins, and the critical-slot table.
+ *
  * @extends {MechFoundryActorSheetV2}
  */
 export class MechFoundryMechSheet extends MechFoundryActorSheetV2 {
 
   /** @override */
   static DEFAULT_OPTIONS = {
-    classes: ["mech-foundry", "sheet", "actor", "mech-sheet"]
+    classes: ["mech-foundry", "sheet", "actor", "unit-sheet", "mech-sheet"],
+    position: { width: 860, height: 780 }
   };
 
   /** @override */
   static PARTS = {
-    body: { template: "systems/mech-foundry/templates/actor/actor-mech-sheet.hbs" }
+    form: {
+      template: "systems/mech-foundry/templates/actor/actor-mech-sheet.hbs",
+      scrollable: [".sheet-body"]
+    }
   };
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const system = this.actor.system;
+
+    context.techBases = TECH_BASES;
+    context.heatSinkTypes = Object.entries(HEAT_SINK_TYPES).map(([key, t]) => ({ key, label: t.label }));
+    context.weaponCatalog = UNIT_WEAPONS;
+    context.weaponColumns = UNIT_WEAPON_COLUMNS;
+    context.locationOptions = MECH_LOCATIONS.map(l => ({ key: l.key, label: l.label }));
+    context.movementModes = MECH_MOVEMENT_MODES;
+    context.heatScale = heatScaleRows(system.heat?.value || 0);
+    context.crew = this._prepareCrewContext();
+
+    // Armor diagram: one card per location, with the rear torso armor alongside.
+    const rearOf = Object.fromEntries(Object.entries(MECH_REAR_LOCATIONS).map(([rear, front]) => [front, rear]));
+    context.locations = MECH_LOCATIONS.map(loc => {
+      const rearKey = rearOf[loc.key];
+      return {
+        key: loc.key,
+        label: loc.label,
+        abbr: loc.abbr,
+        armor: system.armor?.[loc.key] || { value: 0, max: 0 },
+        structure: system.structure?.[loc.key] || { value: 0, max: 0 },
+        maxArmor: system.maxArmor?.[loc.key] ?? 0,
+        rearKey,
+        rear: rearKey ? (system.armor?.[rearKey] || { value: 0, max: 0 }) : null,
+        destroyed: (system.structure?.[loc.key]?.max ?? 0) > 0 && (system.structure?.[loc.key]?.value ?? 0) <= 0
+      };
+    });
+
+    // Weapons grouped by location in record-sheet order.
+    const weapons = system.weapons || [];
+    context.weaponGroups = MECH_LOCATIONS
+      .map(loc => ({
+        key: loc.key,
+        label: loc.label,
+        weapons: weapons.filter(w => w.location === loc.key)
+      }))
+      .filter(g => g.weapons.length);
+    const known = new Set(MECH_LOCATIONS.map(l => l.key));
+    const unplaced = weapons.filter(w => !known.has(w.location));
+    if (unplaced.length) context.weaponGroups.push({ key: '', label: 'Unassigned', weapons: unplaced });
+    context.weaponCount = weapons.length;
+    context.ammo = (system.ammo || []).map(a => ({ ...a }));
+
+    // Critical-slot table.
+    const crits = Object.keys(system.crits || {}).length ? system.crits : blankMechCrits();
+    context.critLocations = MECH_LOCATIONS.map(loc => ({
+      key: loc.key,
+      label: loc.label,
+      slots: (crits[loc.key] || []).map((slot, i) => ({ index: i, num: i + 1, name: slot.name || '', hit: !!slot.hit }))
+    }));
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _activateListeners(html) {
+    if (!this.isEditable) return;
+    html.on('click', '.fire-unit-weapon', this._onFireUnitWeapon.bind(this));
+    html.on('click', '.open-crew', this._onOpenCrew.bind(this));
+    html.on('click', '.roll-psr', this._onRollPiloting.bind(this));
+    html.on('change', '.add-unit-weapon', this._onAddUnitWeapon.bind(this));
+    html.on('click', '.add-ammo-bin', this._onAddAmmoBin.bind(this));
+    html.on('change', '.row-field', this._onRowFieldChange.bind(this));
+    html.on('click', '.remove-row', this._onRemoveRow.bind(this));
+    html.on('change', '.crit-field', this._onCritChange.bind(this));
+  }
+
+  async _onCritChange(event) {
+    const el = event.currentTarget;
+    const { location, slot, field } = el.dataset;
+    const crits = Object.keys(this.actor.system.crits || {}).length
+      ? foundry.utils.deepClone(this.actor.system.crits)
+      : blankMechCrits();
+    const entry = crits[location]?.[Number(slot)];
+    if (!entry) return;
+    entry[field] = el.type === 'checkbox' ? el.checked : el.value;
+    await this.actor.update({ 'system.crits': crits });
+  }
 }
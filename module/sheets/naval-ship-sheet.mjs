@@ -3,47 +3,15 @@ import {
   BAY_COMPONENT_TYPES, bayComponentDef, bayList, cargoCapacity, cargoUsed,
   VEHICLE_CUBICLE_TYPES, shipCubiclesByVehicle, mtoeVehiclesAtShip
 } from "../helpers/cargo.mjs";
+import { fighterReadiness } from "../helpers/unit-math.mjs";
+import {
+  NAVAL_ARCS, NAVAL_MOVEMENT_COLUMNS, NAVAL_WEAPON_COLUMNS, NAVAL_CRIT_TABLE, TRACK_TURNS
+} from "../data/battletech.mjs";
+import { printRecordSheet, exportRecordSheet } from "../helpers/record-sheet.mjs";
 
 const { HandlebarsApplicationMixin } = foundry.applications.api;
 const { ActorSheetV2 } = foundry.applications.sheets;
 
-const ARC_FIELDS = [
-  { key: 'nose', label: 'Nose' },
-  { key: 'aft', label: 'Aft' },
-  { key: 'left', label: 'Left' },
-  { key: 'right', label: 'Right' }
-];
-
-// Movement & Vitals arranged as columns of stacked pairs.
-const MOVEMENT_COLUMNS = [
-  [{ key: 'safeThrust', label: 'Safe Thrust' }, { key: 'maxThrust', label: 'Max Thrust' }],
-  [{ key: 'currentFuel', label: 'Current Fuel' }, { key: 'initialFuel', label: 'Initial Fuel' }],
-  [{ key: 'marinePoints', label: 'Marine Points' }, { key: 'fighters', label: 'Fighters' }],
-  [{ key: 'tonsBurnDay', label: 'Tons / Burn Day' }, { key: 'heatSinks', label: 'Heat Sinks' }]
-];
-
-const WEAPON_COLUMNS = [
-  { key: 'heat', label: 'Heat' },
-  { key: 'arc', label: 'Arc' },
-  { key: 'short', label: 'Short' },
-  { key: 'medium', label: 'Medium' },
-  { key: 'long', label: 'Long' },
-  { key: 'ext', label: 'Ext.' }
-];
-
-const TRACK_TURNS = ['t1', 't2', 't3', 't4', 't5', 't6', 't7', 't8', 't9', 't10'];
-
-/**
- * Critical-hit reference (BattleSpace Dropship Record Sheet). Static game aid.
- */
-const CRIT_TABLE = [
-  ['Transfer', 'KF Boom', 'Dock. Coll.', 'Radar', 'Lndg. Gear', 'Nav. Sys.'],
-  ['FL WP', 'Nose WP', 'FR WP', 'AL WP', 'Aft WP', 'AR WP'],
-  ['Computer', 'Computer', 'Bridge', 'Bridge', 'Left Thruster', 'Right Thruster'],
-  ['Bay Door', 'Bay Door', 'Bay Door', 'Bay Door', 'Bay Door', 'Life Support'],
-  ['Bay 1', 'Bay 1', 'Bay 2', 'Bay 2', 'Bay 3', 'CIC']
-];
-
 /**
  * Naval Ship Actor Sheet (ApplicationV2, Foundry v14).
  *
@@ -68,7 +36,9 @@ export class MechFoundryNavalShipSheet extends HandlebarsApplicationMixin(ActorS
     form: { submitOnChange: true, closeOnSubmit: false },
     window: { resizable: true },
     actions: {
-      editImage: MechFoundryNavalShipSheet._onEditImage
+      editImage: MechFoundryNavalShipSheet._onEditImage,
+      printRecordSheet: MechFoundryNavalShipSheet._onPrintRecordSheet,
+      exportRecordSheet: MechFoundryNavalShipSheet._onExportRecordSheet
     }
   };
 
@@ -92,11 +62,11 @@ export class MechFoundryNavalShipSheet extends HandlebarsApplicationMixin(ActorS
       actor: this.actor,
       system,
       flags: this.actor.flags,
-      arcFields: ARC_FIELDS,
-      movementColumns: MOVEMENT_COLUMNS,
-      weaponColumns: WEAPON_COLUMNS,
+      arcFields: NAVAL_ARCS,
+      movementColumns: NAVAL_MOVEMENT_COLUMNS,
+      weaponColumns: NAVAL_WEAPON_COLUMNS,
       trackTurns: TRACK_TURNS.map((key, i) => ({ key, num: i + 1 })),
-      critTable: CRIT_TABLE,
+      critTable: NAVAL_CRIT_TABLE,
       departmentTypes: DEPARTMENT_TYPES
     };
 
@@ -160,6 +130,9 @@ export class MechFoundryNavalShipSheet extends HandlebarsApplicationMixin(ActorS
           if (occ) {
             comp.mtoe = { actorId: occ.actorId, name: occ.name, unitName: occ.unitName, status: occ.status };
           }
+          // Fighters in their cubicles show whether they are ready to launch.
+          const fighter = assigned || (occ ? game.actors.get(occ.actorId) : null);
+          if (fighter?.type === 'aerospace_fighter') comp.readiness = fighterReadiness(fighter.system);
         }
         if (def.hasSquadSize) comp.squadSize = Number(c.squadSize) || 0;
         if (def.hasTonnage) comp.tonnage = Number(c.tonnage) || 0;
@@ -192,6 +165,25 @@ export class MechFoundryNavalShipSheet extends HandlebarsApplicationMixin(ActorS
     return fp.browse();
   }
 
+  /** @override */
+  _getHeaderControls() {
+    return [
+      ...super._getHeaderControls(),
+      { icon: "fa-solid fa-print", label: "Print Record Sheet", action: "printRecordSheet" },
+      { icon: "fa-solid fa-file-export", label: "Export Record Sheet", action: "exportRecordSheet" }
+    ];
+  }
+
+  /** Action handler: open the printable record sheet in a new window. */
+  static async _onPrintRecordSheet() {
+    return printRecordSheet(this.actor);
+  }
+
+  /** Action handler: save the record sheet as a standalone HTML file. */
+  static async _onExportRecordSheet() {
+    return exportRecordSheet(this.actor);
+  }
+
   /* -------------------------------------------- */
 
   /** @override */
@@ -0,0 +1,140 @@
+/**
+ * action-economy.test.mjs
+ * -----------------------
+ * Dependency-free regression checks for per-turn action bookkeeping: slot
+ * counting, overspending, the sheet/tracker summary, movement modes, recoil
+ * building up per weapon and aim built up over several actions. Runnable
+ * with plain Node:
+ *
+ *   node tests/action-economy.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as A from '../module/helpers/action-economy.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Spending ----------------------------------------------------------- */
+{
+  const blank = A.blankActions();
+  ok(A.slotsUsed(blank) === 0 && !blank.moved && blank.log.length === 0, 'a fresh turn is empty');
+
+  const one = A.spendAction(blank, 'simple', 'Attack (Pistol)');
+  ok(!one.over && one.actions.simple === 1 && blank.simple === 0, 'simple action spent without touching the old record');
+  ok(one.actions.log[0].label === 'Attack (Pistol)', 'logged with its label');
+
+  const two = A.spendAction(one.actions, 'simple');
+  ok(!two.over && A.slotsUsed(two.actions) === 2, 'two Simple actions fill the turn');
+  ok(two.actions.log[1].label === 'Simple', 'default label is the action type');
+
+  const three = A.spendAction(two.actions, 'incidental');
+  ok(!three.over && A.slotsUsed(three.actions) === 2, 'Incidental actions are free');
+
+  ok(A.spendAction(one.actions, 'complex').over, 'a Complex action after a Simple one is over the limit');
+  ok(!A.spendAction(blank, 'complex').over, 'one Complex action fits');
+
+  let threw = false;
+  try { A.spendAction(blank, 'free'); } catch (e) { threw = true; }
+  ok(threw, 'unknown action type rejected');
+
+  ok(Object.values(A.ACTION_COSTS).every(c => c.type in A.ACTION_TYPES), 'every action cost is a known type');
+  ok(Object.values(A.MOVEMENT_MODES).every(m => !m.action || m.action in A.ACTION_TYPES), 'every movement cost is a known type');
+  ok(A.ACTION_COSTS.firstAid.type === 'complex' && A.ACTION_COSTS.attack.type === 'simple', 'first aid is Complex, attacks Simple');
+}
+
+/* ---- Summary ------------------------------------------------------------ */
+{
+  const s = A.actionSummary({ simple: 1, incidental: 2, log: [{ type: 'simple', label: 'Reload' }] });
+  ok(s.used === 1 && s.left === 1 && !s.over && s.incidental === 2, 'slots used and left');
+  ok(s.pips.length === 2 && s.pips[0].filled && !s.pips[1].filled, 'a pip per slot');
+
+  const over = A.actionSummary({ simple: 1, complex: 1 });
+  ok(over.over && over.left === 0 && over.pips.length === 3 && over.pips[2].over, 'overspent slots shown as extra pips');
+  ok(A.actionSummary(undefined).used === 0, 'no record, nothing used');
+}
+
+/* ---- Movement ----------------------------------------------------------- */
+{
+  const speeds = { walk: 10, run: 20, sprint: 40, crawl: 2 };
+  ok(A.inferMovementMode(0, speeds) === 'stationary', 'no distance, stationary');
+  ok(A.inferMovementMode(10, speeds) === 'walk' && A.inferMovementMode(11, speeds) === 'run', 'walk up to walking speed, then run');
+  ok(A.inferMovementMode(25, speeds) === 'sprint', 'past running speed is a sprint');
+
+  const walk = A.setMovement(A.blankActions(), 'walk', { distance: 6 });
+  ok(walk.actions.simple === 1 && walk.actions.moved && walk.actions.movement.distance === 6, 'walking costs a Simple action');
+  const run = A.setMovement(walk.actions, 'run', { distance: 14 });
+  ok(run.actions.simple === 1 && run.actions.log.length === 1 && run.actions.log[0].label === 'Run', 'speeding up swaps the charge, not adds one');
+  const shot = A.spendAction(run.actions, 'simple', 'Attack');
+  const sprint = A.setMovement(shot.actions, 'sprint');
+  ok(sprint.over && sprint.actions.complex === 1 && sprint.actions.simple === 1, 'sprinting after an attack is over the limit');
+  ok(sprint.actions.movement.distance === 14, 'distance kept across mode changes');
+  const still = A.setMovement(sprint.actions, 'stationary');
+  ok(!still.over && !still.actions.moved && A.slotsUsed(still.actions) === 1, 'standing still refunds the move');
+  ok(A.actionSummary(walk.actions).movement === 'walk' && A.actionSummary({}).movement === 'stationary', 'summary shows the mode');
+  ok(A.MOVEMENT_MODES.evade.attack === null && A.MOVEMENT_MODES.evade.defense < A.MOVEMENT_MODES.run.defense, 'evading trades attacks for defense');
+}
+
+/* ---- Recoil ------------------------------------------------------------- */
+{
+  ok(A.recoilPerShot(2) === 2 && A.recoilPerShot(0, -2) === 0, 'recoil as rated; no recoil, no penalty');
+  ok(A.recoilPerShot(2, -1) === 3 && A.recoilPerShot(2, 1) === 1 && A.recoilPerShot(1, 3) === 0, 'STR offsets recoil either way');
+  ok(A.recoilPerShot(3, 0, 2) === 1 && A.recoilPerShot(2, -2, 2) === 0, 'a bipod or mount soaks it first');
+
+  let turn = A.addRecoil(A.blankActions(), 'w1', 2);
+  turn = A.addRecoil(turn, 'w1', 2);
+  ok(A.recoilBuilt(turn, 'w1') === 4 && A.recoilBuilt(turn, 'w2') === 0, 'recoil builds up per weapon');
+  const spent = A.spendAction(turn, 'simple', 'Attack').actions;
+  ok(A.recoilBuilt(spent, 'w1') === 4 && A.recoilBuilt(A.setMovement(spent, 'walk').actions, 'w1') === 4, 'kept through actions and movement');
+  ok(A.recoilBuilt(A.blankActions(), 'w1') === 0 && A.recoilBuilt(undefined, 'w1') === 0, 'a new turn starts steady');
+
+  // Foundry's document update in miniature: flat keys expanded, objects
+  // merged deeply, "-=key" deleting
+  const applyUpdate = (doc, update) => {
+    const expanded = {};
+    for (const [path, value] of Object.entries(update)) {
+      const keys = path.split('.');
+      let node = expanded;
+      for (const key of keys.slice(0, -1)) node = node[key] ??= {};
+      node[keys.at(-1)] = value;
+    }
+    const merge = (target, changes) => {
+      for (const [key, value] of Object.entries(changes)) {
+        if (key.startsWith('-=')) delete target[key.slice(2)];
+        else if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') merge(target[key], value);
+        else target[key] = value;
+      }
+      return target;
+    };
+    return merge(structuredClone(doc), expanded);
+  };
+  const combatant = { flags: { 'mech-foundry': { actions: turn } } };
+  const overwritten = applyUpdate(combatant, { 'flags.mech-foundry.actions': A.blankActions() });
+  ok(A.recoilBuilt(overwritten.flags['mech-foundry'].actions, 'w1') === 4, 'writing a blank record over the old one keeps its recoil');
+  const reset = applyUpdate(combatant, A.resetActionsUpdate());
+  const next = { ...A.blankActions(), ...reset.flags['mech-foundry'].actions };
+  ok(A.recoilBuilt(next, 'w1') === 0 && A.slotsUsed(next) === 0, 'the reset update clears recoil and actions for the next turn');
+}
+
+/* ---- Aiming ------------------------------------------------------------- */
+{
+  const first = A.takeAim(A.blankAim(), 'Token.a', 'Raider');
+  ok(first.aim.actions === 1 && !first.switched && A.aimBonus(first.aim, 'Token.a') === 1, 'first Aim gives +1');
+
+  let aim = first.aim;
+  for (let i = 0; i < 4; i++) aim = A.takeAim(aim, 'Token.a').aim;
+  ok(aim.actions === 5 && aim.targetName === 'Raider', 'aim builds on the same target and keeps its name');
+  ok(A.aimBonus(aim, 'Token.a') === A.AIM_MAX_BONUS && A.aimBonus(aim) === A.AIM_MAX_BONUS, 'bonus capped');
+
+  ok(A.aimBonus(aim, 'Token.b') === 0, 'no bonus against anyone else');
+  const other = A.takeAim(aim, 'Token.b', 'Sniper');
+  ok(other.switched && other.aim.actions === 1 && other.aim.targetName === 'Sniper', 'aiming at a new target starts over');
+  ok(A.aimBonus(A.blankAim(), 'Token.a') === 0 && A.aimBonus(undefined) === 0, 'not aiming, no bonus');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll action-economy checks passed.');
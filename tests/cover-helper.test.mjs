@@ -0,0 +1,32 @@
+/**
+ * cover-helper.test.mjs
+ * ---------------------
+ * Dependency-free regression checks for mapping traced line-of-sight
+ * blocking onto the cover tiers. Runnable with plain Node:
+ *
+ *   node tests/cover-helper.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import { COVER_LEVELS, coverFromBlocking } from '../module/helpers/cover-helper.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Cover tiers -------------------------------------------------------- */
+ok(COVER_LEVELS.none.mod === 0 && COVER_LEVELS.full.mod === -4, 'tier modifiers');
+ok(coverFromBlocking([]) === 'none' && coverFromBlocking([0, 0, 0, 0, 0]) === 'none', 'clear lines, no cover');
+ok(coverFromBlocking([1, 1, 1, 1, 1]) === 'full', 'every line behind a wall is full cover');
+ok(coverFromBlocking([1, 0, 0, 0, 0]) === 'light', 'a sliver blocked is light cover');
+ok(coverFromBlocking([1, 1, 1, 0, 0]) === 'moderate', 'most of the target is moderate');
+ok(coverFromBlocking([1, 1, 1, 1, 0]) === 'heavy', 'all but a corner is heavy');
+ok(coverFromBlocking([0.5, 0.5, 0.5, 0.5, 0.5]) === 'moderate', 'a moderate Region across every line');
+ok(coverFromBlocking([0.25, 0.25, 0.25, 0.25, 0.25]) === 'light', 'a light Region across every line');
+ok(coverFromBlocking([3, -1]) === 'moderate', 'line values clamped');
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll cover-helper checks passed.');
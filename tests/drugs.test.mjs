@@ -0,0 +1,64 @@
+/**
+ * drugs.test.mjs
+ * --------------
+ * Dependency-free regression checks for drugs and poisons: vectors, sealed
+ * armor against Poison AP, the resistance modifier, durations in rounds and
+ * the effects a dose brings. Runnable with plain Node:
+ *
+ *   node tests/drugs.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as D from '../module/helpers/drugs.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Vectors and armor -------------------------------------------------- */
+{
+  ok(D.drugVectors({ ingested: true, inhaled: true }).join() === 'ingested,inhaled', 'the vectors ticked');
+  ok(D.drugVectors({}).length === Object.keys(D.DRUG_VECTORS).length, 'none ticked: any vector');
+
+  const suit = { coverage: { head: true, torso: true, arms: true, legs: true }, bar: { m: 5 } };
+  const helmet = { coverage: { head: true }, bar: { m: 2 } };
+  const vest = { coverage: { torso: true, arms: true }, bar: { m: 3 } };
+  ok(D.sealedBAR([suit]) === 5, 'a full suit is sealed');
+  ok(D.sealedBAR([helmet, vest]) === null, 'a gap in coverage is not');
+  ok(D.sealedBAR([helmet, vest, { coverage: { legs: true }, bar: { m: 4 } }]) === 2, 'the weakest location counts');
+  ok(D.sealedBAR([suit, { coverage: { head: true }, bar: { m: 7 } }]) === 5, 'best armor at each location');
+
+  ok(D.armorStopsDose('injected', 3, 5) && D.armorStopsDose('contact', 0, 1), 'sealed armor stops a weak dose');
+  ok(!D.armorStopsDose('injected', 6, 5), 'enough AP gets through');
+  ok(!D.armorStopsDose('ingested', 0, 5) && !D.armorStopsDose('inhaled', 0, 5), 'armor does nothing for swallowed or inhaled doses');
+  ok(!D.armorStopsDose('injected', 0, null), 'no seal, no protection');
+}
+
+/* ---- Resistance and duration -------------------------------------------- */
+{
+  ok(D.resistanceMod(5, 3) === 2 && D.resistanceMod(4, 30) === -26, 'attribute less Drug Strength');
+  ok(D.durationFormula('3 turns') === '3' && D.durationFormula('1 turn') === '1', 'turns are rounds');
+  ok(D.durationFormula('2 hr') === `(2) * ${D.ROUNDS_PER_UNIT.hr}`, 'hours');
+  ok(D.durationFormula('1D6x0.5 hr') === `(1d6 * 0.5) * ${D.ROUNDS_PER_UNIT.hr}`, 'rolled hours');
+  ok(D.durationFormula('1d6 hours') === `(1d6) * ${D.ROUNDS_PER_UNIT.hr}` && D.durationFormula('10 min') === `(10) * ${D.ROUNDS_PER_UNIT.min}`, 'spelled-out units');
+  ok(D.durationFormula('') === null && D.durationFormula('until dawn') === null, 'unreadable durations');
+}
+
+/* ---- Effects ------------------------------------------------------------ */
+{
+  const rage = D.drugModifiers({ notes: 'Aff: CC; ignore injury modifiers; STR +3, INT -1, WIL -1' });
+  ok(rage.length === 3 && rage[0].target === 'str' && rage[0].value === 3 && rage[2].value === -1, 'modifiers read from the notes');
+  const own = [{ targetType: 'skill', target: 'Perception', operation: 'add', value: -3 }];
+  ok(D.drugModifiers({ notes: 'INT +3', persistentModifiers: own }) === own, 'the drug\'s own list comes first');
+  ok(D.drugModifiers({ notes: 'Medicinal (sedative)' }).length === 0, 'no modifiers');
+
+  ok(D.drugDamage({ notes: 'Lethal; continuous', drugStrength: 3 }).standardDamage === 3, 'a lethal poison deals its strength');
+  ok(D.drugDamage({ notes: 'Lethal', drugStrength: 5, continuousDamage: { standardDamage: 0, fatigueDamage: 2 } }).fatigueDamage === 2, 'set damage comes first');
+  ok(D.drugDamage({ notes: 'Medicinal', drugStrength: 5 }) === null, 'drugs deal no damage');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll drugs checks passed.');
@@ -0,0 +1,54 @@
+/**
+ * indirect-fire.test.mjs
+ * ----------------------
+ * Dependency-free regression checks for indirect fire: when a shot counts as
+ * spotted, what the spotter's skill is worth, how far misses scatter and
+ * when a round in flight lands. Runnable with plain Node:
+ *
+ *   node tests/indirect-fire.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as I from '../module/helpers/indirect-fire.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Comm links --------------------------------------------------------- */
+{
+  const radio = { type: 'electronics', name: 'Military Communicator', system: { carryStatus: 'equipped' } };
+  ok(I.isCommLink(radio), 'an equipped communicator');
+  ok(!I.isCommLink({ ...radio, system: { carryStatus: 'carried' } }), 'one in the pack is no use');
+  ok(I.isCommLink({ type: 'electronics', name: 'Field Set', system: { carryStatus: 'equipped' }, flags: { 'mech-foundry': { subfolder: 'Communications' } } }), 'anything from the Communications folder');
+  ok(!I.isCommLink({ type: 'electronics', name: 'Binoculars', system: { carryStatus: 'equipped' } }) && !I.isCommLink(null), 'other electronics are not');
+}
+
+/* ---- Spotting ----------------------------------------------------------- */
+{
+  const spotted = { firerHasLOS: false, spotterHasLOS: true, firerComms: true, spotterComms: true };
+  ok(I.indirectMode(spotted) === 'spotted', 'spotter sees it and both can talk');
+  ok(I.indirectMode({ ...spotted, firerHasLOS: true }) === 'direct', 'firer can see it: direct fire');
+  ok(I.indirectMode({ ...spotted, spotterHasLOS: false }) === 'unspotted', 'spotter without line of sight');
+  ok(I.indirectMode({ ...spotted, firerComms: false }) === 'unspotted' && I.indirectMode({ ...spotted, spotterComms: false }) === 'unspotted', 'a missing comm link on either end');
+  ok(I.indirectMode({ firerHasLOS: false }) === 'unspotted', 'no spotter');
+
+  ok(I.spotterBonus(0) === 0 && I.spotterBonus(2) === 0 && I.spotterBonus(3) === 1 && I.spotterBonus(10) === I.MAX_SPOTTER_BONUS, 'a point per three levels, capped');
+  ok(I.indirectFireMod('unspotted', 9) === -4 && I.indirectFireMod('direct') === 0, 'skill only helps a spotted shot');
+  ok(I.indirectFireMod('spotted', 0) === -2 && I.indirectFireMod('spotted', 4) === -1 && I.indirectFireMod('spotted', 6) === 0, 'spotted penalty eased by skill');
+}
+
+/* ---- Scatter and flight ------------------------------------------------- */
+{
+  ok(I.indirectScatter(3, 'direct') === 3 && I.indirectScatter(3, 'spotted') === 6 && I.indirectScatter(-3, 'unspotted') === 9, 'indirect misses scatter further');
+  ok(I.landingRound(2, 3) === 5 && I.landingRound(2, 0) === 2 && I.landingRound(2, -1) === 2, 'rounds in flight');
+  const strike = { lands: I.landingRound(2, 1) };
+  ok(!I.strikeLands(strike, 2) && I.strikeLands(strike, 3), 'comes down as the landing round starts, not a round later');
+  ok(I.strikeLands(strike, 5) && !I.strikeLands({}, 99) && !I.strikeLands(null, 99), 'a late strike still lands; no strike, nothing lands');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll indirect-fire checks passed.');
@@ -0,0 +1,254 @@
+/**
+ * megamek-import.test.mjs
+ * -----------------------
+ * Dependency-free regression checks for the MegaMek .mtf / .blk importer's
+ * parsing and conversion. Runnable with plain Node:
+ *
+ *   node tests/megamek-import.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as M from '../module/helpers/megamek-import.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+let n = 0;
+const makeId = () => `row${++n}`;
+
+/* ---- Name matching ------------------------------------------------------ */
+ok(M.matchUnitWeapon('ISMediumLaser')?.name === 'Medium Laser', 'IS prefix and run-together names');
+ok(M.matchUnitWeapon('CLERLargeLaser')?.name === 'ER Large Laser', 'Clan prefix');
+ok(M.matchUnitWeapon('LRM-20 (R)')?.name === 'LRM 20', 'punctuation and tags ignored');
+ok(M.matchUnitWeapon('Autocannon/20')?.name === 'AC/20', 'long autocannon names');
+ok(M.matchUnitWeapon('ISBASRM4')?.name === 'SRM 4', 'battle armor prefix');
+ok(M.matchUnitWeapon('CASE') === null, 'equipment is not a weapon');
+ok(M.matchUnitAmmo('IS Ammo AC/20')?.weapon.name === 'AC/20', 'IS Ammo <weapon>');
+ok(M.matchUnitAmmo('ISLRM20 Ammo')?.weapon.name === 'LRM 20', '<weapon> Ammo');
+ok(M.matchUnitAmmo('IS Ammo MG - Half')?.half, 'half-ton machine gun ammo');
+ok(M.matchUnitAmmo('ISMediumLaser') === null, 'a weapon is not ammo');
+ok(M.megaMekTechBase('Inner Sphere') === 'IS' && M.megaMekTechBase('Clan') === 'Clan' && M.megaMekTechBase('Mixed (IS Chassis)') === 'Mixed', 'tech bases');
+
+/* ---- MTF ---------------------------------------------------------------- */
+{
+  const mtf = `Version:1.0
+Hunchback
+HBK-4G
+
+Config:Biped
+techbase:Inner Sphere
+era:2572
+rules level:1
+
+mass:50
+engine:200 Fusion Engine
+structure:Standard
+myomer:Standard
+
+heat sinks:13 Single
+walk mp:4
+jump mp:0
+
+armor:Standard(Inner Sphere)
+LA armor:16
+RA armor:16
+LT armor:20
+RT armor:20
+CT armor:26
+HD armor:9
+LL armor:20
+RL armor:20
+RTL armor:4
+RTR armor:4
+RTC armor:5
+
+Weapons:4
+AC/20, Right Torso
+Medium Laser, Left Arm
+Medium Laser (R), Center Torso
+Small Laser, Head
+
+Left Arm:
+Shoulder
+Upper Arm Actuator
+Lower Arm Actuator
+Hand Actuator
+ISMediumLaser
+-Empty-
+
+Right Torso:
+ISAC20
+ISAC20
+IS Ammo AC/20
+IS Ammo AC/20
+-Empty-
+`;
+  const parsed = M.parseMtf(mtf);
+  ok(parsed.chassis === 'Hunchback' && parsed.model === 'HBK-4G', 'chassis and model from the bare lines');
+  ok(parsed.armor.ctr === 5 && parsed.armor.ltr === 4 && parsed.armor.hd === 9, 'armor codes, rear torso included');
+  ok(parsed.weapons.length === 4, 'weapons list read by count');
+  ok(parsed.crits.rt.length === 5 && parsed.crits.la[4] === 'ISMediumLaser', 'critical-slot lists by location');
+
+  const data = M.mtfToActorData(parsed, { makeId });
+  const sys = data.system;
+  ok(data.type === 'mech' && data.name === 'Hunchback HBK-4G', 'a mech named chassis + model');
+  ok(sys.tonnage === 50 && sys.engine.rating === 200 && sys.engine.type === 'Fusion', 'tonnage and engine');
+  ok(sys.movement.walk === 4 && sys.heatSinks.count === 13 && sys.heatSinks.type === 'single', 'movement and heat sinks');
+  ok(sys.armor.ct.value === 26 && sys.armor.ct.max === 26, 'armor imported at full');
+  ok(sys.structure.ct.value === 16, 'structure full for the tonnage');
+  ok(sys.weapons.length === 4 && sys.weapons[0].location === 'rt' && sys.weapons[0].damage === 20, 'weapons placed with catalog stats');
+  ok(sys.weapons.find(w => w.location === 'ct').rear, 'rear-mounted weapons');
+  ok(sys.ammo.length === 1 && sys.ammo[0].name === 'AC/20 Ammo' && sys.ammo[0].shots === 10, 'two tons pool into one bin');
+  ok(sys.crits.la[4].name === 'Medium Laser' && sys.crits.la[5].name === '', 'critical slots filled in');
+  ok(sys.crits.ct[0].name === 'Fusion Engine', 'unlisted locations keep their fixed slots');
+  ok(data.warnings.length === 0, 'nothing to warn about');
+}
+
+/* ---- BLK ---------------------------------------------------------------- */
+{
+  const tank = `<BlockVersion>
+1
+</BlockVersion>
+<UnitType>
+Tank
+</UnitType>
+<Name>
+Demolisher Heavy Tank
+</Name>
+<Model>
+(Standard)
+</Model>
+<type>
+IS Level 1
+</type>
+<motion_type>
+Tracked
+</motion_type>
+<cruiseMP>
+3
+</cruiseMP>
+<engine_type>
+0
+</engine_type>
+<armor>
+40
+32
+32
+26
+36
+</armor>
+<Front Equipment>
+</Front Equipment>
+<Turret Equipment>
+ISAC20
+ISAC20
+</Turret Equipment>
+<Body Equipment>
+IS Ammo AC/20
+IS Ammo AC/20
+IS Ammo AC/20
+</Body Equipment>
+<tonnage>
+80.0
+</tonnage>`;
+  const data = M.megaMekToActorData(tank, 'Demolisher.blk', { makeId });
+  const sys = data.system;
+  ok(data.type === 'ground_vehicle' && sys.motiveType === 'tracked', 'a tracked ground vehicle');
+  ok(sys.armor.front.value === 40 && sys.armor.right.value === 32 && sys.armor.back.value === 26 && sys.armor.turret.value === 36, 'MegaMek armor order');
+  ok(sys.turret.mounted && sys.structure.turret.value === 8, 'turret mounted with its structure');
+  ok(sys.engine.type === 'ICE' && sys.engine.rating === 240, 'engine type and rating');
+  ok(sys.weapons.length === 2 && sys.weapons.every(w => w.location === 'turret'), 'turret weapons');
+  ok(sys.ammo[0].shots === 15, 'body ammunition');
+
+  const fighter = M.blkToActorData(M.parseBlk(`<UnitType>
+Aero
+</UnitType>
+<Name>
+Stuka
+</Name>
+<Model>
+STU-K5
+</Model>
+<type>
+IS Level 1
+</type>
+<SafeThrust>
+5
+</SafeThrust>
+<heatsinks>
+20
+</heatsinks>
+<sink_type>
+1
+</sink_type>
+<fuel>
+400
+</fuel>
+<armor>
+34
+29
+29
+24
+</armor>
+<Nose Equipment>
+ISLargeLaser
+</Nose Equipment>
+<Fuselage Equipment>
+ISLRM20 Ammo
+</Fuselage Equipment>
+<tonnage>
+100.0
+</tonnage>`), { makeId });
+  ok(fighter.type === 'aerospace_fighter' && fighter.system.movement.safeThrust === 5, 'an aerospace fighter');
+  ok(fighter.system.armor.nose.value === 34 && fighter.system.armor.aft.value === 24, 'fighter arcs');
+  ok(fighter.system.heatSinks.type === 'double' && fighter.system.fuel.max === 400, 'heat sinks and fuel');
+  ok(fighter.system.structure.si.value === 10 && fighter.system.engine.rating === 300, 'SI and engine rating');
+
+  const ba = M.blkToActorData(M.parseBlk(`<UnitType>
+BattleArmor
+</UnitType>
+<Name>
+Elemental
+</Name>
+<type>
+Clan Level 2
+</type>
+<weightclass>
+2
+</weightclass>
+<motion_type>
+Jump
+</motion_type>
+<cruiseMP>
+1
+</cruiseMP>
+<jumpingMP>
+3
+</jumpingMP>
+<armor>
+10
+</armor>
+<Trooper Count>
+5
+</Trooper Count>
+<Squad Equipment>
+CLERSmallLaser:RA
+BABattleClaw:LA
+CLSRM2:Body
+</Squad Equipment>`), { makeId });
+  ok(ba.type === 'battle_armor' && ba.system.techBase === 'Clan' && ba.system.weightClass === 'medium', 'a Clan medium squad');
+  ok(ba.system.troopers.length === 5 && ba.system.troopers[0].armor.max === 10, 'troopers armored per suit');
+  ok(ba.system.manipulators.left === 'battleClaw' && ba.system.manipulators.right === 'none', 'manipulators by arm');
+  ok(ba.system.movement.type === 'jump' && ba.system.movement.mp === 3, 'jump movement');
+  ok(ba.system.weapons.length === 2 && ba.system.weapons[0].location === 'ra', 'weapons by mount');
+
+  let threw = false;
+  try { M.blkToActorData(M.parseBlk('<UnitType>\nWarship\n</UnitType>')); } catch (e) { threw = true; }
+  ok(threw, 'unsupported unit types are refused');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll megamek-import checks passed.');
@@ -0,0 +1,81 @@
+/**
+ * melee-maneuvers.test.mjs
+ * ------------------------
+ * Dependency-free regression checks for melee maneuvers: which are open to
+ * whom, how an opposed result reads for each, what a win changes and the
+ * modifiers holds put on attacks. Runnable with plain Node:
+ *
+ *   node tests/melee-maneuvers.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as M from '../module/helpers/melee-maneuvers.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+const A = { uuid: 'Actor.a', name: 'Alice' };
+const B = { uuid: 'Actor.b', name: 'Boris' };
+
+/* ---- Availability ------------------------------------------------------- */
+{
+  const free = M.blankGrapple();
+  ok(['strike', 'grapple', 'disarm', 'trip'].every(k => M.maneuverAvailable(k, free, B.uuid)), 'a free character can strike, grapple, disarm and trip');
+  ok(!M.maneuverAvailable('pin', free, B.uuid) && !M.maneuverAvailable('throw', free, B.uuid), 'pin and throw need a hold first');
+  ok(!M.maneuverAvailable('escape', free, B.uuid), 'nothing to break free of');
+
+  const holding = { state: 'grappling', partner: B.uuid, partnerName: 'Boris' };
+  ok(M.maneuverAvailable('pin', holding, B.uuid) && M.maneuverAvailable('throw', holding, B.uuid), 'pin and throw the one you hold');
+  ok(!M.maneuverAvailable('pin', holding, 'Actor.c'), 'but not anyone else');
+
+  const pinned = { state: 'pinned', partner: A.uuid, partnerName: 'Alice' };
+  ok(M.maneuverAvailable('escape', pinned, A.uuid), 'a pinned character can break free');
+  ok(!M.maneuverAvailable('strike', pinned, A.uuid) && !M.maneuverAvailable('grapple', pinned, A.uuid), 'and do nothing else');
+  ok(!M.maneuverAvailable('kick', free, B.uuid), 'unknown maneuver rejected');
+}
+
+/* ---- Resolution --------------------------------------------------------- */
+{
+  const hit = { outcome: 'attacker_hits', description: 'Attacker lands the blow!' };
+  const counter = { outcome: 'counterstrike', description: 'Defender counterstrikes!' };
+  const choice = { outcome: 'defender_choice', description: 'Defender has the advantage' };
+
+  const strike = M.resolveManeuver('strike', 'strike', hit);
+  ok(strike.winner === 'attacker' && strike.damage && strike.description === hit.description, 'a strike reads as before');
+  ok(M.resolveManeuver('strike', 'strike', choice).defenderChoice, 'block or trade blows against a strike');
+
+  const grab = M.resolveManeuver('grapple', 'strike', hit);
+  ok(grab.winner === 'attacker' && grab.maneuver === 'grapple' && !grab.damage, 'a won grapple deals no damage');
+  ok(M.resolveManeuver('throw', 'strike', hit).damage, 'a throw does');
+  const slip = M.resolveManeuver('grapple', 'strike', choice);
+  ok(!slip.winner && !slip.defenderChoice, 'a better defense slips a maneuver');
+
+  const trip = M.resolveManeuver('grapple', 'trip', counter);
+  ok(trip.winner === 'defender' && trip.maneuver === 'trip' && !trip.damage, 'defender counters with their own maneuver');
+  ok(M.resolveManeuver('strike', 'bogus', counter).maneuver === 'strike', 'unknown counter falls back to a strike');
+  ok(!M.resolveManeuver('strike', 'none', counter).winner, 'a defender with no counter just holds them off');
+}
+
+/* ---- Effects and modifiers ---------------------------------------------- */
+{
+  const grab = M.maneuverChanges('grapple', A, B);
+  ok(grab.by.state === 'grappling' && grab.by.partner === B.uuid && grab.on.state === 'grappled' && grab.on.partnerName === 'Alice', 'grapple links both sides');
+  ok(M.maneuverChanges('pin', A, B).on.state === 'pinned', 'pin');
+  const thrown = M.maneuverChanges('throw', A, B);
+  ok(thrown.prone && thrown.by.state === 'none' && thrown.on.state === 'none', 'a throw knocks prone and ends the hold');
+  ok(M.maneuverChanges('trip', A, B).prone && M.maneuverChanges('disarm', A, B).disarm, 'trip and disarm');
+  ok(M.maneuverChanges('escape', B, A).on.state === 'none', 'breaking free clears the hold');
+
+  const held = { state: 'grappled', partner: A.uuid };
+  ok(M.grappleAttackMod(held, 'Actor.c') === -2 && M.grappleAttackMod(held, A.uuid) === 0, 'held: penalty except against the holder');
+  ok(M.grappleAttackMod({ state: 'pinned', partner: A.uuid }, A.uuid) === null, 'pinned: no attacks');
+  ok(M.grappleAttackMod(undefined) === 0 && M.grappleDefenseMod(undefined) === 0, 'no hold, no modifier');
+  ok(M.grappleDefenseMod({ state: 'pinned' }) === 2, 'pinned targets are easier to hit');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll melee-maneuvers checks passed.');
@@ -0,0 +1,51 @@
+/**
+ * overwatch-helper.test.mjs
+ * -------------------------
+ * Dependency-free regression checks for overwatch: who counts as hostile
+ * and which moves spring a held attack. Runnable with plain Node:
+ *
+ *   node tests/overwatch-helper.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import { SIDES, isHostile, overwatchSpent, overwatchTriggered } from '../module/helpers/overwatch-helper.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+const friend = { id: 'f', disposition: SIDES.FRIENDLY };
+const foe = { id: 'h', disposition: SIDES.HOSTILE };
+const neutral = { id: 'n', disposition: 0 };
+const secret = { id: 's', disposition: -2 };
+
+/* ---- Sides -------------------------------------------------------------- */
+ok(isHostile(friend, foe) && isHostile(foe, friend), 'friendly and hostile are at odds, either way round');
+ok(!isHostile(friend, { ...friend, id: 'g' }) && !isHostile(foe, { ...foe, id: 'i' }), 'no one fights their own side');
+ok(!isHostile(friend, neutral) && !isHostile(foe, neutral) && !isHostile(friend, secret), 'neutral and secret tokens are no one\'s enemy');
+
+/* ---- Springing an overwatch --------------------------------------------- */
+{
+  const watch = { tokenId: 'f', weaponId: 'w' };
+  ok(overwatchTriggered(watch, friend, foe, false, true), 'a hostile stepping in springs it');
+  ok(!overwatchTriggered(watch, friend, foe, true, true), 'one already inside moving about does not');
+  ok(!overwatchTriggered(watch, friend, foe, true, false) && !overwatchTriggered(watch, friend, foe, false, false), 'leaving or passing outside does not');
+  ok(!overwatchTriggered(watch, friend, { ...friend, id: 'g' }, false, true), 'an ally walking in does not');
+  ok(!overwatchTriggered(watch, friend, neutral, false, true), 'nor a neutral');
+  ok(!overwatchTriggered(watch, friend, friend, false, true), 'the watcher can\'t spring their own');
+  ok(!overwatchTriggered(watch, null, foe, false, true), 'no watcher on the scene, no shot');
+}
+
+/* ---- Spent -------------------------------------------------------------- */
+{
+  const watch = { tokenId: 'f', weaponId: 'w' };
+  ok(!overwatchSpent(watch), 'a held attack is ready');
+  ok(overwatchSpent({ ...watch, spent: true }) && overwatchSpent(null), 'taken, or gone with its area');
+  ok(!overwatchTriggered({ ...watch, spent: true }, friend, foe, false, true), 'a spent overwatch stays spent');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll overwatch checks passed.');
@@ -0,0 +1,80 @@
+/**
+ * prosthetics.test.mjs
+ * --------------------
+ * Dependency-free regression checks for prosthetics: which slot one fits,
+ * how hard it is to fit, the limb wounds it replaces and when an installed
+ * one stops working. Runnable with plain Node:
+ *
+ *   node tests/prosthetics.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as P from '../module/helpers/prosthetics.mjs';
+import { setCustomWoundTypes } from '../module/helpers/wounds.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+const DAY = 86400;
+
+/* ---- Slots and fitting -------------------------------------------------- */
+{
+  ok(P.slotFromName('Type 3: Standard Prosthetic (Leg/Foot)') === 'leg', 'a leg');
+  ok(P.slotFromName('Type 4: Bionic Eye Replacement') === 'eye' && P.slotFromName('Type 1: Acoustic Aid (Ear)') === 'ear', 'eyes and ears');
+  ok(P.slotFromName('Type 3: Bionic Organ (Artificial Heart)') === 'organ', 'an organ');
+  ok(P.slotFromName('Elective Myomer Implant (Feet, Both)') === 'foot', 'both feet');
+  ok(P.slotFromName('Enhanced Imaging (EI) Neural Implant') === '', 'nothing in the name');
+
+  ok(P.installKind('Grafted; negates the related Lost Limb Trait') === 'grafted', 'grafted');
+  ok(P.installKind('Removable with Surgery; reduces heart-related Handicap Trait') === 'surgical', 'removable with surgery');
+  ok(P.installKind('Removable; BAR 2/2/1/2; STR -2') === 'removable', 'removable');
+  ok(P.INSTALL_MODS.grafted < P.INSTALL_MODS.surgical && P.INSTALL_MODS.surgical < P.INSTALL_MODS.removable, 'grafts are hardest to fit');
+
+  const arms = [{ bodyLocation: 'arm' }, { bodyLocation: 'arm' }];
+  ok(!P.slotFree(arms, 'arm') && P.slotFree(arms, 'leg'), 'two arms to a body');
+  ok(!P.slotFree([], 'tail'), 'no such slot');
+}
+
+/* ---- Wounds ------------------------------------------------------------- */
+{
+  const wounds = [
+    { type: 'nerveDamage', location: 'arms' },
+    { type: 'concussion', location: 'head' },
+    { type: 'nerveDamage', location: 'legs' },
+    { type: 'nerveDamage', location: 'arms' },
+    { type: 'severeStrain', location: 'arms' }
+  ];
+  ok(P.replacedWounds(wounds, 'arm').join() === '3,0', 'limb wounds at that location, highest index first');
+  ok(P.replacedWounds(wounds, 'foot').join() === '2', 'a foot takes the leg wound');
+  ok(P.replacedWounds(wounds, 'eye').length === 0, 'an eye replaces no limb');
+
+  setCustomWoundTypes({ shatteredLimb: { label: 'Shattered Limb', limb: true }, burn: { label: 'Burn' } });
+  const homebrew = [...wounds, { type: 'shatteredLimb', location: 'arms' }, { type: 'burn', location: 'arms' }];
+  ok(P.replacedWounds(homebrew, 'arm').join() === '5,3,0', 'a homebrew limb wound goes with the arm; others stay');
+  setCustomWoundTypes({});
+}
+
+/* ---- Working order ------------------------------------------------------ */
+{
+  const fitted = { installed: true, lastServiced: 10 * DAY, powerUse: 2, power: { value: 10, max: 10 }, maintenanceInterval: 30 };
+  ok(P.prostheticFault(fitted, 12 * DAY) === null, 'installed and working');
+  ok(P.prostheticFault({ ...fitted, installed: false }, 12 * DAY) === 'uninstalled', 'carried is not installed');
+  ok(P.prostheticFault({ ...fitted, damaged: true }, 12 * DAY) === 'damaged', 'damaged');
+  ok(P.prostheticFault({ ...fitted, empRounds: 3 }, 12 * DAY) === 'emp', 'knocked out by an EMP');
+
+  ok(P.powerLeft(fitted, 12 * DAY) === 6 && P.powerLeft(fitted, 12 * DAY - 1) === 8, 'power drawn by the whole day');
+  ok(P.powerLeft(fitted, 16 * DAY) === 0 && P.prostheticFault(fitted, 16 * DAY) === 'unpowered', 'flat');
+  ok(P.powerLeft({ ...fitted, powerUse: 0 }, 99 * DAY) === null, 'needs no power');
+
+  const passive = { ...fitted, powerUse: 0 };
+  ok(!P.maintenanceOverdue(passive, 40 * DAY) && P.maintenanceOverdue(passive, 41 * DAY), 'overdue after the interval');
+  ok(P.prostheticFault(passive, 41 * DAY) === 'maintenance', 'stops when overdue');
+  ok(!P.maintenanceOverdue({ ...passive, maintenanceInterval: 0 }, 999 * DAY), 'no maintenance needed');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll prosthetics checks passed.');
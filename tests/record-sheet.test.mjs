@@ -0,0 +1,127 @@
+/**
+ * record-sheet.test.mjs
+ * ---------------------
+ * Dependency-free regression checks for the printable record sheet's data:
+ * armor pips, the heat scale and each unit type's layout. Runnable with
+ * plain Node:
+ *
+ *   node tests/record-sheet.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as R from '../module/helpers/record-sheet.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Pips and heat ------------------------------------------------------ */
+{
+  const p = R.pips(7, 10);
+  ok(p.length === 10 && p.filter(x => x.lost).length === 3, 'one pip per point, damage crossed off');
+  ok(p[0].lost && !p[9].lost, 'lost pips come first');
+  ok(R.pips(12, 10).every(x => !x.lost) && R.pips(-2, 4).every(x => x.lost), 'value clamped to the track');
+  ok(R.pips(0, 0).length === 0, 'no track, no pips');
+
+  const rows = R.heatScaleRows(14);
+  ok(rows.length === 31 && rows[0].heat === 30 && rows[30].heat === 0, 'heat scale 30 down to 0');
+  ok(rows.find(r => r.current).heat === 14, 'current heat marked');
+  ok(rows.find(r => r.heat === 14).effects[0] === 'Shutdown, avoid on 4+', 'shutdown rows');
+  ok(rows.find(r => r.heat === 30).effects[0] === 'Shutdown', 'automatic shutdown');
+  ok(rows.find(r => r.heat === 5).effects[0] === '−1 Movement Points', 'movement rows');
+  ok(R.heatScaleRows(0, { effects: false }).every(r => !r.effects.length), 'bare heat track');
+}
+
+/* ---- Unit layouts ------------------------------------------------------- */
+{
+  const mech = {
+    type: 'mech', name: 'Hunchback',
+    system: {
+      chassis: 'Hunchback', model: 'HBK-4G', techBase: 'IS', tonnage: 50,
+      engine: { type: 'Fusion', rating: 200 }, movement: { walk: 4, run: 6, jump: 0 },
+      heatSinks: { count: 13, type: 'single' }, heatDissipation: 13, heat: { value: 5 },
+      crew: { gunnery: 4, piloting: 5 },
+      armor: { ct: { value: 20, max: 26 }, ctr: { value: 5, max: 5 } },
+      structure: { ct: { value: 16, max: 16 } },
+      crits: { hd: [{ name: 'Life Support', hit: true }, { name: '', hit: false }] },
+      weapons: [
+        { name: 'AC/20', location: 'rt', heat: 7, damage: 20, rack: 0, min: 3, short: 3, medium: 6, long: 9 },
+        { name: 'Medium Laser', location: 'ct', rear: true, out: 'destroyed', heat: 3, damage: 5 }
+      ],
+      ammo: [{ name: 'AC/20 Ammo', location: 'rt', shots: 4, maxShots: 5 }]
+    }
+  };
+  const r = R.recordSheetData(mech);
+  ok(r.title === 'BattleMech Record Sheet' && r.subtitle === 'Hunchback HBK-4G', 'title and chassis');
+  const ct = r.locations.find(l => l.abbr === 'CT');
+  ok(r.locations.length === 8 && ct.armor.pips.filter(p => p.lost).length === 6, 'armor diagram per location');
+  ok(ct.rear.max === 5 && ct.structure.max === 16, 'rear armor and structure on the torso');
+  ok(!r.locations.find(l => l.abbr === 'LA').rear, 'no rear armor on the arms');
+  ok(r.weapons.rows[0].cells[0] === 'RT' && r.weapons.rows[0].cells[3] === '—', 'location abbreviation, empty rack');
+  ok(r.weapons.rows[1].cells[0] === 'CT (R)' && r.weapons.rows[1].out === 'destroyed', 'rear and destroyed weapons');
+  ok(r.ammo[0].pips.length === 5 && r.ammo[0].value === 4, 'ammo shots as pips');
+  ok(r.crits[0].slots[0].hit && r.crits[0].slots[1].name === 'Roll Again', 'critical slots');
+  ok(r.heat.sinks === '13 Single' && r.heat.rows.find(x => x.current).heat === 5, 'heat data');
+  ok(r.crew.find(c => c.label === 'Gunnery Skill').value === 4, 'crew skills from the sheet');
+
+  const tank = R.recordSheetData({
+    type: 'ground_vehicle', name: 'Demolisher',
+    system: {
+      motiveType: 'tracked', turret: { mounted: false }, movement: { cruise: 3, flank: 5 },
+      armor: { front: { value: 40, max: 40 } }, structure: { front: { value: 8, max: 8 } },
+      status: { sensorHits: 2, driverHit: true, stabilizers: ['front'] }, motive: { mpLost: 1 }
+    }
+  });
+  ok(tank.locations.map(l => l.abbr).join() === 'FR,LS,RS,RR', 'no turret or rotor unless mounted');
+  ok(tank.checks.find(c => c.label === 'Driver Hit (+2)').marked && tank.checks.find(c => c.label === 'Sensor Hit 2').marked, 'critical damage boxes');
+  ok(!tank.checks.find(c => c.label === 'Sensor Hit 3').marked, 'unmarked boxes');
+  ok(tank.checks.find(c => c.label === 'Stabilizers').value === 'FR' && !tank.checks.find(c => c.label === 'Motive: MP Lost').box, 'values are not boxes');
+  ok(tank.crew.some(c => c.label === 'Driving Skill'), 'vehicles drive');
+
+  const fighter = R.recordSheetData({
+    type: 'aerospace_fighter', name: 'Stuka',
+    system: {
+      mode: 'atmospheric', heatSinks: { count: 20, type: 'double' }, heat: { value: 3 },
+      armor: { nose: { value: 30, max: 34 } }, structure: { si: { value: 10, max: 10 } },
+      track: { t1: { thrust: 5, velocity: 5, altitude: 3 } }, bombs: [{ type: 'he', count: 4 }]
+    }
+  });
+  ok(fighter.locations.length === 5 && fighter.locations[4].structure.max === 10, 'arcs and structural integrity');
+  ok(fighter.track.rows.length === 3 && fighter.track.rows[2].cells[0] === 3, 'altitude tracked in atmosphere');
+  ok(fighter.track.turns.length === 10 && fighter.track.rows[0].cells[1] === '', 'ten turns, blanks unflown');
+  ok(fighter.bombs[0].label === 'High-Explosive' && fighter.bombs[0].value === 4, 'bomb load');
+  ok(fighter.heat.rows.every(x => !x.effects.length), 'fighters print a bare heat track');
+
+  const ba = R.recordSheetData({
+    type: 'battle_armor', name: 'Elementals',
+    system: {
+      weightClass: 'medium', movement: { ground: 1, type: 'jump', mp: 3 },
+      troopers: [{ name: 'Alpha', armor: { value: 10, max: 10 } }, { name: '', armor: { value: 0, max: 10 }, killed: true }],
+      weapons: [{ name: 'SRM 2', location: 'body' }]
+    }
+  });
+  ok(ba.locationsTitle === 'Troopers' && ba.locations[1].label === 'Trooper 2' && ba.locations[1].killed, 'a pip track per trooper');
+  ok(ba.weapons.rows[0].cells[0] === 'Body' && !ba.heat, 'mounts, and no heat scale');
+
+  const ship = R.recordSheetData({
+    type: 'naval_ship', name: 'Union',
+    system: {
+      vessel: { class: 'Union', role: 'Carrier' }, armor: { nose: { value: 100, max: 120 } },
+      movement: { safeThrust: 3, maxThrust: 5 }, track: { t2: { thrust: 3, velocity: 6 } },
+      weapons: [{ name: 'PPC Bay', heat: 10, arc: 'Nose', short: 10, medium: 10, long: 0, ext: 0 }]
+    }
+  });
+  ok(ship.title === 'Dropship Record Sheet' && ship.locations.map(l => l.label).join() === 'Nose,Aft,Left,Right', 'dropship arcs');
+  ok(ship.facts.find(f => f.label === 'Max Thrust').value === 5, 'movement and vitals');
+  ok(ship.weapons.columns[0] === 'Weapon Bay' && ship.weapons.rows[0].cells[1] === 'Nose', 'weapons bay table');
+  ok(ship.critTable.length === 5 && ship.critTable[0].cells[1] === 'KF Boom', 'critical-hit reference');
+  ok(ship.track.rows[1].cells[1] === 6, 'thrust / velocity track');
+
+  ok(R.recordSheetData({ type: 'character', system: {} }) === null, 'characters have no record sheet');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll record-sheet checks passed.');
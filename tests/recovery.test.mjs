@@ -0,0 +1,42 @@
+/**
+ * recovery.test.mjs
+ * -----------------
+ * Dependency-free regression checks for downtime recovery: fatigue by the
+ * hour, standard damage by the day and how often wounds get a check.
+ * Runnable with plain Node:
+ *
+ *   node tests/recovery.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as R from '../module/helpers/recovery.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Fatigue ------------------------------------------------------------ */
+ok(R.fatigueRecovered(4, 2, 10) === 8, 'BOD points an hour');
+ok(R.fatigueRecovered(4, 5, 10) === 10 && R.fatigueRecovered(4, 1.5, 10) === 4, 'never more than there is; whole hours only');
+ok(R.fatigueRecovered(1, R.HOURS_PER_DAY, 12) === 12, 'a full day clears it');
+ok(R.fatigueRecovered(5, 3, 0) === 0, 'nothing to recover');
+
+/* ---- Checks and damage -------------------------------------------------- */
+ok(R.recoveryCheckMod(5, 'none') === 5 && R.recoveryCheckMod(5, 'hospital', 1) === 8, 'BOD + care + kit bonus');
+ok(R.recoveryCheckMod(5, 'bogus') === 5, 'unknown care adds nothing');
+ok(R.dailyDamageHealed('none', false) === 1 && R.dailyDamageHealed('none', true) === 2, 'a passed check doubles the day');
+ok(R.dailyDamageHealed('hospital', false) === 2 && R.dailyDamageHealed('hospital', true) === 4, 'hospital heals faster');
+
+/* ---- Wounds ------------------------------------------------------------- */
+{
+  const field = R.CARE_LEVELS.field.woundInterval;
+  ok(R.woundChecks(field * 2 + 1, 'field').checks === 2 && R.woundChecks(field * 2 + 1, 'field').carried === 1, 'a check per interval, the rest carried');
+  ok(R.woundChecks(R.CARE_LEVELS.none.woundInterval - 1, 'none').checks === 0, 'too short a rest for a check');
+  ok(R.CARE_LEVELS.hospital.woundInterval < field && field < R.CARE_LEVELS.none.woundInterval, 'better care, more frequent checks');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll recovery checks passed.');
@@ -0,0 +1,50 @@
+/**
+ * split-fire.test.mjs
+ * -------------------
+ * Dependency-free regression checks for split fire: sharing a burst's rounds
+ * out between several targets and the secondary-target penalty. Runnable
+ * with plain Node:
+ *
+ *   node tests/split-fire.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as S from '../module/helpers/split-fire.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+const sum = a => a.reduce((s, n) => s + n, 0);
+
+/* ---- Allocation --------------------------------------------------------- */
+{
+  ok(S.allocateShots(7, 3).join() === '3,2,2', 'even split, remainder to the primary first');
+  ok(S.allocateShots(6, 3).join() === '2,2,2', 'exact split');
+  ok(S.allocateShots(2, 3) === null, 'too few rounds to reach every target');
+  ok(S.allocateShots(5, 0) === null, 'no targets');
+
+  ok(S.allocateShots(6, 2, [4, 2]).join() === '4,2', 'requested counts honored');
+  ok(S.allocateShots(6, 2, [1, 1]).join() === '5,1', 'leftover rounds go to the primary');
+  ok(S.allocateShots(5, 3, [5, 5, 5]).join() === '3,1,1', 'later targets keep one round each');
+  ok(S.allocateShots(5, 3, [0, 4, 0]).join() === '1,3,1', 'a target asked to take none still gets one');
+  ok([[10, 4, [3]], [9, 3, [0, 0, 9]], [4, 2, [-2, 7]]].every(([t, c, r]) => sum(S.allocateShots(t, c, r)) === t), 'every round is fired');
+}
+
+/* ---- Plans -------------------------------------------------------------- */
+{
+  ok(S.secondaryTargetMod(0) === 0 && S.secondaryTargetMod(1) === S.SECONDARY_TARGET_MOD && S.secondaryTargetMod(3) === S.SECONDARY_TARGET_MOD, 'penalty on every target after the primary');
+
+  const burst = S.planSplitFire(3, 8);
+  ok(burst.map(p => p.shots).join() === '3,3,2' && burst.map(p => p.mod).join() === `0,${S.SECONDARY_TARGET_MOD},${S.SECONDARY_TARGET_MOD}`, 'burst plan: rounds and penalties');
+  ok(S.planSplitFire(3, 2) === null, 'a burst too small to split');
+
+  const separate = S.planSplitFire(2, null);
+  ok(separate.length === 2 && separate.every(p => p.shots === null) && separate[1].index === 1, 'separate attacks carry no round count');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll split-fire checks passed.');
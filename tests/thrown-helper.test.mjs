@@ -0,0 +1,40 @@
+/**
+ * thrown-helper.test.mjs
+ * ----------------------
+ * Dependency-free regression checks for thrown weapons: which weapons are
+ * thrown and the range bands a throw reaches from STR, DEX and mass.
+ * Runnable with plain Node:
+ *
+ *   node tests/thrown-helper.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import { THROW_BANDS, isThrownWeapon, throwRanges } from '../module/helpers/thrown-helper.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Thrown weapons ----------------------------------------------------- */
+ok(isThrownWeapon({ skill: 'Thrown Weapons', weaponType: 'archaic' }), 'Thrown Weapons skill');
+ok(isThrownWeapon({ skill: 'Thrown Weapons/Blade' }), 'a Thrown Weapons specialty');
+ok(isThrownWeapon({ weaponType: 'thrown', skill: '' }), 'thrown weapon type');
+ok(!isThrownWeapon({ skill: 'Small Arms', weaponType: 'smallarms' }) && !isThrownWeapon(null), 'guns are fired');
+ok(!isThrownWeapon({ skill: 'Melee Weapons', weaponType: 'melee' }), 'melee weapons are swung unless thrown on purpose');
+
+/* ---- Range bands -------------------------------------------------------- */
+{
+  const knife = throwRanges(5, 6, 0.25);
+  ok(knife.short === 11 && knife.medium === 22 && knife.long === 33 && knife.extreme === 44, 'STR + DEX meters per band');
+  ok(knife.pointBlank === 0, 'no point-blank band');
+  ok(throwRanges(5, 6, 0.6, true).short === 5, 'grenades go STR meters per band');
+  ok(throwRanges(5, 6, 5).short === 7 && throwRanges(5, 6, 1.9).short === 11, 'a meter less per full kg over the first');
+  ok(throwRanges(2, 0, 40, true).short === 1, 'never under a meter');
+  ok(Object.keys(THROW_BANDS).every(k => throwRanges(4, 4, 0)[k] === 8 * THROW_BANDS[k]), 'bands scale by multiplier');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll thrown-helper checks passed.');
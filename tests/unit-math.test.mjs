@@ -0,0 +1,226 @@
+/**
+ * unit-math.test.mjs
+ * ------------------
+ * Dependency-free regression checks for the Classic BattleTech record-sheet
+ * math shared by the unit actors. Runnable with plain Node:
+ *
+ *   node tests/unit-math.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as U from '../module/helpers/unit-math.mjs';
+import { MECH_LOCATIONS, unitWeaponDef } from '../module/data/battletech.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Internal structure / armor caps ----------------------------------- */
+{
+  const is = U.mechStructureFor(100);
+  ok(is.hd === 3 && is.ct === 31 && is.lt === 21 && is.la === 17 && is.rl === 21, '100-ton structure matches TW table');
+  const med = U.mechStructureFor(50);
+  ok(med.ct === 16 && med.rt === 12 && med.ra === 8 && med.ll === 12, '50-ton structure matches TW table');
+  ok(U.structureTonnage(52) === 50 && U.structureTonnage(5) === 10 && U.structureTonnage(130) === 100,
+    'tonnage snaps to the 5-ton table and clamps to 10–100');
+  ok(U.restructure(16, 16, 31) === 31 && U.restructure(31, 31, 16) === 16, 'an undamaged location fills to the new maximum');
+  ok(U.restructure(10, 16, 31) === 10 && U.restructure(20, 31, 16) === 16, 'battle damage kept, capped at the new maximum');
+  ok(U.restructure(0, 0, 9) === 9 && U.restructure(0, 16, 31) === 0, 'a new location fills; a destroyed one stays destroyed');
+  const cap = U.mechMaxArmor(100);
+  ok(cap.hd === 9 && cap.ct === 62 && cap.la === 34, 'max armor: 9 head, 2× structure elsewhere');
+}
+
+/* ---- Movement / heat sinks --------------------------------------------- */
+ok(U.runMP(4) === 6 && U.runMP(5) === 8 && U.runMP(3) === 5, 'running MP is walk × 1.5 rounded up');
+ok(U.heatDissipation(10) === 10 && U.heatDissipation(10, 'double') === 20, 'heat sink dissipation');
+
+/* ---- Critical slots ---------------------------------------------------- */
+{
+  const crits = U.blankMechCrits();
+  ok(MECH_LOCATIONS.every(l => crits[l.key].length === l.slots), 'every location has its slot count');
+  ok(crits.hd[2].name === 'Cockpit' && crits.hd[3].name === '', 'head slot 3 is the cockpit, slot 4 is free');
+  ok(crits.ct.filter(s => s.name === 'Gyro').length === 4, 'standard gyro fills four CT slots');
+}
+
+/* ---- Heat scale --------------------------------------------------------- */
+{
+  const cool = U.heatEffects(4);
+  ok(cool.movePenalty === 0 && cool.toHitPenalty === 0 && !cool.shutdown && !cool.ammo, 'heat 4 has no effects');
+  const warm = U.heatEffects(13);
+  ok(warm.movePenalty === 2 && warm.toHitPenalty === 2 && !warm.shutdown, 'heat 13: −2 MP, +2 to-hit');
+  const hot = U.heatEffects(19);
+  ok(hot.shutdown?.avoid === 6 && hot.ammo?.avoid === 4 && hot.movePenalty === 3, 'heat 19: shutdown 6+, ammo 4+');
+  ok(U.heatEffects(30).shutdown?.avoid === null && U.heatEffects(45).ammo?.avoid === 8, 'heat 30+ shuts down automatically');
+  ok(U.movementHeat('walk') === 1 && U.movementHeat('run') === 2 && U.movementHeat('stand') === 0, 'walk/run movement heat');
+  ok(U.movementHeat('jump', 2) === 3 && U.movementHeat('jump', 5) === 5, 'jump heat is 1/MP, minimum 3');
+  const phase = U.resolveHeat({ current: 4, weaponHeat: 13, moveHeat: 2, dissipation: 10 });
+  ok(phase.generated === 15 && phase.heat === 9, 'heat phase adds generated heat and dissipates');
+  ok(U.resolveHeat({ current: 2, dissipation: 10 }).heat === 0, 'heat never drops below zero');
+}
+
+/* ---- Unit-scale attacks ----------------------------------------------- */
+{
+  ok(U.totalWarfareSkill(3) === 4 && U.totalWarfareSkill(0) === 7 && U.totalWarfareSkill(9) === 0, 'ATOW level → TW skill rating');
+  ok(U.metersToHexes(31) === 2 && U.metersToHexes(30) === 1, 'meters round up to hexes');
+  ok(U.attackDirection(0) === 'front' && U.attackDirection(180) === 'rear'
+    && U.attackDirection(-90) === 'left' && U.attackDirection(90) === 'right', 'attack direction arcs');
+  const lrm = { min: 6, short: 7, medium: 14, long: 21 };
+  const close = U.unitRangeBracket(lrm, 4);
+  ok(close.bracket === 'short' && close.minimumMod === 3, 'minimum range adds (min − range + 1)');
+  ok(U.unitRangeBracket(lrm, 14).modifier === 2 && U.unitRangeBracket(lrm, 15).modifier === 4, 'medium +2, long +4');
+  ok(U.unitRangeBracket(lrm, 22).outOfRange, 'beyond long range is out of range');
+
+  ok(U.hitLocation('mech', 'front', 12).location === 'hd', 'mech front 12 is the head');
+  const tac = U.hitLocation('mech', 'front', 2);
+  ok(tac.location === 'ct' && tac.critical, 'mech 2 is a through-armor critical chance');
+  ok(U.hitLocation('mech', 'rear', 7).rear && !U.hitLocation('mech', 'rear', 3).rear, 'rear hits use rear armor on torsos only');
+  ok(U.hitLocation('ground_vehicle', 'front', 3).motive, 'vehicle motive hits flagged');
+  ok(U.hitLocation('ground_vehicle', 'rear', 10).location === 'back', 'no turret: turret hits strike the side attacked');
+  ok(U.hitLocation('ground_vehicle', 'front', 10, { hasTurret: true }).location === 'turret', 'turret hits with a turret');
+
+  ok(U.clusterHits(20, 7) === 12 && U.clusterHits(6, 2) === 2 && U.clusterHits(10, 12) === 10, 'cluster hits table');
+  ok(JSON.stringify(U.damageGroups({ name: 'LRM 15', damage: 1, rack: 15 }, 9)) === '[5,4]', 'LRM damage in 5-point clusters');
+  ok(JSON.stringify(U.damageGroups({ name: 'SRM 4', damage: 2, rack: 4 }, 3)) === '[2,2,2]', 'SRMs strike one missile at a time');
+  ok(JSON.stringify(U.damageGroups({ name: 'PPC', damage: 10 })) === '[10]', 'direct-fire weapons are one group');
+  ok(U.critCount(7) === 0 && U.critCount(8) === 1 && U.critCount(11) === 2 && U.critCount(12) === 3, 'determining critical hits');
+}
+
+/* ---- Damage allocation -------------------------------------------------- */
+{
+  const state = {
+    armor: { la: { value: 2 }, lt: { value: 3 }, ltr: { value: 4 }, ct: { value: 5 }, ctr: { value: 1 } },
+    structure: { la: { value: 4 }, lt: { value: 6 }, ct: { value: 8 } }
+  };
+  const r = U.allocateUnitDamage('mech', state, 'la', 20);
+  ok(r.steps.map(s => s.location).join() === 'la,lt,ct', 'arm damage transfers arm → side torso → CT');
+  ok(r.structure.lt.value === 0 && r.armor.ct.value === 0 && r.structure.ct.value === 8, 'armor before structure at each step');
+  ok(r.destroyed.join() === 'la,lt' && !r.unitDestroyed, 'arm and side torso destroyed, mech survives');
+  ok(state.armor.la.value === 2, 'allocation does not mutate its input');
+
+  const rear = U.allocateUnitDamage('mech', state, 'ct', 3, { rear: true });
+  ok(rear.armor.ctr.value === 0 && rear.structure.ct.value === 6 && rear.armor.ct.value === 5, 'rear hits strip rear armor, then structure');
+
+  const torso = U.allocateUnitDamage('mech', { armor: {}, structure: { lt: { value: 2 }, la: { value: 5 } } }, 'lt', 2);
+  ok(torso.destroyed.join() === 'lt,la' && torso.structure.la.value === 0, 'losing a side torso takes its arm');
+  ok(U.allocateUnitDamage('mech', { armor: {}, structure: { hd: { value: 3 } } }, 'hd', 5).unitDestroyed, 'head destroyed kills the mech');
+
+  const veh = U.allocateUnitDamage('ground_vehicle', { armor: { front: { value: 1 } }, structure: { front: { value: 2 } } }, 'front', 6);
+  ok(veh.unitDestroyed && veh.lost === 3, 'vehicle location destroyed, excess lost');
+  const ftr = U.allocateUnitDamage('aerospace_fighter', { armor: { nose: { value: 2 } }, structure: { si: { value: 5 } } }, 'nose', 4);
+  ok(ftr.structure.si.value === 3 && !ftr.unitDestroyed, 'fighter damage past armor reduces SI');
+}
+
+/* ---- Falls / ammo explosions ------------------------------------------- */
+ok(JSON.stringify(U.fallDamage(65)) === '[5,2]' && JSON.stringify(U.fallDamage(20, 1)) === '[4]', 'fall damage by tonnage and levels, 5-point groups');
+{
+  const boom = U.allocateUnitDamage('mech', { armor: { rt: { value: 20 } }, structure: { rt: { value: 10 }, ct: { value: 16 } } }, 'rt', 14, { internal: true });
+  ok(boom.armor.rt.value === 20 && boom.structure.rt.value === 0 && boom.structure.ct.value === 12, 'internal damage bypasses armor and transfers');
+}
+
+/* ---- Ground vehicles ---------------------------------------------------- */
+{
+  const is = U.vehicleStructureFor(55, { turret: true });
+  ok(is.front === 6 && is.back === 6 && is.turret === 6 && is.rotor === 0, 'vehicle structure is tonnage/10 rounded up, turret only if mounted');
+  ok(U.vehicleStructureFor(20, { rotor: true }).rotor === 2, 'VTOL rotor gets structure');
+
+  ok(U.motiveDamage(7, 'hover', 'left').total === 12 && U.motiveDamage(7, 'hover', 'left').result.key === 'major', 'hover side hit: +3 motive, +2 side → immobilized');
+  ok(U.motiveDamage(5, 'tracked', 'front').result.key === 'none', 'tracked front hit on 5: no effect');
+  ok(U.motiveDamage(8, 'vtol', 'front') === null, 'VTOLs take no motive damage');
+
+  let motive = U.applyMotiveDamage({}, U.motiveDamage(8, 'tracked', 'front').result);
+  motive = U.applyMotiveDamage(motive, U.motiveDamage(9, 'tracked', 'back').result);
+  ok(motive.mpLost === 1 && motive.halved === 1 && motive.drivingMod === 5 && !motive.immobilized, 'motive effects accumulate');
+  ok(U.vehicleCruiseMP(6, motive) === 2, 'cruise MP: −1 then halved');
+  ok(U.vehicleCruiseMP(6, { immobilized: true }) === 0, 'immobilized vehicle has no MP');
+
+  ok(U.vehicleCrit('right', 8).key === 'crewStunned' && U.vehicleCrit('turret', 9).key === 'turretLocked', 'crit table reads side and turret columns');
+  ok(U.vehicleCrit('front', 5).key === 'none', 'no vehicle crit below 6');
+  const stun = U.applyVehicleCrit({ stabilizers: [] }, {}, U.vehicleCrit('left', 8), 'left');
+  ok(stun.status.crewStunned === 2, 'crew stun lasts through the next turn');
+  const stab = U.applyVehicleCrit(stun.status, stun.motive, U.vehicleCrit('left', 9), 'left');
+  ok(stab.status.stabilizers.join() === 'left' && stun.status.stabilizers.length === 0, 'stabilizer hit recorded per location without mutating input');
+  const engine = U.applyVehicleCrit({}, {}, U.vehicleCrit('back', 10), 'back');
+  ok(engine.status.engineHit && engine.motive.immobilized, 'engine hit immobilizes');
+  ok(U.applyVehicleCrit({}, {}, U.vehicleCrit('front', 12), 'front').status.destroyed, 'crew killed takes the vehicle out');
+}
+
+/* ---- Aerospace fighters ------------------------------------------------- */
+{
+  ok(U.fighterStructuralIntegrity(50, 5) === 5 && U.fighterStructuralIntegrity(75, 4) === 8, 'SI is the higher of safe thrust and tonnage/10');
+  ok(U.fighterBombSlots(55) === 11, 'one bomb slot per 5 tons');
+  const laden = U.fighterThrust(6, 11);
+  ok(laden.penalty === 2 && laden.safe === 4 && laden.max === 6, 'every 5 bombs cost a point of safe thrust');
+
+  const load = [{ id: 'a', type: 'he', count: 2 }, { id: 'b', type: 'cluster', count: 0 }];
+  const drop = U.releaseBomb(load, 'a');
+  ok(drop.left === 1 && drop.bombs[0].count === 1 && load[0].count === 2, 'a drop takes one bomb off the row without mutating the load');
+  ok(drop.bomb.label === 'High-Explosive' && drop.bomb.damage === 10, 'the dropped bomb\'s type');
+  ok(U.releaseBomb(load, 'b') === null && U.releaseBomb(load, 'x') === null, 'nothing to drop from an empty or missing row');
+  ok(U.releaseBomb([{ id: 'c', type: 'homebrew', count: 1 }], 'c').bomb.label === 'homebrew', 'an unknown bomb type shows its key');
+
+  const arm = { value: 10, max: 10 };
+  const fighter = {
+    structure: { si: { value: 5, max: 5 } }, fuel: { value: 400, max: 400 }, crew: { pilot: 'abc' },
+    armor: { nose: { ...arm }, left: { ...arm }, right: { ...arm }, aft: { ...arm } }
+  };
+  ok(U.fighterReadiness(fighter).key === 'ready', 'intact, fuelled and crewed fighter is ready');
+  ok(U.fighterReadiness({ ...fighter, crew: {} }).key === 'noPilot', 'fighter without a pilot is flagged');
+  ok(U.fighterReadiness({ ...fighter, fuel: { value: 90, max: 400 } }).key === 'lowFuel', 'under a quarter fuel is low');
+  ok(U.fighterReadiness({ ...fighter, armor: { ...fighter.armor, aft: { value: 3, max: 10 } } }).key === 'damaged', 'missing armor reads as damaged');
+  ok(U.fighterReadiness({ ...fighter, structure: { si: { value: 0, max: 5 } } }).key === 'destroyed', 'SI gone means destroyed');
+}
+
+/* ---- Battle armor ------------------------------------------------------- */
+{
+  const squad = [{ killed: false }, { killed: true }, { killed: false }, { killed: true }];
+  ok(U.baActiveTroopers(squad) === 2, 'active troopers exclude the fallen');
+  ok(U.baTrooperHit(squad, 1) === 0 && U.baTrooperHit(squad, 2) === 2 && U.baTrooperHit(squad, 4) === 0, 'a hit on a fallen trooper moves to the next standing');
+  ok(U.baTrooperHit(squad, 6) === 2, 'rolls past the roster wrap round');
+  ok(U.baTrooperHit([{ killed: true }], 3) === -1, 'no trooper left to hit');
+
+  const soaked = U.allocateTrooperDamage({ armor: { value: 10 } }, 6);
+  ok(soaked.armor === 4 && soaked.overflow === 0 && !soaked.killed, 'suit armor soaks damage');
+  const breached = U.allocateTrooperDamage({ armor: { value: 3 } }, 5);
+  ok(breached.armor === 0 && breached.overflow === 2 && breached.killed, 'damage past the armor breaches the suit and overflows');
+
+  ok(U.baAntiMechCapable('medium', { left: 'battleClaw', right: 'none' }), 'medium suit with a claw can swarm');
+  ok(!U.baAntiMechCapable('heavy', { left: 'battleClaw', right: 'battleClaw' }), 'heavy suits cannot');
+  ok(!U.baAntiMechCapable('light', { left: 'none', right: 'none' }), 'no manipulators, no anti-Mech attacks');
+  ok(U.baAntiMechModifier(5) === 0 && U.baAntiMechModifier(3) === 2 && U.baAntiMechModifier(1) === 7, 'fewer troopers, harder anti-Mech attacks');
+  ok(U.baLegAttackDamage({ left: 'vibroClaw', right: 'vibroClaw' }) === 6, 'vibro-claws add leg attack damage');
+
+  ok(U.baSquadWeapon({ damage: 5, rack: 0 }, 4).rack === 4 && U.baSquadWeapon({ damage: 2, rack: 2 }, 4).rack === 8, 'squad fire clusters on troopers × rack');
+  ok(U.baSquadWeapon({ damage: 5, rack: 0 }, 1).rack === 0, 'a lone trooper fires normally');
+  ok(JSON.stringify(U.baSwarmDamage([{ damage: 5 }, { damage: 2, rack: 2 }, { damage: 9, out: 'destroyed' }], 3)) === '[9,9,9]', 'swarm damage: each trooper, all working weapons');
+  ok(U.swarmHitLocation(3).location === 'ct' && U.swarmHitLocation(3).rear, 'swarm table reaches the rear torso');
+}
+
+/* ---- Installations ------------------------------------------------------ */
+{
+  ok(U.buildingState({ cf: { value: 40, max: 40 } }) === 'intact', 'full CF is intact');
+  ok(U.buildingState({ cf: { value: 12, max: 40 } }) === 'damaged', 'lost CF is damaged');
+  ok(U.buildingState({ cf: { value: 12, max: 40 }, underRepair: true }) === 'repairing', 'repair flag shows');
+  ok(U.buildingState({ cf: { value: 0, max: 40 }, underRepair: true }) === 'destroyed', 'no CF left is destroyed');
+  ok(U.buildingTypeFits('medium', 40) && !U.buildingTypeFits('light', 40) && !U.buildingTypeFits('bogus', 10), 'CF ranges by building class');
+
+  const hit = U.damageBuilding({ cf: { value: 15 } }, 10);
+  ok(hit.cf === 5 && hit.absorbed === 10 && !hit.collapsed, 'damage comes off CF');
+  const down = U.damageBuilding({ cf: { value: 5 } }, 12);
+  ok(down.cf === 0 && down.absorbed === 5 && down.collapsed, 'a building collapses at CF 0');
+
+  const power = U.installationPower([
+    { cf: { value: 40, max: 40 }, powerOut: 10 },
+    { cf: { value: 20, max: 20 }, powerDraw: 6 },
+    { cf: { value: 0, max: 30 }, powerOut: 8, powerDraw: 2 }
+  ]);
+  ok(power.generated === 10 && power.drawn === 6 && !power.short, 'collapsed buildings neither make nor draw power');
+  ok(U.installationPower([{ cf: { value: 5, max: 5 }, powerDraw: 3 }]).short, 'drawing more than generated is short');
+}
+
+ok(unitWeaponDef('medium laser')?.damage === 5, 'weapon catalog lookup is case-insensitive');
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll unit-math checks passed.');
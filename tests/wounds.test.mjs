@@ -0,0 +1,81 @@
+/**
+ * wounds.test.mjs
+ * ---------------
+ * Dependency-free regression checks for the wound registry: the built-in
+ * types, what a character's wounds add up to, repeated wounds, bleeding,
+ * healing and the GM's homebrew types. Runnable with plain Node:
+ *
+ *   node tests/wounds.test.mjs
+ *
+ * Exits non-zero on failure.
+ */
+import * as W from '../module/helpers/wounds.mjs';
+
+let failed = 0;
+const ok = (cond, msg) => {
+  if (!cond) { console.error('  ✗', msg); failed++; }
+  else console.log('  ✓', msg);
+};
+
+/* ---- Built-in types ----------------------------------------------------- */
+{
+  ok(Object.keys(W.DEFAULT_WOUND_TYPES).length === 7, 'seven built-in wounds');
+  ok(W.woundLabel('traumaticImpact') === 'Traumatic Impact' && W.woundLabel('mystery') === 'mystery', 'names; unknown types show their key');
+  ok(W.woundDescription('concussion').startsWith('Concussion — ') && W.woundDescription('mystery') === '', 'tooltips');
+  ok(W.woundSummary('severeStrain') === 'Severe Strain (1 box, ×0.5 movement)', 'rules in brief');
+  ok(W.woundType('nerveDamage').limb && !W.woundType('concussion').limb, 'Nerve Damage is a limb wound');
+
+  const none = W.totalWoundEffects([]);
+  ok(none.lockedDamage === 0 && none.movementMultiplier === 1 && none.woundCount === 0, 'no wounds, no effect');
+
+  const fx = W.totalWoundEffects([{ type: 'concussion' }, { type: 'nerveDamage' }, { type: 'severeStrain' }, { type: 'severelyWounded' }, { type: 'mystery' }]);
+  ok(fx.lockedDamage === 6 && fx.lockedFatigue === 6, 'locked boxes add up, damage and fatigue');
+  ok(fx.attributeModifiers.int === -2 && fx.attributeModifiers.dex === -2 && fx.attributeModifiers.rfl === -2, 'attribute penalties');
+  ok(fx.movementMultiplier === 0.5 && fx.woundCount === 5, 'movement halved; every wound counted');
+}
+
+/* ---- Repeats, bleeding and healing -------------------------------------- */
+{
+  const wounds = [{ type: 'dazed' }, { type: 'severelyWounded' }];
+  ok(W.woundToRecord('dazed', wounds) === 'severelyWounded', 'a second Dazed worsens');
+  ok(W.woundToRecord('severelyWounded', wounds) === 'severelyWounded', 'Severely Wounded stacks');
+  ok(W.woundToRecord('concussion', wounds) === 'concussion' && W.woundToRecord('mystery', wounds) === null, 'a new wound; an unknown one');
+
+  ok(W.woundsCauseBleeding([{ type: 'dazed' }, { type: 'hemorrhage' }]) && !W.woundsCauseBleeding([{ type: 'dazed' }]), 'Hemorrhage bleeds');
+  ok(W.woundHealsBy('dazed', 'surgery') && W.woundHealsBy('dazed', 'rest'), 'built-ins heal either way');
+}
+
+/* ---- Homebrew types ----------------------------------------------------- */
+{
+  ok(W.woundKey('Shattered Limb') === 'shatteredLimb' && W.woundKey('3rd-degree') === '', 'keys from names');
+  ok(W.parsePenalties('DEX -2, str 1').dex === -2 && W.parsePenalties('DEX -2, str 1').str === -1, 'penalties read; always penalties');
+  ok(W.formatPenalties({ dex: -2, rfl: -1 }) === 'DEX -2, RFL -1', 'penalties written');
+
+  const kept = W.setCustomWoundTypes({
+    shatteredLimb: { label: 'Shattered Limb', capacityPenalty: 2, attributePenalties: { dex: -3, luck: -9 }, movementMultiplier: 0.25, stacking: 'none', heal: 'surgery' },
+    burn: { label: 'Burn', capacityPenalty: '1', causesBleeding: false, heal: 'rest', movementMultiplier: '' },
+    dazed: { label: 'Not Dazed' },
+    'bad key': { label: 'Bad' },
+    blank: { label: '' }
+  });
+  ok(Object.keys(kept).join() === 'shatteredLimb,burn', 'unusable types dropped; built-ins not replaced');
+  ok(W.woundLabel('dazed') === 'Dazed' && Object.keys(W.woundTypes()).length === 9, 'homebrew joins the built-ins');
+
+  const limb = W.woundType('shatteredLimb');
+  ok(limb.attributePenalties.dex === -3 && !('luck' in limb.attributePenalties) && limb.icon === 'fa-band-aid', 'normalized');
+  ok(W.woundType('burn').movementMultiplier === 1 && W.woundType('burn').stacking === 'worsen' && !W.woundType('burn').limb, 'defaults filled in');
+  ok(W.woundToRecord('shatteredLimb', [{ type: 'shatteredLimb' }]) === null, 'a repeat with no further effect');
+  ok(W.woundHealsBy('shatteredLimb', 'surgery') && !W.woundHealsBy('shatteredLimb', 'rest'), 'surgery only');
+  ok(!W.woundHealsBy('burn', 'surgery') && W.woundHealsBy('burn', 'rest'), 'rest only');
+  ok(W.woundDescription('shatteredLimb') === 'Shattered Limb — locks 2 standard-damage boxes, imposes -3 DEX, multiplies movement by 0.25. Heal: reduce its severity to 0 with Surgery.', 'tooltip written from the rules');
+
+  const fx = W.totalWoundEffects([{ type: 'nerveDamage' }, { type: 'shatteredLimb' }, { type: 'severeStrain' }]);
+  ok(fx.lockedDamage === 4 && fx.attributeModifiers.dex === -3 && fx.movementMultiplier === 0.125, 'homebrew effects add in');
+
+  W.setCustomWoundTypes({});
+  ok(W.woundType('shatteredLimb') === null, 'cleared');
+}
+
+/* ---- Result ------------------------------------------------------------- */
+if (failed) { console.error(`\n${failed} check(s) FAILED`); process.exit(1); }
+console.log('\nAll wounds checks passed.');